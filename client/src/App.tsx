@@ -1,5 +1,5 @@
 import { useState, useRef, useEffect } from 'react';
-import { VertexAILiveService } from './services/VertexAILiveService';
+import { VertexAILiveService, type QuickReplies, type FraudWarning, type ConsentRequest } from './services/VertexAILiveService';
 import { AudioVisualizer } from './components/AudioVisualizer';
 
 // Get or create persistent user ID for context persistence
@@ -16,6 +16,20 @@ function getUserId(): string {
   return userId;
 }
 
+interface TranscriptEntry {
+  role: 'user' | 'assistant' | 'agent';
+  text: string;
+}
+
+// Append a streamed chunk to the last entry of the same speaker, or start a new entry
+function appendTranscript(entries: TranscriptEntry[], role: TranscriptEntry['role'], text: string): TranscriptEntry[] {
+  const last = entries[entries.length - 1];
+  if (last && last.role === role) {
+    return [...entries.slice(0, -1), { role, text: last.text + text }];
+  }
+  return [...entries, { role, text }];
+}
+
 export default function App() {
   const [isSessionActive, setIsSessionActive] = useState(false);
   const [sessionStatus, setSessionStatus] = useState<'idle' | 'listening' | 'thinking' | 'speaking'>('idle');
@@ -23,12 +37,17 @@ export default function App() {
   const [apiStatus, setApiStatus] = useState<'online' | 'offline'>('offline');
   const [audioLevels, setAudioLevels] = useState<number[]>(new Array(32).fill(0));
   const [conversationTime, setConversationTime] = useState(0); // Time in seconds
-  const [transcriptText, setTranscriptText] = useState(''); // AI response text
+  const [transcript, setTranscript] = useState<TranscriptEntry[]>([]); // Both sides of the conversation
+  const [quickReplies, setQuickReplies] = useState<QuickReplies | null>(null); // Menu shown when speech isn't understood
+  const [fraudWarning, setFraudWarning] = useState<FraudWarning | null>(null); // Scam pattern detected in the user's speech
+  const [consentRequest, setConsentRequest] = useState<ConsentRequest | null>(null); // Disclosure awaiting the user's agreement
+  const [handoff, setHandoff] = useState<{ status: 'queued' | 'unavailable' } | { status: 'agent'; agentName: string } | null>(null); // Human agent handoff
 
   const vertexAILiveServiceRef = useRef<VertexAILiveService | null>(null);
   const recordingContextRef = useRef<AudioContext | null>(null);
   const playbackContextRef = useRef<AudioContext | null>(null);
   const nextPlayTimeRef = useRef(0);
+  const scheduledSourcesRef = useRef<AudioBufferSourceNode[]>([]); // Chunks queued for playback
   const isPlayingRef = useRef(false);
   const lastSpeechStartRef = useRef<number>(0);
   const analyserRef = useRef<AnalyserNode | null>(null);
@@ -137,13 +156,54 @@ export default function App() {
       // Set up message callback
       vertexAILiveServiceRef.current.onMessage((message: any) => {
         console.log('[VertexAILive] Message:', message.type);
-        if (message.type === 'session_ready') {
+        if (message.type === 'session_ready' || message.type === 'session_resumed') {
           setSessionStatus('listening');
         }
-        // Handle text chunks from AI response
-        if (message.type === 'text_chunk') {
-          console.log('[VertexAILive] Text received:', message.text);
-          setTranscriptText(prev => prev + message.text);
+        // Socket dropped - the service is reattaching to the same conversation
+        if (message.type === 'reconnecting') {
+          flushPlayback();
+          setSessionStatus('thinking');
+        }
+        // User talked over the AI - drop the speech still queued for playback
+        if (message.type === 'interrupted') {
+          flushPlayback();
+        }
+        // Transcriptions of the user's speech and the AI's spoken answer
+        if (message.type === 'user_transcript') {
+          setTranscript(prev => appendTranscript(prev, 'user', message.text));
+        }
+        if (message.type === 'ai_transcript' || message.type === 'text_chunk') {
+          setTranscript(prev => appendTranscript(prev, 'assistant', message.text));
+        }
+        // Speech keeps failing - offer tappable options
+        if (message.type === 'quick_replies') {
+          setQuickReplies(message as QuickReplies);
+        }
+        if (message.type === 'fraud_warning') {
+          setFraudWarning(message as FraudWarning);
+        }
+        // Disclosure - stays up until the user agrees (by voice or the buttons); a decline can be changed
+        if (message.type === 'consent_required') {
+          setConsentRequest(message as ConsentRequest);
+        }
+        if (message.type === 'consent_recorded' && message.granted) {
+          setConsentRequest(null);
+        }
+        // Human agent handoff - queued, taken over (bot paused), handed back
+        if (message.type === 'handoff_queued') {
+          setHandoff({ status: 'queued' });
+        }
+        if (message.type === 'handoff_unavailable') {
+          setHandoff({ status: 'unavailable' });
+        }
+        if (message.type === 'agent_joined') {
+          setHandoff({ status: 'agent', agentName: message.agentName });
+        }
+        if (message.type === 'agent_left') {
+          setHandoff(null);
+        }
+        if (message.type === 'agent_message') {
+          setTranscript(prev => [...prev, { role: 'agent', text: message.text }]);
         }
       });
 
@@ -197,7 +257,6 @@ export default function App() {
         lastSpeechStartRef.current = performance.now();
         setSessionStatus('listening');
         stopIdleAnimation();
-        setTranscriptText(''); // Clear previous response
         console.log(`[Timing] 🎤 Speech detected (RMS: ${rms.toFixed(4)})`);
       } else if (type === 'speech-end') {
         lastSpeechEndRef.current = performance.now();
@@ -311,6 +370,11 @@ export default function App() {
       const startTime = Math.max(currentTime, nextPlayTimeRef.current);
       source.start(startTime);
 
+      scheduledSourcesRef.current.push(source);
+      source.onended = () => {
+        scheduledSourcesRef.current = scheduledSourcesRef.current.filter(s => s !== source);
+      };
+
       const duration = audioBuffer.duration;
       nextPlayTimeRef.current = startTime + duration;
 
@@ -365,6 +429,59 @@ export default function App() {
     }
   };
 
+  // Tapped option - the server answers it as a spoken turn and may send a submenu
+  const selectQuickReply = (optionId: string) => {
+    if (!quickReplies) return;
+    vertexAILiveServiceRef.current?.sendQuickReply(quickReplies.nodeId, optionId);
+    setQuickReplies(null);
+  };
+
+  const dismissQuickReplies = () => {
+    vertexAILiveServiceRef.current?.dismissQuickReplies();
+    setQuickReplies(null);
+  };
+
+  const answerConsent = (accepted: boolean) => {
+    vertexAILiveServiceRef.current?.sendConsent(accepted);
+  };
+
+  const requestAgent = () => {
+    vertexAILiveServiceRef.current?.requestAgent();
+  };
+
+  // Stop everything scheduled for playback (barge-in)
+  const flushPlayback = () => {
+    scheduledSourcesRef.current.forEach(source => {
+      try {
+        source.stop();
+      } catch (error) {
+        // Already stopped
+      }
+    });
+    scheduledSourcesRef.current = [];
+
+    if (playbackContextRef.current) {
+      nextPlayTimeRef.current = playbackContextRef.current.currentTime;
+    }
+
+    if (endPlaybackTimeoutRef.current) {
+      clearTimeout(endPlaybackTimeoutRef.current);
+      endPlaybackTimeoutRef.current = null;
+    }
+
+    if (isPlayingRef.current) {
+      isPlayingRef.current = false;
+      if (animationFrameRef.current) {
+        cancelAnimationFrame(animationFrameRef.current);
+        animationFrameRef.current = null;
+      }
+      setSessionStatus('listening');
+      startIdleAnimation();
+    }
+
+    console.log('[VertexAILive] Playback flushed after interruption');
+  };
+
   const endSession = async () => {
     // Stop all animations
     if (animationFrameRef.current) {
@@ -414,7 +531,11 @@ export default function App() {
     setIsSessionActive(false);
     setSessionStatus('idle');
     setAudioLevels(new Array(32).fill(0));
-    setTranscriptText(''); // Clear transcript
+    setTranscript([]); // Clear transcript
+    setQuickReplies(null);
+    setFraudWarning(null);
+    setConsentRequest(null);
+    setHandoff(null);
   };
 
   return (
@@ -485,11 +606,20 @@ export default function App() {
             <div className="space-y-6 h-full flex flex-col">
               {/* Transcript Area - Takes most of the space */}
               <div className="flex-1 overflow-y-auto bg-white/90 border border-[#dee2e6] rounded-xl p-6 shadow-sm min-h-[300px] max-h-[500px]">
-                {transcriptText ? (
-                  <div className="prose prose-sm max-w-none">
-                    <p className="text-[#212529] text-lg leading-relaxed whitespace-pre-wrap">
-                      {transcriptText}
-                    </p>
+                {transcript.length > 0 ? (
+                  <div className="prose prose-sm max-w-none space-y-3">
+                    {transcript.map((entry, index) => (
+                      <p
+                        key={index}
+                        className={entry.role === 'user'
+                          ? 'text-[#6c757d] text-base leading-relaxed whitespace-pre-wrap'
+                          : 'text-[#212529] text-lg leading-relaxed whitespace-pre-wrap'}
+                      >
+                        {entry.role === 'user' && <span className="font-medium">You: </span>}
+                        {entry.role === 'agent' && <span className="font-medium">Agent: </span>}
+                        {entry.text}
+                      </p>
+                    ))}
                   </div>
                 ) : (
                   <div className="h-full flex items-center justify-center text-[#6c757d]">
@@ -502,6 +632,80 @@ export default function App() {
                 )}
               </div>
 
+              {/* Disclosure - the assistant reads it out; the user can also answer here */}
+              {consentRequest && (
+                <div className="bg-white/90 border border-[#dee2e6] rounded-xl p-4 shadow-sm space-y-3">
+                  <p className="text-sm text-[#495057]">{consentRequest.text}</p>
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => answerConsent(true)}
+                      className="px-4 py-2 bg-[#212529] hover:bg-[#343a40] text-white rounded-lg text-sm font-medium transition-all"
+                    >
+                      I agree
+                    </button>
+                    <button
+                      onClick={() => answerConsent(false)}
+                      className="px-4 py-2 text-[#6c757d] hover:text-[#212529] border border-[#dee2e6] rounded-lg text-sm transition-all"
+                    >
+                      No
+                    </button>
+                  </div>
+                </div>
+              )}
+
+              {/* Fraud warning - scam pattern detected in what the user said */}
+              {fraudWarning && (
+                <div className="bg-red-50 border border-red-300 rounded-xl p-4 shadow-sm space-y-2">
+                  <p className="text-sm font-semibold text-red-700">⚠️ Possible scam</p>
+                  {fraudWarning.messages.map((text, index) => (
+                    <p key={index} className="text-sm text-red-700">{text}</p>
+                  ))}
+                  <button
+                    onClick={() => setFraudWarning(null)}
+                    className="text-xs text-red-500 hover:text-red-700 transition-all"
+                  >
+                    Dismiss
+                  </button>
+                </div>
+              )}
+
+              {/* Quick Replies - fallback menu when speech isn't understood */}
+              {quickReplies && (
+                <div className="bg-white/90 border border-[#dee2e6] rounded-xl p-4 shadow-sm space-y-3">
+                  {quickReplies.prompt && (
+                    <p className="text-sm text-[#495057]">{quickReplies.prompt}</p>
+                  )}
+                  <div className="flex flex-wrap gap-2">
+                    {quickReplies.options.map(option => (
+                      <button
+                        key={option.id}
+                        onClick={() => selectQuickReply(option.id)}
+                        className="px-4 py-2 bg-[#f8f9fa] hover:bg-[#e9ecef] text-[#212529] border border-[#dee2e6] rounded-lg text-sm font-medium transition-all"
+                      >
+                        {option.label}
+                      </button>
+                    ))}
+                    {quickReplies.allowFreeSpeech && (
+                      <button
+                        onClick={dismissQuickReplies}
+                        className="px-4 py-2 text-[#6c757d] hover:text-[#212529] rounded-lg text-sm transition-all"
+                      >
+                        🎤 Speak instead
+                      </button>
+                    )}
+                  </div>
+                </div>
+              )}
+
+              {/* Human agent handoff status */}
+              {handoff && (
+                <p className="text-center text-sm text-[#495057]">
+                  {handoff.status === 'queued' && '🧑‍💼 Connecting you to a person - the assistant will keep helping meanwhile'}
+                  {handoff.status === 'unavailable' && 'No one is available to take your call right now'}
+                  {handoff.status === 'agent' && `🧑‍💼 You're talking to ${handoff.agentName}`}
+                </p>
+              )}
+
               {/* Audio Visualizer - Smaller */}
               <div className="h-24">
                 <AudioVisualizer
@@ -523,6 +727,14 @@ export default function App() {
                     </span>
                   </div>
                 </button>
+                {(!handoff || handoff.status === 'unavailable') && (
+                  <button
+                    onClick={requestAgent}
+                    className="px-6 py-3 text-[#6c757d] hover:text-[#212529] border border-[#dee2e6] rounded-xl font-medium transition-all"
+                  >
+                    Talk to a person
+                  </button>
+                )}
               </div>
             </div>
           )}
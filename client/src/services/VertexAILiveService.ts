@@ -3,6 +3,44 @@
  * Native audio-to-audio streaming with low latency
  */
 
+export type LiveAudioFormat = 'pcm16' | 'wav' | 'mulaw' | 'webm_opus' | 'ogg_opus';
+
+export interface LiveAudioStreamFormat {
+  format: LiveAudioFormat;
+  sampleRate?: number;
+  channels?: number;
+}
+
+export interface LiveAudioOptions {
+  input?: LiveAudioStreamFormat;  // What this client sends (default 16kHz PCM16)
+  output?: LiveAudioStreamFormat;  // What it wants back (default 24kHz PCM16)
+}
+
+// Structured menu the server offers when it keeps failing to understand speech
+export interface QuickReplies {
+  type: 'quick_replies';
+  nodeId: string;
+  prompt: string | null;
+  options: { id: string; label: string }[];
+  allowFreeSpeech: boolean;
+}
+
+// Scam pattern heard in the user's speech (detected server-side, independent of the model)
+export interface FraudWarning {
+  type: 'fraud_warning';
+  categories: string[];
+  severity: 'critical' | 'high' | 'medium' | 'low';
+  messages: string[];
+}
+
+// Disclosure the user must accept before the assistant gives advice
+export interface ConsentRequest {
+  type: 'consent_required';
+  version: string;
+  text: string;
+  language: string;
+}
+
 export class VertexAILiveService {
   private ws: WebSocket | null = null;
   private sessionId: string | null = null;
@@ -11,6 +49,17 @@ export class VertexAILiveService {
   private messageCallback: ((message: any) => void) | null = null;
   private errorCallback: ((error: string) => void) | null = null;
   private wsUrl: string;
+  // Session resumption - reattach to the same conversation after the socket drops
+  private resumeToken: string | null = null;
+  private resumeWindowMs: number = 30000;
+  private isSessionReady: boolean = false;
+  private isReconnecting: boolean = false;
+  private intentionalClose: boolean = false;
+  private droppedAt: number = 0;
+  private reconnectAttempt: number = 0;
+  private reconnectTimer: ReturnType<typeof setTimeout> | null = null;
+  private readyResolve: (() => void) | null = null;
+  private readyReject: ((error: Error) => void) | null = null;
 
   constructor(wsUrl?: string) {
     // Always use production URL for dev and production
@@ -33,16 +82,48 @@ export class VertexAILiveService {
     }
   }
 
+  /**
+   * WebSocket URL with a fresh session token and the tenant (browsers cannot set WebSocket headers)
+   * The token comes from the app's own backend (VITE_SESSION_TOKEN_URL), which holds the API key
+   * and gets short-lived tokens from POST /api/auth/session-token
+   */
+  private async getConnectUrl(): Promise<string> {
+    const url = new URL(this.wsUrl);
+    const tokenUrl = import.meta.env.VITE_SESSION_TOKEN_URL;
+    if (tokenUrl) {
+      const response = await fetch(tokenUrl, { method: 'POST', credentials: 'include' });
+      if (!response.ok) {
+        throw new Error(`Session token request failed (${response.status})`);
+      }
+      const { token } = await response.json();
+      url.searchParams.set('token', token);
+    }
+    if (import.meta.env.VITE_TENANT_ID) {
+      url.searchParams.set('tenantId', import.meta.env.VITE_TENANT_ID);
+    }
+    return url.toString();
+  }
+
   /**
    * Connect to Vertex AI Live WebSocket
+   * options.record opts in to server-side recording of the conversation
+   * options.audio declares the audio formats; the server converts to and from them
    */
-  async connect(language: string = 'auto', userId?: string): Promise<void> {
+  async connect(
+    language: string = 'auto',
+    userId?: string,
+    options: { record?: boolean; audio?: LiveAudioOptions } = {}
+  ): Promise<void> {
+    const connectUrl = await this.getConnectUrl();
+
     return new Promise((resolve, reject) => {
       try {
         console.log('[VertexAILive] Connecting to:', this.wsUrl);
-        this.ws = new WebSocket(this.wsUrl);
+        this.intentionalClose = false;
+        this.readyResolve = resolve;
+        this.readyReject = reject;
 
-        this.ws.onopen = () => {
+        this.ws = this.openSocket(connectUrl, () => {
           console.log('[VertexAILive] WebSocket connected');
           this.isConnected = true;
 
@@ -52,62 +133,12 @@ export class VertexAILiveService {
             config: {
               language,
               userId, // For conversation history persistence
-              systemInstruction: null // Use default with fraud protection
+              systemInstruction: null, // Use default with fraud protection
+              record: options.record === true,
+              audio: options.audio
             }
           });
-        };
-
-        this.ws.onmessage = (event) => {
-          // Check if binary audio data
-          if (event.data instanceof ArrayBuffer || event.data instanceof Blob) {
-            const audioSize = event.data instanceof ArrayBuffer ? event.data.byteLength : event.data.size;
-            console.log('[VertexAILive] Received audio:', audioSize, 'bytes');
-
-            if (event.data instanceof Blob) {
-              // Convert Blob to ArrayBuffer
-              event.data.arrayBuffer().then((buffer) => {
-                if (this.audioCallback) {
-                  this.audioCallback(buffer);
-                }
-              });
-            } else {
-              if (this.audioCallback) {
-                this.audioCallback(event.data);
-              }
-            }
-            return;
-          }
-
-          // Parse JSON messages
-          try {
-            const message = JSON.parse(event.data);
-            console.log('[VertexAILive] Received message:', message.type);
-
-            if (message.type === 'session_started') {
-              this.sessionId = message.sessionId;
-              console.log('[VertexAILive] Session started:', this.sessionId);
-            }
-
-            if (message.type === 'session_ready') {
-              console.log('[VertexAILive] Session ready');
-              resolve();
-            }
-
-            if (message.type === 'error') {
-              console.error('[VertexAILive] Error from server:', message.error);
-              if (this.errorCallback) {
-                this.errorCallback(message.error);
-              }
-            }
-
-            // Forward all messages to callback
-            if (this.messageCallback) {
-              this.messageCallback(message);
-            }
-          } catch (e) {
-            console.warn('[VertexAILive] Non-JSON message:', event.data);
-          }
-        };
+        });
 
         this.ws.onerror = (error) => {
           console.error('[VertexAILive] WebSocket error:', error);
@@ -117,12 +148,6 @@ export class VertexAILiveService {
           reject(new Error('WebSocket connection failed'));
         };
 
-        this.ws.onclose = (event) => {
-          console.log('[VertexAILive] WebSocket closed:', event.code, event.reason);
-          this.isConnected = false;
-          this.sessionId = null;
-        };
-
         // Timeout if session doesn't start
         setTimeout(() => {
           if (!this.sessionId) {
@@ -137,6 +162,197 @@ export class VertexAILiveService {
     });
   }
 
+  /**
+   * Open a socket to the server with the shared message and close handling
+   */
+  private openSocket(connectUrl: string, onOpen: () => void): WebSocket {
+    const ws = new WebSocket(connectUrl);
+
+    ws.onopen = onOpen;
+    ws.onmessage = (event) => this.handleSocketMessage(event);
+    ws.onclose = (event) => {
+      // A socket we already replaced
+      if (ws !== this.ws) return;
+
+      console.log('[VertexAILive] WebSocket closed:', event.code, event.reason);
+      this.isConnected = false;
+
+      // Dropped mid-conversation - the server holds the session for the resume window
+      if (!this.intentionalClose && this.isSessionReady && this.resumeToken) {
+        this.scheduleReconnect();
+        return;
+      }
+
+      this.sessionId = null;
+    };
+
+    return ws;
+  }
+
+  /**
+   * Handle a message from the server (binary audio or JSON)
+   */
+  private handleSocketMessage(event: MessageEvent): void {
+    // Check if binary audio data
+    if (event.data instanceof ArrayBuffer || event.data instanceof Blob) {
+      const audioSize = event.data instanceof ArrayBuffer ? event.data.byteLength : event.data.size;
+      console.log('[VertexAILive] Received audio:', audioSize, 'bytes');
+
+      if (event.data instanceof Blob) {
+        // Convert Blob to ArrayBuffer
+        event.data.arrayBuffer().then((buffer) => {
+          if (this.audioCallback) {
+            this.audioCallback(buffer);
+          }
+        });
+      } else {
+        if (this.audioCallback) {
+          this.audioCallback(event.data);
+        }
+      }
+      return;
+    }
+
+    // Parse JSON messages
+    let message: any;
+    try {
+      message = JSON.parse(event.data);
+    } catch (e) {
+      console.warn('[VertexAILive] Non-JSON message:', event.data);
+      return;
+    }
+    console.log('[VertexAILive] Received message:', message.type);
+
+    if (message.type === 'session_started') {
+      if (this.isReconnecting && this.resumeToken) {
+        // New socket - ask the server to move it onto our existing conversation
+        this.sendMessage({ type: 'resume_session', resumeToken: this.resumeToken });
+        return;
+      }
+
+      this.sessionId = message.sessionId;
+      this.resumeToken = message.resumeToken || null;
+      if (message.resumeWindow) {
+        this.resumeWindowMs = message.resumeWindow * 1000;
+      }
+      console.log('[VertexAILive] Session started:', this.sessionId);
+    }
+
+    if (message.type === 'session_ready') {
+      console.log('[VertexAILive] Session ready');
+      this.isSessionReady = true;
+      if (this.readyResolve) {
+        this.readyResolve();
+        this.readyResolve = null;
+        this.readyReject = null;
+      }
+    }
+
+    if (message.type === 'session_resumed') {
+      console.log('[VertexAILive] Session resumed:', message.sessionId);
+      this.sessionId = message.sessionId;
+      this.resumeToken = message.resumeToken;
+      this.isConnected = true;
+      this.isReconnecting = false;
+      this.droppedAt = 0;
+      this.reconnectAttempt = 0;
+    }
+
+    if (message.type === 'resume_failed') {
+      console.warn('[VertexAILive] Resume failed:', message.reason);
+      this.abandonSession('Connection lost - please start a new session');
+    }
+
+    if (message.type === 'error') {
+      console.error('[VertexAILive] Error from server:', message.error);
+      if (this.errorCallback) {
+        this.errorCallback(message.error);
+      }
+      // The session was refused (e.g. QUOTA_EXCEEDED) - fail connect() with the server's reason
+      if (this.readyReject) {
+        this.readyReject(new Error(message.error));
+        this.readyResolve = null;
+        this.readyReject = null;
+      }
+    }
+
+    // Forward all messages to callback
+    if (this.messageCallback) {
+      this.messageCallback(message);
+    }
+  }
+
+  /**
+   * Reconnect with backoff until the server's resume window runs out
+   */
+  private scheduleReconnect(): void {
+    if (!this.droppedAt) {
+      this.droppedAt = Date.now();
+    }
+
+    const remaining = this.resumeWindowMs - (Date.now() - this.droppedAt);
+    if (remaining <= 0) {
+      this.abandonSession('Connection lost - please start a new session');
+      return;
+    }
+
+    this.isReconnecting = true;
+    const delay = Math.min(1000 * 2 ** this.reconnectAttempt, 8000, remaining);
+    this.reconnectAttempt++;
+    console.log(`[VertexAILive] Reconnecting in ${delay}ms (attempt ${this.reconnectAttempt})`);
+
+    if (this.messageCallback) {
+      this.messageCallback({ type: 'reconnecting', attempt: this.reconnectAttempt, timestamp: Date.now() });
+    }
+
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
+      let connectUrl: string;
+      try {
+        connectUrl = await this.getConnectUrl();
+      } catch (error) {
+        console.error('[VertexAILive] Could not get a session token:', error);
+        this.scheduleReconnect();
+        return;
+      }
+      if (this.intentionalClose || !this.resumeToken) return;
+
+      this.ws = this.openSocket(connectUrl, () => {
+        console.log('[VertexAILive] WebSocket reconnected, resuming session');
+      });
+    }, delay);
+  }
+
+  /**
+   * Give up on the current conversation
+   */
+  private abandonSession(reason: string): void {
+    this.clearResumeState();
+
+    if (this.ws) {
+      this.ws.close();
+      this.ws = null;
+    }
+    this.isConnected = false;
+    this.sessionId = null;
+
+    if (this.errorCallback) {
+      this.errorCallback(reason);
+    }
+  }
+
+  private clearResumeState(): void {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    this.resumeToken = null;
+    this.isSessionReady = false;
+    this.isReconnecting = false;
+    this.droppedAt = 0;
+    this.reconnectAttempt = 0;
+  }
+
   /**
    * Send audio data (PCM 16-bit, 16kHz)
    */
@@ -171,6 +387,34 @@ export class VertexAILiveService {
     this.sendMessage({ type: 'turn_complete' });
   }
 
+  /**
+   * Answer a quick_replies menu with the tapped option
+   */
+  sendQuickReply(nodeId: string, optionId: string): void {
+    this.sendMessage({ type: 'quick_reply', nodeId, optionId });
+  }
+
+  /**
+   * Close the quick_replies menu and go back to speaking
+   */
+  dismissQuickReplies(): void {
+    this.sendMessage({ type: 'quick_reply', dismiss: true });
+  }
+
+  /**
+   * Answer the disclosure (answered with consent_recorded)
+   */
+  sendConsent(accepted: boolean): void {
+    this.sendMessage({ type: 'consent', accepted });
+  }
+
+  /**
+   * Ask for a human agent (answered with handoff_queued or handoff_unavailable)
+   */
+  requestAgent(): void {
+    this.sendMessage({ type: 'request_agent' });
+  }
+
   /**
    * Set callback for audio responses
    */
@@ -196,6 +440,9 @@ export class VertexAILiveService {
    * End session and disconnect
    */
   disconnect(): void {
+    this.intentionalClose = true;
+    this.clearResumeState();
+
     if (this.ws) {
       this.sendMessage({ type: 'end_session' });
 
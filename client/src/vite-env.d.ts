@@ -0,0 +1,6 @@
+/// <reference types="vite/client" />
+
+interface ImportMetaEnv {
+  readonly VITE_SESSION_TOKEN_URL?: string;
+  readonly VITE_TENANT_ID?: string;
+}
@@ -18,10 +18,31 @@ class GeminiLiveWebSocketClient {
         this.eventListeners = new Map();
     }
 
+    /**
+     * Session token for the connection, from the URL in <meta name="session-token-url">
+     * (your backend, which holds the live:connect key and calls POST /api/auth/session-token)
+     */
+    async getSessionToken() {
+        const meta = document.querySelector('meta[name="session-token-url"]');
+        const tokenUrl = meta && meta.content;
+        if (!tokenUrl) {
+            return null;
+        }
+
+        const response = await fetch(tokenUrl, { method: 'POST', credentials: 'include' });
+        if (!response.ok) {
+            throw new Error(`Session token request failed (${response.status})`);
+        }
+        const { token } = await response.json();
+        return token;
+    }
+
     /**
      * Connect to WebSocket
      */
-    connect() {
+    async connect() {
+        const token = await this.getSessionToken();
+
         return new Promise((resolve, reject) => {
             try {
                 // Get WebSocket URL from current location
@@ -31,7 +52,7 @@ class GeminiLiveWebSocketClient {
                 const wsUrl = `${protocol}://${window.location.host}/api/gemini-live-stream`;
                 console.log('[WebSocket] Connecting to:', wsUrl);
                 
-                this.ws = new WebSocket(wsUrl);
+                this.ws = new WebSocket(token ? `${wsUrl}?token=${encodeURIComponent(token)}` : wsUrl);
                 
                 this.ws.onopen = () => {
                     console.log('[WebSocket] Connected successfully');
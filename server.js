@@ -8,7 +8,12 @@ const GeminiLiveWebSocketService = require('./src/services/GeminiLiveWebSocketSe
 const ServiceFactory = require('./src/services/ServiceFactory');
 const EnhancedGeminiLiveWebSocketHandler = require('./src/websocket/EnhancedGeminiLiveWebSocketHandler');
 const VertexAILiveWebSocketHandler = require('./src/websocket/VertexAILiveWebSocketHandler');
+const TelephonyMediaStreamHandler = require('./src/websocket/TelephonyMediaStreamHandler');
+const AgentWebSocketHandler = require('./src/websocket/AgentWebSocketHandler');
+const tenantService = require('./src/services/TenantService');
+const apiKeyService = require('./src/services/ApiKeyService');
 const { logger } = require('./src/utils/logger');
+const audioUtils = require('./src/utils/audio');
 
 const PORT = process.env.PORT || 8080;
 const PROJECT_ID = process.env.PROJECT_ID || 'sahamati-labs';
@@ -41,6 +46,8 @@ let geminiLiveService = null;
 let geminiLiveWebSocketService = null;
 let enhancedWebSocketHandler = null;
 let vertexAILiveHandler = null;
+let telephonyHandler = null;
+let agentHandler = null;
 let advancedServices = null;
 
 async function initGeminiLive() {
@@ -91,6 +98,24 @@ async function initVertexAILive() {
   return vertexAILiveHandler;
 }
 
+async function initTelephony() {
+  if (!telephonyHandler) {
+    console.log('[Bun Server] Initializing telephony media stream handler...');
+    telephonyHandler = new TelephonyMediaStreamHandler();
+    await telephonyHandler.initialize();
+    console.log('[Bun Server] ✅ Telephony handler initialized');
+  }
+  return telephonyHandler;
+}
+
+function initAgent() {
+  if (!agentHandler) {
+    agentHandler = new AgentWebSocketHandler();
+    console.log('[Bun Server] ✅ Agent handler initialized');
+  }
+  return agentHandler;
+}
+
 // Bun native server with WebSocket support
 const server = Bun.serve({
   port: PORT,
@@ -106,7 +131,7 @@ const server = Bun.serve({
         headers: {
           'Access-Control-Allow-Origin': '*',
           'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-          'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key, X-Tenant-Id',
           'Access-Control-Max-Age': '86400',
         }
       });
@@ -151,6 +176,24 @@ const server = Bun.serve({
       }
     }
     
+    // API key authentication - every /api route except /api/status needs a key with the route's scope
+    let auth = null;
+    if (path.startsWith('/api/') || path === '/debug') {
+      try {
+        auth = await apiKeyService.authenticateRequest(req, path);
+      } catch (error) {
+        logger.warn('[Auth] Request rejected', { method: req.method, path, error: error.message });
+        return Response.json({
+          success: false,
+          error: error.message,
+          code: error.code
+        }, {
+          status: error.statusCode || 500,
+          headers: { 'Access-Control-Allow-Origin': '*' }
+        });
+      }
+    }
+
     // WebSocket upgrade for Gemini Live streaming
     if (path === '/api/gemini-live-stream') {
       // Check if this is a WebSocket upgrade request
@@ -187,10 +230,25 @@ const server = Bun.serve({
       const upgradeHeader = req.headers.get('upgrade');
       if (upgradeHeader?.toLowerCase() === 'websocket') {
         console.log('[Bun Server] Vertex AI Live WebSocket upgrade requested');
+
+        // Sessions are bound to the tenant named at connect time
+        let tenant;
+        try {
+          tenant = await tenantService.resolveTenant(req, auth);
+        } catch (error) {
+          logger.warn('[Bun Server] Vertex AI Live tenant rejected:', error.message);
+          return new Response(error.message, {
+            status: error.statusCode || 500,
+            headers: { 'Access-Control-Allow-Origin': '*' }
+          });
+        }
+
         const upgraded = server.upgrade(req, {
           data: {
             path: path,
             endpoint: 'vertex-ai-live',
+            tenantId: tenant.id,
+            apiKeyId: auth?.keyId || null,
             timestamp: Date.now()
           }
         });
@@ -210,6 +268,89 @@ const server = Bun.serve({
         }
       });
     }
+
+    // WebSocket upgrade for telephony media streams (phone calls, 8kHz mu-law)
+    if (path === '/api/telephony/media-stream') {
+      const upgradeHeader = req.headers.get('upgrade');
+      if (upgradeHeader?.toLowerCase() === 'websocket') {
+        // Key and tenant are checked on the start event (Twilio sends them as customParameters);
+        // a key or tenant given here is the fallback for providers that can send headers
+        let tenantId;
+        try {
+          tenantId = tenantService.getRequestedTenantId(req);
+        } catch (error) {
+          logger.warn('[Bun Server] Telephony tenant rejected:', error.message);
+          return new Response(error.message, {
+            status: error.statusCode || 500,
+            headers: { 'Access-Control-Allow-Origin': '*' }
+          });
+        }
+
+        const upgraded = server.upgrade(req, {
+          data: {
+            path: path,
+            endpoint: 'telephony',
+            tenantId,
+            apiKey: apiKeyService.extractKey(req),
+            timestamp: Date.now()
+          }
+        });
+
+        if (upgraded) {
+          return undefined;
+        }
+      }
+
+      return new Response('Telephony media stream WebSocket upgrade failed', {
+        status: 426,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Upgrade': 'websocket',
+          'Connection': 'Upgrade'
+        }
+      });
+    }
+
+    // WebSocket upgrade for human agents taking over escalated conversations (?agentName=)
+    if (path === '/api/agent') {
+      const upgradeHeader = req.headers.get('upgrade');
+      if (upgradeHeader?.toLowerCase() === 'websocket') {
+        let tenant;
+        try {
+          tenant = await tenantService.resolveTenant(req, auth);
+        } catch (error) {
+          logger.warn('[Bun Server] Agent tenant rejected:', error.message);
+          return new Response(error.message, {
+            status: error.statusCode || 500,
+            headers: { 'Access-Control-Allow-Origin': '*' }
+          });
+        }
+
+        const upgraded = server.upgrade(req, {
+          data: {
+            path: path,
+            endpoint: 'agent',
+            tenantId: tenant.id,
+            apiKeyId: auth?.keyId || null,
+            agentName: url.searchParams.get('agentName'),
+            timestamp: Date.now()
+          }
+        });
+
+        if (upgraded) {
+          return undefined;
+        }
+      }
+
+      return new Response('Agent WebSocket upgrade failed', {
+        status: 426,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Upgrade': 'websocket',
+          'Connection': 'Upgrade'
+        }
+      });
+    }
     
     // Health check endpoint
     if (path === '/health') {
@@ -249,6 +390,14 @@ const server = Bun.serve({
           'GET /api/status - API status',
           'WS /api/gemini-live-stream - Gemini Live bidirectional audio streaming',
           'WS /api/vertex-ai-live - Vertex AI Live native audio (STT-TTS bypass, low latency)',
+          'WS /api/telephony/media-stream - Phone calls to Vertex AI Live (Twilio-style media stream, 8kHz mu-law)',
+          'WS /api/agent - Human agent console: handoff queue, join, reply, return to bot',
+          'GET /api/handoffs - Conversations waiting for or with a human agent',
+          'GET /api/fraud-reports - Fraud reports filed through report_fraud (?from=&to=&userId=&sessionId=, ?format=csv)',
+          'GET /api/fraud-reports/:referenceNumber - One fraud report with a helpline summary (?format=text)',
+          'GET /api/users/:userId/export - Everything stored about a user (?format=zip)',
+          'GET /api/users/:userId/audit - Audit log of exports and erasures of a user',
+          'DELETE /api/users/:userId - Erase a user (Firestore, Opik traces, recordings)',
           'POST /api/stt-tts-pipeline - STT-TTS Pipeline with function calling',
           'POST /api/gemini-live-chat - Chat with Gemini 2.0 Live (streaming)',
           'POST /api/synthesize-speech - Convert text to speech using GCP TTS',
@@ -267,7 +416,9 @@ const server = Bun.serve({
           'GET /api/session/user/:userId/active - Get active sessions for user',
           'POST /api/session/refresh - Clear all user data (refresh/reset)',
           'GET /api/session/stats - Get session statistics',
-          'POST /api/knowledge/add-url - Add document from URL',
+          'POST /api/knowledge/add-url - Add document from URL (crawl: true imports the whole site)',
+          'GET /api/knowledge/crawls/:jobId - Crawl job progress',
+          'DELETE /api/knowledge/crawls/:jobId - Cancel a running crawl',
           'POST /api/knowledge/add-text - Add plain text document',
           'POST /api/knowledge/add-pdf - Add document from PDF',
           'GET /api/knowledge/list - List all documents',
@@ -275,7 +426,24 @@ const server = Bun.serve({
           'DELETE /api/knowledge/:id - Delete document',
           'DELETE /api/knowledge - Clear all documents',
           'POST /api/knowledge/search - Search knowledge base',
+          'POST /api/knowledge/reindex - Re-chunk and re-embed all documents',
+          'GET /api/knowledge/:id/versions - Document version history',
+          'POST /api/knowledge/:id/revert - Restore an earlier document version',
+          'POST /api/knowledge/refresh - Re-fetch URL documents and report changes',
+          'GET /api/knowledge/refreshes - Recent refresh reports',
+          'POST /api/loan/emi - Calculate loan EMI, total interest and amortization schedule',
+          'POST /api/loan/affordability - Calculate maximum affordable loan from income',
+          'POST /api/auth/session-token - Short-lived Live token for a browser (live:connect)',
+          'POST /api/auth/keys - Issue an API key (admin)',
+          'GET /api/auth/keys - List API keys (admin)',
+          'DELETE /api/auth/keys/:keyId - Revoke an API key (admin)',
+          'GET /api/tenants - List tenants',
+          'PUT /api/tenants/:tenantId - Create or update a tenant',
+          'GET /api/usage - Daily token and audio usage for billing (?from=&to=&userId=)',
+          'GET /api/sessions/:sessionId/recording - Recording timeline, ?track=user|model for WAV audio',
         ],
+        authentication: 'Send an API key as "Authorization: Bearer <key>" or X-API-Key (?apiKey= on WebSockets); each route needs a scope such as knowledge:write, sessions:read, analytics:read or live:connect',
+        tenancy: 'Send X-Tenant-Id (or ?tenantId= on WebSockets) to scope knowledge, sessions, usage and Live calls to a tenant',
       }, {
         headers: { 'Access-Control-Allow-Origin': '*' }
       });
@@ -412,19 +580,480 @@ const server = Bun.serve({
           headers: { 'Access-Control-Allow-Origin': '*' }
         });
       } catch (error) {
-        logger.error('[Analytics] Error logging feedback:', error);
+        logger.error('[Analytics] Error logging feedback:', error);
+        return Response.json({
+          error: 'Failed to log feedback',
+          message: error.message
+        }, {
+          status: 500,
+          headers: { 'Access-Control-Allow-Origin': '*' }
+        });
+      }
+    }
+
+    // Tenant context for tenant-scoped routes (X-Tenant-Id header or tenantId query parameter)
+    let tenantId = tenantService.defaultTenantId;
+    if (path.startsWith('/api/session') || path.startsWith('/api/knowledge') || path === '/api/usage' || path === '/api/handoffs' ||
+        path.startsWith('/api/fraud-reports') || path.startsWith('/api/users/') || path === '/api/stt-tts-pipeline') {
+      try {
+        tenantId = (await tenantService.resolveTenant(req, auth)).id;
+      } catch (error) {
+        return Response.json({
+          success: false,
+          error: error.message
+        }, {
+          status: error.statusCode || 500,
+          headers: { 'Access-Control-Allow-Origin': '*' }
+        });
+      }
+    }
+
+    // POST /api/auth/session-token - Short-lived Live token for a browser (live:connect)
+    // Called by the deployer's backend with its key, so the key itself never ships in page JS
+    if (path === '/api/auth/session-token' && req.method === 'POST') {
+      // A leaked token must not be able to renew itself
+      if (auth?.sessionToken) {
+        return Response.json({
+          success: false,
+          error: 'Session tokens cannot issue session tokens; use an API key'
+        }, {
+          status: 403,
+          headers: { 'Access-Control-Allow-Origin': '*' }
+        });
+      }
+
+      try {
+        const tenant = await tenantService.resolveTenant(req, auth);
+        const { token, expiresAt } = apiKeyService.issueSessionToken(auth, tenant.id);
+
+        return Response.json({
+          success: true,
+          token,
+          tenantId: tenant.id,
+          expiresAt
+        }, {
+          status: 201,
+          headers: { 'Access-Control-Allow-Origin': '*' }
+        });
+      } catch (error) {
+        logger.error('[Auth API] Issue session token failed:', error);
+        return Response.json({
+          success: false,
+          error: 'Failed to issue session token',
+          details: error.message
+        }, {
+          status: error.statusCode || 500,
+          headers: { 'Access-Control-Allow-Origin': '*' }
+        });
+      }
+    }
+
+    // API Key Management Routes (admin scope)
+
+    // POST /api/auth/keys - Issue an API key (the key is only returned once)
+    if (path === '/api/auth/keys' && req.method === 'POST') {
+      try {
+        const { name, tenantId: keyTenantId, scopes, expiresInDays } = await req.json();
+        const { key, apiKey } = await apiKeyService.issueKey(
+          { name, tenantId: keyTenantId, scopes, expiresInDays },
+          auth?.keyId || null
+        );
+
+        return Response.json({
+          success: true,
+          message: 'API key issued - store it now, it cannot be retrieved again',
+          key,
+          apiKey
+        }, {
+          status: 201,
+          headers: { 'Access-Control-Allow-Origin': '*' }
+        });
+      } catch (error) {
+        logger.error('[Auth API] Issue key failed:', error);
+        return Response.json({
+          success: false,
+          error: 'Failed to issue API key',
+          details: error.message
+        }, {
+          status: error.statusCode || 500,
+          headers: { 'Access-Control-Allow-Origin': '*' }
+        });
+      }
+    }
+
+    // GET /api/auth/keys - List API keys (optionally ?tenantId=)
+    if (path === '/api/auth/keys' && req.method === 'GET') {
+      try {
+        const keys = await apiKeyService.listKeys(url.searchParams.get('tenantId'));
+
+        return Response.json({
+          success: true,
+          count: keys.length,
+          keys
+        }, {
+          headers: { 'Access-Control-Allow-Origin': '*' }
+        });
+      } catch (error) {
+        logger.error('[Auth API] List keys failed:', error);
+        return Response.json({
+          success: false,
+          error: 'Failed to list API keys',
+          details: error.message
+        }, {
+          status: error.statusCode || 500,
+          headers: { 'Access-Control-Allow-Origin': '*' }
+        });
+      }
+    }
+
+    // DELETE /api/auth/keys/:keyId - Revoke an API key
+    const keyMatch = path.match(/^\/api\/auth\/keys\/([^\/]+)$/);
+    if (keyMatch && req.method === 'DELETE') {
+      try {
+        const apiKey = await apiKeyService.revokeKey(keyMatch[1], auth?.keyId || null);
+
+        return Response.json({
+          success: true,
+          message: 'API key revoked',
+          apiKey
+        }, {
+          headers: { 'Access-Control-Allow-Origin': '*' }
+        });
+      } catch (error) {
+        logger.error('[Auth API] Revoke key failed:', error);
+        return Response.json({
+          success: false,
+          error: 'Failed to revoke API key',
+          details: error.message
+        }, {
+          status: error.statusCode || 500,
+          headers: { 'Access-Control-Allow-Origin': '*' }
+        });
+      }
+    }
+
+    // Tenant Management Routes
+
+    // GET /api/tenants - List tenants
+    if (path === '/api/tenants' && req.method === 'GET') {
+      try {
+        const tenants = await tenantService.listTenants();
+
+        return Response.json({
+          success: true,
+          count: tenants.length,
+          tenants
+        }, {
+          headers: { 'Access-Control-Allow-Origin': '*' }
+        });
+      } catch (error) {
+        logger.error('[Tenant API] List tenants failed:', error);
+        return Response.json({
+          success: false,
+          error: 'Failed to list tenants',
+          details: error.message
+        }, {
+          status: error.statusCode || 500,
+          headers: { 'Access-Control-Allow-Origin': '*' }
+        });
+      }
+    }
+
+    // PUT /api/tenants/:tenantId - Create or update a tenant
+    const tenantMatch = path.match(/^\/api\/tenants\/([^\/]+)$/);
+    if (tenantMatch && req.method === 'PUT') {
+      try {
+        const { name, assistantName, systemPrompt, active, settings } = await req.json();
+        const tenant = await tenantService.saveTenant(tenantMatch[1], { name, assistantName, systemPrompt, active, settings });
+
+        return Response.json({
+          success: true,
+          message: 'Tenant saved successfully',
+          tenant
+        }, {
+          headers: { 'Access-Control-Allow-Origin': '*' }
+        });
+      } catch (error) {
+        logger.error('[Tenant API] Save tenant failed:', error);
+        return Response.json({
+          success: false,
+          error: 'Failed to save tenant',
+          details: error.message
+        }, {
+          status: error.statusCode || 500,
+          headers: { 'Access-Control-Allow-Origin': '*' }
+        });
+      }
+    }
+
+    // GET /api/usage - Daily token and audio usage for the tenant (?from=&to=YYYY-MM-DD, ?userId=)
+    if (path === '/api/usage' && req.method === 'GET') {
+      try {
+        const usageService = require('./src/services/UsageService');
+        const report = await usageService.getUsageReport(tenantId, {
+          from: url.searchParams.get('from'),
+          to: url.searchParams.get('to'),
+          userId: url.searchParams.get('userId')
+        });
+
+        return Response.json({
+          success: true,
+          ...report
+        }, {
+          headers: { 'Access-Control-Allow-Origin': '*' }
+        });
+      } catch (error) {
+        logger.error('[Usage API] Usage report failed:', error);
+        return Response.json({
+          success: false,
+          error: 'Failed to get usage',
+          details: error.message
+        }, {
+          status: error.statusCode || 500,
+          headers: { 'Access-Control-Allow-Origin': '*' }
+        });
+      }
+    }
+
+    // GET /api/handoffs - Open agent handoffs for the tenant, in queue order
+    if (path === '/api/handoffs' && req.method === 'GET') {
+      const handoffService = require('./src/services/HandoffService');
+      const handoffs = handoffService.listHandoffs(tenantId);
+
+      return Response.json({
+        success: true,
+        count: handoffs.length,
+        handoffs
+      }, {
+        headers: { 'Access-Control-Allow-Origin': '*' }
+      });
+    }
+
+    // GET /api/fraud-reports - Fraud reports for the tenant (?from=&to=YYYY-MM-DD, ?userId=, ?sessionId=, ?format=csv)
+    if (path === '/api/fraud-reports' && req.method === 'GET') {
+      try {
+        const fraudReportService = require('./src/services/FraudReportService');
+        const from = url.searchParams.get('from');
+        const to = url.searchParams.get('to');
+        const reports = await fraudReportService.listReports(tenantId, {
+          from,
+          to,
+          userId: url.searchParams.get('userId'),
+          sessionId: url.searchParams.get('sessionId')
+        });
+
+        if (url.searchParams.get('format') === 'csv') {
+          return new Response(fraudReportService.toCsv(reports), {
+            headers: {
+              'Content-Type': 'text/csv; charset=utf-8',
+              'Content-Disposition': `attachment; filename="fraud-reports-${tenantId}.csv"`,
+              'Access-Control-Allow-Origin': '*'
+            }
+          });
+        }
+
+        return Response.json({
+          success: true,
+          count: reports.length,
+          reports
+        }, {
+          headers: { 'Access-Control-Allow-Origin': '*' }
+        });
+      } catch (error) {
+        logger.error('[FraudReport API] List reports failed:', error);
+        return Response.json({
+          success: false,
+          error: 'Failed to get fraud reports',
+          details: error.message
+        }, {
+          status: error.statusCode || 500,
+          headers: { 'Access-Control-Allow-Origin': '*' }
+        });
+      }
+    }
+
+    // GET /api/fraud-reports/:referenceNumber - One report plus the helpline summary (?format=text for the summary alone)
+    const fraudReportMatch = path.match(/^\/api\/fraud-reports\/([^\/]+)$/);
+    if (fraudReportMatch && req.method === 'GET') {
+      try {
+        const fraudReportService = require('./src/services/FraudReportService');
+        const report = await fraudReportService.getReport(tenantId, decodeURIComponent(fraudReportMatch[1]));
+        const helplineSummary = fraudReportService.buildHelplineSummary(report);
+
+        if (url.searchParams.get('format') === 'text') {
+          return new Response(helplineSummary, {
+            headers: {
+              'Content-Type': 'text/plain; charset=utf-8',
+              'Access-Control-Allow-Origin': '*'
+            }
+          });
+        }
+
+        return Response.json({
+          success: true,
+          report,
+          helplineSummary
+        }, {
+          headers: { 'Access-Control-Allow-Origin': '*' }
+        });
+      } catch (error) {
+        logger.error('[FraudReport API] Get report failed:', error);
+        return Response.json({
+          success: false,
+          error: 'Failed to get fraud report',
+          details: error.message
+        }, {
+          status: error.statusCode || 500,
+          headers: { 'Access-Control-Allow-Origin': '*' }
+        });
+      }
+    }
+
+    // GET /api/users/:userId/export - Data export bundle (JSON, or ?format=zip); audited
+    const userExportMatch = path.match(/^\/api\/users\/([^\/]+)\/export$/);
+    if (userExportMatch && req.method === 'GET') {
+      try {
+        const privacyService = require('./src/services/PrivacyService');
+        const userId = decodeURIComponent(userExportMatch[1]);
+        const bundle = await privacyService.exportUserData(tenantId, userId, privacyService.describeActor(auth, req));
+
+        if (url.searchParams.get('format') === 'zip') {
+          return new Response(privacyService.toZip(bundle), {
+            headers: {
+              'Content-Type': 'application/zip',
+              'Content-Disposition': `attachment; filename="user-export-${encodeURIComponent(userId)}.zip"`,
+              'Access-Control-Allow-Origin': '*'
+            }
+          });
+        }
+
+        return Response.json({
+          success: true,
+          ...bundle
+        }, {
+          headers: { 'Access-Control-Allow-Origin': '*' }
+        });
+      } catch (error) {
+        logger.error('[Privacy API] Export failed:', error);
+        return Response.json({
+          success: false,
+          error: 'Failed to export user data',
+          details: error.message
+        }, {
+          status: error.statusCode || 500,
+          headers: { 'Access-Control-Allow-Origin': '*' }
+        });
+      }
+    }
+
+    // GET /api/users/:userId/audit - Exports and erasures of a user, newest first
+    const userAuditMatch = path.match(/^\/api\/users\/([^\/]+)\/audit$/);
+    if (userAuditMatch && req.method === 'GET') {
+      try {
+        const privacyService = require('./src/services/PrivacyService');
+        const entries = await privacyService.listAudit(tenantId, decodeURIComponent(userAuditMatch[1]));
+
+        return Response.json({
+          success: true,
+          count: entries.length,
+          entries
+        }, {
+          headers: { 'Access-Control-Allow-Origin': '*' }
+        });
+      } catch (error) {
+        logger.error('[Privacy API] Audit log failed:', error);
+        return Response.json({
+          success: false,
+          error: 'Failed to get audit log',
+          details: error.message
+        }, {
+          status: error.statusCode || 500,
+          headers: { 'Access-Control-Allow-Origin': '*' }
+        });
+      }
+    }
+
+    // DELETE /api/users/:userId - Erase a user everywhere their data is kept; audited
+    const userDeleteMatch = path.match(/^\/api\/users\/([^\/]+)$/);
+    if (userDeleteMatch && req.method === 'DELETE') {
+      try {
+        const privacyService = require('./src/services/PrivacyService');
+        const userId = decodeURIComponent(userDeleteMatch[1]);
+        const results = await privacyService.eraseUserData(tenantId, userId, privacyService.describeActor(auth, req));
+
+        // Conversation history cached for the user's next Live call
+        for (const handler of [vertexAILiveHandler, telephonyHandler]) {
+          if (handler) {
+            handler.vertexAILiveService.forgetUser(tenantId, userId);
+          }
+        }
+
+        return Response.json({
+          success: results.complete,
+          userId,
+          erased: results
+        }, {
+          status: results.complete ? 200 : 502,
+          headers: { 'Access-Control-Allow-Origin': '*' }
+        });
+      } catch (error) {
+        logger.error('[Privacy API] Erasure failed:', error);
+        return Response.json({
+          success: false,
+          error: 'Failed to erase user data',
+          details: error.message
+        }, {
+          status: error.statusCode || 500,
+          headers: { 'Access-Control-Allow-Origin': '*' }
+        });
+      }
+    }
+
+    // GET /api/sessions/:sessionId/recording - Recording timeline (JSON), or ?track=user|model for the WAV file
+    const recordingMatch = path.match(/^\/api\/sessions\/([^\/]+)\/recording$/);
+    if (recordingMatch && req.method === 'GET') {
+      try {
+        const recordingService = require('./src/services/RecordingService');
+        const sessionId = recordingMatch[1];
+        const track = url.searchParams.get('track');
+
+        if (track) {
+          const wav = await recordingService.getTrack(tenantId, sessionId, track);
+          return new Response(wav, {
+            headers: {
+              'Content-Type': 'audio/wav',
+              'Content-Disposition': `attachment; filename="${sessionId}-${track}.wav"`,
+              'Access-Control-Allow-Origin': '*'
+            }
+          });
+        }
+
+        const recording = await recordingService.getRecording(tenantId, sessionId);
+        return Response.json({
+          success: true,
+          recording,
+          downloads: {
+            user: `${path}?track=user`,
+            model: `${path}?track=model`
+          }
+        }, {
+          headers: { 'Access-Control-Allow-Origin': '*' }
+        });
+      } catch (error) {
+        logger.error('[Recording API] Get recording failed:', error);
         return Response.json({
-          error: 'Failed to log feedback',
-          message: error.message
+          success: false,
+          error: 'Failed to get recording',
+          details: error.message
         }, {
-          status: 500,
+          status: error.statusCode || 500,
           headers: { 'Access-Control-Allow-Origin': '*' }
         });
       }
     }
 
     // Session Management Routes
-    const sessionPersistenceService = require('./src/services/SessionPersistenceService');
+    const sessionPersistenceService = require('./src/services/SessionPersistenceService').forTenant(tenantId);
 
     // POST /api/session/:userId/state - Save user session state
     if (path.match(/^\/api\/session\/[^\/]+\/state$/) && req.method === 'POST') {
@@ -666,6 +1295,14 @@ const server = Bun.serve({
           });
         }
 
+        // Audited like an erasure (state, profile, sessions and interruptions are deleted)
+        const privacyService = require('./src/services/PrivacyService');
+        await privacyService.recordAudit(tenantId, {
+          action: privacyService.ACTIONS.RESET,
+          userId,
+          actor: privacyService.describeActor(auth, req)
+        });
+
         const results = await sessionPersistenceService.clearUserData(userId);
 
         return Response.json({
@@ -784,12 +1421,12 @@ const server = Bun.serve({
     }
 
     // Knowledge Base Routes
-    const knowledgeBaseService = require('./src/services/KnowledgeBaseService');
+    const knowledgeBaseService = require('./src/services/KnowledgeBaseService').forTenant(tenantId);
 
     // POST /api/knowledge/add-url - Add document from URL
     if (path === '/api/knowledge/add-url' && req.method === 'POST') {
       try {
-        const { url, title, category, tags } = await req.json();
+        const { url, title, category, tags, crawl, maxDepth, maxPages, useSitemap } = await req.json();
 
         if (!url) {
           return Response.json({
@@ -801,6 +1438,23 @@ const server = Bun.serve({
           });
         }
 
+        // Crawl mode - import the whole site in the background and return a pollable job
+        if (crawl) {
+          const webCrawler = require('./src/services/WebCrawler');
+          const job = await webCrawler.startCrawl(url, { maxDepth, maxPages, useSitemap, category, tags, tenantId });
+
+          return Response.json({
+            success: true,
+            message: 'Crawl started',
+            jobId: job.id,
+            statusUrl: `/api/knowledge/crawls/${job.id}`,
+            job
+          }, {
+            status: 202,
+            headers: { 'Access-Control-Allow-Origin': '*' }
+          });
+        }
+
         const metadata = { title, category, tags: tags || [] };
         const document = await knowledgeBaseService.addFromUrl(url, metadata);
 
@@ -813,6 +1467,8 @@ const server = Bun.serve({
             type: document.type,
             category: document.category,
             contentLength: document.content.length,
+            version: document.version,
+            changed: document.changed,
             addedAt: document.addedAt
           }
         }, {
@@ -825,7 +1481,7 @@ const server = Bun.serve({
           error: 'Failed to add document from URL',
           details: error.message
         }, {
-          status: 500,
+          status: error.statusCode || 500,
           headers: { 'Access-Control-Allow-Origin': '*' }
         });
       }
@@ -858,6 +1514,8 @@ const server = Bun.serve({
             type: document.type,
             category: document.category,
             contentLength: document.content.length,
+            version: document.version,
+            changed: document.changed,
             addedAt: document.addedAt
           }
         }, {
@@ -879,7 +1537,7 @@ const server = Bun.serve({
     // POST /api/knowledge/add-pdf - Add document from PDF
     if (path === '/api/knowledge/add-pdf' && req.method === 'POST') {
       try {
-        const { pdfContent, filename, title, category, tags } = await req.json();
+        const { pdfContent, filename, id, title, category, tags } = await req.json();
 
         if (!pdfContent || !filename) {
           return Response.json({
@@ -891,20 +1549,29 @@ const server = Bun.serve({
           });
         }
 
-        const metadata = { title, category, tags: tags || [] };
+        const metadata = { id, title, category, tags: tags || [] };
         const document = await knowledgeBaseService.addFromPdf(pdfContent, filename, metadata);
 
+        const { pageCount, scannedPages, emptyPages, unreadablePages, needsOcr } = document.metadata;
+
         return Response.json({
           success: true,
-          message: 'PDF document added successfully',
+          message: needsOcr
+            ? 'PDF document added - some pages have no extractable text'
+            : 'PDF document added successfully',
           document: {
             id: document.id,
             title: document.title,
             type: document.type,
             category: document.category,
             contentLength: document.content.length,
+            pageCount,
+            chunkCount: document.chunkCount,
+            version: document.version,
+            changed: document.changed,
             addedAt: document.addedAt
-          }
+          },
+          pages: { scannedPages, emptyPages, unreadablePages, needsOcr }
         }, {
           headers: { 'Access-Control-Allow-Origin': '*' }
         });
@@ -913,9 +1580,10 @@ const server = Bun.serve({
         return Response.json({
           success: false,
           error: 'Failed to add PDF document',
-          details: error.message
+          details: error.message,
+          pages: error.details || undefined
         }, {
-          status: 500,
+          status: error.statusCode || 500,
           headers: { 'Access-Control-Allow-Origin': '*' }
         });
       }
@@ -987,6 +1655,179 @@ const server = Bun.serve({
       }
     }
 
+    // GET /api/knowledge/crawls/:jobId - Crawl job progress
+    // DELETE /api/knowledge/crawls/:jobId - Cancel a running crawl
+    const crawlMatch = path.match(/^\/api\/knowledge\/crawls\/([^\/]+)$/);
+    if (crawlMatch && (req.method === 'GET' || req.method === 'DELETE')) {
+      try {
+        const webCrawler = require('./src/services/WebCrawler');
+        const job = req.method === 'DELETE'
+          ? await webCrawler.cancelCrawl(crawlMatch[1], tenantId)
+          : await webCrawler.getJob(crawlMatch[1], tenantId);
+
+        return Response.json({
+          success: true,
+          job
+        }, {
+          headers: { 'Access-Control-Allow-Origin': '*' }
+        });
+      } catch (error) {
+        logger.error('[Knowledge API] Crawl status failed:', error);
+        return Response.json({
+          success: false,
+          error: 'Failed to get crawl job',
+          details: error.message
+        }, {
+          status: error.statusCode || 500,
+          headers: { 'Access-Control-Allow-Origin': '*' }
+        });
+      }
+    }
+
+    // GET /api/knowledge/:id/versions - Version history of a document
+    const versionsMatch = path.match(/^\/api\/knowledge\/([^\/]+)\/versions$/);
+    if (versionsMatch && req.method === 'GET') {
+      try {
+        const history = await knowledgeBaseService.getVersions(versionsMatch[1]);
+
+        return Response.json({
+          success: true,
+          ...history
+        }, {
+          headers: { 'Access-Control-Allow-Origin': '*' }
+        });
+      } catch (error) {
+        logger.error('[Knowledge API] Get versions failed:', error);
+        return Response.json({
+          success: false,
+          error: 'Failed to get document versions',
+          details: error.message
+        }, {
+          status: error.statusCode || 500,
+          headers: { 'Access-Control-Allow-Origin': '*' }
+        });
+      }
+    }
+
+    // POST /api/knowledge/:id/revert - Restore an earlier version of a document
+    const revertMatch = path.match(/^\/api\/knowledge\/([^\/]+)\/revert$/);
+    if (revertMatch && req.method === 'POST') {
+      try {
+        const { version } = await req.json();
+
+        if (!Number.isInteger(version) || version < 1) {
+          return Response.json({
+            success: false,
+            error: 'Missing or invalid field: version (positive integer)'
+          }, {
+            status: 400,
+            headers: { 'Access-Control-Allow-Origin': '*' }
+          });
+        }
+
+        const document = await knowledgeBaseService.revertToVersion(revertMatch[1], version);
+
+        return Response.json({
+          success: true,
+          message: `Document reverted to the content of version ${version}`,
+          document: {
+            id: document.id,
+            title: document.title,
+            version: document.version,
+            contentLength: document.content.length,
+            updatedAt: document.updatedAt
+          }
+        }, {
+          headers: { 'Access-Control-Allow-Origin': '*' }
+        });
+      } catch (error) {
+        logger.error('[Knowledge API] Revert failed:', error);
+        return Response.json({
+          success: false,
+          error: 'Failed to revert document',
+          details: error.message
+        }, {
+          status: error.statusCode || 500,
+          headers: { 'Access-Control-Allow-Origin': '*' }
+        });
+      }
+    }
+
+    // POST /api/knowledge/refresh - Re-fetch URL documents and report changes
+    if (path === '/api/knowledge/refresh' && req.method === 'POST') {
+      try {
+        const body = await req.json().catch(() => ({}));
+        const report = await knowledgeBaseService.refreshUrlSources({ category: body.category });
+
+        return Response.json({
+          success: true,
+          report
+        }, {
+          headers: { 'Access-Control-Allow-Origin': '*' }
+        });
+      } catch (error) {
+        logger.error('[Knowledge API] Refresh failed:', error);
+        return Response.json({
+          success: false,
+          error: 'Failed to refresh URL documents',
+          details: error.message
+        }, {
+          status: 500,
+          headers: { 'Access-Control-Allow-Origin': '*' }
+        });
+      }
+    }
+
+    // GET /api/knowledge/refreshes - Recent refresh reports
+    if (path === '/api/knowledge/refreshes' && req.method === 'GET') {
+      try {
+        const limit = parseInt(url.searchParams.get('limit')) || 10;
+        const reports = await knowledgeBaseService.getRefreshReports(limit);
+
+        return Response.json({
+          success: true,
+          count: reports.length,
+          reports
+        }, {
+          headers: { 'Access-Control-Allow-Origin': '*' }
+        });
+      } catch (error) {
+        logger.error('[Knowledge API] Get refresh reports failed:', error);
+        return Response.json({
+          success: false,
+          error: 'Failed to get refresh reports',
+          details: error.message
+        }, {
+          status: 500,
+          headers: { 'Access-Control-Allow-Origin': '*' }
+        });
+      }
+    }
+
+    // POST /api/knowledge/reindex - Re-chunk and re-embed all documents
+    if (path === '/api/knowledge/reindex' && req.method === 'POST') {
+      try {
+        const results = await knowledgeBaseService.reindexAll();
+
+        return Response.json({
+          success: true,
+          ...results
+        }, {
+          headers: { 'Access-Control-Allow-Origin': '*' }
+        });
+      } catch (error) {
+        logger.error('[Knowledge API] Re-index failed:', error);
+        return Response.json({
+          success: false,
+          error: 'Failed to re-index knowledge base',
+          details: error.message
+        }, {
+          status: 500,
+          headers: { 'Access-Control-Allow-Origin': '*' }
+        });
+      }
+    }
+
     // DELETE /api/knowledge - Clear all documents
     if (path === '/api/knowledge' && req.method === 'DELETE') {
       try {
@@ -1082,6 +1923,100 @@ const server = Bun.serve({
       }
     }
 
+    // Loan Calculator Routes
+    const LoanCalculator = require('./src/services/LoanCalculator');
+    const ConversationManager = require('./src/services/ConversationManager');
+
+    // POST /api/loan/emi - Calculate EMI, total interest and optional amortization schedule
+    if (path === '/api/loan/emi' && req.method === 'POST') {
+      try {
+        const { principal, annualRate, tenureMonths, purpose, includeSchedule } = await req.json();
+
+        if (principal === undefined || !tenureMonths) {
+          return Response.json({
+            success: false,
+            error: 'Missing required fields: principal, tenureMonths'
+          }, {
+            status: 400,
+            headers: { 'Access-Control-Allow-Origin': '*' }
+          });
+        }
+
+        const amount = LoanCalculator.parseAmount(principal);
+        const loanType = purpose ? ConversationManager.determineLoanTypeFromPurpose(purpose) : 'personal';
+        const rate = LoanCalculator.resolveRate(annualRate, loanType);
+        const result = LoanCalculator.calculateEmi(amount, rate, Number(tenureMonths));
+        const schedule = includeSchedule ? LoanCalculator.amortizationSchedule(amount, rate, Number(tenureMonths)) : undefined;
+
+        return Response.json({
+          success: true,
+          loanType,
+          rateAssumed: annualRate === undefined,
+          ...result,
+          yearlySummary: schedule ? LoanCalculator.summarizeByYear(schedule) : undefined,
+          schedule
+        }, {
+          headers: { 'Access-Control-Allow-Origin': '*' }
+        });
+      } catch (error) {
+        logger.error('[Loan API] EMI calculation failed:', error);
+        return Response.json({
+          success: false,
+          error: 'Failed to calculate EMI',
+          details: error.message
+        }, {
+          status: error.statusCode || 500,
+          headers: { 'Access-Control-Allow-Origin': '*' }
+        });
+      }
+    }
+
+    // POST /api/loan/affordability - Maximum affordable loan from income
+    if (path === '/api/loan/affordability' && req.method === 'POST') {
+      try {
+        const { monthlyIncome, existingEmi, annualRate, tenureMonths, purpose, foir } = await req.json();
+
+        if (monthlyIncome === undefined || !tenureMonths) {
+          return Response.json({
+            success: false,
+            error: 'Missing required fields: monthlyIncome, tenureMonths'
+          }, {
+            status: 400,
+            headers: { 'Access-Control-Allow-Origin': '*' }
+          });
+        }
+
+        const loanType = purpose ? ConversationManager.determineLoanTypeFromPurpose(purpose) : 'personal';
+        const rate = LoanCalculator.resolveRate(annualRate, loanType);
+        const result = LoanCalculator.calculateAffordability({
+          monthlyIncome: LoanCalculator.parseAmount(monthlyIncome),
+          existingEmi: existingEmi !== undefined ? LoanCalculator.parseAmount(existingEmi) : 0,
+          annualRate: rate,
+          tenureMonths: Number(tenureMonths),
+          ...(foir !== undefined && { foir: Number(foir) })
+        });
+
+        return Response.json({
+          success: true,
+          loanType,
+          rateAssumed: annualRate === undefined,
+          ...result
+        }, {
+          headers: { 'Access-Control-Allow-Origin': '*' }
+        });
+      } catch (error) {
+        logger.error('[Loan API] Affordability calculation failed:', error);
+        return Response.json({
+          success: false,
+          error: 'Failed to calculate affordability',
+          details: error.message
+        }, {
+          status: error.statusCode || 500,
+          headers: { 'Access-Control-Allow-Origin': '*' }
+        });
+      }
+    }
+
     // Gemini Live text chat endpoint
     if (path === '/api/gemini-live-chat' && req.method === 'POST') {
       try {
@@ -1320,18 +2255,44 @@ const server = Bun.serve({
       try {
         const { handler, services } = await initAdvancedServices();
         const body = await req.json();
-        const { audio, language, sessionId, mimeType } = body;
+        const { audio, language, sessionId, mimeType, quickReply } = body;
 
-        if (!audio || !sessionId) {
+        if ((!audio && !quickReply) || !sessionId) {
           return Response.json({
             success: false,
-            error: 'Missing required fields: audio, sessionId'
+            error: 'Missing required fields: audio (or quickReply), sessionId'
           }, {
             status: 400,
             headers: { 'Access-Control-Allow-Origin': '*' }
           });
         }
 
+        // Create session object
+        const session = {
+          id: sessionId, // PipelineService expects 'id'
+          sessionId: sessionId, // Keep for backwards compatibility
+          tenantId,
+          language: language || 'en',
+          mode: 'stt-tts-pipeline'
+        };
+
+        // A tapped quick-reply option instead of speech
+        if (quickReply) {
+          const result = await advancedServices.pipelineService.processQuickReply(session, quickReply);
+          return Response.json({
+            success: true,
+            stt: result.stt || null,
+            llm: result.llm ? { text: result.llm.text } : null,
+            tts: result.tts ? { audio: result.tts.audio.toString('base64'), format: 'mp3' } : null,
+            quickReplies: result.quickReplies,
+            language: result.language,
+            latency: result.latency,
+            mode: result.mode
+          }, {
+            headers: { 'Access-Control-Allow-Origin': '*' }
+          });
+        }
+
         console.log('[STT-TTS Pipeline] Processing audio chunk', {
           sessionId,
           language,
@@ -1341,26 +2302,9 @@ const server = Bun.serve({
         // Decode base64 audio
         const audioBuffer = Buffer.from(audio, 'base64');
 
-        // Create session object
-        const session = {
-          id: sessionId, // PipelineService expects 'id'
-          sessionId: sessionId, // Keep for backwards compatibility
-          language: language || 'en',
-          mode: 'stt-tts-pipeline'
-        };
-
         // Map mimeType to encoding for STT service
         const audioMimeType = mimeType || 'audio/webm;codecs=opus';
-        let encoding = 'WEBM_OPUS';
-        let sampleRate = 48000;
-
-        if (audioMimeType.includes('opus')) {
-          encoding = 'WEBM_OPUS';
-          sampleRate = 48000;
-        } else if (audioMimeType.includes('pcm') || audioMimeType.includes('wav')) {
-          encoding = 'LINEAR16';
-          sampleRate = 16000;
-        }
+        const { encoding, sampleRate } = audioUtils.fromMimeType(audioMimeType);
 
         // Process through pipeline (will use STTService, LLMService, MultiLanguageService)
         const result = await advancedServices.pipelineService.processAudio(
@@ -1389,6 +2333,7 @@ const server = Bun.serve({
               audio: result.tts.audio.toString('base64'),
               format: 'mp3'
             },
+            fraudWarning: result.fraudWarning,
             latency: result.latency,
             mode: result.mode
           }, {
@@ -1416,6 +2361,8 @@ const server = Bun.serve({
               type: result.polyfill.type,
               source: result.polyfill.source
             },
+            // Structured menu once recognition has failed repeatedly
+            quickReplies: result.quickReplies || null,
             mode: result.mode || 'stt-tts-pipeline'
           }, {
             headers: { 'Access-Control-Allow-Origin': '*' }
@@ -1437,7 +2384,7 @@ const server = Bun.serve({
           error: 'Failed to process STT-TTS pipeline',
           details: error.message
         }, {
-          status: 500,
+          status: error.statusCode || 500,
           headers: { 'Access-Control-Allow-Origin': '*' }
         });
       }
@@ -1468,11 +2415,46 @@ const server = Bun.serve({
         ws.data.vertexAILiveHandler = handler;
 
         // Let the Vertex AI handler manage the connection
-        const sessionId = await handler.handleConnection(ws, { headers: {} });
+        const sessionId = await handler.handleConnection(ws, { headers: {}, tenantId: ws.data.tenantId });
         ws.data.sessionId = sessionId;  // Store sessionId for message routing
         return;
       }
 
+      if (endpoint === 'telephony') {
+        // Set before the first await: the provider's connected/start frames can arrive while
+        // the handler is initializing, and are held until it is ready
+        ws.data.handler = 'telephony';
+        ws.data.pendingFrames = [];
+        try {
+          const handler = await initTelephony();
+          ws.data.sessionId = handler.handleConnection(ws, { tenantId: ws.data.tenantId, apiKey: ws.data.apiKey });
+          ws.data.apiKey = null;
+
+          // Frames that arrive while earlier ones are handled join the queue, so order is kept
+          while (ws.data.pendingFrames.length > 0) {
+            await handler.handleMessage(ws, ws.data.sessionId, ws.data.pendingFrames.shift());
+          }
+          ws.data.pendingFrames = null;
+          ws.data.telephonyHandler = handler;
+
+          if (ws.data.closed) {
+            await handler.handleClose(ws.data.sessionId);
+          }
+        } catch (error) {
+          logger.error('[Bun Server] Telephony stream setup failed:', error.message);
+          ws.close(1011, 'Telephony unavailable');
+        }
+        return;
+      }
+
+      if (endpoint === 'agent') {
+        const handler = initAgent();
+        ws.data.handler = 'agent';
+        ws.data.agentHandler = handler;
+        ws.data.agentId = handler.handleConnection(ws, { tenantId: ws.data.tenantId, agentName: ws.data.agentName });
+        return;
+      }
+
       // Default: Gemini Live (existing flow)
       ws.data.sessionId = null;
       ws.data.geminiWebSocketService = null;
@@ -1501,6 +2483,20 @@ const server = Bun.serve({
         return;
       }
 
+      if (ws.data.handler === 'telephony') {
+        if (ws.data.pendingFrames) {
+          ws.data.pendingFrames.push(message);
+        } else if (ws.data.telephonyHandler) {
+          await ws.data.telephonyHandler.handleMessage(ws, ws.data.sessionId, message);
+        }
+        return;
+      }
+
+      if (ws.data.handler === 'agent' && ws.data.agentHandler) {
+        await ws.data.agentHandler.handleMessage(ws, ws.data.agentId, message);
+        return;
+      }
+
       // Default: Gemini Live flow
       try {
         // Check if Gemini Live service is available
@@ -1719,7 +2715,20 @@ const server = Bun.serve({
 
       // Route to appropriate handler
       if (ws.data.handler === 'vertex-ai-live' && ws.data.vertexAILiveHandler && ws.data.sessionId) {
-        ws.data.vertexAILiveHandler.handleClose(ws.data.sessionId);
+        ws.data.vertexAILiveHandler.handleClose(ws.data.sessionId, ws);
+        return;
+      }
+
+      if (ws.data.handler === 'telephony') {
+        ws.data.closed = true;  // Still setting up: open() ends the call once ready
+        if (ws.data.telephonyHandler && ws.data.sessionId) {
+          ws.data.telephonyHandler.handleClose(ws.data.sessionId);
+        }
+        return;
+      }
+
+      if (ws.data.handler === 'agent' && ws.data.agentHandler && ws.data.agentId) {
+        ws.data.agentHandler.handleClose(ws.data.agentId);
         return;
       }
 
@@ -1740,6 +2749,12 @@ const server = Bun.serve({
       if (ws.data.handler === 'vertex-ai-live' && ws.data.vertexAILiveHandler && ws.data.sessionId) {
         ws.data.vertexAILiveHandler.handleError(ws.data.sessionId, error);
       }
+      if (ws.data.handler === 'telephony' && ws.data.telephonyHandler && ws.data.sessionId) {
+        ws.data.telephonyHandler.handleError(ws.data.sessionId, error);
+      }
+      if (ws.data.handler === 'agent' && ws.data.agentHandler && ws.data.agentId) {
+        ws.data.agentHandler.handleError(ws.data.agentId, error);
+      }
     }
   }
 });
@@ -1756,6 +2771,12 @@ console.log('━━━━━━━━━━━━━━━━━━━━━━
 console.log('💡 Open http://localhost:8080/ in your browser to use the voice chat client!');
 console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
 
+// Scheduled re-fetch of knowledge base URL sources (KNOWLEDGE_REFRESH_INTERVAL)
+require('./src/services/KnowledgeBaseService').startScheduledRefresh();
+
+// Delete conversation recordings past RECORDING_RETENTION_DAYS
+require('./src/services/RecordingService').startRetentionSweep();
+
 // Initialize Gemini Live service at startup
 (async () => {
   try {
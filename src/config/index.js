@@ -32,6 +32,7 @@ const config = {
   vertexAI: {
     location: process.env.VERTEX_AI_LOCATION || 'us-central1',
     model: process.env.VERTEX_AI_MODEL || 'gemini-2.5-flash-lite', // Fastest Flash model for text
+    embeddingModel: process.env.VERTEX_AI_EMBEDDING_MODEL || 'text-multilingual-embedding-002', // Multilingual for Indic queries
   },
 
   // Vertex AI Live API Configuration (for bidirectional audio streaming)
@@ -56,11 +57,127 @@ const config = {
     },
     // Session timeout settings
     sessionTimeout: {
-      durationWarning: parseInt(process.env.SESSION_DURATION_WARNING) || 120, // 2 minutes - warn user after this duration
+      durationWarning: parseInt(process.env.SESSION_DURATION_WARNING) || 600, // 10 minutes - ask "continue?" this often
+      maxCallDuration: parseInt(process.env.MAX_CALL_DURATION) || 1200, // 20 minutes - hard end of a call (tenant settings.maxCallDuration overrides)
       warningTimeout: parseInt(process.env.SESSION_WARNING_TIMEOUT) || 60, // 1 minute - wait after warning
       inactivityTimeout: parseInt(process.env.INACTIVITY_TIMEOUT) || 60, // 1 minute - close if no activity
       checkInterval: 15, // 15 seconds - how often to check timeouts
     },
+    // Tool (function calling) settings
+    tools: {
+      timeout: parseFloat(process.env.VERTEX_AI_TOOL_TIMEOUT) || 8, // seconds - max time a tool handler may take
+    },
+    // Context window compression for long calls
+    contextCompression: {
+      enabled: process.env.VERTEX_AI_CONTEXT_COMPRESSION !== 'false', // Default: true
+      triggerTokens: parseInt(process.env.VERTEX_AI_COMPRESSION_TRIGGER_TOKENS) || 24000, // context size that triggers compression
+      targetTokens: parseInt(process.env.VERTEX_AI_COMPRESSION_TARGET_TOKENS) || 12000, // sliding window keeps this much recent context
+      summaryInterval: parseInt(process.env.VERTEX_AI_SUMMARY_INTERVAL) || 6, // turns between rolling summaries
+      summaryMaxLength: 1200, // characters per rolling summary
+    },
+    // Session resumption (dropped client sockets and Vertex AI goAway)
+    resumption: {
+      graceWindow: parseInt(process.env.SESSION_RESUME_WINDOW) || 30, // seconds a detached conversation waits for the client to reconnect
+      maxBufferedChunks: 50, // client audio chunks held while reconnecting to Vertex AI
+    },
+  },
+
+  // Knowledge Base (RAG) Configuration
+  knowledgeBase: {
+    chunkSize: parseInt(process.env.KNOWLEDGE_CHUNK_SIZE) || 1000, // characters per chunk
+    chunkOverlap: parseInt(process.env.KNOWLEDGE_CHUNK_OVERLAP) || 150, // characters of trailing sentences repeated in the next chunk
+    snippetLength: 240, // characters in search result snippets
+    refreshInterval: parseInt(process.env.KNOWLEDGE_REFRESH_INTERVAL) || 0, // seconds between URL source refreshes (0 = disabled)
+    // Site crawler for /api/knowledge/add-url with crawl: true
+    crawl: {
+      maxDepth: parseInt(process.env.KNOWLEDGE_CRAWL_MAX_DEPTH) || 2, // link hops from the start URL
+      maxPages: parseInt(process.env.KNOWLEDGE_CRAWL_MAX_PAGES) || 50, // pages stored per crawl
+      maxDepthLimit: 5, // upper bound for a requested maxDepth
+      maxPagesLimit: 500, // upper bound for a requested maxPages
+      requestDelay: parseFloat(process.env.KNOWLEDGE_CRAWL_DELAY) || 0.5, // seconds between requests (robots.txt Crawl-delay overrides)
+      maxRequestDelay: 10, // seconds - cap for robots.txt Crawl-delay
+      timeout: 15, // seconds per request
+      maxPageBytes: 5 * 1024 * 1024, // skip pages larger than this
+    },
+    candidateLimit: parseInt(process.env.KNOWLEDGE_CANDIDATE_LIMIT) || 30, // nearest chunks re-ranked per query
+    semanticWeight: parseFloat(process.env.KNOWLEDGE_SEMANTIC_WEIGHT) || 0.7, // cosine vs. BM25 weight in hybrid score
+    minScore: parseFloat(process.env.KNOWLEDGE_MIN_SCORE) || 0.3, // drop passages below this hybrid score
+  },
+
+  // Multi-tenancy (partner banks sharing one deployment)
+  tenancy: {
+    defaultTenantId: process.env.DEFAULT_TENANT_ID || 'default', // used when a request names no tenant
+    header: 'x-tenant-id', // request header carrying the tenant ID
+    cacheTtl: 60, // seconds a tenant document is cached
+  },
+
+  // Usage metering and daily quotas for Live sessions (days are UTC)
+  usage: {
+    enabled: process.env.USAGE_METERING_ENABLED !== 'false', // Default: true
+    userDailyTokens: parseInt(process.env.USAGE_USER_DAILY_TOKENS) || 0, // tokens per user per day (0 = unlimited)
+    userDailyAudioSeconds: parseInt(process.env.USAGE_USER_DAILY_AUDIO_SECONDS) || 0, // input + output audio per user per day (0 = unlimited)
+    tenantDailyTokens: parseInt(process.env.USAGE_TENANT_DAILY_TOKENS) || 0, // tokens per tenant per day (0 = unlimited)
+    maxReportDays: 92, // longest range GET /api/usage returns
+  },
+
+  // Opt-in Live conversation recording (start_session with record: true)
+  recording: {
+    enabled: process.env.RECORDING_ENABLED === 'true', // Default: false
+    storage: process.env.RECORDING_STORAGE || 'local', // storage adapter
+    localDir: process.env.RECORDING_DIR || './recordings', // base directory for the local adapter
+    retentionDays: parseInt(process.env.RECORDING_RETENTION_DAYS) || 30, // recordings older than this are deleted
+    sweepInterval: 3600, // seconds between retention sweeps
+    maxDuration: 1800, // seconds of audio kept per track
+    flushInterval: 10, // seconds of audio buffered in memory per track before it is appended to storage
+  },
+
+  // Quick-reply menu offered when speech recognition keeps failing
+  quickReplies: {
+    enabled: process.env.QUICK_REPLIES_ENABLED !== 'false', // Default: true
+    menuPath: process.env.QUICK_REPLY_MENU_PATH || null, // JSON menu tree (default: src/config/quickReplyMenu.json)
+    failureThreshold: parseInt(process.env.QUICK_REPLY_FAILURE_THRESHOLD) || 2, // consecutive repeat/clarify results before the menu is offered
+  },
+
+  // Deterministic scam detection on user transcripts (independent of the model)
+  scamDetection: {
+    enabled: process.env.SCAM_DETECTION_ENABLED !== 'false', // Default: true
+    patternsPath: process.env.SCAM_PATTERNS_PATH || null, // JSON pattern file (default: src/config/scamPatterns.json)
+    cooldown: parseInt(process.env.SCAM_WARNING_COOLDOWN) || 120, // seconds before the same category warns again in a session
+  },
+
+  // Disclosure the user must accept before advice (Live sessions)
+  consent: {
+    required: process.env.CONSENT_REQUIRED === 'true', // Default: false; tenant settings.consent.required overrides
+    policyPath: process.env.CONSENT_POLICY_PATH || null, // disclosure, version and yes/no phrases (default: src/config/consent.json)
+    maxAnswerWords: 12, // longer utterances are not taken as an answer to the disclosure
+  },
+
+  // Personal data masked in stored history and Opik traces
+  redaction: {
+    classes: (process.env.REDACTION_CLASSES || 'aadhaar,pan,account,ifsc,card,phone,email,upi,otp')
+      .split(',').map(type => type.trim()).filter(Boolean), // 'none' = off; tenant settings.redaction overrides
+  },
+
+  // Fraud incident reports (report_fraud tool, GET /api/fraud-reports)
+  fraudReports: {
+    enabled: process.env.FRAUD_REPORTS_ENABLED !== 'false', // Default: true
+    helpline: process.env.FRAUD_HELPLINE || '1930', // National Cybercrime Helpline, quoted in read-backs and summaries
+    portal: process.env.FRAUD_PORTAL_URL || 'https://cybercrime.gov.in', // online complaint portal
+    maxReportDays: 92, // longest range GET /api/fraud-reports returns
+    timeZone: process.env.FRAUD_REPORT_TIMEZONE || 'Asia/Kolkata', // "today" for incident dates and reference numbers
+  },
+
+  // Human agent handoff (WS /api/agent)
+  handoff: {
+    enabled: process.env.HANDOFF_ENABLED !== 'false', // Default: true
+    fraudTopics: (process.env.HANDOFF_FRAUD_TOPICS || 'fraud_alert').split(',').map(topic => topic.trim()), // respond_to_financial_query topics that queue the conversation
+    transcriptLines: parseInt(process.env.HANDOFF_TRANSCRIPT_LINES) || 20, // recent transcript lines kept for the agent
+  },
+
+  // Telephony media-stream bridge (WS /api/telephony/media-stream)
+  telephony: {
+    defaultLanguage: process.env.TELEPHONY_DEFAULT_LANGUAGE || 'en', // callers whose start event sets no language
+    startTimeout: 10, // seconds a stream may stay open without a start event (it carries the API key)
   },
 
   // Gemini Live API Configuration
@@ -88,6 +205,15 @@ const config = {
     jwtSecret: process.env.JWT_SECRET,
     apiRateLimit: parseInt(process.env.API_RATE_LIMIT) || 100,
   },
+
+  // API key authentication for /api routes
+  auth: {
+    enabled: process.env.API_AUTH_ENABLED !== 'false', // Default: true
+    adminKey: process.env.ADMIN_API_KEY, // bootstrap key with the admin scope, used to issue real keys
+    cacheTtl: 30, // seconds a verified key is cached (revocations reach other instances within this window)
+    sessionTokenSecret: process.env.SESSION_TOKEN_SECRET, // signs browser session tokens; set the same value on every instance
+    sessionTokenTtl: 300, // seconds a browser session token is valid for connecting
+  },
 };
 
 // Validate required configuration (only for essential services)
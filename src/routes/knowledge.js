@@ -296,7 +296,7 @@ router.post('/search', async (req, res) => {
       });
     }
 
-    const results = knowledgeBaseService.search(query, {
+    const results = await knowledgeBaseService.search(query, {
       maxResults: maxResults || 3,
       category
     });
@@ -0,0 +1,373 @@
+/**
+ * API Key Service
+ * Issues, verifies and revokes scoped API keys for the /api routes
+ * Only a SHA-256 hash of each key is stored; the key itself is shown once when issued
+ */
+
+const crypto = require('crypto');
+const firebaseService = require('./firebase');
+const tenantService = require('./TenantService');
+const { logger } = require('../utils/logger');
+const config = require('../config');
+const { ValidationError, AuthenticationError, AuthorizationError, NotFoundError } = require('../utils/errors');
+
+// admin implies every other scope and access to every tenant
+const SCOPES = [
+  'knowledge:read',
+  'knowledge:write',
+  'sessions:read',
+  'sessions:write',
+  'analytics:read',
+  'analytics:write',
+  'live:connect',
+  'agent:connect',
+  'fraud:read',
+  'users:read',
+  'users:delete',
+  'admin'
+];
+
+// First match wins; scope null = public. Unlisted /api routes need live:connect
+const ROUTE_SCOPES = [
+  { pattern: /^\/api\/status$/, scope: null },
+  { pattern: /^\/debug$/, scope: 'admin' },
+  { pattern: /^\/api\/auth\/session-token$/, methods: ['POST'], scope: 'live:connect' },
+  // Checked on the start event instead: Twilio <Stream> sends no headers or query parameters
+  { pattern: /^\/api\/telephony\/media-stream$/, scope: null },
+  { pattern: /^\/api\/(auth|tenants)(\/|$)/, scope: 'admin' },
+  { pattern: /^\/api\/analytics\/feedback$/, methods: ['POST'], scope: 'analytics:write' },
+  { pattern: /^\/api\/analytics(\/|$)/, scope: 'analytics:read' },
+  { pattern: /^\/api\/usage$/, scope: 'analytics:read' },
+  { pattern: /^\/api\/(agent|handoffs)$/, scope: 'agent:connect' },
+  { pattern: /^\/api\/fraud-reports(\/|$)/, methods: ['GET'], scope: 'fraud:read' },
+  { pattern: /^\/api\/users\/[^/]+\/(export|audit)$/, methods: ['GET'], scope: 'users:read' },
+  { pattern: /^\/api\/users\/[^/]+$/, methods: ['DELETE'], scope: 'users:delete' },
+  { pattern: /^\/api\/sessions\/[^/]+\/recording$/, methods: ['GET'], scope: 'sessions:read' },
+  { pattern: /^\/api\/session(\/|$)/, methods: ['GET'], scope: 'sessions:read' },
+  { pattern: /^\/api\/session(\/|$)/, scope: 'sessions:write' },
+  { pattern: /^\/api\/knowledge\/search$/, scope: 'knowledge:read' },
+  { pattern: /^\/api\/knowledge(\/|$)/, methods: ['GET'], scope: 'knowledge:read' },
+  { pattern: /^\/api\/knowledge(\/|$)/, scope: 'knowledge:write' }
+];
+const DEFAULT_SCOPE = 'live:connect';
+
+const KEY_PREFIX = 'samvad';
+const KEY_PATTERN = /^samvad_([a-f0-9]{12})_([A-Za-z0-9_-]{43})$/;
+
+// Browser session tokens: signed, not stored; live:connect only
+const SESSION_TOKEN_PREFIX = 'samvadst';
+const SESSION_TOKEN_PATTERN = /^samvadst_([A-Za-z0-9_-]+)\.([A-Za-z0-9_-]{43})$/;
+
+// lastUsedAt is written at most this often per key
+const LAST_USED_INTERVAL_MS = 60000;
+
+class ApiKeyService {
+  constructor() {
+    this.collection = 'api_keys';
+    this.authConfig = config.auth;
+    this.cache = new Map(); // keyHash -> { principal, expiresAt }
+    this.lastUsedWrites = new Map(); // keyId -> timestamp of last lastUsedAt write
+    // Without a configured secret, tokens only verify on the instance that issued them, until it restarts
+    this.tokenSecret = this.authConfig.sessionTokenSecret || crypto.randomBytes(32);
+    this.initialized = false;
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+
+    await firebaseService.initialize();
+    this.initialized = true;
+    logger.info('[ApiKey] Service initialized', { enabled: this.authConfig.enabled });
+  }
+
+  /**
+   * Scope required for a route, or null for public routes
+   */
+  getRequiredScope(method, path) {
+    const rule = ROUTE_SCOPES.find(route =>
+      route.pattern.test(path) && (!route.methods || route.methods.includes(method))
+    );
+    return rule ? rule.scope : DEFAULT_SCOPE;
+  }
+
+  /**
+   * Whether a principal holds a scope
+   */
+  hasScope(principal, scope) {
+    return principal.scopes.includes('admin') || principal.scopes.includes(scope);
+  }
+
+  /**
+   * Authenticate a request and check it may call the route
+   * Returns the key's principal, or null when the route is public or auth is disabled
+   */
+  async authenticateRequest(req, path) {
+    const scope = this.getRequiredScope(req.method, path);
+    if (!this.authConfig.enabled || !scope) {
+      return null;
+    }
+
+    return this.authenticateKey(this.extractKey(req), scope);
+  }
+
+  /**
+   * Check a key for a scope, wherever it came from (telephony start events carry it in customParameters)
+   * @returns {object|null} the principal, or null when authentication is disabled
+   */
+  async authenticateKey(token, scope) {
+    if (!this.authConfig.enabled) {
+      return null;
+    }
+    if (!token) {
+      throw new AuthenticationError('API key required');
+    }
+
+    const principal = await this.verifyKey(token);
+    if (!this.hasScope(principal, scope)) {
+      throw new AuthorizationError(`API key lacks the ${scope} scope`);
+    }
+    return principal;
+  }
+
+  /**
+   * Key from "Authorization: Bearer", X-API-Key, or the token (session token) or apiKey
+   * query parameter on WebSocket upgrades (browsers cannot set WebSocket headers)
+   */
+  extractKey(req) {
+    const authorization = req.headers.get('authorization');
+    if (authorization && authorization.startsWith('Bearer ')) {
+      return authorization.slice(7).trim();
+    }
+
+    const header = req.headers.get('x-api-key');
+    if (header) {
+      return header.trim();
+    }
+
+    if (req.headers.get('upgrade')?.toLowerCase() === 'websocket') {
+      const params = new URL(req.url).searchParams;
+      return params.get('token') || params.get('apiKey');
+    }
+    return null;
+  }
+
+  /**
+   * Resolve a key to its principal { keyId, name, tenantId, scopes }
+   */
+  async verifyKey(token) {
+    if (token.startsWith(`${SESSION_TOKEN_PREFIX}_`)) {
+      return this.verifySessionToken(token);
+    }
+
+    const keyHash = this.hashKey(token);
+
+    const cached = this.cache.get(keyHash);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.principal;
+    }
+
+    // Bootstrap key from the environment, used to issue the first real keys
+    if (this.authConfig.adminKey && this.safeEqual(keyHash, this.hashKey(this.authConfig.adminKey))) {
+      return { keyId: 'bootstrap', name: 'Bootstrap admin key', tenantId: null, scopes: ['admin'] };
+    }
+
+    const match = token.match(KEY_PATTERN);
+    if (!match) {
+      throw new AuthenticationError('Invalid API key');
+    }
+
+    if (!this.initialized) await this.initialize();
+
+    const record = await firebaseService.getDocument(this.collection, match[1]);
+    if (!record || !this.safeEqual(keyHash, record.keyHash)) {
+      throw new AuthenticationError('Invalid API key');
+    }
+    if (record.revokedAt) {
+      throw new AuthenticationError('API key has been revoked');
+    }
+    if (record.expiresAt && new Date(record.expiresAt).getTime() <= Date.now()) {
+      throw new AuthenticationError('API key has expired');
+    }
+
+    const principal = {
+      keyId: record.id,
+      name: record.name,
+      tenantId: record.tenantId || null,
+      scopes: record.scopes || []
+    };
+
+    this.cache.set(keyHash, { principal, expiresAt: Date.now() + this.authConfig.cacheTtl * 1000 });
+    this.touchKey(record.id);
+    return principal;
+  }
+
+  /**
+   * Short-lived token for a browser, issued to a key holder (the deployer's backend) so that
+   * long-lived keys never reach the page; bound to one tenant and good for live:connect only
+   */
+  issueSessionToken(principal, tenantId) {
+    const expiresAt = Date.now() + this.authConfig.sessionTokenTtl * 1000;
+    const payload = Buffer.from(JSON.stringify({
+      keyId: principal ? principal.keyId : null,
+      tenantId,
+      expiresAt
+    })).toString('base64url');
+
+    return {
+      token: `${SESSION_TOKEN_PREFIX}_${payload}.${this.signSessionToken(payload)}`,
+      expiresAt: new Date(expiresAt).toISOString()
+    };
+  }
+
+  /**
+   * Principal of a session token; the issuing key's ID is kept for attribution
+   */
+  verifySessionToken(token) {
+    const match = token.match(SESSION_TOKEN_PATTERN);
+    if (!match || !this.safeEqual(match[2], this.signSessionToken(match[1]))) {
+      throw new AuthenticationError('Invalid session token');
+    }
+
+    const { keyId, tenantId, expiresAt } = JSON.parse(Buffer.from(match[1], 'base64url').toString('utf8'));
+    if (!(expiresAt > Date.now())) {
+      throw new AuthenticationError('Session token has expired');
+    }
+    return { keyId, name: 'Session token', tenantId, scopes: ['live:connect'], sessionToken: true };
+  }
+
+  signSessionToken(payload) {
+    return crypto.createHmac('sha256', this.tokenSecret).update(payload).digest('base64url');
+  }
+
+  /**
+   * Issue a new key; the plaintext key is only returned here
+   */
+  async issueKey({ name, tenantId, scopes, expiresInDays }, issuedBy = null) {
+    if (!name) {
+      throw new ValidationError('Missing required field: name');
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      throw new ValidationError('scopes must be a non-empty array', { allowed: SCOPES });
+    }
+    const unknown = scopes.filter(scope => !SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      throw new ValidationError(`Unknown scopes: ${unknown.join(', ')}`, { allowed: SCOPES });
+    }
+    if (expiresInDays !== undefined && !(Number(expiresInDays) > 0)) {
+      throw new ValidationError('expiresInDays must be a positive number');
+    }
+
+    // Non-admin keys always belong to one tenant
+    const isAdmin = scopes.includes('admin');
+    const keyTenantId = tenantId || (isAdmin ? null : tenantService.defaultTenantId);
+    if (keyTenantId) {
+      await tenantService.getTenant(keyTenantId);
+    }
+
+    if (!this.initialized) await this.initialize();
+
+    const keyId = crypto.randomBytes(6).toString('hex');
+    const key = `${KEY_PREFIX}_${keyId}_${crypto.randomBytes(32).toString('base64url')}`;
+    const now = new Date();
+
+    const record = {
+      id: keyId,
+      name,
+      tenantId: keyTenantId,
+      scopes,
+      keyHash: this.hashKey(key),
+      keyPreview: `${KEY_PREFIX}_${keyId}_…`,
+      createdAt: now.toISOString(),
+      createdBy: issuedBy,
+      expiresAt: expiresInDays
+        ? new Date(now.getTime() + Number(expiresInDays) * 86400000).toISOString()
+        : null,
+      revokedAt: null,
+      lastUsedAt: null
+    };
+
+    await firebaseService.setDocument(this.collection, keyId, record);
+    logger.info('[ApiKey] Key issued', { keyId, name, tenantId: keyTenantId, scopes, issuedBy });
+
+    return { key, apiKey: this.toPublic(record) };
+  }
+
+  /**
+   * List keys (without hashes), optionally for one tenant
+   */
+  async listKeys(tenantId = null) {
+    if (!this.initialized) await this.initialize();
+
+    const conditions = tenantId ? [{ field: 'tenantId', operator: '==', value: tenantId }] : [];
+    const keys = await firebaseService.queryCollection(this.collection, conditions);
+    return keys
+      .map(record => this.toPublic(record))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Revoke a key; it stops working immediately on this instance
+   */
+  async revokeKey(keyId, revokedBy = null) {
+    if (!this.initialized) await this.initialize();
+
+    const record = await firebaseService.getDocument(this.collection, keyId);
+    if (!record) {
+      throw new NotFoundError('API key');
+    }
+
+    if (!record.revokedAt) {
+      record.revokedAt = new Date().toISOString();
+      record.revokedBy = revokedBy;
+      await firebaseService.updateDocument(this.collection, keyId, {
+        revokedAt: record.revokedAt,
+        revokedBy
+      });
+    }
+
+    for (const [keyHash, entry] of this.cache) {
+      if (entry.principal.keyId === keyId) {
+        this.cache.delete(keyHash);
+      }
+    }
+
+    logger.info('[ApiKey] Key revoked', { keyId, revokedBy });
+    return this.toPublic(record);
+  }
+
+  /**
+   * Record key usage without slowing down the request
+   */
+  touchKey(keyId) {
+    const lastWrite = this.lastUsedWrites.get(keyId) || 0;
+    if (Date.now() - lastWrite < LAST_USED_INTERVAL_MS) {
+      return;
+    }
+
+    this.lastUsedWrites.set(keyId, Date.now());
+    firebaseService.updateDocument(this.collection, keyId, { lastUsedAt: new Date().toISOString() })
+      .catch(error => logger.warn('[ApiKey] Could not record key usage', { keyId, error: error.message }));
+  }
+
+  hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  safeEqual(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+      return false;
+    }
+    return crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+  }
+
+  toPublic(record) {
+    const { keyHash, ...publicRecord } = record;
+    return publicRecord;
+  }
+}
+
+// Singleton instance
+const apiKeyService = new ApiKeyService();
+
+module.exports = apiKeyService;
+module.exports.SCOPES = SCOPES;
@@ -0,0 +1,300 @@
+/**
+ * Consent Service
+ * Disclosure step for regulated tenants: which disclosure (and version) a session must
+ * accept, spoken yes/no detection, the advisory tools held back until the user agrees,
+ * and consent records stored per tenant in consents
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const firebaseService = require('./firebase');
+const tenantService = require('./TenantService');
+const { logger } = require('../utils/logger');
+const config = require('../config');
+const { ValidationError } = require('../utils/errors');
+
+const DEFAULT_POLICY_PATH = path.join(__dirname, '../config/consent.json');
+
+const STATUS = {
+  NOT_REQUIRED: 'not_required',
+  PENDING: 'pending',
+  DECLINED: 'declined',
+  GRANTED: 'granted'
+};
+
+class ConsentService {
+  constructor() {
+    this.collection = 'consents';
+    this.consentConfig = config.consent;
+    this.policy = null;
+    this.initialized = false;
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+
+    await firebaseService.initialize();
+    this.initialized = true;
+    logger.info('[Consent] Service initialized', { required: this.consentConfig.required });
+  }
+
+  /**
+   * Default disclosure, advisory tools and answer phrases, loaded and compiled on first use
+   */
+  getPolicy() {
+    if (!this.policy) {
+      const policyPath = this.consentConfig.policyPath || DEFAULT_POLICY_PATH;
+      const policy = JSON.parse(fs.readFileSync(policyPath, 'utf8'));
+      if (!policy.version || !policy.disclosure || !policy.disclosure.en) {
+        throw new ValidationError('Consent policy needs a version and an English disclosure', { policyPath });
+      }
+
+      // Phrases match whole words only (\b does not work for Indic scripts)
+      const compile = (patterns = {}) => Object.values(patterns).flat().map(pattern =>
+        new RegExp(`(?<![\\p{L}\\p{M}'])(?:${pattern})(?![\\p{L}\\p{M}'])`, 'giu')
+      );
+
+      this.policy = {
+        version: policy.version,
+        disclosure: policy.disclosure,
+        advisoryTools: policy.advisoryTools || [],
+        agree: compile(policy.agree),
+        decline: compile(policy.decline),
+        filler: compile(policy.filler)
+      };
+      logger.info('[Consent] Policy loaded', { policyPath, version: policy.version });
+    }
+    return this.policy;
+  }
+
+  /**
+   * What a session must accept; tenant settings.consent ({ required, version, disclosure }) overrides the defaults
+   * @returns {object} { required, version, text, translate, reuse } - translate when there is no text in the language,
+   *   reuse when a stored grant of the user skips the disclosure
+   */
+  getRequirement(tenant, language = 'en') {
+    const policy = this.getPolicy();
+    const settings = (tenant && tenant.settings && tenant.settings.consent) || {};
+    const required = typeof settings.required === 'boolean' ? settings.required : this.consentConfig.required;
+
+    const disclosure = settings.disclosure || policy.disclosure;
+    const baseLanguage = (language || 'en').split('-')[0];
+    const text = disclosure[baseLanguage] || disclosure.en || Object.values(disclosure)[0];
+
+    return {
+      required,
+      version: settings.version || policy.version,
+      text,
+      translate: !disclosure[baseLanguage],
+      reuse: typeof settings.reuse === 'boolean' ? settings.reuse : true
+    };
+  }
+
+  /**
+   * Per-session consent state
+   */
+  createState(requirement, language) {
+    return {
+      status: requirement.required ? STATUS.PENDING : STATUS.NOT_REQUIRED,
+      version: requirement.version,
+      language,
+      disclosureSent: false,  // Set once the disclosure instruction went to the model
+      disclosureRead: false,  // Set after the model's first complete turn after that; only later speech answers it
+      utterance: ''  // User speech since the last turn, checked for a yes or no
+    };
+  }
+
+  /**
+   * Whether advisory tools are still held back
+   */
+  isBlocking(state) {
+    return !!state && (state.status === STATUS.PENDING || state.status === STATUS.DECLINED);
+  }
+
+  isAdvisoryTool(name) {
+    return this.getPolicy().advisoryTools.includes(name);
+  }
+
+  /**
+   * Tool response while consent is missing (the model explains instead of advising)
+   */
+  buildToolRefusal() {
+    return {
+      error: 'The user has not accepted the disclosure yet. Do not give financial information or advice; ask them to agree to the disclosure first.',
+      code: 'CONSENT_REQUIRED'
+    };
+  }
+
+  /**
+   * Text turn that makes the model read the disclosure and ask for agreement
+   */
+  buildDisclosureInstruction(requirement, language) {
+    const reading = requirement.translate
+      ? `translated faithfully into the user's language (${language})`
+      : 'word for word';
+    return `[Compliance step: before anything else, read this disclosure to the user ${reading}: "${requirement.text}" ` +
+      'Until they clearly agree, do not give any financial information or advice; if they ask something, say you need their agreement first and ask again. ' +
+      'When they agree, thank them and ask how you can help. If they decline, explain that you cannot advise them without it and that they can agree at any time.]';
+  }
+
+  /**
+   * Text turn making the model ask again after a reply that was not a clear yes or no
+   */
+  buildReaskInstruction() {
+    return '[Compliance step: the user has not clearly agreed to the disclosure. Do not give financial information or advice. ' +
+      'In one short sentence, ask them again whether they agree to continue.]';
+  }
+
+  /**
+   * Context note after a spoken answer was recorded (the model has already replied to it, so it does not start a turn)
+   */
+  buildSpokenAnswerNote(granted) {
+    return granted
+      ? '[Consent recorded: the user agreed to the disclosure. You may now give financial information and advice; do not ask for agreement again.]'
+      : '[Consent recorded: the user declined the disclosure. Do not give financial information or advice; they can agree at any time.]';
+  }
+
+  /**
+   * Text turn telling the model the user answered with the on-screen buttons
+   */
+  buildTypedAnswerInstruction(granted) {
+    return granted
+      ? '[The user tapped "I agree" on the disclosure. Thank them briefly and ask how you can help.]'
+      : '[The user tapped "No" on the disclosure. Explain that you cannot give financial information or advice without their agreement and that they can agree at any time.]';
+  }
+
+  /**
+   * At the end of a turn, what the user said since the model finished reading the disclosure
+   * @returns {string|null} 'agree', 'decline', 'unclear' (ask again) or null (nothing to act on)
+   */
+  checkTurn(state, turn) {
+    // The last turn of a closing session cannot be answered or asked again
+    if (!this.isBlocking(state) || turn.closing) return null;
+
+    const utterance = state.utterance;
+    state.utterance = '';
+
+    // Speech before or during the disclosure does not answer it
+    if (!state.disclosureRead) {
+      if (state.disclosureSent && turn.assistantText && !turn.interrupted) {
+        state.disclosureRead = true;
+      }
+      return null;
+    }
+    if (!utterance.trim()) return null;
+
+    const answer = this.classifyAnswer(utterance);
+    if (answer === 'agree') return answer;
+    // After a decline the conversation goes on; only a new yes changes anything
+    if (state.status === STATUS.DECLINED) return null;
+    return answer || 'unclear';
+  }
+
+  /**
+   * Yes or no to the disclosure, or null when the utterance is anything else
+   * The whole utterance must be answer phrases and filler words ("yes please", "nahi ji"):
+   * "ok, what is the EMI" or "I don't understand" are not answers
+   */
+  classifyAnswer(text) {
+    const words = (text || '').replace(/\u2019/g, "'").replace(/[^\p{L}\p{M}\p{N}\s']+/gu, ' ').trim();
+    if (!words || words.split(/\s+/).length > this.consentConfig.maxAnswerWords) {
+      return null;
+    }
+
+    const { agree, decline, filler } = this.getPolicy();
+    if (this.consistsOf(words, decline, filler)) return 'decline';
+    if (this.consistsOf(words, agree, filler)) return 'agree';
+    return null;
+  }
+
+  /**
+   * Whether the text holds at least one of the phrases and nothing but those and filler words
+   */
+  consistsOf(text, phrases, filler) {
+    let matched = false;
+    let rest = text;
+    for (const regex of phrases) {
+      rest = rest.replace(regex, () => {
+        matched = true;
+        return ' ';
+      });
+    }
+    for (const regex of filler) {
+      rest = rest.replace(regex, ' ');
+    }
+    return matched && !rest.trim();
+  }
+
+  /**
+   * Latest granted consent of a user for a disclosure version, or null
+   */
+  async findConsent(tenantId, userId, version) {
+    if (!userId) return null;
+    if (!this.initialized) await this.initialize();
+
+    const records = await firebaseService.queryCollection(
+      tenantService.collectionName(this.collection, tenantId),
+      [{ field: 'userId', operator: '==', value: userId }]
+    );
+    return records
+      .filter(record => record.version === version && record.granted)
+      .sort((a, b) => b.timestamp.localeCompare(a.timestamp))[0] || null;
+  }
+
+  /**
+   * Store a consent decision
+   * @param {object} context - { tenantId, sessionId, userId, channel }
+   * @param {object} decision - { version, language, granted, method: 'spoken' | 'typed' }
+   */
+  async recordConsent(context, decision) {
+    if (!this.initialized) await this.initialize();
+
+    const { tenantId, sessionId, userId, channel } = context;
+    const record = {
+      tenantId: tenantId || tenantService.defaultTenantId,
+      sessionId,
+      userId: userId || null,
+      channel,
+      version: decision.version,
+      language: decision.language,
+      granted: decision.granted,
+      method: decision.method,
+      timestamp: new Date().toISOString()
+    };
+
+    await firebaseService.setDocument(
+      tenantService.collectionName(this.collection, tenantId),
+      crypto.randomBytes(10).toString('hex'),
+      record
+    );
+
+    logger.info('[Consent] Consent recorded', {
+      tenantId: record.tenantId,
+      sessionId,
+      version: record.version,
+      granted: record.granted,
+      method: record.method
+    });
+    return record;
+  }
+
+  /**
+   * All consent decisions of a user, newest first (data export)
+   */
+  async listConsents(tenantId, userId) {
+    if (!this.initialized) await this.initialize();
+
+    const records = await firebaseService.queryCollection(
+      tenantService.collectionName(this.collection, tenantId),
+      [{ field: 'userId', operator: '==', value: userId }]
+    );
+    return records.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+  }
+}
+
+// Singleton instance
+const consentService = new ConsentService();
+
+module.exports = consentService;
+module.exports.STATUS = STATUS;
@@ -264,6 +264,24 @@ class ConversationManager {
   }
 
   parseAmountFromText(text) {
+    return ConversationManager.parseAmountFromText(text);
+  }
+
+  determineLoanTypeFromPurpose(purpose) {
+    return ConversationManager.determineLoanTypeFromPurpose(purpose);
+  }
+
+  detectPurposeByKeywords(text) {
+    if (/(bike|two\s*-?wheeler|scooter|motorcycle|moped)/.test(text)) return 'bike';
+    if (/(car|auto|four\s*-?wheeler|vehicle)/.test(text)) return 'car';
+    if (/(education|college|tuition|school|university)/.test(text)) return 'education expenses';
+    if (/(medical|health|treatment|hospital|surgery)/.test(text)) return 'medical expenses';
+    if (/(home|house|housing|mortgage|property)/.test(text)) return 'home purchase';
+    return null;
+  }
+
+  // Stateless parsers - static so other services (e.g. LoanCalculator) can reuse them
+  static parseAmountFromText(text) {
     const t = text.toLowerCase();
 
     // Handle various formats: 25k, 250 thousand, 1,50,000, 5 lakh, 2 crore
@@ -292,7 +310,7 @@ class ConversationManager {
     return null;
   }
 
-  determineLoanTypeFromPurpose(purpose) {
+  static determineLoanTypeFromPurpose(purpose) {
     const p = purpose.toLowerCase();
     if (/(bike|two\s*-?wheeler|two\s* wheeler|scooter|motorcycle|moped)/.test(p)) return 'personal_two_wheeler';
     if (/(car|auto|four\s*-?wheeler|vehicle)/.test(p)) return 'auto';
@@ -302,15 +320,6 @@ class ConversationManager {
     return 'personal';
   }
 
-  detectPurposeByKeywords(text) {
-    if (/(bike|two\s*-?wheeler|scooter|motorcycle|moped)/.test(text)) return 'bike';
-    if (/(car|auto|four\s*-?wheeler|vehicle)/.test(text)) return 'car';
-    if (/(education|college|tuition|school|university)/.test(text)) return 'education expenses';
-    if (/(medical|health|treatment|hospital|surgery)/.test(text)) return 'medical expenses';
-    if (/(home|house|housing|mortgage|property)/.test(text)) return 'home purchase';
-    return null;
-  }
-
   async cleanup() {
     logger.info('[ConversationManager] Cleanup completed');
   }
@@ -0,0 +1,179 @@
+/**
+ * Conversation Recorder
+ * Records one Live session: the user's and the model's PCM as two time-aligned tracks,
+ * plus a timeline of transcripts, function calls and turns. Audio is handed to a writer
+ * every few seconds, so a long call does not stay in memory.
+ */
+
+const { logger } = require('../utils/logger');
+const { LIVE_INPUT_SAMPLE_RATE, LIVE_OUTPUT_SAMPLE_RATE } = require('../utils/audio');
+
+// PCM16 mono
+const BYTES_PER_SAMPLE = 2;
+
+// Gaps shorter than this are network jitter, not silence
+const MIN_GAP_MS = 200;
+
+class ConversationRecorder {
+  /**
+   * @param {object} info - { sessionId, tenantId, userId, language }
+   * @param {object} options - { maxDuration, flushInterval } in seconds,
+   *   writeAudio(trackName, pcm) -> Promise, which appends PCM to the stored track, and
+   *   redact(data), which masks personal data in timeline entries
+   */
+  constructor(info, options = {}) {
+    this.info = info;
+    this.startedAt = Date.now();
+    this.endedAt = null;
+    this.maxDuration = options.maxDuration || 1800;
+    this.flushInterval = options.flushInterval || 10;
+    this.writeAudio = options.writeAudio;
+    this.redact = options.redact || (data => data);
+    this.tracks = {
+      user: this.createTrack(LIVE_INPUT_SAMPLE_RATE),
+      model: this.createTrack(LIVE_OUTPUT_SAMPLE_RATE)
+    };
+    this.timeline = [];
+    this.transcripts = {};  // role -> transcript line still being spoken
+    this.writes = Promise.resolve();  // Appends run one at a time, in order
+    this.writeFailed = false;
+  }
+
+  createTrack(sampleRate) {
+    // bytes counts everything recorded; only the pending chunks are still in memory
+    return { sampleRate, chunks: [], pendingBytes: 0, bytes: 0, truncated: false };
+  }
+
+  /**
+   * Append PCM to a track ('user' or 'model') at the current time
+   * Silence is inserted for gaps, so both tracks share the recording's clock.
+   * Model audio arrives faster than real time and is laid out back to back.
+   */
+  addAudio(trackName, pcm) {
+    const track = this.tracks[trackName];
+    if (!track || !pcm || pcm.length === 0 || this.endedAt) return;
+
+    const bytesPerSecond = track.sampleRate * BYTES_PER_SAMPLE;
+    const maxBytes = this.maxDuration * bytesPerSecond;
+    if (track.bytes >= maxBytes) {
+      track.truncated = true;
+      return;
+    }
+
+    const elapsedBytes = this.alignBytes((Date.now() - this.startedAt) / 1000 * bytesPerSecond);
+    const gapBytes = elapsedBytes - track.bytes;
+    if (gapBytes > (MIN_GAP_MS / 1000) * bytesPerSecond) {
+      this.pushChunk(track, Buffer.alloc(Math.min(gapBytes, maxBytes - track.bytes)));
+    }
+
+    this.pushChunk(track, Buffer.from(pcm).subarray(0, this.alignBytes(maxBytes - track.bytes)));
+
+    if (track.pendingBytes >= this.flushInterval * bytesPerSecond) {
+      this.flush(trackName);
+    }
+  }
+
+  pushChunk(track, chunk) {
+    track.chunks.push(chunk);
+    track.pendingBytes += chunk.length;
+    track.bytes += chunk.length;
+  }
+
+  /**
+   * Hand a track's buffered PCM to the writer
+   */
+  flush(trackName) {
+    const track = this.tracks[trackName];
+    if (track.pendingBytes === 0) return;
+
+    const pcm = Buffer.concat(track.chunks);
+    track.chunks = [];
+    track.pendingBytes = 0;
+
+    this.writes = this.writes
+      .then(() => this.writeAudio(trackName, pcm))
+      .catch((error) => {
+        this.writeFailed = true;
+        logger.error('[Recorder] Audio write failed', { sessionId: this.info.sessionId, track: trackName, error: error.message });
+      });
+  }
+
+  /**
+   * Add an entry to the timeline; t is milliseconds since the recording started
+   */
+  addEvent(type, data = {}) {
+    if (this.endedAt) return;
+    if (type === 'turn') {
+      Object.keys(this.transcripts).forEach(role => this.flushTranscript(role));
+    }
+    this.timeline.push({ t: Date.now() - this.startedAt, type, ...this.redact(data) });
+  }
+
+  /**
+   * Transcript chunks are joined per role into one entry (at the time of the first chunk),
+   * so personal data split across chunks is masked as a whole
+   */
+  addTranscript(role, text, finished) {
+    if (this.endedAt) return;
+    if (!this.transcripts[role]) {
+      this.transcripts[role] = { t: Date.now() - this.startedAt, text: '' };
+    }
+    this.transcripts[role].text += text;
+    if (finished) {
+      this.flushTranscript(role);
+    }
+  }
+
+  flushTranscript(role) {
+    const { t, text } = this.transcripts[role];
+    delete this.transcripts[role];
+    this.timeline.push({ t, type: 'transcript', ...this.redact({ role, text }) });
+  }
+
+  /**
+   * Stop recording: write the remaining audio and return the timeline file to store
+   * @returns {object} file name -> Buffer
+   */
+  async finish() {
+    if (!this.endedAt) {
+      this.endedAt = Date.now();
+    }
+
+    Object.keys(this.tracks).forEach(trackName => this.flush(trackName));
+    Object.keys(this.transcripts).forEach(role => this.flushTranscript(role));
+    this.timeline.sort((a, b) => a.t - b.t);
+    await this.writes;
+
+    const metadata = {
+      ...this.info,
+      startedAt: new Date(this.startedAt).toISOString(),
+      endedAt: new Date(this.endedAt).toISOString(),
+      durationMs: this.endedAt - this.startedAt,
+      tracks: Object.fromEntries(Object.entries(this.tracks).map(([name, track]) => [name, {
+        file: `${name}.pcm`,
+        sampleRate: track.sampleRate,
+        durationMs: Math.round(track.bytes / (track.sampleRate * BYTES_PER_SAMPLE) * 1000),
+        truncated: track.truncated
+      }])),
+      incomplete: this.writeFailed,  // Some audio could not be written
+      timeline: this.timeline
+    };
+
+    logger.info('[Recorder] Recording finished', {
+      sessionId: this.info.sessionId,
+      durationMs: metadata.durationMs,
+      events: this.timeline.length
+    });
+
+    return {
+      'timeline.json': Buffer.from(JSON.stringify(metadata, null, 2))
+    };
+  }
+
+  alignBytes(bytes) {
+    const whole = Math.max(0, Math.floor(bytes));
+    return whole - (whole % BYTES_PER_SAMPLE);
+  }
+}
+
+module.exports = ConversationRecorder;
@@ -0,0 +1,410 @@
+/**
+ * Fraud Report Service
+ * Files fraud incident reports collected by the report_fraud tool over several turns,
+ * stores them per tenant in fraud_reports (keyed by a reference number the assistant
+ * reads back), and exports them as JSON, CSV or a cybercrime helpline summary
+ */
+
+const crypto = require('crypto');
+const firebaseService = require('./firebase');
+const tenantService = require('./TenantService');
+const scamDetectionService = require('./ScamDetectionService');
+const LoanCalculator = require('./LoanCalculator');
+const { logger } = require('../utils/logger');
+const config = require('../config');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+const PAYMENT_CHANNELS = ['upi', 'card', 'net_banking', 'wallet', 'atm', 'bank_transfer', 'cash', 'other'];
+
+// Needed before a report can be filed, in the order the assistant asks for them
+const REQUIRED_FIELDS = ['description', 'incident_date', 'amount', 'payment_channel', 'bank_name'];
+// Asked for, but a report can be filed without them
+const OPTIONAL_FIELDS = ['counterparty_upi', 'counterparty_phone', 'transaction_id'];
+
+// Reference characters are easy to read aloud and hear (no 0/O, 1/I/L, 2/Z, 5/S, 8/B)
+const REFERENCE_ALPHABET = 'ACDEFGHJKMNPQRTUVWXY34679';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const UPI_PATTERN = /^[a-z0-9._-]{2,256}@[a-z][a-z0-9]{1,64}$/;
+
+// Reports being collected by sessions idle this long are dropped
+const DRAFT_TTL_MS = 30 * 60 * 1000;
+
+const CSV_COLUMNS = [
+  'referenceNumber', 'createdAt', 'sessionId', 'userId', 'incidentDate', 'amount', 'currency',
+  'paymentChannel', 'transactionId', 'bankName', 'counterpartyUpi', 'counterpartyPhone',
+  'scamCategories', 'description'
+];
+
+class FraudReportService {
+  constructor() {
+    this.collection = 'fraud_reports';
+    this.reportConfig = config.fraudReports;
+    this.drafts = new Map(); // sessionId -> { fields, updatedAt }
+    this.initialized = false;
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+
+    await firebaseService.initialize();
+    this.initialized = true;
+    logger.info('[FraudReport] Service initialized', { enabled: this.reportConfig.enabled });
+  }
+
+  isEnabled() {
+    return this.reportConfig.enabled;
+  }
+
+  getFunctionDeclarations() {
+    return [
+      {
+        name: 'report_fraud',
+        description: 'File a fraud report for a user who has lost money to, or been targeted by, a scam. ' +
+          'Call it every time the user gives details: it keeps what was collected so far and says what is still missing. ' +
+          'Ask for missing details one at a time. When nothing required is missing, read the details back, and once the user agrees call it again with confirm true. ' +
+          'Then read the reference number back slowly.',
+        parameters: {
+          type: 'object',
+          properties: {
+            description: {
+              type: 'string',
+              description: 'What happened, in one or two sentences (English)'
+            },
+            incident_date: {
+              type: 'string',
+              description: 'Date of the fraud as YYYY-MM-DD (the tool response gives today\'s date for "yesterday" etc.)'
+            },
+            amount: {
+              type: 'string',
+              description: 'Amount lost in rupees, e.g. "25000" or "2.5 lakh"; "0" if no money was lost'
+            },
+            payment_channel: {
+              type: 'string',
+              description: 'How the money was taken',
+              enum: PAYMENT_CHANNELS
+            },
+            bank_name: {
+              type: 'string',
+              description: 'The user\'s bank or wallet the money left from'
+            },
+            counterparty_upi: {
+              type: 'string',
+              description: 'The scammer\'s UPI ID, e.g. name@okaxis'
+            },
+            counterparty_phone: {
+              type: 'string',
+              description: 'The scammer\'s phone number'
+            },
+            transaction_id: {
+              type: 'string',
+              description: 'UPI reference number, UTR or transaction ID, if the user has it'
+            },
+            confirm: {
+              type: 'boolean',
+              description: 'true only after the user has confirmed the details you read back'
+            }
+          }
+        }
+      }
+    ];
+  }
+
+  /**
+   * Register the report_fraud tool with a ToolRegistry (Live API workflow)
+   */
+  registerTools(registry) {
+    if (!this.isEnabled()) return;
+
+    const [declaration] = this.getFunctionDeclarations();
+    registry.register(declaration, async (args, context = {}) => this.collect(args, context));
+  }
+
+  /**
+   * One report_fraud call: merge the new details into the session's draft, and file it
+   * once everything required is there and the user has confirmed
+   */
+  async collect(args, context) {
+    const { sessionId } = context;
+    this.pruneDrafts();
+
+    const draft = this.drafts.get(sessionId) || { fields: {}, updatedAt: Date.now() };
+    this.drafts.set(sessionId, draft);
+    draft.updatedAt = Date.now();
+
+    const invalid = {};
+    for (const field of [...REQUIRED_FIELDS, ...OPTIONAL_FIELDS]) {
+      if (args[field] === undefined || args[field] === null || args[field] === '') continue;
+      try {
+        draft.fields[field] = this.normalizeField(field, args[field]);
+      } catch (error) {
+        invalid[field] = error.message;
+      }
+    }
+
+    const missing = REQUIRED_FIELDS.filter(field => draft.fields[field] === undefined);
+    const optionalMissing = OPTIONAL_FIELDS.filter(field => draft.fields[field] === undefined);
+
+    if (missing.length > 0 || Object.keys(invalid).length > 0 || !args.confirm) {
+      return {
+        status: missing.length > 0 || Object.keys(invalid).length > 0 ? 'collecting' : 'ready_to_confirm',
+        collected: draft.fields,
+        missing,
+        optionalMissing,
+        invalid: Object.keys(invalid).length > 0 ? invalid : undefined,
+        today: this.today()
+      };
+    }
+
+    const report = await this.fileReport(draft.fields, context);
+    this.drafts.delete(sessionId);
+
+    return {
+      status: 'filed',
+      referenceNumber: report.referenceNumber,
+      spokenReference: report.referenceNumber.replace(/-/g, '').split('').join(' '),
+      helpline: this.reportConfig.helpline,
+      portal: this.reportConfig.portal,
+      instructions: `Read the reference number back slowly, character by character. Tell the user to call ${this.reportConfig.helpline} ` +
+        'right away if money was lost (the sooner, the better the chance of freezing it), quoting this reference, and to inform their bank.'
+    };
+  }
+
+  /**
+   * Validate and normalize one collected detail
+   */
+  normalizeField(field, value) {
+    const text = String(value).trim();
+
+    switch (field) {
+      case 'incident_date': {
+        if (!DATE_PATTERN.test(text) || Number.isNaN(Date.parse(text))) {
+          throw new ValidationError('Use the YYYY-MM-DD format');
+        }
+        if (text > this.today()) {
+          throw new ValidationError('The date cannot be in the future');
+        }
+        return text;
+      }
+
+      case 'amount': {
+        const amount = LoanCalculator.parseAmount(text);
+        if (!(amount >= 0)) {
+          throw new ValidationError('Amount must be zero or more');
+        }
+        return Math.round(amount * 100) / 100;
+      }
+
+      case 'payment_channel': {
+        const channel = text.toLowerCase().replace(/[\s-]+/g, '_');
+        if (!PAYMENT_CHANNELS.includes(channel)) {
+          throw new ValidationError(`Must be one of: ${PAYMENT_CHANNELS.join(', ')}`);
+        }
+        return channel;
+      }
+
+      case 'counterparty_upi': {
+        const upi = text.toLowerCase().replace(/\s+/g, '');
+        if (!UPI_PATTERN.test(upi)) {
+          throw new ValidationError('A UPI ID looks like name@bank');
+        }
+        return upi;
+      }
+
+      case 'counterparty_phone': {
+        const digits = text.replace(/[^\d+]/g, '');
+        if (digits.replace(/\D/g, '').length < 8) {
+          throw new ValidationError('Phone number is too short');
+        }
+        return digits;
+      }
+
+      default:
+        return text.substring(0, 1000);
+    }
+  }
+
+  /**
+   * Store a complete report, linked to its session and any scam patterns detected in it
+   */
+  async fileReport(fields, { sessionId, tenantId, userId, language }) {
+    if (!this.initialized) await this.initialize();
+
+    let scamCategories = [];
+    try {
+      scamCategories = await scamDetectionService.getSessionCategories(tenantId, sessionId);
+    } catch (error) {
+      logger.warn('[FraudReport] Could not look up scam detections', { sessionId, error: error.message });
+    }
+
+    const createdAt = new Date().toISOString();
+    const report = {
+      referenceNumber: this.generateReferenceNumber(),
+      tenantId: tenantId || tenantService.defaultTenantId,
+      sessionId,
+      userId: userId || null,
+      language: language || null,
+      status: 'filed',
+      date: createdAt.slice(0, 10),
+      createdAt,
+      incident: {
+        description: fields.description,
+        incidentDate: fields.incident_date,
+        amount: fields.amount,
+        currency: 'INR',
+        paymentChannel: fields.payment_channel,
+        bankName: fields.bank_name,
+        counterpartyUpi: fields.counterparty_upi || null,
+        counterpartyPhone: fields.counterparty_phone || null,
+        transactionId: fields.transaction_id || null
+      },
+      scamCategories
+    };
+
+    await firebaseService.setDocument(
+      tenantService.collectionName(this.collection, tenantId),
+      report.referenceNumber,
+      report
+    );
+
+    logger.info('[FraudReport] Report filed', {
+      referenceNumber: report.referenceNumber,
+      tenantId: report.tenantId,
+      sessionId,
+      amount: report.incident.amount,
+      paymentChannel: report.incident.paymentChannel
+    });
+
+    return report;
+  }
+
+  /**
+   * Today's date (YYYY-MM-DD) where the users are, not in UTC
+   */
+  today() {
+    return new Intl.DateTimeFormat('en-CA', { timeZone: this.reportConfig.timeZone }).format(new Date());
+  }
+
+  /**
+   * FR-YYMMDD-XXXXXX
+   */
+  generateReferenceNumber() {
+    const date = this.today().slice(2).replace(/-/g, '');
+    const bytes = crypto.randomBytes(6);
+    const suffix = Array.from(bytes, byte => REFERENCE_ALPHABET[byte % REFERENCE_ALPHABET.length]).join('');
+    return `FR-${date}-${suffix}`;
+  }
+
+  /**
+   * Reports filed for a tenant between two days (default: the last 30), newest first
+   */
+  async listReports(tenantId, { from, to, userId, sessionId } = {}) {
+    const today = new Date().toISOString().slice(0, 10);
+    const toDay = to || today;
+    const fromDay = from || new Date(Date.parse(`${toDay}T00:00:00.000Z`) - 29 * 86400000).toISOString().slice(0, 10);
+
+    if (!DATE_PATTERN.test(fromDay) || !DATE_PATTERN.test(toDay) || fromDay > toDay) {
+      throw new ValidationError('from and to must be YYYY-MM-DD dates with from <= to', { from, to });
+    }
+    if ((Date.parse(toDay) - Date.parse(fromDay)) / 86400000 + 1 > this.reportConfig.maxReportDays) {
+      throw new ValidationError(`Date range is limited to ${this.reportConfig.maxReportDays} days`, { from, to });
+    }
+
+    if (!this.initialized) await this.initialize();
+
+    // Range query on date only (no composite index needed); the other filters are applied here
+    const documents = await firebaseService.queryCollection(
+      tenantService.collectionName(this.collection, tenantId),
+      [
+        { field: 'date', operator: '>=', value: fromDay },
+        { field: 'date', operator: '<=', value: toDay }
+      ]
+    );
+
+    return documents
+      .filter(report => (!userId || report.userId === userId) && (!sessionId || report.sessionId === sessionId))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(({ id, ...report }) => report);
+  }
+
+  async getReport(tenantId, referenceNumber) {
+    if (!this.initialized) await this.initialize();
+
+    const document = await firebaseService.getDocument(
+      tenantService.collectionName(this.collection, tenantId),
+      referenceNumber
+    );
+    if (!document) {
+      throw new NotFoundError('Fraud report');
+    }
+
+    const { id, ...report } = document;
+    return report;
+  }
+
+  /**
+   * Pre-filled text for a complaint to the National Cybercrime Helpline / portal
+   */
+  buildHelplineSummary(report) {
+    const { incident } = report;
+    const amount = new Intl.NumberFormat('en-IN', { style: 'currency', currency: incident.currency || 'INR' }).format(incident.amount);
+    const channel = incident.paymentChannel.replace(/_/g, ' ').toUpperCase();
+
+    const lines = [
+      `Cyber fraud complaint - reference ${report.referenceNumber}`,
+      `For the National Cybercrime Helpline ${this.reportConfig.helpline} / ${this.reportConfig.portal}`,
+      '',
+      `Date of incident: ${incident.incidentDate}`,
+      `Amount lost: ${amount}`,
+      `Mode of payment: ${channel}`,
+      `Transaction ID / UTR: ${incident.transactionId || 'not known'}`,
+      `Victim's bank / wallet: ${incident.bankName}`,
+      `Suspect UPI ID: ${incident.counterpartyUpi || 'not known'}`,
+      `Suspect phone number: ${incident.counterpartyPhone || 'not known'}`
+    ];
+    if (report.scamCategories && report.scamCategories.length > 0) {
+      lines.push(`Scam type (detected): ${report.scamCategories.join(', ')}`);
+    }
+    lines.push(
+      `What happened: ${incident.description}`,
+      '',
+      `Reported to the voice assistant on ${report.createdAt} (session ${report.sessionId})`
+    );
+
+    return lines.join('\n');
+  }
+
+  /**
+   * One CSV row per report (RFC 4180 quoting, formula prefixes neutralised)
+   */
+  toCsv(reports) {
+    const escape = (value) => {
+      let text = value === null || value === undefined ? '' : String(value);
+      // Text a spreadsheet would run as a formula is prefixed with ' (CSV injection)
+      if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+      }
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = reports.map(report => {
+      const flat = { ...report, ...report.incident, scamCategories: (report.scamCategories || []).join(';') };
+      return CSV_COLUMNS.map(column => escape(flat[column])).join(',');
+    });
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+  }
+
+  pruneDrafts() {
+    const cutoff = Date.now() - DRAFT_TTL_MS;
+    for (const [sessionId, draft] of this.drafts) {
+      if (draft.updatedAt < cutoff) {
+        this.drafts.delete(sessionId);
+      }
+    }
+  }
+}
+
+// Singleton instance
+const fraudReportService = new FraudReportService();
+
+module.exports = fraudReportService;
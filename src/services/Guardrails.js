@@ -4,6 +4,7 @@
  */
 
 const { logger } = require('../utils/logger');
+const redactionService = require('./RedactionService');
 
 class Guardrails {
   constructor(config) {
@@ -224,11 +225,7 @@ class Guardrails {
   }
 
   sanitizePersonalInfo(text) {
-    return text
-      .replace(/\b\d{4}[\s-]?\d{4}[\s-]?\d{4}[\s-]?\d{4}\b/g, '[CARD NUMBER]')
-      .replace(/\b\d{3}-\d{2}-\d{4}\b/g, '[SSN]')
-      .replace(/\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/g, '[EMAIL]')
-      .replace(/\b\d{10}\b/g, '[PHONE]');
+    return redactionService.redact(text.replace(/\b\d{3}-\d{2}-\d{4}\b/g, '[SSN]'));
   }
 
   async cleanup() {
@@ -0,0 +1,514 @@
+/**
+ * Handoff Service
+ * Escalates Live conversations to human agents: keeps a per-tenant queue of handoffs
+ * (transcript summary, topic, fraud flags) and relays text and audio between the agent
+ * and the caller while the bot is paused
+ */
+
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+const config = require('../config');
+const redactionService = require('./RedactionService');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+
+const REASONS = {
+  FRAUD_ALERT: 'fraud_alert',
+  USER_REQUEST: 'user_request',
+  FRUSTRATION: 'frustration'
+};
+
+// Queue order: fraud first, then explicit requests, then frustration (oldest first within each)
+const REASON_PRIORITY = [REASONS.FRAUD_ALERT, REASONS.USER_REQUEST, REASONS.FRUSTRATION];
+
+// respond_to_financial_query topics and intents shown to agents as fraud flags
+const FRAUD_FLAGS = ['fraud_alert', 'scam_warning', 'phishing_detection', 'suspicious_activity', 'report_fraud'];
+
+const STATUS = {
+  QUEUED: 'queued',
+  ACTIVE: 'active'  // An agent has joined and the bot is paused
+};
+
+class HandoffService {
+  constructor() {
+    this.handoffConfig = config.handoff;
+    this.conversations = new Map(); // sessionId -> conversation that can be handed off
+    this.handoffs = new Map(); // handoffId -> open handoff
+    this.agents = new Map(); // agentId -> connected agent
+  }
+
+  isEnabled() {
+    return this.handoffConfig.enabled;
+  }
+
+  /**
+   * Register the request_human_agent tool with a ToolRegistry (Live API workflow)
+   */
+  registerTools(registry) {
+    if (!this.isEnabled()) return;
+
+    registry.register({
+      name: 'request_human_agent',
+      description: 'Transfer the user to a human agent. Use when the user asks to speak to a person, agent or customer care, or when they need help you cannot give (disputed transactions, blocked accounts, an ongoing fraud).',
+      parameters: {
+        type: 'object',
+        properties: {
+          reason: {
+            type: 'string',
+            description: 'Why the user needs a human, in a few English words, for the agent'
+          }
+        }
+      }
+    }, async (args, context = {}) => {
+      const handoff = this.requestAgent(context.sessionId, args.reason);
+      if (!handoff) {
+        return { result: 'No human agents are available on this line. Apologise briefly and keep helping the user yourself.' };
+      }
+      return {
+        result: 'The user is in the queue for a human agent. Tell them an agent will join shortly, and keep helping until then.',
+        position: this.getPosition(handoff)
+      };
+    });
+  }
+
+  /**
+   * Make a Live session eligible for handoff
+   * @param {object} channel - { sendMessage(message), sendAudio(pcm16k), onAgentJoined(agent), onReturnToBot(notes) }
+   */
+  attachSession(sessionId, { tenantId, userId, language, redactionClasses }, channel) {
+    this.conversations.set(sessionId, {
+      sessionId,
+      tenantId,
+      userId: userId || null,
+      language,
+      redactionClasses,  // Personal data masked in the kept transcript
+      channel,
+      transcript: [],  // Recent { role, text, timestamp } lines
+      topic: null,
+      fraudFlags: new Set(),
+      handoffId: null
+    });
+  }
+
+  /**
+   * Forget a session that ended, closing its handoff
+   */
+  detachSession(sessionId, reason = 'session_ended') {
+    const conversation = this.conversations.get(sessionId);
+    if (!conversation) return;
+
+    this.conversations.delete(sessionId);
+    if (conversation.handoffId) {
+      this.closeHandoff(conversation.handoffId, reason);
+    }
+  }
+
+  /**
+   * Keep a completed turn for the transcript summary
+   */
+  recordTurn(sessionId, turn) {
+    const conversation = this.conversations.get(sessionId);
+    if (!conversation) return;
+
+    if (turn.userText) this.addLine(conversation, 'user', turn.userText);
+    if (turn.assistantText) this.addLine(conversation, 'assistant', turn.assistantText);
+  }
+
+  /**
+   * Track topic and fraud flags from respond_to_financial_query; a fraud topic queues the conversation
+   */
+  recordFunctionCall(sessionId, { name, args = {} }) {
+    const conversation = this.conversations.get(sessionId);
+    if (!conversation || name !== 'respond_to_financial_query') return;
+
+    if (args.topic) {
+      conversation.topic = args.topic;
+    }
+    for (const value of [args.topic, args.user_intent]) {
+      if (FRAUD_FLAGS.includes(value)) {
+        conversation.fraudFlags.add(value);
+      }
+    }
+
+    if (this.handoffConfig.fraudTopics.includes(args.topic)) {
+      this.escalate(sessionId, REASONS.FRAUD_ALERT);
+    } else if (conversation.handoffId) {
+      this.broadcastQueue(conversation.tenantId);  // Agents see the updated topic and flags
+    }
+  }
+
+  /**
+   * Fraud flags raised outside the model (e.g. scam pattern hits)
+   */
+  addFraudFlags(sessionId, flags) {
+    const conversation = this.conversations.get(sessionId);
+    if (!conversation) return;
+
+    flags.forEach(flag => conversation.fraudFlags.add(flag));
+    if (conversation.handoffId) {
+      this.broadcastQueue(conversation.tenantId);
+    }
+  }
+
+  /**
+   * AdaptiveConversationManager recommendations: OFFER_ALTERNATIVE (high frustration) queues the conversation
+   */
+  recordAdaptations(sessionId, adaptations) {
+    if (adaptations.some(adaptation => adaptation.action === 'OFFER_ALTERNATIVE')) {
+      this.escalate(sessionId, REASONS.FRUSTRATION);
+    }
+  }
+
+  /**
+   * Queue a conversation for a human agent (or add a reason to its open handoff)
+   * The bot keeps talking until an agent joins; the caller is told only once an agent of the tenant is connected
+   * @returns {object|null} the handoff, or null when the session cannot be handed off
+   */
+  escalate(sessionId, reason, note = null) {
+    const conversation = this.conversations.get(sessionId);
+    if (!this.isEnabled() || !conversation) return null;
+
+    const existing = conversation.handoffId && this.handoffs.get(conversation.handoffId);
+    if (existing) {
+      if (!existing.reasons.includes(reason)) {
+        existing.reasons.push(reason);
+        this.broadcastQueue(conversation.tenantId);
+      }
+      this.notifyQueued(existing);
+      return existing;
+    }
+
+    const handoff = {
+      handoffId: 'handoff-' + crypto.randomBytes(8).toString('hex'),
+      sessionId,
+      tenantId: conversation.tenantId,
+      reasons: [reason],
+      note: note || null,
+      status: STATUS.QUEUED,
+      agentId: null,
+      callerNotified: false,  // handoff_queued sent (waits for an agent to be connected)
+      createdAt: Date.now(),
+      joinedAt: null
+    };
+    this.handoffs.set(handoff.handoffId, handoff);
+    conversation.handoffId = handoff.handoffId;
+
+    logger.info('[Handoff] Conversation queued', {
+      sessionId,
+      tenantId: handoff.tenantId,
+      handoffId: handoff.handoffId,
+      reason,
+      topic: conversation.topic
+    });
+
+    this.notifyQueued(handoff);
+    this.broadcastQueue(handoff.tenantId);
+
+    return handoff;
+  }
+
+  /**
+   * Tell the caller their conversation is queued, once an agent of the tenant is connected
+   * (automatic fraud and frustration handoffs are queued for staff even when nobody is online)
+   */
+  notifyQueued(handoff) {
+    const conversation = this.conversations.get(handoff.sessionId);
+    if (!conversation || handoff.callerNotified || handoff.status !== STATUS.QUEUED || !this.hasAgents(handoff.tenantId)) {
+      return;
+    }
+
+    handoff.callerNotified = true;
+    conversation.channel.sendMessage({
+      type: 'handoff_queued',
+      handoffId: handoff.handoffId,
+      reason: handoff.reasons[0],
+      position: this.getPosition(handoff),
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * The user asked for a person: queued only while the tenant has an agent connected,
+   * so they are not promised someone who will never come
+   * @returns {object|null} the handoff, or null when no agent can take it
+   */
+  requestAgent(sessionId, note = null) {
+    const conversation = this.conversations.get(sessionId);
+    if (!conversation || !this.hasAgents(conversation.tenantId)) return null;
+
+    return this.escalate(sessionId, REASONS.USER_REQUEST, note);
+  }
+
+  hasAgents(tenantId) {
+    return Array.from(this.agents.values()).some(agent => agent.tenantId === tenantId);
+  }
+
+  /**
+   * Open handoffs for a tenant, queued ones first in queue order
+   */
+  listHandoffs(tenantId) {
+    return this.sortedHandoffs(tenantId).map(handoff => this.describe(handoff));
+  }
+
+  sortedHandoffs(tenantId) {
+    const priority = handoff => Math.min(...handoff.reasons.map(reason => REASON_PRIORITY.indexOf(reason)));
+
+    return Array.from(this.handoffs.values())
+      .filter(handoff => handoff.tenantId === tenantId)
+      .sort((a, b) =>
+        (a.status === STATUS.ACTIVE) - (b.status === STATUS.ACTIVE) ||
+        priority(a) - priority(b) ||
+        a.createdAt - b.createdAt
+      );
+  }
+
+  /**
+   * 1-based place in the tenant's queue (0 once an agent has joined)
+   */
+  getPosition(handoff) {
+    if (handoff.status !== STATUS.QUEUED) return 0;
+    return this.sortedHandoffs(handoff.tenantId).indexOf(handoff) + 1;
+  }
+
+  /**
+   * What agents see for a handoff
+   */
+  describe(handoff) {
+    const conversation = this.conversations.get(handoff.sessionId);
+
+    return {
+      handoffId: handoff.handoffId,
+      sessionId: handoff.sessionId,
+      userId: conversation.userId,
+      language: conversation.language,
+      status: handoff.status,
+      position: this.getPosition(handoff),
+      reasons: handoff.reasons,
+      note: handoff.note,
+      topic: conversation.topic,
+      fraudFlags: Array.from(conversation.fraudFlags),
+      summary: this.summarize(conversation),
+      agentId: handoff.agentId,
+      createdAt: handoff.createdAt,
+      waitingMs: (handoff.joinedAt || Date.now()) - handoff.createdAt
+    };
+  }
+
+  /**
+   * Short transcript summary: the caller's opening words and their latest
+   */
+  summarize(conversation) {
+    const userLines = conversation.transcript
+      .filter(line => line.role === 'user')
+      .map(line => line.text.length > 120 ? line.text.substring(0, 117) + '...' : line.text);
+
+    if (userLines.length === 0) {
+      return 'Nothing transcribed yet';
+    }
+    if (userLines.length <= 3) {
+      return userLines.map(text => `"${text}"`).join(' / ');
+    }
+    return `"${userLines[0]}" ... "${userLines[userLines.length - 2]}" / "${userLines[userLines.length - 1]}"`;
+  }
+
+  /**
+   * Connect an agent; they receive the tenant's queue now and on every change
+   * @param {object} channel - { sendMessage(message), sendAudio(pcm16k) }
+   */
+  registerAgent({ agentId, name, tenantId }, channel) {
+    this.agents.set(agentId, { agentId, name, tenantId, channel, handoffId: null });
+    logger.info('[Handoff] Agent connected', { agentId, name, tenantId });
+
+    channel.sendMessage({ type: 'queue', handoffs: this.listHandoffs(tenantId), timestamp: Date.now() });
+
+    // Callers queued while nobody was online learn that someone is now there
+    this.sortedHandoffs(tenantId).forEach(handoff => this.notifyQueued(handoff));
+  }
+
+  /**
+   * Disconnect an agent; a conversation they were in goes back to the bot
+   */
+  unregisterAgent(agentId) {
+    const agent = this.agents.get(agentId);
+    if (!agent) return;
+
+    if (agent.handoffId) {
+      this.returnToBot(agentId, null);
+    }
+    this.agents.delete(agentId);
+    logger.info('[Handoff] Agent disconnected', { agentId, tenantId: agent.tenantId });
+  }
+
+  /**
+   * Agent takes over a queued conversation: the bot pauses and the agent gets the transcript
+   */
+  join(agentId, handoffId) {
+    const agent = this.agents.get(agentId);
+    const handoff = this.handoffs.get(handoffId);
+
+    if (!handoff || handoff.tenantId !== agent.tenantId) {
+      throw new NotFoundError('Handoff');
+    }
+    if (handoff.status === STATUS.ACTIVE) {
+      throw new ConflictError('Another agent has already joined this conversation');
+    }
+    if (agent.handoffId) {
+      throw new ValidationError('Return your current conversation to the bot first', { handoffId: agent.handoffId });
+    }
+
+    const conversation = this.conversations.get(handoff.sessionId);
+    handoff.status = STATUS.ACTIVE;
+    handoff.agentId = agentId;
+    handoff.joinedAt = Date.now();
+    agent.handoffId = handoffId;
+
+    conversation.channel.onAgentJoined({ agentId, name: agent.name });
+    agent.channel.sendMessage({
+      type: 'joined',
+      handoff: this.describe(handoff),
+      transcript: conversation.transcript,
+      timestamp: Date.now()
+    });
+
+    logger.info('[Handoff] Agent joined', {
+      agentId,
+      handoffId,
+      sessionId: handoff.sessionId,
+      waitedMs: handoff.joinedAt - handoff.createdAt
+    });
+    this.broadcastQueue(handoff.tenantId);
+  }
+
+  /**
+   * Typed agent reply, shown to the caller
+   */
+  sendAgentMessage(agentId, text) {
+    const { agent, conversation } = this.getAgentConversation(agentId);
+    if (!text || typeof text !== 'string' || !text.trim()) {
+      throw new ValidationError('Agent message text is required');
+    }
+
+    this.addLine(conversation, 'agent', text.trim());
+    conversation.channel.sendMessage({
+      type: 'agent_message',
+      agentName: agent.name,
+      text: text.trim(),
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Agent's microphone (16kHz PCM16 mono) to the caller
+   */
+  sendAgentAudio(agentId, pcm) {
+    const { conversation } = this.getAgentConversation(agentId);
+    conversation.channel.sendAudio(pcm);
+  }
+
+  /**
+   * Caller's microphone (16kHz PCM16 mono) to the agent, while the bot is paused
+   */
+  relayUserAudio(sessionId, pcm) {
+    const agent = this.getActiveAgent(sessionId);
+    if (agent) {
+      agent.channel.sendAudio(pcm);
+    }
+  }
+
+  /**
+   * Live transcript chunks to the agent in the conversation
+   */
+  relayTranscript(sessionId, role, text, finished) {
+    const agent = this.getActiveAgent(sessionId);
+    if (agent) {
+      agent.channel.sendMessage({ type: 'transcript', sessionId, role, text, finished, timestamp: Date.now() });
+    }
+  }
+
+  /**
+   * Agent hands the conversation back to the bot, optionally with notes for it
+   */
+  returnToBot(agentId, notes = null) {
+    const { agent, conversation } = this.getAgentConversation(agentId);
+    const handoffId = agent.handoffId;
+
+    agent.handoffId = null;
+    conversation.handoffId = null;
+    this.handoffs.delete(handoffId);
+
+    conversation.channel.onReturnToBot(notes);
+    agent.channel.sendMessage({ type: 'returned', handoffId, sessionId: conversation.sessionId, timestamp: Date.now() });
+
+    logger.info('[Handoff] Returned to bot', { agentId, handoffId, sessionId: conversation.sessionId });
+    this.broadcastQueue(conversation.tenantId);
+  }
+
+  /**
+   * Close a handoff whose conversation ended
+   */
+  closeHandoff(handoffId, reason) {
+    const handoff = this.handoffs.get(handoffId);
+    if (!handoff) return;
+
+    this.handoffs.delete(handoffId);
+    const agent = handoff.agentId && this.agents.get(handoff.agentId);
+    if (agent) {
+      agent.handoffId = null;
+      agent.channel.sendMessage({ type: 'handoff_closed', handoffId, sessionId: handoff.sessionId, reason, timestamp: Date.now() });
+    }
+
+    logger.info('[Handoff] Handoff closed', { handoffId, sessionId: handoff.sessionId, reason });
+    this.broadcastQueue(handoff.tenantId);
+  }
+
+  /**
+   * Whether a human agent currently has the conversation
+   */
+  isAgentActive(sessionId) {
+    return !!this.getActiveAgent(sessionId);
+  }
+
+  getActiveAgent(sessionId) {
+    const conversation = this.conversations.get(sessionId);
+    const handoff = conversation?.handoffId && this.handoffs.get(conversation.handoffId);
+    return handoff && handoff.status === STATUS.ACTIVE ? this.agents.get(handoff.agentId) : null;
+  }
+
+  getAgentConversation(agentId) {
+    const agent = this.agents.get(agentId);
+    const handoff = agent?.handoffId && this.handoffs.get(agent.handoffId);
+    if (!handoff) {
+      throw new ValidationError('Join a conversation first');
+    }
+    return { agent, handoff, conversation: this.conversations.get(handoff.sessionId) };
+  }
+
+  addLine(conversation, role, text) {
+    conversation.transcript.push({
+      role,
+      text: redactionService.redact(text, conversation.redactionClasses),
+      timestamp: Date.now()
+    });
+    if (conversation.transcript.length > this.handoffConfig.transcriptLines) {
+      conversation.transcript.shift();
+    }
+  }
+
+  /**
+   * Push the tenant's queue to its connected agents
+   */
+  broadcastQueue(tenantId) {
+    const handoffs = this.listHandoffs(tenantId);
+    for (const agent of this.agents.values()) {
+      if (agent.tenantId === tenantId) {
+        agent.channel.sendMessage({ type: 'queue', handoffs, timestamp: Date.now() });
+      }
+    }
+  }
+}
+
+// Singleton instance
+const handoffService = new HandoffService();
+
+module.exports = handoffService;
+module.exports.REASONS = REASONS;
+module.exports.STATUS = STATUS;
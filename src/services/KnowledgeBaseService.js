@@ -4,15 +4,57 @@
  */
 
 const axios = require('axios');
+const crypto = require('crypto');
+const { FieldValue } = require('firebase-admin/firestore');
 const { logger} = require('../utils/logger');
 const firebaseService = require('./firebase');
+const PdfParser = require('./PdfParser');
+const vertexAIService = require('./vertexAI');
+const { SIMPLE_EMBEDDING_MODEL } = require('./vertexAI');
+const tenantService = require('./TenantService');
+const config = require('../config');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+// Caller-chosen document IDs (used as Firestore document IDs)
+const DOCUMENT_ID_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+
+// Firestore allows 500 writes per batch
+const FIRESTORE_BATCH_LIMIT = 400;
+
+// Sent with every fetch so site owners can identify (and robots.txt can address) us
+const USER_AGENT = 'Samvad-Financial-Assistant/1.0';
+
+// BM25 parameters
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
 
 class KnowledgeBaseService {
-  constructor() {
-    this.collection = 'knowledge_base'; // Firestore collection
+  constructor(tenantId = config.tenancy.defaultTenantId) {
+    this.tenantId = tenantId;
+    this.collection = tenantService.collectionName('knowledge_base', tenantId); // Firestore collection
+    this.chunksCollection = tenantService.collectionName('knowledge_chunks', tenantId); // Embedded passages, one per chunk
+    this.versionsCollection = tenantService.collectionName('knowledge_versions', tenantId); // Previous contents of re-imported documents
+    this.refreshesCollection = tenantService.collectionName('knowledge_refreshes', tenantId); // Reports of URL source refreshes
+    this.tenantInstances = new Map(); // tenantId -> KnowledgeBaseService (default instance only)
+    this.refreshTimer = null;
+    this.searchConfig = config.knowledgeBase;
     this.initialized = false;
   }
 
+  /**
+   * Knowledge base scoped to a tenant's collections
+   */
+  forTenant(tenantId) {
+    if (tenantService.isDefault(tenantId)) {
+      return this;
+    }
+
+    if (!this.tenantInstances.has(tenantId)) {
+      this.tenantInstances.set(tenantId, new KnowledgeBaseService(tenantId));
+    }
+    return this.tenantInstances.get(tenantId);
+  }
+
   async initialize() {
     if (this.initialized) return;
 
@@ -26,6 +68,7 @@ class KnowledgeBaseService {
       const count = await this.getDocumentCount();
 
       logger.info('[KnowledgeBase] Service initialized with Firestore', {
+        tenantId: this.tenantId,
         collection: this.collection,
         documentsCount: count
       });
@@ -64,61 +107,88 @@ class KnowledgeBaseService {
       const response = await axios.get(url, {
         timeout: 15000,
         headers: {
-          'User-Agent': 'Samvad-Financial-Assistant/1.0'
-        }
-      });
-
-      // Extract text content
-      const content = this.extractTextFromHtml(response.data);
-
-      // Create document
-      const documentId = `url_${Date.now()}`;
-      const document = {
-        id: documentId,
-        type: 'url',
-        source: url,
-        title: metadata.title || this.extractTitle(response.data) || url,
-        content: content,
-        category: metadata.category || 'general',
-        tags: metadata.tags || [],
-        addedAt: new Date().toISOString(),
-        metadata: {
-          contentLength: content.length,
-          sourceType: 'url',
-          ...metadata
+          'User-Agent': USER_AGENT
         }
-      };
-
-      // Store in Firestore
-      await firebaseService.setDocument(this.collection, documentId, document);
-
-      logger.info('[KnowledgeBase] URL added to Firestore', {
-        id: document.id,
-        url,
-        contentLength: content.length
       });
 
-      return document;
+      return await this.addFromHtml(response.data, url, metadata);
     } catch (error) {
       logger.error('[KnowledgeBase] Failed to add URL:', { url, error: error.message });
       throw new Error(`Failed to fetch URL: ${error.message}`);
     }
   }
 
+  /**
+   * Add document from an already fetched HTML page (used by addFromUrl and the site crawler)
+   */
+  async addFromHtml(html, url, metadata = {}) {
+    if (!this.initialized) await this.initialize();
+
+    // Extract text content
+    const content = this.extractTextFromHtml(html);
+
+    // Create document
+    const documentId = metadata.id || `url_${Date.now()}`;
+    const document = {
+      id: documentId,
+      type: 'url',
+      source: url,
+      title: metadata.title || this.extractTitle(html) || url,
+      content: content,
+      category: metadata.category || 'general',
+      tags: metadata.tags || [],
+      crawlId: metadata.crawlId,
+      addedAt: new Date().toISOString(),
+      metadata: {
+        contentLength: content.length,
+        sourceType: 'url',
+        ...metadata
+      }
+    };
+
+    // Store in Firestore (document + embedded chunks)
+    await this.saveDocument(document);
+
+    logger.info('[KnowledgeBase] URL added to Firestore', {
+      id: document.id,
+      url,
+      crawlId: metadata.crawlId,
+      contentLength: content.length
+    });
+
+    return document;
+  }
+
   /**
    * Add document from PDF (expects base64 content)
+   * metadata.id names the document to update; without it only an identical upload is treated as a re-import
    */
   async addFromPdf(pdfContent, filename, metadata = {}) {
     if (!this.initialized) await this.initialize();
 
+    if (metadata.id !== undefined && !DOCUMENT_ID_PATTERN.test(metadata.id)) {
+      throw new ValidationError('id may only contain letters, digits, _ and - (at most 100)', { id: metadata.id });
+    }
+
     try {
       logger.info('[KnowledgeBase] Processing PDF', { filename });
 
       // Extract text from PDF
-      const text = await this.extractTextFromPdf(pdfContent);
+      const pdf = await this.extractTextFromPdf(pdfContent);
+      const text = pdf.content;
+
+      // Image-only PDFs would be stored as empty documents - reject them so they can be OCR'd first
+      if (pdf.textPages.length === 0) {
+        throw new ValidationError('PDF has no extractable text (scanned or image-only). Run OCR on it and upload again.', {
+          pageCount: pdf.pageCount,
+          scannedPages: pdf.scannedPages,
+          emptyPages: pdf.emptyPages,
+          unreadablePages: pdf.unreadablePages
+        });
+      }
 
       // Create document
-      const documentId = `pdf_${Date.now()}`;
+      const documentId = metadata.id || `pdf_${Date.now()}`;
       const document = {
         id: documentId,
         type: 'pdf',
@@ -128,26 +198,39 @@ class KnowledgeBaseService {
         category: metadata.category || 'document',
         tags: metadata.tags || [],
         addedAt: new Date().toISOString(),
+        pages: pdf.pages,
         metadata: {
           contentLength: text.length,
           sourceType: 'pdf',
           filename,
+          pageCount: pdf.pageCount,
+          tableRows: pdf.tableRows,
+          // Pages without text are flagged so they can be OCR'd and re-uploaded
+          scannedPages: pdf.scannedPages,
+          emptyPages: pdf.emptyPages,
+          unreadablePages: pdf.unreadablePages,
+          needsOcr: pdf.scannedPages.length > 0 || pdf.unreadablePages.length > 0,
           ...metadata
         }
       };
 
-      // Store in Firestore
-      await firebaseService.setDocument(this.collection, documentId, document);
+      // Store in Firestore (document + embedded chunks)
+      await this.saveDocument(document);
 
       logger.info('[KnowledgeBase] PDF added to Firestore', {
         id: document.id,
         filename,
-        contentLength: text.length
+        contentLength: text.length,
+        pageCount: pdf.pageCount,
+        scannedPages: pdf.scannedPages.length
       });
 
       return document;
     } catch (error) {
       logger.error('[KnowledgeBase] Failed to add PDF:', { filename, error: error.message });
+      if (error instanceof ValidationError) {
+        throw error;
+      }
       throw new Error(`Failed to process PDF: ${error.message}`);
     }
   }
@@ -175,8 +258,8 @@ class KnowledgeBaseService {
       }
     };
 
-    // Store in Firestore
-    await firebaseService.setDocument(this.collection, documentId, document);
+    // Store in Firestore (document + embedded chunks)
+    await this.saveDocument(document);
 
     logger.info('[KnowledgeBase] Text document added to Firestore', {
       id: document.id,
@@ -187,77 +270,698 @@ class KnowledgeBaseService {
   }
 
   /**
-   * Search knowledge base with Firestore
-   * Uses field indexing for better performance
+   * Get function declarations for the Live API
    */
-  async search(query, options = {}) {
+  getFunctionDeclarations() {
+    return [
+      {
+        name: 'search_knowledge_base',
+        description: 'Search the documents uploaded by our team (product details, policies, FAQs, government schemes, rates). ALWAYS call this before answering questions about specific products, schemes, eligibility, fees or procedures, and base your answer on the returned passages. If nothing relevant is found, say you are not sure instead of guessing.',
+        parameters: {
+          type: 'object',
+          properties: {
+            query: {
+              type: 'string',
+              description: "Short search query in English with the key terms from the user's question, e.g. 'PM-KISAN eligibility', 'account aggregator consent'"
+            },
+            category: {
+              type: 'string',
+              description: 'Optional document category to restrict the search, e.g. faqs, loans, schemes'
+            }
+          },
+          required: ['query']
+        }
+      }
+    ];
+  }
+
+  /**
+   * Register knowledge base tools with a ToolRegistry
+   */
+  registerTools(registry) {
+    const [searchDeclaration] = this.getFunctionDeclarations();
+
+    registry.register(searchDeclaration, async (args, context = {}) => {
+      const knowledgeBase = this.forTenant(context.tenantId);
+      const { context: passages, citations } = await knowledgeBase.getContextWithCitations(args.query || '', {
+        maxResults: 3,
+        maxLength: 2000,
+        category: args.category
+      });
+
+      if (citations.length === 0) {
+        return {
+          found: false,
+          result: 'No matching documents in the knowledge base. Answer from general knowledge and say you are not certain.'
+        };
+      }
+
+      return {
+        found: true,
+        passages,
+        citations
+      };
+    });
+  }
+
+  /**
+   * Store a document and index its chunks for semantic search
+   * Re-imports (same id, or same URL/PDF source) update the existing document: unchanged content
+   * is left as is, changed content bumps the version and keeps the previous content in the version history
+   */
+  async saveDocument(document) {
+    document.contentHash = this.hashContent(document.content);
+
+    const existing = await this.findExisting(document);
+    const now = new Date().toISOString();
+
+    if (existing) {
+      document.id = existing.id;
+      document.addedAt = existing.addedAt || document.addedAt;
+
+      if ((existing.contentHash || this.hashContent(existing.content || '')) === document.contentHash) {
+        await firebaseService.updateDocument(this.collection, existing.id, { lastFetchedAt: now });
+
+        Object.assign(document, {
+          version: existing.version || 1,
+          updatedAt: existing.updatedAt || existing.addedAt,
+          chunkIds: existing.chunkIds || [],
+          chunkCount: existing.chunkCount || 0,
+          embeddingModel: existing.embeddingModel,
+          changed: false
+        });
+
+        logger.info('[KnowledgeBase] Re-import unchanged', { id: existing.id, version: document.version });
+        return document;
+      }
+
+      await this.saveVersion(existing, now);
+      document.version = (existing.version || 1) + 1;
+    } else {
+      document.version = 1;
+    }
+
+    document.updatedAt = now;
+    document.lastFetchedAt = now;
+
+    const { changed, ...stored } = document;
+    await firebaseService.setDocument(this.collection, document.id, stored);
+
+    const index = await this.indexDocument(document);
+    document.chunkIds = index.chunkIds;
+    document.chunkCount = index.chunkIds.length;
+    document.embeddingModel = index.embeddingModel;
+    document.changed = true;
+
+    if (existing) {
+      logger.info('[KnowledgeBase] Document updated to new version', { id: document.id, version: document.version });
+    }
+
+    return document;
+  }
+
+  /**
+   * Existing document for a re-import: same id, else same source for URLs and same content for PDFs
+   * (filenames are not unique - two different "brochure.pdf" uploads are two documents)
+   */
+  async findExisting(document) {
+    const byId = await firebaseService.getDocument(this.collection, document.id);
+    if (byId) {
+      if (byId.type !== document.type) {
+        throw new ValidationError(`Document ${document.id} is a ${byId.type} document`, { id: document.id });
+      }
+      return byId;
+    }
+
+    if (document.type !== 'url' && document.type !== 'pdf') {
+      return null;
+    }
+
+    const matches = await firebaseService.queryCollection(this.collection, [
+      document.type === 'url'
+        ? { field: 'source', operator: '==', value: document.source }
+        : { field: 'contentHash', operator: '==', value: document.contentHash },
+      { field: 'type', operator: '==', value: document.type }
+    ], null, 1);
+
+    return matches[0] || null;
+  }
+
+  hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  /**
+   * Keep the current content of a document in its version history
+   */
+  async saveVersion(existing, replacedAt) {
+    const version = existing.version || 1;
+
+    await firebaseService.setDocument(this.versionsCollection, `${existing.id}_v${version}`, {
+      documentId: existing.id,
+      version,
+      title: existing.title,
+      source: existing.source,
+      content: existing.content,
+      contentHash: existing.contentHash || this.hashContent(existing.content || ''),
+      pages: existing.pages,
+      metadata: existing.metadata || {},
+      savedAt: existing.updatedAt || existing.addedAt,
+      replacedAt
+    });
+  }
+
+  /**
+   * Version history of a document, newest first (previous contents are not included)
+   */
+  async getVersions(id) {
     if (!this.initialized) await this.initialize();
 
-    const maxResults = options.maxResults || 3;
-    const queryLower = query.toLowerCase();
-    const keywords = queryLower.split(/\s+/).filter(w => w.length > 2);
+    const current = await firebaseService.getDocument(this.collection, id);
+    if (!current) {
+      throw new NotFoundError(`Document ${id}`);
+    }
 
-    try {
-      // Get all documents (with optional category filter)
-      let firestoreQuery = firebaseService.firestore.collection(this.collection);
+    const versions = await firebaseService.queryCollection(this.versionsCollection, [
+      { field: 'documentId', operator: '==', value: id }
+    ]);
+
+    return {
+      documentId: id,
+      currentVersion: current.version || 1,
+      versions: [
+        {
+          version: current.version || 1,
+          current: true,
+          title: current.title,
+          source: current.source,
+          contentHash: current.contentHash,
+          contentLength: (current.content || '').length,
+          savedAt: current.updatedAt || current.addedAt
+        },
+        ...versions
+          .sort((a, b) => b.version - a.version)
+          .map(version => ({
+            version: version.version,
+            current: false,
+            title: version.title,
+            source: version.source,
+            contentHash: version.contentHash,
+            contentLength: (version.content || '').length,
+            savedAt: version.savedAt,
+            replacedAt: version.replacedAt
+          }))
+      ]
+    };
+  }
 
-      if (options.category) {
-        firestoreQuery = firestoreQuery.where('category', '==', options.category);
+  /**
+   * Restore the content of an earlier version (stored as a new version, so the revert can itself be undone)
+   */
+  async revertToVersion(id, version) {
+    if (!this.initialized) await this.initialize();
+
+    const current = await firebaseService.getDocument(this.collection, id);
+    if (!current) {
+      throw new NotFoundError(`Document ${id}`);
+    }
+
+    const target = await firebaseService.getDocument(this.versionsCollection, `${id}_v${version}`);
+    if (!target) {
+      throw new NotFoundError(`Version ${version} of document ${id}`);
+    }
+
+    const { chunkIds, chunkCount, embeddingModel, ...rest } = current;
+    const document = await this.saveDocument({
+      ...rest,
+      title: target.title,
+      content: target.content,
+      pages: target.pages,
+      metadata: {
+        ...target.metadata,
+        contentLength: target.content.length,
+        revertedFrom: version
       }
+    });
 
-      const snapshot = await firestoreQuery.get();
-      const documents = [];
+    logger.info('[KnowledgeBase] Document reverted', { id, revertedFrom: version, version: document.version });
+    return document;
+  }
 
-      snapshot.forEach(doc => {
-        documents.push({ id: doc.id, ...doc.data() });
-      });
+  /**
+   * Re-fetch every URL document and report which ones changed
+   */
+  async refreshUrlSources(options = {}) {
+    if (!this.initialized) await this.initialize();
 
-      // Score each document
-      const scored = documents.map(doc => {
-        const titleLower = (doc.title || '').toLowerCase();
-        const contentLower = (doc.content || '').toLowerCase();
-        const tagsLower = (doc.tags || []).join(' ').toLowerCase();
+    const conditions = [{ field: 'type', operator: '==', value: 'url' }];
+    if (options.category) {
+      conditions.push({ field: 'category', operator: '==', value: options.category });
+    }
+    const documents = await firebaseService.queryCollection(this.collection, conditions);
+
+    const report = {
+      id: `refresh_${Date.now()}`,
+      trigger: options.trigger || 'manual',
+      startedAt: new Date().toISOString(),
+      checked: 0,
+      unchanged: 0,
+      changed: [],
+      failed: []
+    };
 
-        let score = 0;
+    for (const existing of documents) {
+      report.checked++;
 
-        // Title match (highest weight)
-        keywords.forEach(keyword => {
-          if (titleLower.includes(keyword)) score += 10;
+      try {
+        const response = await axios.get(existing.source, {
+          timeout: 15000,
+          headers: { 'User-Agent': USER_AGENT }
         });
 
-        // Tag match
-        keywords.forEach(keyword => {
-          if (tagsLower.includes(keyword)) score += 5;
+        // Derived metadata is recomputed from the new content
+        const { contentLength, sourceType, ...metadata } = existing.metadata || {};
+        const document = await this.addFromHtml(response.data, existing.source, {
+          ...metadata,
+          id: existing.id,
+          category: existing.category,
+          tags: existing.tags,
+          crawlId: existing.crawlId
         });
 
-        // Content match
-        keywords.forEach(keyword => {
-          const matches = (contentLower.match(new RegExp(keyword, 'g')) || []).length;
-          score += matches * 0.5;
-        });
+        if (document.changed) {
+          report.changed.push({
+            id: document.id,
+            source: document.source,
+            title: document.title,
+            version: document.version
+          });
+        } else {
+          report.unchanged++;
+        }
+      } catch (error) {
+        report.failed.push({ id: existing.id, source: existing.source, error: error.message });
+        logger.warn('[KnowledgeBase] Refresh failed for document', { id: existing.id, error: error.message });
+      }
+    }
+
+    report.completedAt = new Date().toISOString();
+    await firebaseService.setDocument(this.refreshesCollection, report.id, report);
+
+    logger.info('[KnowledgeBase] URL sources refreshed', {
+      reportId: report.id,
+      checked: report.checked,
+      changed: report.changed.length,
+      failed: report.failed.length
+    });
+
+    return report;
+  }
+
+  /**
+   * Most recent refresh reports, newest first
+   */
+  async getRefreshReports(limit = 10) {
+    if (!this.initialized) await this.initialize();
 
-        // Category match bonus
-        if (options.category && doc.category === options.category) {
-          score += 3;
+    return firebaseService.queryCollection(this.refreshesCollection, [], { field: 'startedAt', direction: 'desc' }, limit);
+  }
+
+  /**
+   * Refresh every tenant's URL sources every refreshInterval seconds (disabled when 0)
+   */
+  startScheduledRefresh() {
+    const interval = this.searchConfig.refreshInterval;
+    if (!interval || this.refreshTimer) {
+      return;
+    }
+
+    this.refreshTimer = setInterval(async () => {
+      try {
+        const tenants = await tenantService.listTenants();
+        for (const tenant of tenants) {
+          await this.forTenant(tenant.id).refreshUrlSources({ trigger: 'scheduled' }).catch(error => {
+            logger.error('[KnowledgeBase] Scheduled refresh failed:', { tenantId: tenant.id, error: error.message });
+          });
         }
+      } catch (error) {
+        logger.error('[KnowledgeBase] Scheduled refresh failed:', error);
+      }
+    }, interval * 1000);
 
-        return { doc, score };
+    logger.info('[KnowledgeBase] Scheduled URL refresh enabled', { intervalSeconds: interval });
+  }
+
+  /**
+   * Chunk a document, embed every chunk and store the chunks alongside the document
+   * Replaces any chunks from a previous version of the document
+   */
+  async indexDocument(document) {
+    await this.deleteChunks(document.id);
+
+    const chunks = this.chunkText(document.content || '');
+    if (chunks.length === 0) {
+      await firebaseService.updateDocument(this.collection, document.id, {
+        chunkIds: [],
+        chunkCount: 0
+      });
+      return { chunkIds: [], embeddingModel: null };
+    }
+
+    // Title and section heading are embedded with each chunk so passages keep their document context
+    const embeddings = await vertexAIService.generateEmbeddings(
+      chunks.map(chunk => [document.title, chunk.heading, chunk.text].filter(Boolean).join('\n')),
+      'document'
+    );
+
+    const rows = chunks.map((chunk, i) => ({
+      id: `${document.id}_chunk_${i}`,
+      documentId: document.id,
+      title: document.title,
+      category: document.category,
+      type: document.type,
+      source: document.source,
+      tags: document.tags || [],
+      chunkIndex: i,
+      heading: chunk.heading,
+      text: chunk.text,
+      startOffset: chunk.startOffset,
+      endOffset: chunk.endOffset,
+      ...this.getPageRange(document.pages, chunk.startOffset, chunk.endOffset),
+      embedding: FieldValue.vector(embeddings[i].embedding),
+      embeddingModel: embeddings[i].model,
+      addedAt: document.addedAt
+    }));
+
+    for (let i = 0; i < rows.length; i += FIRESTORE_BATCH_LIMIT) {
+      const batch = firebaseService.firestore.batch();
+      for (const row of rows.slice(i, i + FIRESTORE_BATCH_LIMIT)) {
+        batch.set(firebaseService.firestore.collection(this.chunksCollection).doc(row.id), row);
+      }
+      await batch.commit();
+    }
+
+    const chunkIds = rows.map(row => row.id);
+    const embeddingModel = embeddings[0].model;
+    await firebaseService.updateDocument(this.collection, document.id, {
+      chunkIds,
+      chunkCount: chunkIds.length,
+      embeddingModel
+    });
+
+    logger.info('[KnowledgeBase] Document indexed', {
+      id: document.id,
+      chunkCount: rows.length,
+      embeddingModel
+    });
+
+    return { chunkIds, embeddingModel };
+  }
+
+  /**
+   * Re-index every document (backfills documents stored before chunking, or after an embedding model change)
+   */
+  async reindexAll() {
+    if (!this.initialized) await this.initialize();
+
+    const snapshot = await firebaseService.firestore.collection(this.collection).get();
+    const results = { documents: 0, chunks: 0, failed: [] };
+
+    for (const doc of snapshot.docs) {
+      try {
+        const index = await this.indexDocument({ id: doc.id, ...doc.data() });
+        results.documents++;
+        results.chunks += index.chunkIds.length;
+      } catch (error) {
+        logger.error('[KnowledgeBase] Re-index failed:', { id: doc.id, error: error.message });
+        results.failed.push(doc.id);
+      }
+    }
+
+    logger.info('[KnowledgeBase] Re-index completed', results);
+    return results;
+  }
+
+  /**
+   * First and last PDF page a chunk spans (empty for documents without pages)
+   */
+  getPageRange(pages, startOffset, endOffset) {
+    const spanned = (pages || []).filter(page =>
+      page.status === 'text' && page.startOffset < endOffset && page.endOffset > startOffset);
+
+    if (spanned.length === 0) {
+      return {};
+    }
+
+    return {
+      pageStart: spanned[0].pageNumber,
+      pageEnd: spanned[spanned.length - 1].pageNumber
+    };
+  }
+
+  /**
+   * Delete all chunks of a document
+   */
+  async deleteChunks(documentId) {
+    const snapshot = await firebaseService.firestore
+      .collection(this.chunksCollection)
+      .where('documentId', '==', documentId)
+      .get();
+
+    await this.deleteInBatches(snapshot.docs);
+    return snapshot.size;
+  }
+
+  /**
+   * Delete Firestore document snapshots in batches
+   */
+  async deleteInBatches(docs) {
+    for (let i = 0; i < docs.length; i += FIRESTORE_BATCH_LIMIT) {
+      const batch = firebaseService.firestore.batch();
+      docs.slice(i, i + FIRESTORE_BATCH_LIMIT).forEach(doc => batch.delete(doc.ref));
+      await batch.commit();
+    }
+  }
+
+  /**
+   * Split text into overlapping chunks of roughly chunkSize characters
+   * Chunks never cross a section heading and prefer to end on a paragraph break.
+   * Offsets index into the original text so passages can be cited exactly.
+   */
+  chunkText(text) {
+    const { chunkSize, chunkOverlap } = this.searchConfig;
+    const spans = this.segmentText(text);
+    const chunks = [];
+
+    let current = [];
+    let heading = null;
+
+    const flush = (keepOverlap) => {
+      if (current.length === 0) return;
+      const body = current.filter(span => !span.isHeading);
+
+      const startOffset = current[0].start;
+      const endOffset = current[current.length - 1].end;
+      chunks.push({
+        text: text.slice(startOffset, endOffset),
+        heading,
+        startOffset,
+        endOffset
+      });
+
+      // Carry the trailing sentences into the next chunk for context continuity
+      const overlap = [];
+      let overlapLength = 0;
+      for (let i = body.length - 1; keepOverlap && i > 0; i--) {
+        const spanLength = body[i].end - body[i].start;
+        if (overlapLength + spanLength > chunkOverlap) break;
+        overlap.unshift(body[i]);
+        overlapLength += spanLength;
+      }
+      current = overlap;
+    };
+
+    for (const span of spans) {
+      if (span.isHeading) {
+        // Consecutive headings (e.g. chapter then section) stay together with the following text
+        if (current.some(item => !item.isHeading)) {
+          flush(false);
+        }
+        heading = text.slice(span.start, span.end).replace(/^#+\s*/, '');
+        current.push(span);
+        continue;
+      }
+
+      if (current.length > 0) {
+        const currentLength = current[current.length - 1].end - current[0].start;
+        const withSpan = span.end - current[0].start;
+        // Break when full, or early on a paragraph boundary once the chunk is reasonably sized
+        if (withSpan > chunkSize || (span.paragraphStart && currentLength > chunkSize * 0.6)) {
+          flush(true);
+        }
+      }
+
+      current.push(span);
+    }
+
+    flush(false);
+    return chunks;
+  }
+
+  /**
+   * Split text into heading and sentence spans with character offsets
+   * Sentences longer than chunkSize are hard-split on whitespace
+   */
+  segmentText(text) {
+    const { chunkSize } = this.searchConfig;
+    const spans = [];
+    let previousEnd = 0;
+
+    for (const line of text.matchAll(/[^\n]+/g)) {
+      const lineText = line[0];
+      if (!lineText.trim()) continue;
+
+      // A blank line (or the start of the text) before this line starts a new paragraph
+      const paragraphStart = spans.length === 0 || /\n\s*\n/.test(text.slice(previousEnd, line.index));
+
+      if (this.isHeading(lineText)) {
+        const start = line.index + lineText.search(/\S/);
+        spans.push({ start, end: line.index + lineText.trimEnd().length, isHeading: true, paragraphStart: true });
+        previousEnd = line.index + lineText.length;
+        continue;
+      }
+
+      let firstInLine = true;
+      for (const sentence of lineText.matchAll(/[^.!?।]+[.!?।]*/g)) {
+        const leading = sentence[0].search(/\S/);
+        if (leading === -1) continue;
+
+        let start = line.index + sentence.index + leading;
+        const end = line.index + sentence.index + sentence[0].trimEnd().length;
+
+        while (end - start > chunkSize) {
+          const window = text.slice(start, start + chunkSize);
+          const cut = window.lastIndexOf(' ') > chunkSize / 2 ? window.lastIndexOf(' ') : chunkSize;
+          spans.push({ start, end: start + cut, isHeading: false, paragraphStart: paragraphStart && firstInLine });
+          firstInLine = false;
+          start += cut;
+          while (/\s/.test(text[start])) start++;
+        }
+
+        spans.push({ start, end, isHeading: false, paragraphStart: paragraphStart && firstInLine });
+        firstInLine = false;
+      }
+
+      previousEnd = line.index + lineText.length;
+    }
+
+    return spans;
+  }
+
+  /**
+   * Heuristic heading detection: markdown headings, numbered section titles and short all-caps lines
+   */
+  isHeading(line) {
+    const trimmed = line.trim();
+    if (/^#{1,6}\s+\S/.test(trimmed)) return true;
+    if (trimmed.length > 80 || /[.,;:!?।]$/.test(trimmed)) return false;
+    if (/^(\d+(\.\d+)*\.?|[IVX]+\.)\s+\p{Lu}/u.test(trimmed)) return true;
+    // All-caps line of at most 8 words (only cased scripts, so table rows and Indic text do not match)
+    return /^[\p{Lu}\p{N}\s&'’()\/-]+$/u.test(trimmed) &&
+      (trimmed.match(/\p{Lu}/gu) || []).length >= 3 &&
+      trimmed.split(/\s+/).length <= 8;
+  }
+
+  /**
+   * Short excerpt of a passage around the first query term it contains
+   */
+  buildSnippet(passage, query) {
+    const { snippetLength } = this.searchConfig;
+    if (passage.length <= snippetLength) {
+      return passage;
+    }
+
+    const lower = passage.toLowerCase();
+    const positions = this.tokenize(query)
+      .map(term => lower.indexOf(term))
+      .filter(position => position !== -1);
+    const anchor = positions.length > 0 ? Math.min(...positions) : 0;
+
+    let start = Math.max(0, anchor - Math.floor(snippetLength / 3));
+    const end = Math.min(passage.length, start + snippetLength);
+    start = Math.max(0, end - snippetLength);
+
+    return `${start > 0 ? '…' : ''}${passage.slice(start, end).trim()}${end < passage.length ? '…' : ''}`;
+  }
+
+  /**
+   * Hybrid semantic search over document chunks
+   * Nearest chunks by embedding (cosine) are re-ranked together with BM25 keyword scores
+   */
+  async search(query, options = {}) {
+    if (!this.initialized) await this.initialize();
+
+    const maxResults = options.maxResults || 3;
+
+    try {
+      const queryEmbedding = await vertexAIService.generateEmbedding(query, 'query');
+      const candidates = await this.findCandidateChunks(queryEmbedding, options);
+
+      if (candidates.length === 0) {
+        return [];
+      }
+
+      // Chunks embedded by the offline fallback are compared against an offline query vector
+      let simpleQueryEmbedding = null;
+      const semanticScores = candidates.map(chunk => {
+        let queryVector = queryEmbedding.embedding;
+        if (chunk.embeddingModel !== queryEmbedding.model) {
+          if (chunk.embeddingModel !== SIMPLE_EMBEDDING_MODEL) {
+            return 0;
+          }
+          simpleQueryEmbedding = simpleQueryEmbedding || vertexAIService.generateSimpleEmbeddings([query], 'query')[0];
+          queryVector = simpleQueryEmbedding.embedding;
+        }
+        return Math.max(0, vertexAIService.calculateSimilarity(queryVector, chunk.embedding));
       });
 
-      // Filter and sort
-      const results = scored
-        .filter(item => item.score > 0)
-        .sort((a, b) => b.score - a.score)
-        .slice(0, maxResults)
-        .map(item => ({
-          ...item.doc,
-          relevanceScore: item.score
-        }));
-
-      logger.info('[KnowledgeBase] Firestore search completed', {
+      const keywordScores = this.scoreBm25(query, candidates.map(chunk => `${chunk.title} ${chunk.text}`));
+      const maxKeywordScore = Math.max(...keywordScores);
+      const semanticWeight = this.searchConfig.semanticWeight;
+
+      const results = candidates
+        .map((chunk, i) => {
+          const keywordScore = maxKeywordScore > 0 ? keywordScores[i] / maxKeywordScore : 0;
+          const relevanceScore = semanticWeight * semanticScores[i] + (1 - semanticWeight) * keywordScore;
+          const { embedding, ...passage } = chunk;
+          return {
+            ...passage,
+            snippet: this.buildSnippet(chunk.text, query),
+            citation: {
+              chunkId: chunk.id,
+              documentId: chunk.documentId,
+              title: chunk.title,
+              heading: chunk.heading || null,
+              source: chunk.source,
+              startOffset: chunk.startOffset,
+              endOffset: chunk.endOffset,
+              pageStart: chunk.pageStart || null,
+              pageEnd: chunk.pageEnd || null
+            },
+            semanticScore: Number(semanticScores[i].toFixed(4)),
+            keywordScore: Number(keywordScore.toFixed(4)),
+            relevanceScore: Number(relevanceScore.toFixed(4))
+          };
+        })
+        .filter(result => result.relevanceScore >= this.searchConfig.minScore)
+        .sort((a, b) => b.relevanceScore - a.relevanceScore)
+        .slice(0, maxResults);
+
+      logger.info('[KnowledgeBase] Hybrid search completed', {
         query: query.substring(0, 50),
-        totalDocuments: documents.length,
-        resultCount: results.length
+        embeddingModel: queryEmbedding.model,
+        candidates: candidates.length,
+        chunkIds: results.map(result => result.id)
       });
 
       return results;
@@ -267,43 +971,141 @@ class KnowledgeBaseService {
     }
   }
 
+  /**
+   * Nearest chunks by vector distance (Firestore vector index)
+   * Falls back to scanning all chunks when the vector index is not available
+   */
+  async findCandidateChunks(queryEmbedding, options = {}) {
+    let chunksQuery = firebaseService.firestore.collection(this.chunksCollection);
+
+    if (options.category) {
+      chunksQuery = chunksQuery.where('category', '==', options.category);
+    }
+
+    let docs;
+    try {
+      const snapshot = await chunksQuery
+        .findNearest({
+          vectorField: 'embedding',
+          queryVector: queryEmbedding.embedding,
+          limit: this.searchConfig.candidateLimit,
+          distanceMeasure: 'COSINE'
+        })
+        .get();
+      docs = snapshot.docs;
+    } catch (error) {
+      logger.warn('[KnowledgeBase] Vector query unavailable, scanning chunks', { error: error.message });
+      const snapshot = await chunksQuery.get();
+      docs = snapshot.docs;
+    }
+
+    return docs.map(doc => {
+      const data = doc.data();
+      return {
+        id: doc.id,
+        ...data,
+        embedding: typeof data.embedding?.toArray === 'function' ? data.embedding.toArray() : data.embedding
+      };
+    });
+  }
+
+  /**
+   * Tokenize text for keyword scoring (Unicode-aware, works for Indic scripts)
+   */
+  tokenize(text) {
+    return (text.toLowerCase().match(/[\p{L}\p{M}\p{N}]+/gu) || []).filter(token => token.length > 1);
+  }
+
+  /**
+   * BM25 score of the query against each text, with document frequencies taken from the given texts
+   */
+  scoreBm25(query, texts) {
+    const queryTerms = [...new Set(this.tokenize(query))];
+    const documents = texts.map(text => this.tokenize(text));
+    const averageLength = documents.reduce((sum, tokens) => sum + tokens.length, 0) / (documents.length || 1);
+
+    const documentFrequency = {};
+    for (const term of queryTerms) {
+      documentFrequency[term] = documents.filter(tokens => tokens.includes(term)).length;
+    }
+
+    return documents.map(tokens => {
+      const termCounts = {};
+      for (const token of tokens) {
+        termCounts[token] = (termCounts[token] || 0) + 1;
+      }
+
+      return queryTerms.reduce((score, term) => {
+        const frequency = termCounts[term] || 0;
+        if (frequency === 0) return score;
+
+        const idf = Math.log(1 + (documents.length - documentFrequency[term] + 0.5) / (documentFrequency[term] + 0.5));
+        const norm = frequency + BM25_K1 * (1 - BM25_B + BM25_B * tokens.length / (averageLength || 1));
+        return score + idf * (frequency * (BM25_K1 + 1)) / norm;
+      }, 0);
+    });
+  }
+
   /**
    * Get context for Gemini Live
-   * Searches and formats relevant documents
+   * Searches and formats the most relevant passages
    */
   async getContextForQuery(query, maxLength = 3000) {
-    const results = await this.search(query, { maxResults: 3 });
+    const { context } = await this.getContextWithCitations(query, { maxLength });
+    return context;
+  }
+
+  /**
+   * Get numbered passages for a query together with their citations
+   * Passage [n] in the context corresponds to citations[n - 1], so answers and traces can name the exact source
+   */
+  async getContextWithCitations(query, options = {}) {
+    const maxLength = options.maxLength || 3000;
+    const results = await this.search(query, {
+      maxResults: options.maxResults || 5,
+      category: options.category
+    });
 
     if (results.length === 0) {
-      return '';
+      return { context: '', citations: [] };
     }
 
-    let context = '\n📚 RELEVANT KNOWLEDGE BASE DOCUMENTS:\n\n';
-    let currentLength = context.length;
+    let context = '\n📚 RELEVANT KNOWLEDGE BASE PASSAGES (cite as [n]):\n\n';
+    const citations = [];
 
-    for (const doc of results) {
-      const docText = `📄 ${doc.title}\n${doc.content}\n\n`;
+    for (const passage of results) {
+      const label = `[${citations.length + 1}]`;
+      const page = passage.pageStart
+        ? ` (p. ${passage.pageStart}${passage.pageEnd !== passage.pageStart ? `-${passage.pageEnd}` : ''})`
+        : '';
+      const header = `${label} 📄 ${passage.title}${passage.heading ? ` › ${passage.heading}` : ''}${page}\n`;
+      let passageText = `${header}${passage.text}\n\n`;
 
-      if (currentLength + docText.length > maxLength) {
+      if (context.length + passageText.length > maxLength) {
         // Truncate to fit
-        const available = maxLength - currentLength;
-        if (available > 200) {
-          context += `📄 ${doc.title}\n${doc.content.substring(0, available - 100)}...\n\n`;
-        }
-        break;
+        const available = maxLength - context.length - header.length;
+        if (available <= 200) break;
+        passageText = `${header}${passage.text.substring(0, available - 100)}...\n\n`;
       }
 
-      context += docText;
-      currentLength += docText.length;
+      context += passageText;
+      citations.push({
+        label,
+        ...passage.citation,
+        relevanceScore: passage.relevanceScore
+      });
+
+      if (passageText.endsWith('...\n\n')) break;
     }
 
     logger.info('[KnowledgeBase] Context generated from Firestore', {
       query: query.substring(0, 50),
-      documentsUsed: results.length,
+      passagesUsed: citations.length,
+      chunkIds: citations.map(citation => citation.chunkId),
       contextLength: context.length
     });
 
-    return context;
+    return { context, citations };
   }
 
   /**
@@ -328,7 +1130,8 @@ class KnowledgeBaseService {
           category: data.category,
           tags: data.tags,
           addedAt: data.addedAt,
-          contentLength: data.content ? data.content.length : 0
+          contentLength: data.content ? data.content.length : 0,
+          chunkCount: data.chunkCount || 0
         });
       });
 
@@ -365,8 +1168,14 @@ class KnowledgeBaseService {
     if (!this.initialized) await this.initialize();
 
     try {
+      const chunksDeleted = await this.deleteChunks(id);
+      const versions = await firebaseService.firestore
+        .collection(this.versionsCollection)
+        .where('documentId', '==', id)
+        .get();
+      await this.deleteInBatches(versions.docs);
       await firebaseService.deleteDocument(this.collection, id);
-      logger.info('[KnowledgeBase] Document deleted from Firestore', { id });
+      logger.info('[KnowledgeBase] Document deleted from Firestore', { id, chunksDeleted });
       return true;
     } catch (error) {
       logger.error('[KnowledgeBase] Failed to delete document:', { id, error });
@@ -386,16 +1195,22 @@ class KnowledgeBaseService {
         .collection(this.collection)
         .get();
 
-      // Delete in batch
-      const batch = firebaseService.firestore.batch();
-      snapshot.docs.forEach(doc => {
-        batch.delete(doc.ref);
-      });
+      const chunksSnapshot = await firebaseService.firestore
+        .collection(this.chunksCollection)
+        .get();
 
-      await batch.commit();
+      const versionsSnapshot = await firebaseService.firestore
+        .collection(this.versionsCollection)
+        .get();
+
+      // Delete in batches
+      await this.deleteInBatches(versionsSnapshot.docs);
+      await this.deleteInBatches(chunksSnapshot.docs);
+      await this.deleteInBatches(snapshot.docs);
 
       logger.info('[KnowledgeBase] All documents cleared from Firestore', {
-        count: snapshot.size
+        count: snapshot.size,
+        chunks: chunksSnapshot.size
       });
     } catch (error) {
       logger.error('[KnowledgeBase] Failed to clear all documents:', error);
@@ -412,13 +1227,22 @@ class KnowledgeBaseService {
       .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '')
       .replace(/<style\b[^<]*(?:(?!<\/style>)<[^<]*)*<\/style>/gi, '');
 
+    // Keep headings and block boundaries as lines so documents can be chunked by section
+    text = text
+      .replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi, (match, level, heading) =>
+        `\n\n${'#'.repeat(Number(level))} ${heading.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim()}\n\n`)
+      .replace(/<\/(p|div|section|article|li|tr|table|ul|ol|blockquote)>/gi, '\n\n')
+      .replace(/<br\s*\/?>/gi, '\n');
+
     // Remove HTML tags
     text = text.replace(/<[^>]+>/g, ' ');
 
     // Clean up whitespace
     text = text
       .replace(/&nbsp;/g, ' ')
-      .replace(/\s+/g, ' ')
+      .replace(/[^\S\n]+/g, ' ')
+      .replace(/ *\n */g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
       .trim();
 
     return text;
@@ -433,22 +1257,26 @@ class KnowledgeBaseService {
   }
 
   /**
-   * Extract text from PDF
-   * NOTE: This is a placeholder - in production, use pdf-parse or Document AI
+   * Extract text from PDF (base64) with per-page status and offsets into the combined text
    */
   async extractTextFromPdf(pdfContent) {
-    logger.warn('[KnowledgeBase] PDF parsing not fully implemented - install pdf-parse package');
-
-    // Placeholder implementation
-    return "PDF content extraction requires pdf-parse package or Google Document AI. Please use plain text or URLs for now.";
+    const parsed = PdfParser.parse(Buffer.from(pdfContent, 'base64'));
+
+    // Page texts are joined with blank lines; each page keeps its offsets so chunks can cite page numbers
+    let content = '';
+    const pages = parsed.pages.map(page => {
+      if (page.text && content) content += '\n\n';
+      const startOffset = content.length;
+      content += page.text;
+      return {
+        pageNumber: page.pageNumber,
+        status: page.status,
+        startOffset,
+        endOffset: content.length
+      };
+    });
 
-    /*
-    // Production implementation would be:
-    const pdfParse = require('pdf-parse');
-    const buffer = Buffer.from(pdfContent, 'base64');
-    const data = await pdfParse(buffer);
-    return data.text;
-    */
+    return { ...parsed, content, pages };
   }
 }
 
@@ -456,3 +1284,4 @@ class KnowledgeBaseService {
 const knowledgeBaseService = new KnowledgeBaseService();
 
 module.exports = knowledgeBaseService;
+module.exports.USER_AGENT = USER_AGENT;
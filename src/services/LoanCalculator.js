@@ -0,0 +1,390 @@
+/**
+ * Loan Calculator
+ * Deterministic loan math (EMI, interest, amortization, affordability)
+ * Exposed as a Live API tool and REST endpoints so spoken answers use exact numbers
+ */
+
+const { logger } = require('../utils/logger');
+const { ValidationError } = require('../utils/errors');
+const ConversationManager = require('./ConversationManager');
+
+// Indicative annual interest rates (%) used when the user does not mention a rate
+const DEFAULT_RATES = {
+  home: 8.5,
+  auto: 9.5,
+  education: 10.0,
+  personal_two_wheeler: 11.0,
+  personal_medical: 12.0,
+  personal: 12.0
+};
+
+// Multipliers of the units in spoken amounts ('' is a plain number)
+const AMOUNT_UNITS = {
+  '': 1,
+  k: 1_000,
+  thousand: 1_000,
+  thousands: 1_000,
+  l: 100_000,
+  lakh: 100_000,
+  lakhs: 100_000,
+  lac: 100_000,
+  lacs: 100_000,
+  cr: 10_000_000,
+  crore: 10_000_000,
+  crores: 10_000_000
+};
+
+// One number with an optional unit, then an optional "and" before the next part
+const AMOUNT_PART = /^(\d+(?:\.\d+)?)\s*(crores?|cr|lakhs?|lacs?|l|thousands?|k)?(?![a-z\d.])\s*(?:(?:and|&|\+)\s*)?/;
+
+// Maximum share of monthly income that can go to EMIs (fixed obligation to income ratio)
+const DEFAULT_FOIR = 0.5;
+
+class LoanCalculator {
+  /**
+   * Get function declarations for the Live API
+   */
+  static getFunctionDeclarations() {
+    return [
+      {
+        name: 'calculate_loan_emi',
+        description: 'Calculate the exact monthly EMI, total interest and total repayment for a loan. ALWAYS call this instead of estimating EMI or interest yourself. Speak the returned numbers exactly.',
+        parameters: {
+          type: 'object',
+          properties: {
+            principal: {
+              type: 'string',
+              description: "Loan amount as the user said it, e.g. '500000', '5 lakh', 'Rs 2.5 lakh', '1 lakh 50 thousand', '1.2cr', '50k'. One amount, not a range."
+            },
+            tenure_months: {
+              type: 'number',
+              description: 'Loan tenure in months. Convert years to months (3 years = 36).'
+            },
+            annual_interest_rate: {
+              type: 'number',
+              description: 'Annual interest rate in percent, e.g. 10.5. Omit if the user did not mention one.'
+            },
+            purpose: {
+              type: 'string',
+              description: "What the loan is for, e.g. 'house', 'bike', 'college fees'. Used to pick a typical rate."
+            }
+          },
+          required: ['principal', 'tenure_months']
+        }
+      },
+      {
+        name: 'check_loan_affordability',
+        description: 'Calculate the maximum loan amount a user can afford from their monthly income, existing EMIs, tenure and interest rate. ALWAYS call this instead of guessing how much loan someone can get.',
+        parameters: {
+          type: 'object',
+          properties: {
+            monthly_income: {
+              type: 'string',
+              description: "Monthly income as the user said it, e.g. '40000', '40k', '1 lakh'"
+            },
+            tenure_months: {
+              type: 'number',
+              description: 'Desired loan tenure in months'
+            },
+            existing_emi: {
+              type: 'string',
+              description: 'Total EMIs the user already pays every month, if mentioned'
+            },
+            annual_interest_rate: {
+              type: 'number',
+              description: 'Annual interest rate in percent. Omit if not mentioned.'
+            },
+            purpose: {
+              type: 'string',
+              description: 'What the loan is for. Used to pick a typical rate.'
+            }
+          },
+          required: ['monthly_income', 'tenure_months']
+        }
+      }
+    ];
+  }
+
+  /**
+   * Register loan tools with a ToolRegistry
+   */
+  static registerTools(registry) {
+    const [emiDeclaration, affordabilityDeclaration] = this.getFunctionDeclarations();
+
+    registry.register(emiDeclaration, async (args) => {
+      const principal = this.parseAmount(args.principal);
+      const loanType = args.purpose ? ConversationManager.determineLoanTypeFromPurpose(args.purpose) : 'personal';
+      const annualRate = this.resolveRate(args.annual_interest_rate, loanType);
+      const result = this.calculateEmi(principal, annualRate, Math.round(Number(args.tenure_months)));
+
+      return {
+        ...result,
+        loanType,
+        rateAssumed: args.annual_interest_rate === undefined,
+        spoken: this.describeEmi(result)
+      };
+    });
+
+    registry.register(affordabilityDeclaration, async (args) => {
+      const loanType = args.purpose ? ConversationManager.determineLoanTypeFromPurpose(args.purpose) : 'personal';
+      const annualRate = this.resolveRate(args.annual_interest_rate, loanType);
+      const result = this.calculateAffordability({
+        monthlyIncome: this.parseAmount(args.monthly_income),
+        existingEmi: args.existing_emi ? this.parseAmount(args.existing_emi) : 0,
+        annualRate,
+        tenureMonths: Math.round(Number(args.tenure_months))
+      });
+
+      return {
+        ...result,
+        loanType,
+        rateAssumed: args.annual_interest_rate === undefined,
+        spoken: this.describeAffordability(result)
+      };
+    });
+  }
+
+  /**
+   * Parse an amount given as a number or spoken text ("5 lakh", "Rs. 2.5 lakh", "12.5L", "1 lakh 50 thousand", "1,50,000")
+   * Ranges and anything else around the number are rejected rather than guessed
+   */
+  static parseAmount(value) {
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      return value;
+    }
+    if (typeof value !== 'string') {
+      throw new ValidationError(`Could not understand amount: ${value}`);
+    }
+
+    const text = value.toLowerCase()
+      .replace(/₹|\/-|(?<![a-z])(?:rupees?|rs\.?|inr)(?![a-z])/g, ' ')
+      .replace(/(\d),(?=\d)/g, '$1')
+      .trim();
+
+    if (/\d\s*(?:-|–|to|or)\s*\d/.test(text)) {
+      throw new ValidationError(`Amount is a range (${value}); ask the user for one amount`);
+    }
+
+    // Number and unit parts, largest unit first ("1 crore 20 lakh", "2 lakh and 50 thousand")
+    let rest = text;
+    let total = 0;
+    let previousUnit = Infinity;
+    while (rest) {
+      const match = rest.match(AMOUNT_PART);
+      const unit = match && AMOUNT_UNITS[match[2] || ''];
+      if (!match || unit >= previousUnit) {
+        throw new ValidationError(`Could not understand amount: ${value}`);
+      }
+      total += parseFloat(match[1]) * unit;
+      previousUnit = unit;
+      rest = rest.slice(match[0].length);
+    }
+
+    if (previousUnit === Infinity) {
+      throw new ValidationError(`Could not understand amount: ${value}`);
+    }
+    return total;
+  }
+
+  /**
+   * Annual rate from tool arguments: the typical rate for the loan type when omitted
+   * null or an empty string is rejected rather than read as 0%
+   */
+  static resolveRate(value, loanType) {
+    if (value === undefined) {
+      return this.getDefaultRate(loanType);
+    }
+
+    const rate = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof rate !== 'number' || !Number.isFinite(rate)) {
+      throw new ValidationError(`Could not understand interest rate: ${value}`);
+    }
+    return rate;
+  }
+
+  /**
+   * Typical annual rate for a loan type (from ConversationManager.determineLoanTypeFromPurpose)
+   */
+  static getDefaultRate(loanType) {
+    return DEFAULT_RATES[loanType] || DEFAULT_RATES.personal;
+  }
+
+  /**
+   * Monthly EMI for a principal, annual rate (%) and tenure in months
+   * EMI = P * r * (1 + r)^n / ((1 + r)^n - 1), with r the monthly rate
+   */
+  static computeEmi(principal, annualRate, tenureMonths) {
+    const monthlyRate = annualRate / 12 / 100;
+
+    if (monthlyRate === 0) {
+      return principal / tenureMonths;
+    }
+
+    const growth = Math.pow(1 + monthlyRate, tenureMonths);
+    return (principal * monthlyRate * growth) / (growth - 1);
+  }
+
+  /**
+   * EMI, total interest and total repayment
+   */
+  static calculateEmi(principal, annualRate, tenureMonths) {
+    this.validateLoanInputs(principal, annualRate, tenureMonths);
+
+    const emi = this.computeEmi(principal, annualRate, tenureMonths);
+    const totalPayment = emi * tenureMonths;
+    const totalInterest = totalPayment - principal;
+
+    logger.info('[LoanCalculator] EMI calculated', {
+      principal,
+      annualRate,
+      tenureMonths,
+      emi: this.round(emi)
+    });
+
+    return {
+      principal: this.round(principal),
+      annualRate,
+      tenureMonths,
+      emi: this.round(emi),
+      totalInterest: this.round(totalInterest),
+      totalPayment: this.round(totalPayment)
+    };
+  }
+
+  /**
+   * Month-by-month amortization schedule
+   * The last instalment absorbs rounding so the closing balance is exactly zero
+   */
+  static amortizationSchedule(principal, annualRate, tenureMonths) {
+    this.validateLoanInputs(principal, annualRate, tenureMonths);
+
+    const monthlyRate = annualRate / 12 / 100;
+    const emi = this.round(this.computeEmi(principal, annualRate, tenureMonths));
+    const schedule = [];
+    let balance = principal;
+
+    for (let month = 1; month <= tenureMonths; month++) {
+      const interest = this.round(balance * monthlyRate);
+      let principalPaid = this.round(emi - interest);
+      let payment = emi;
+
+      if (month === tenureMonths || principalPaid > balance) {
+        principalPaid = this.round(balance);
+        payment = this.round(principalPaid + interest);
+      }
+
+      balance = this.round(balance - principalPaid);
+
+      schedule.push({
+        month,
+        payment,
+        principal: principalPaid,
+        interest,
+        balance
+      });
+    }
+
+    return schedule;
+  }
+
+  /**
+   * Yearly totals of an amortization schedule (compact form for voice answers)
+   */
+  static summarizeByYear(schedule) {
+    const years = [];
+
+    for (const row of schedule) {
+      const index = Math.floor((row.month - 1) / 12);
+      if (!years[index]) {
+        years[index] = { year: index + 1, principal: 0, interest: 0, balance: 0 };
+      }
+      years[index].principal = this.round(years[index].principal + row.principal);
+      years[index].interest = this.round(years[index].interest + row.interest);
+      years[index].balance = row.balance;
+    }
+
+    return years;
+  }
+
+  /**
+   * Maximum affordable principal from income
+   * Available EMI = income * FOIR - existing EMIs; principal is the present value of that EMI
+   */
+  static calculateAffordability({ monthlyIncome, existingEmi = 0, annualRate, tenureMonths, foir = DEFAULT_FOIR }) {
+    if (!Number.isFinite(monthlyIncome) || monthlyIncome <= 0) {
+      throw new ValidationError('Monthly income must be a positive number');
+    }
+    if (!Number.isFinite(existingEmi) || existingEmi < 0) {
+      throw new ValidationError('Existing EMI must be zero or a positive number');
+    }
+    this.validateLoanInputs(1, annualRate, tenureMonths);
+
+    const maxEmi = Math.max(0, monthlyIncome * foir - existingEmi);
+    const monthlyRate = annualRate / 12 / 100;
+    const maxPrincipal = monthlyRate === 0
+      ? maxEmi * tenureMonths
+      : maxEmi * (1 - Math.pow(1 + monthlyRate, -tenureMonths)) / monthlyRate;
+
+    logger.info('[LoanCalculator] Affordability calculated', {
+      monthlyIncome,
+      existingEmi,
+      annualRate,
+      tenureMonths,
+      maxPrincipal: this.round(maxPrincipal)
+    });
+
+    return {
+      monthlyIncome: this.round(monthlyIncome),
+      existingEmi: this.round(existingEmi),
+      foir,
+      annualRate,
+      tenureMonths,
+      maxEmi: this.round(maxEmi),
+      maxPrincipal: this.round(maxPrincipal)
+    };
+  }
+
+  /**
+   * Validate principal, rate and tenure
+   */
+  static validateLoanInputs(principal, annualRate, tenureMonths) {
+    if (!Number.isFinite(principal) || principal <= 0) {
+      throw new ValidationError('Loan amount must be a positive number');
+    }
+    if (!Number.isFinite(annualRate) || annualRate < 0 || annualRate > 60) {
+      throw new ValidationError('Annual interest rate must be between 0 and 60 percent');
+    }
+    if (!Number.isInteger(tenureMonths) || tenureMonths < 1 || tenureMonths > 480) {
+      throw new ValidationError('Tenure must be a whole number of months between 1 and 480');
+    }
+  }
+
+  /**
+   * Short spoken summary of an EMI result
+   */
+  static describeEmi(result) {
+    return `EMI ${this.formatRupees(result.emi)} per month for ${result.tenureMonths} months at ${result.annualRate}% interest. ` +
+      `Total interest ${this.formatRupees(result.totalInterest)}, total repayment ${this.formatRupees(result.totalPayment)}.`;
+  }
+
+  /**
+   * Short spoken summary of an affordability result
+   */
+  static describeAffordability(result) {
+    return `Maximum affordable loan about ${this.formatRupees(result.maxPrincipal)} with EMI up to ${this.formatRupees(result.maxEmi)} ` +
+      `per month for ${result.tenureMonths} months at ${result.annualRate}% interest.`;
+  }
+
+  /**
+   * Format rupees in Indian digit grouping, e.g. 16133 -> "₹16,133"
+   */
+  static formatRupees(amount) {
+    return `₹${Math.round(amount).toLocaleString('en-IN')}`;
+  }
+
+  static round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = LoanCalculator;
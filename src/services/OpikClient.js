@@ -4,6 +4,7 @@
  */
 
 import { logger } from '../utils/logger.js';
+import redactionService from './RedactionService.js';
 
 class OpikClient {
   constructor() {
@@ -78,15 +79,19 @@ class OpikClient {
 
   /**
    * Log a Gemini Live audio-to-audio conversation turn
+   * Transcripts and tool arguments are redacted with the tenant's classes before sending
    */
   async logGeminiLiveTrace(traceData) {
     if (!this.enabled) return null;
 
     try {
+      const { input, output, metadata, ...ids } = traceData;
+      const redacted = await redactionService.redactForTenant(traceData.tenant_id, { input, output, metadata });
+
       const response = await fetch(`${this.baseUrl}/traces/gemini-live`, {
         method: 'POST',
         headers: this.getHeaders(),
-        body: JSON.stringify(traceData)
+        body: JSON.stringify({ ...ids, ...redacted })
       });
 
       if (!response.ok) {
@@ -107,16 +112,19 @@ class OpikClient {
   }
 
   /**
-   * Log a function call from Gemini Live
+   * Log a function call from Gemini Live (arguments and response redacted like turns)
    */
   async logFunctionCall(functionTrace) {
     if (!this.enabled) return null;
 
     try {
+      const { function_args, function_response, ...fields } = functionTrace;
+      const redacted = await redactionService.redactForTenant(functionTrace.tenant_id, { function_args, function_response });
+
       const response = await fetch(`${this.baseUrl}/traces/function-call`, {
         method: 'POST',
         headers: this.getHeaders(),
-        body: JSON.stringify(functionTrace)
+        body: JSON.stringify({ ...fields, ...redacted })
       });
 
       if (!response.ok) {
@@ -279,6 +287,33 @@ class OpikClient {
     }
   }
 
+  /**
+   * Delete all traces of a session (data erasure)
+   * The service answers 2xx also when the session has no traces; anything else, including a
+   * 404 from a service without this route, means nothing was deleted
+   * @returns {boolean} true when the service confirmed the deletion
+   */
+  async deleteSessionTraces(sessionId) {
+    if (!this.enabled) return true;
+
+    try {
+      const response = await fetch(
+        `${this.baseUrl}/traces/sessions/${encodeURIComponent(sessionId)}`,
+        { method: 'DELETE', headers: this.getHeaders() }
+      );
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      logger.info('[Opik] Session traces deleted', { sessionId });
+      return true;
+    } catch (error) {
+      logger.error('[Opik] Failed to delete session traces:', error);
+      return false;
+    }
+  }
+
   /**
    * Create an online evaluation rule
    */
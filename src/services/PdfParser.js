@@ -0,0 +1,973 @@
+/**
+ * PDF Parser
+ * Dependency-free text extraction for knowledge base PDFs
+ * Handles compressed (FlateDecode) and object streams, ToUnicode font maps,
+ * keeps page numbers, lays out simple tables as "cell | cell" rows and
+ * reports pages that are scanned (image only) or empty
+ */
+
+const zlib = require('zlib');
+const { logger } = require('../utils/logger');
+const { ValidationError } = require('../utils/errors');
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+// Pages with images and fewer non-whitespace characters than this count as scanned
+const MIN_PAGE_TEXT = 20;
+
+// Horizontal gap (in multiples of font size) that separates table cells
+const CELL_GAP = 1.5;
+
+// Maximum nesting of form XObjects / page tree nodes
+const MAX_DEPTH = 20;
+
+// Limits on decompressed data, so a small compressed stream cannot exhaust memory
+const MAX_STREAM_BYTES = 32 * 1024 * 1024; // one stream
+const MAX_DECODED_BYTES = 256 * 1024 * 1024; // all streams of a document, counting repeated decodes
+
+// Bytes inflated so far per document (keyed by its object map)
+const decodedBytes = new WeakMap();
+
+const WHITESPACE = new Set([0x00, 0x09, 0x0a, 0x0c, 0x0d, 0x20]);
+const DELIMITERS = new Set([...'()<>[]{}/%'].map(c => c.charCodeAt(0)));
+
+// WinAnsiEncoding characters that differ from Latin-1
+const WIN_ANSI = {
+  0x80: '€', 0x82: '‚', 0x83: 'ƒ', 0x84: '„', 0x85: '…', 0x86: '†', 0x87: '‡', 0x88: 'ˆ',
+  0x89: '‰', 0x8a: 'Š', 0x8b: '‹', 0x8c: 'Œ', 0x8e: 'Ž', 0x91: '‘', 0x92: '’', 0x93: '“',
+  0x94: '”', 0x95: '•', 0x96: '–', 0x97: '—', 0x98: '˜', 0x99: '™', 0x9a: 'š', 0x9b: '›',
+  0x9c: 'œ', 0x9e: 'ž', 0x9f: 'Ÿ'
+};
+
+// Common glyph names used in /Differences encodings
+const GLYPH_NAMES = {
+  space: ' ', period: '.', comma: ',', colon: ':', semicolon: ';', hyphen: '-', slash: '/',
+  parenleft: '(', parenright: ')', percent: '%', ampersand: '&', quoteright: '’', quoteleft: '‘',
+  quotedblleft: '“', quotedblright: '”', quotesingle: "'", endash: '–', emdash: '—', bullet: '•',
+  fi: 'fi', fl: 'fl', zero: '0', one: '1', two: '2', three: '3', four: '4', five: '5', six: '6',
+  seven: '7', eight: '8', nine: '9'
+};
+
+/**
+ * Tokenizer for PDF object syntax and content streams
+ */
+class PdfLexer {
+  constructor(source, pos = 0) {
+    this.source = source;
+    this.pos = pos;
+  }
+
+  skipWhitespace() {
+    const source = this.source;
+    while (this.pos < source.length) {
+      const code = source.charCodeAt(this.pos);
+      if (WHITESPACE.has(code)) {
+        this.pos++;
+      } else if (code === 0x25) {
+        // Comment runs to end of line
+        while (this.pos < source.length && source[this.pos] !== '\n' && source[this.pos] !== '\r') this.pos++;
+      } else {
+        break;
+      }
+    }
+  }
+
+  next() {
+    this.skipWhitespace();
+    const source = this.source;
+    if (this.pos >= source.length) return null;
+
+    const char = source[this.pos];
+
+    if (char === '/') {
+      const end = this.wordEnd(this.pos + 1);
+      const name = source.slice(this.pos + 1, end)
+        .replace(/#([0-9a-fA-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+      this.pos = end;
+      return { type: 'name', value: name };
+    }
+    if (char === '(') {
+      return { type: 'string', value: this.readLiteralString() };
+    }
+    if (char === '<') {
+      if (source[this.pos + 1] === '<') {
+        this.pos += 2;
+        return { type: 'dictStart' };
+      }
+      let end = source.indexOf('>', this.pos);
+      if (end === -1) end = source.length;
+      const hex = source.slice(this.pos + 1, end).replace(/[^0-9a-fA-F]/g, '');
+      this.pos = end + 1;
+      return { type: 'string', value: PdfParser.hexToBinary(hex) };
+    }
+    if (char === '>' && source[this.pos + 1] === '>') {
+      this.pos += 2;
+      return { type: 'dictEnd' };
+    }
+    if (char === '[') {
+      this.pos++;
+      return { type: 'arrayStart' };
+    }
+    if (char === ']') {
+      this.pos++;
+      return { type: 'arrayEnd' };
+    }
+    if (DELIMITERS.has(source.charCodeAt(this.pos))) {
+      // Stray delimiter (e.g. PostScript braces) - skip it
+      this.pos++;
+      return this.next();
+    }
+
+    const end = this.wordEnd(this.pos);
+    const word = source.slice(this.pos, end);
+    this.pos = end;
+
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) {
+      return { type: 'number', value: parseFloat(word) };
+    }
+    return { type: 'keyword', value: word };
+  }
+
+  wordEnd(start) {
+    let end = start;
+    while (end < this.source.length) {
+      const code = this.source.charCodeAt(end);
+      if (WHITESPACE.has(code) || DELIMITERS.has(code)) break;
+      end++;
+    }
+    return end;
+  }
+
+  readLiteralString() {
+    const source = this.source;
+    const parts = [];
+    let depth = 1;
+    this.pos++;
+
+    while (this.pos < source.length) {
+      const char = source[this.pos++];
+
+      if (char === '\\') {
+        const escaped = source[this.pos++];
+        if (escaped === 'n') parts.push('\n');
+        else if (escaped === 'r') parts.push('\r');
+        else if (escaped === 't') parts.push('\t');
+        else if (escaped === 'b') parts.push('\b');
+        else if (escaped === 'f') parts.push('\f');
+        else if (escaped === '\r') {
+          // Line continuation
+          if (source[this.pos] === '\n') this.pos++;
+        } else if (escaped === '\n') {
+          // Line continuation
+        } else if (escaped >= '0' && escaped <= '7') {
+          let octal = escaped;
+          while (octal.length < 3 && source[this.pos] >= '0' && source[this.pos] <= '7') {
+            octal += source[this.pos++];
+          }
+          parts.push(String.fromCharCode(parseInt(octal, 8) & 0xff));
+        } else if (escaped !== undefined) {
+          parts.push(escaped);
+        }
+      } else if (char === '(') {
+        depth++;
+        parts.push(char);
+      } else if (char === ')') {
+        depth--;
+        if (depth === 0) break;
+        parts.push(char);
+      } else {
+        parts.push(char);
+      }
+    }
+
+    return parts.join('');
+  }
+}
+
+class PdfParser {
+  /**
+   * Parse a PDF buffer into per-page text
+   * Throws ValidationError for data that is not a PDF, is encrypted or decompresses beyond the limits
+   */
+  static parse(buffer) {
+    const raw = buffer.toString('latin1');
+
+    // The header may follow a few bytes of junk, but must be near the start
+    const headerIndex = raw.indexOf('%PDF-');
+    if (headerIndex === -1 || headerIndex > 1024) {
+      throw new ValidationError('File is not a PDF');
+    }
+    if (/\/Encrypt\s*(\d+\s+\d+\s+R|<<)/.test(raw)) {
+      throw new ValidationError('Encrypted PDFs are not supported - remove the password and upload again');
+    }
+
+    const objects = this.readObjects(raw, buffer);
+    const pageNodes = this.collectPages(objects, raw);
+    const fontCache = new Map();
+
+    const pages = pageNodes.map(({ node, resources }, index) => {
+      const state = { items: [], hasImages: false, undecodable: 0, fontCache };
+
+      try {
+        const content = this.getContentStream(objects, node.Contents);
+        if (content) {
+          this.interpretContent(objects, content, resources || {}, IDENTITY, state, 0);
+        }
+      } catch (error) {
+        if (error instanceof ValidationError) throw error;
+        logger.warn('[PdfParser] Failed to read page content', { page: index + 1, error: error.message });
+      }
+
+      const { text, tableRows } = this.layoutPage(state.items);
+      const textLength = text.replace(/[\s|]/g, '').length;
+
+      // A scanned page may still carry a little text (page numbers, stamps)
+      let status = 'text';
+      if (state.hasImages && textLength < MIN_PAGE_TEXT) status = 'scanned';
+      else if (textLength === 0) status = state.undecodable > 0 ? 'unreadable' : 'empty';
+
+      return {
+        pageNumber: index + 1,
+        text: status === 'text' ? text : '',
+        status,
+        hasImages: state.hasImages,
+        tableRows
+      };
+    });
+
+    const pagesWithStatus = (status) => pages.filter(page => page.status === status).map(page => page.pageNumber);
+
+    const result = {
+      pageCount: pages.length,
+      pages,
+      textPages: pagesWithStatus('text'),
+      scannedPages: pagesWithStatus('scanned'),
+      emptyPages: pagesWithStatus('empty'),
+      unreadablePages: pagesWithStatus('unreadable'),
+      tableRows: pages.reduce((sum, page) => sum + page.tableRows, 0)
+    };
+
+    logger.info('[PdfParser] PDF parsed', {
+      pageCount: result.pageCount,
+      textPages: result.textPages.length,
+      scannedPages: result.scannedPages.length,
+      emptyPages: result.emptyPages.length,
+      unreadablePages: result.unreadablePages.length,
+      tableRows: result.tableRows
+    });
+
+    return result;
+  }
+
+  /**
+   * Read every indirect object ("n g obj ... endobj"), including objects packed in object streams
+   * Later definitions win, matching incremental updates
+   */
+  static readObjects(raw, buffer) {
+    const objects = new Map();
+    const header = /(\d+)\s+(\d+)\s+obj\b/g;
+    let match;
+
+    while ((match = header.exec(raw)) !== null) {
+      const lexer = new PdfLexer(raw, header.lastIndex);
+      let value;
+      try {
+        value = this.readValue(lexer);
+      } catch (error) {
+        continue;
+      }
+
+      let stream = null;
+      const afterValue = lexer.pos;
+      const token = lexer.next();
+
+      if (token && token.type === 'keyword' && token.value === 'stream') {
+        let start = lexer.pos;
+        if (raw[start] === '\r') start++;
+        if (raw[start] === '\n') start++;
+
+        let end;
+        const length = value && value.Length;
+        if (typeof length === 'number' && /^\s*endstream/.test(raw.slice(start + length, start + length + 32))) {
+          end = start + length;
+        } else {
+          end = raw.indexOf('endstream', start);
+          if (end === -1) end = raw.length;
+          if (raw[end - 1] === '\n') end--;
+          if (raw[end - 1] === '\r') end--;
+        }
+
+        stream = buffer.subarray(start, end);
+        header.lastIndex = end;
+      } else {
+        header.lastIndex = afterValue;
+      }
+
+      objects.set(Number(match[1]), { value, stream });
+    }
+
+    // Objects compressed inside object streams (PDF 1.5+)
+    for (const entry of [...objects.values()]) {
+      if (!entry.value || entry.value.Type !== '/ObjStm' || !entry.stream) continue;
+
+      const data = this.decodeStream(objects, entry);
+      if (!data) continue;
+
+      const source = data.toString('latin1');
+      const count = entry.value.N || 0;
+      const first = entry.value.First || 0;
+      const lexer = new PdfLexer(source);
+      const offsets = [];
+
+      for (let i = 0; i < count; i++) {
+        const num = lexer.next();
+        const offset = lexer.next();
+        if (!num || !offset) break;
+        offsets.push([num.value, offset.value]);
+      }
+
+      for (const [num, offset] of offsets) {
+        if (objects.has(num)) continue;
+        try {
+          objects.set(num, { value: this.readValue(new PdfLexer(source, first + offset)), stream: null });
+        } catch (error) {
+          // Skip malformed embedded objects
+        }
+      }
+    }
+
+    return objects;
+  }
+
+  /**
+   * Read one PDF value: dictionaries become objects (keys without "/"), names stay as "/Name",
+   * strings become { bytes }, indirect references become { ref }
+   */
+  static readValue(lexer, token = lexer.next(), allowRefs = true) {
+    if (!token) return null;
+
+    switch (token.type) {
+      case 'number': {
+        if (!allowRefs) return token.value;
+        // Indirect reference "n g R"
+        const saved = lexer.pos;
+        const generation = lexer.next();
+        if (generation && generation.type === 'number') {
+          const keyword = lexer.next();
+          if (keyword && keyword.type === 'keyword' && keyword.value === 'R') {
+            return { ref: token.value };
+          }
+        }
+        lexer.pos = saved;
+        return token.value;
+      }
+      case 'name':
+        return `/${token.value}`;
+      case 'string':
+        return { bytes: token.value };
+      case 'arrayStart': {
+        const array = [];
+        let next;
+        while ((next = lexer.next()) !== null && next.type !== 'arrayEnd') {
+          array.push(this.readValue(lexer, next, allowRefs));
+        }
+        return array;
+      }
+      case 'dictStart': {
+        const dict = {};
+        let next;
+        while ((next = lexer.next()) !== null && next.type !== 'dictEnd') {
+          if (next.type !== 'name') continue;
+          dict[next.value] = this.readValue(lexer, undefined, allowRefs);
+        }
+        return dict;
+      }
+      case 'keyword':
+        if (token.value === 'true') return true;
+        if (token.value === 'false') return false;
+        if (token.value === 'null') return null;
+        return { keyword: token.value };
+      default:
+        return null;
+    }
+  }
+
+  static resolve(objects, value, depth = 0) {
+    if (value && value.ref !== undefined && depth < MAX_DEPTH) {
+      const entry = objects.get(value.ref);
+      return entry ? this.resolve(objects, entry.value, depth + 1) : null;
+    }
+    return value;
+  }
+
+  /**
+   * Decode a stream's filters; returns null for unsupported (e.g. image) filters
+   */
+  static decodeStream(objects, entry) {
+    const dict = entry.value || {};
+    let filters = this.resolve(objects, dict.Filter);
+    filters = filters ? (Array.isArray(filters) ? filters : [filters]) : [];
+
+    let data = entry.stream;
+    for (const filter of filters.map(f => this.resolve(objects, f))) {
+      if (filter === '/FlateDecode' || filter === '/Fl') {
+        data = this.inflate(objects, data);
+      } else if (filter === '/ASCIIHexDecode' || filter === '/AHx') {
+        data = Buffer.from(this.hexToBinary(data.toString('latin1').replace(/>.*$/s, '').replace(/[^0-9a-fA-F]/g, '')), 'latin1');
+      } else if (filter === '/ASCII85Decode' || filter === '/A85') {
+        data = this.decodeAscii85(data.toString('latin1'));
+      } else {
+        return null;
+      }
+      if (!data) return null;
+    }
+
+    return data;
+  }
+
+  /**
+   * Inflate a FlateDecode stream; throws ValidationError once the stream or document limit is exceeded
+   */
+  static inflate(objects, data) {
+    const used = decodedBytes.get(objects) || 0;
+    const maxOutputLength = Math.min(MAX_STREAM_BYTES, MAX_DECODED_BYTES - used);
+    if (maxOutputLength <= 0) throw this.tooLarge(used);
+
+    let output;
+    try {
+      output = zlib.inflateSync(data, { maxOutputLength });
+    } catch (error) {
+      if (error.code === 'ERR_BUFFER_TOO_LARGE') throw this.tooLarge(used);
+      // Truncated or slightly corrupt streams still yield their readable prefix
+      try {
+        output = zlib.inflateSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH, maxOutputLength });
+      } catch (retryError) {
+        if (retryError.code === 'ERR_BUFFER_TOO_LARGE') throw this.tooLarge(used);
+        return null;
+      }
+    }
+
+    decodedBytes.set(objects, used + output.length);
+    return output;
+  }
+
+  static tooLarge(used) {
+    const limit = MAX_STREAM_BYTES < MAX_DECODED_BYTES - used ? MAX_STREAM_BYTES : MAX_DECODED_BYTES;
+    return new ValidationError(`PDF content expands to more than ${limit / (1024 * 1024)} MB when decompressed`, { limit });
+  }
+
+  static decodeAscii85(text) {
+    const source = text.replace(/^<~/, '').replace(/~>.*$/s, '').replace(/\s/g, '');
+    const bytes = [];
+    let group = [];
+
+    for (const char of source) {
+      if (char === 'z' && group.length === 0) {
+        bytes.push(0, 0, 0, 0);
+        continue;
+      }
+      group.push(char.charCodeAt(0) - 33);
+      if (group.length === 5) {
+        let value = group.reduce((acc, digit) => acc * 85 + digit, 0);
+        bytes.push((value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff);
+        group = [];
+      }
+    }
+
+    if (group.length > 0) {
+      const padding = 5 - group.length;
+      while (group.length < 5) group.push(84);
+      const value = group.reduce((acc, digit) => acc * 85 + digit, 0);
+      bytes.push(...[(value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff].slice(0, 4 - padding));
+    }
+
+    return Buffer.from(bytes);
+  }
+
+  static hexToBinary(hex) {
+    const padded = hex.length % 2 === 1 ? `${hex}0` : hex;
+    let binary = '';
+    for (let i = 0; i < padded.length; i += 2) {
+      binary += String.fromCharCode(parseInt(padded.substr(i, 2), 16));
+    }
+    return binary;
+  }
+
+  /**
+   * Pages in document order from the page tree (with inherited resources)
+   * Falls back to every /Page object when the catalog cannot be found
+   */
+  static collectPages(objects, raw) {
+    const pages = [];
+    const rootMatch = [...raw.matchAll(/\/Root\s+(\d+)\s+\d+\s+R/g)].pop();
+    const visited = new Set();
+
+    const walk = (nodeRef, inheritedResources, depth) => {
+      if (nodeRef && nodeRef.ref !== undefined) {
+        if (visited.has(nodeRef.ref)) return;
+        visited.add(nodeRef.ref);
+      }
+
+      const node = this.resolve(objects, nodeRef);
+      if (!node || depth > MAX_DEPTH) return;
+
+      const resources = node.Resources !== undefined ? this.resolve(objects, node.Resources) : inheritedResources;
+
+      if (node.Type === '/Pages' || (node.Kids && node.Type !== '/Page')) {
+        for (const kid of this.resolve(objects, node.Kids) || []) {
+          walk(kid, resources, depth + 1);
+        }
+      } else {
+        pages.push({ node, resources });
+      }
+    };
+
+    if (rootMatch) {
+      const catalog = this.resolve(objects, { ref: Number(rootMatch[1]) });
+      if (catalog && catalog.Pages) {
+        walk(catalog.Pages, null, 0);
+      }
+    }
+
+    if (pages.length === 0) {
+      const numbers = [...objects.keys()].sort((a, b) => a - b);
+      for (const num of numbers) {
+        const value = objects.get(num).value;
+        if (value && value.Type === '/Page') {
+          pages.push({ node: value, resources: this.resolve(objects, value.Resources) });
+        }
+      }
+    }
+
+    return pages;
+  }
+
+  /**
+   * Concatenated, decoded content streams of a page
+   */
+  static getContentStream(objects, contents) {
+    const refs = Array.isArray(this.resolve(objects, contents))
+      ? this.resolve(objects, contents)
+      : [contents];
+
+    const parts = [];
+    for (const ref of refs) {
+      const entry = ref && ref.ref !== undefined ? objects.get(ref.ref) : null;
+      if (!entry || !entry.stream) continue;
+      const data = this.decodeStream(objects, entry);
+      if (data) parts.push(data.toString('latin1'));
+    }
+
+    return parts.join('\n');
+  }
+
+  /**
+   * Font metrics and code-to-Unicode mapping
+   */
+  static loadFont(objects, fontRef, cache) {
+    const cacheKey = fontRef && fontRef.ref !== undefined ? fontRef.ref : null;
+    if (cacheKey !== null && cache.has(cacheKey)) {
+      return cache.get(cacheKey);
+    }
+
+    const font = this.resolve(objects, fontRef) || {};
+    const info = {
+      twoByte: false,
+      toUnicode: null,
+      differences: null,
+      widths: new Map(),
+      defaultWidth: 500
+    };
+
+    if (font.Subtype === '/Type0') {
+      info.twoByte = true;
+      info.defaultWidth = 1000;
+
+      const descendant = this.resolve(objects, (this.resolve(objects, font.DescendantFonts) || [])[0]) || {};
+      if (typeof descendant.DW === 'number') info.defaultWidth = descendant.DW;
+
+      const widths = this.resolve(objects, descendant.W) || [];
+      for (let i = 0; i < widths.length;) {
+        const first = this.resolve(objects, widths[i]);
+        const next = this.resolve(objects, widths[i + 1]);
+        if (Array.isArray(next)) {
+          next.forEach((width, j) => info.widths.set(first + j, this.resolve(objects, width)));
+          i += 2;
+        } else {
+          const width = this.resolve(objects, widths[i + 2]);
+          for (let code = first; code <= next && code - first < 65536; code++) {
+            info.widths.set(code, width);
+          }
+          i += 3;
+        }
+      }
+    } else {
+      const firstChar = font.FirstChar || 0;
+      (this.resolve(objects, font.Widths) || []).forEach((width, i) => {
+        info.widths.set(firstChar + i, this.resolve(objects, width));
+      });
+
+      const encoding = this.resolve(objects, font.Encoding);
+      const differences = encoding && this.resolve(objects, encoding.Differences);
+      if (Array.isArray(differences)) {
+        info.differences = new Map();
+        let code = 0;
+        for (const item of differences) {
+          if (typeof item === 'number') {
+            code = item;
+          } else if (typeof item === 'string') {
+            const char = this.glyphToUnicode(item.slice(1));
+            if (char !== null) info.differences.set(code, char);
+            code++;
+          }
+        }
+      }
+    }
+
+    const cmapEntry = font.ToUnicode && font.ToUnicode.ref !== undefined ? objects.get(font.ToUnicode.ref) : null;
+    if (cmapEntry && cmapEntry.stream) {
+      const data = this.decodeStream(objects, cmapEntry);
+      if (data) info.toUnicode = this.parseToUnicode(data.toString('latin1'));
+    }
+
+    if (cacheKey !== null) cache.set(cacheKey, info);
+    return info;
+  }
+
+  static glyphToUnicode(name) {
+    if (GLYPH_NAMES[name]) return GLYPH_NAMES[name];
+    if (/^[A-Za-z]$/.test(name)) return name;
+    const uni = name.match(/^uni([0-9A-Fa-f]{4})$/);
+    if (uni) return String.fromCharCode(parseInt(uni[1], 16));
+    return null;
+  }
+
+  /**
+   * Parse bfchar / bfrange entries of a ToUnicode CMap
+   */
+  static parseToUnicode(cmap) {
+    const map = new Map();
+    const toText = (hex) => {
+      if (hex.length <= 2) return String.fromCharCode(parseInt(hex || '0', 16));
+      let text = '';
+      for (let i = 0; i + 4 <= hex.length; i += 4) {
+        text += String.fromCharCode(parseInt(hex.substr(i, 4), 16));
+      }
+      return text;
+    };
+
+    for (const block of cmap.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+      for (const entry of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) {
+        map.set(parseInt(entry[1], 16), toText(entry[2]));
+      }
+    }
+
+    for (const block of cmap.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+      for (const entry of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(?:<([0-9a-fA-F]*)>|\[([^\]]*)\])/g)) {
+        const low = parseInt(entry[1], 16);
+        const high = Math.min(parseInt(entry[2], 16), low + 65535);
+
+        if (entry[3] !== undefined) {
+          const prefix = entry[3].slice(0, -4);
+          const base = parseInt(entry[3].slice(-4) || '0', 16);
+          for (let code = low; code <= high; code++) {
+            map.set(code, toText(prefix + (base + code - low).toString(16).padStart(4, '0')));
+          }
+        } else {
+          [...entry[4].matchAll(/<([0-9a-fA-F]*)>/g)].forEach((target, i) => {
+            map.set(low + i, toText(target[1]));
+          });
+        }
+      }
+    }
+
+    return map;
+  }
+
+  /**
+   * Decode string bytes with a font; width is in 1/1000 text space units
+   */
+  static decodeText(font, bytes) {
+    const chars = [];
+    let width = 0;
+    let count = 0;
+    let spaces = 0;
+    let undecodable = 0;
+    const step = font.twoByte ? 2 : 1;
+
+    for (let i = 0; i + step <= bytes.length; i += step) {
+      const code = font.twoByte
+        ? (bytes.charCodeAt(i) << 8) | bytes.charCodeAt(i + 1)
+        : bytes.charCodeAt(i);
+
+      let char = font.toUnicode ? font.toUnicode.get(code) : undefined;
+      if (char === undefined) {
+        if (font.twoByte) {
+          char = '';
+          undecodable++;
+        } else {
+          char = (font.differences && font.differences.get(code)) || WIN_ANSI[code] || String.fromCharCode(code);
+        }
+      }
+
+      if (code === 32 && !font.twoByte) spaces++;
+      chars.push(char);
+      width += font.widths.has(code) ? font.widths.get(code) : font.defaultWidth;
+      count++;
+    }
+
+    return {
+      text: chars.join('').replace(/[\u0000-\u0008\u000b-\u001f]/g, ''),
+      width,
+      count,
+      spaces,
+      undecodable
+    };
+  }
+
+  static multiply(a, b) {
+    return [
+      a[0] * b[0] + a[1] * b[2],
+      a[0] * b[1] + a[1] * b[3],
+      a[2] * b[0] + a[3] * b[2],
+      a[2] * b[1] + a[3] * b[3],
+      a[4] * b[0] + a[5] * b[2] + b[4],
+      a[4] * b[1] + a[5] * b[3] + b[5]
+    ];
+  }
+
+  /**
+   * Run a content stream and collect positioned text items
+   */
+  static interpretContent(objects, source, resources, initialCtm, state, depth) {
+    const lexer = new PdfLexer(source);
+    const fonts = this.resolve(objects, resources.Font) || {};
+    const xObjects = this.resolve(objects, resources.XObject) || {};
+    const stack = [];
+
+    let ctm = initialCtm;
+    let tm = IDENTITY;
+    let tlm = IDENTITY;
+    let font = null;
+    let fontSize = 0;
+    let leading = 0;
+    let charSpacing = 0;
+    let wordSpacing = 0;
+    let horizontalScale = 1;
+    let operands = [];
+    let token;
+
+    const moveLine = (tx, ty) => {
+      tlm = this.multiply([1, 0, 0, 1, tx, ty], tlm);
+      tm = tlm;
+    };
+
+    const show = (string) => {
+      if (!font || !string || string.bytes === undefined) return;
+
+      const decoded = this.decodeText(font, string.bytes);
+      state.undecodable += decoded.undecodable;
+
+      const advance = (decoded.width / 1000 * fontSize + charSpacing * decoded.count + wordSpacing * decoded.spaces) * horizontalScale;
+      const render = this.multiply(tm, ctm);
+      const size = Math.abs(fontSize * Math.hypot(render[2], render[3])) || 1;
+
+      if (decoded.text) {
+        state.items.push({
+          x: render[4],
+          y: render[5],
+          endX: render[4] + advance * Math.hypot(render[0], render[1]),
+          size,
+          text: decoded.text
+        });
+      }
+
+      tm = this.multiply([1, 0, 0, 1, advance, 0], tm);
+    };
+
+    while ((token = lexer.next()) !== null) {
+      if (token.type !== 'keyword' || ['true', 'false', 'null'].includes(token.value)) {
+        operands.push(this.readValue(lexer, token, false));
+        continue;
+      }
+
+      const op = token.value;
+      const num = (i) => (typeof operands[i] === 'number' ? operands[i] : 0);
+
+      switch (op) {
+        case 'q':
+          stack.push(ctm);
+          break;
+        case 'Q':
+          ctm = stack.pop() || ctm;
+          break;
+        case 'cm':
+          ctm = this.multiply([num(0), num(1), num(2), num(3), num(4), num(5)], ctm);
+          break;
+        case 'BT':
+          tm = IDENTITY;
+          tlm = IDENTITY;
+          break;
+        case 'Tf': {
+          const name = typeof operands[0] === 'string' ? operands[0].slice(1) : null;
+          font = name && fonts[name] ? this.loadFont(objects, fonts[name], state.fontCache) : null;
+          fontSize = num(1);
+          break;
+        }
+        case 'TL':
+          leading = num(0);
+          break;
+        case 'Tc':
+          charSpacing = num(0);
+          break;
+        case 'Tw':
+          wordSpacing = num(0);
+          break;
+        case 'Tz':
+          horizontalScale = num(0) / 100;
+          break;
+        case 'Td':
+          moveLine(num(0), num(1));
+          break;
+        case 'TD':
+          leading = -num(1);
+          moveLine(num(0), num(1));
+          break;
+        case 'Tm':
+          tlm = [num(0), num(1), num(2), num(3), num(4), num(5)];
+          tm = tlm;
+          break;
+        case 'T*':
+          moveLine(0, -leading);
+          break;
+        case 'Tj':
+          show(operands[0]);
+          break;
+        case "'":
+          moveLine(0, -leading);
+          show(operands[0]);
+          break;
+        case '"':
+          wordSpacing = num(0);
+          charSpacing = num(1);
+          moveLine(0, -leading);
+          show(operands[2]);
+          break;
+        case 'TJ':
+          for (const item of Array.isArray(operands[0]) ? operands[0] : []) {
+            if (typeof item === 'number') {
+              tm = this.multiply([1, 0, 0, 1, -item / 1000 * fontSize * horizontalScale, 0], tm);
+            } else {
+              show(item);
+            }
+          }
+          break;
+        case 'Do': {
+          const name = typeof operands[0] === 'string' ? operands[0].slice(1) : null;
+          const ref = name ? xObjects[name] : null;
+          const entry = ref && ref.ref !== undefined ? objects.get(ref.ref) : null;
+          const dict = entry && entry.value;
+          if (!dict) break;
+
+          if (dict.Subtype === '/Image') {
+            state.hasImages = true;
+          } else if (dict.Subtype === '/Form' && depth < MAX_DEPTH) {
+            const data = this.decodeStream(objects, entry);
+            if (data) {
+              const matrix = this.resolve(objects, dict.Matrix) || IDENTITY;
+              const formResources = this.resolve(objects, dict.Resources) || resources;
+              this.interpretContent(objects, data.toString('latin1'), formResources, this.multiply(matrix, ctm), state, depth + 1);
+            }
+          }
+          break;
+        }
+        case 'BI': {
+          // Inline image - skip its binary data
+          state.hasImages = true;
+          const dataStart = source.indexOf('ID', lexer.pos);
+          const end = dataStart === -1 ? -1 : source.slice(dataStart + 2).search(/\sEI(\s|$)/);
+          lexer.pos = end === -1 ? source.length : dataStart + 2 + end + 3;
+          break;
+        }
+        default:
+          break;
+      }
+
+      operands = [];
+    }
+  }
+
+  /**
+   * Group text items into lines (top to bottom) and cells (left to right)
+   * Lines with widely separated cells are emitted as "cell | cell" table rows
+   */
+  static layoutPage(items) {
+    const sorted = [...items].sort((a, b) => b.y - a.y || a.x - b.x);
+    const lines = [];
+
+    for (const item of sorted) {
+      const line = lines[lines.length - 1];
+      if (line && Math.abs(line.y - item.y) <= Math.max(line.size, item.size) * 0.5) {
+        line.items.push(item);
+      } else {
+        lines.push({ y: item.y, size: item.size, items: [item] });
+      }
+    }
+
+    const output = [];
+    let tableRows = 0;
+    let previous = null;
+
+    lines.forEach((line, index) => {
+      const cells = [];
+      let cell = '';
+      let lastEnd = null;
+
+      for (const item of line.items.sort((a, b) => a.x - b.x)) {
+        const gap = lastEnd === null ? 0 : item.x - lastEnd;
+
+        if (lastEnd !== null && gap > CELL_GAP * line.size) {
+          cells.push(cell.trim());
+          cell = item.text;
+        } else if (lastEnd !== null && gap > 0.2 * line.size && !/\s$/.test(cell) && !/^\s/.test(item.text)) {
+          cell += ` ${item.text}`;
+        } else {
+          cell += item.text;
+        }
+
+        lastEnd = Math.max(lastEnd === null ? item.endX : lastEnd, item.endX);
+      }
+      cells.push(cell.trim());
+
+      const text = cells.filter(Boolean).join(' | ');
+      if (!text) return;
+
+      const isRow = cells.filter(Boolean).length >= 2;
+      const nextIsRow = lines[index + 1] && this.countCells(lines[index + 1], line.size) >= 2;
+      if (isRow && ((previous && previous.isRow) || nextIsRow)) {
+        tableRows++;
+      }
+
+      // Larger vertical gaps separate paragraphs
+      if (previous && previous.y - line.y > Math.max(previous.size, line.size) * 1.8) {
+        output.push('');
+      }
+
+      output.push(text);
+      previous = { y: line.y, size: line.size, isRow };
+    });
+
+    return { text: output.join('\n'), tableRows };
+  }
+
+  static countCells(line, size) {
+    const items = [...line.items].sort((a, b) => a.x - b.x);
+    let cells = items.length > 0 ? 1 : 0;
+    for (let i = 1; i < items.length; i++) {
+      if (items[i].x - items[i - 1].endX > CELL_GAP * size) cells++;
+    }
+    return cells;
+  }
+}
+
+module.exports = PdfParser;
@@ -4,6 +4,11 @@
  */
 
 const { logger } = require('../utils/logger');
+const quickReplyService = require('./QuickReplyService');
+const scamDetectionService = require('./ScamDetectionService');
+
+// Recognition failure streaks of sessions idle this long are dropped
+const RECOGNITION_STATE_TTL_MS = 30 * 60 * 1000;
 
 class PipelineService {
   constructor(services) {
@@ -21,6 +26,9 @@ class PipelineService {
     // Audio buffer configuration
     this.bufferDuration = 2000; // 2 seconds for better STT accuracy
     this.audioBuffers = new Map(); // sessionId -> audio chunks
+
+    // Consecutive recognition failures, for the quick-reply menu fallback
+    this.recognitionStates = new Map(); // sessionId -> { failures, updatedAt }
   }
 
   /**
@@ -55,9 +63,26 @@ class PipelineService {
         return await this.handleSTTIssues(issues, session, sttResult);
       }
 
+      // Understood - back to free speech
+      this.trackRecognition(session, 'CONTINUE');
+
+      // Known scam patterns: the reply must open with a safety warning, whatever the model makes of it
+      const scamHits = scamDetectionService.scan(sttResult.transcript);
+      if (scamHits.length > 0) {
+        scamDetectionService.recordHits({
+          tenantId: session.tenantId,
+          sessionId: session.id,
+          userId: session.userId,
+          channel: 'pipeline',
+          language: session.language
+        }, scamHits);
+      }
+
       // Step 3: Generate LLM response
       const llmResponse = await this.generateResponse(
-        sttResult.transcript,
+        scamHits.length > 0
+          ? `${sttResult.transcript}\n\n${scamDetectionService.buildSafetyInstruction(scamHits)}`
+          : sttResult.transcript,
         session,
         options
       );
@@ -95,6 +120,7 @@ class PipelineService {
           audio: ttsAudio,
           format: 'mp3'
         },
+        fraudWarning: scamHits.length > 0 ? scamDetectionService.buildWarning(scamHits, session.language) : null,
         latency: {
           total: totalLatency,
           stt: sttResult.latency || 0,
@@ -238,7 +264,9 @@ class PipelineService {
         text: polyfill.text,
         audio: polyfill.audio,
         source: polyfill.source
-      }
+      },
+      // Nothing was heard - same as the analyzer's REQUEST_REPEAT
+      quickReplies: this.trackRecognition(session, 'REQUEST_REPEAT')
     };
   }
 
@@ -291,14 +319,102 @@ class PipelineService {
           audio: polyfill.audio,
           source: polyfill.source,
           action: action
-        }
+        },
+        quickReplies: this.trackRecognition(session, action)
       };
     }
 
     // Continue with caution - process normally but flag issues
+    this.trackRecognition(session, action);
     return null; // Indicates to continue processing
   }
 
+  /**
+   * Track the session's recognition streak
+   * @returns {object|null} quick_replies menu to offer, once repeat/clarify keeps coming back
+   */
+  trackRecognition(session, action) {
+    const now = Date.now();
+    for (const [sessionId, state] of this.recognitionStates) {
+      if (now - state.updatedAt > RECOGNITION_STATE_TTL_MS) {
+        this.recognitionStates.delete(sessionId);
+      }
+    }
+
+    const state = this.recognitionStates.get(session.id) || quickReplyService.createState();
+    this.recognitionStates.set(session.id, state);
+
+    if (!quickReplyService.recordRecognition(state, action)) {
+      return null;
+    }
+
+    logger.info('[Pipeline] Offering quick replies', {
+      sessionId: session.id,
+      failures: state.failures
+    });
+    return quickReplyService.buildMessage(null, session.language);
+  }
+
+  /**
+   * Answer a tapped quick reply as if the user had said its text
+   * @param {object} selection - { nodeId, optionId }
+   */
+  async processQuickReply(session, selection, options = {}) {
+    const startTime = Date.now();
+    const mode = options.mode || session.mode || this.defaultMode;
+    const selected = quickReplyService.select(selection.nodeId, selection.optionId, session.language);
+
+    // A selection counts as understood
+    this.trackRecognition(session, 'CONTINUE');
+    if (selected.language) {
+      session.language = selected.language;
+    }
+
+    logger.info('[Pipeline] Quick reply selected', {
+      sessionId: session.id,
+      nodeId: selection.nodeId,
+      optionId: selected.optionId
+    });
+
+    const result = {
+      success: true,
+      mode,
+      language: session.language,
+      quickReplies: selected.quickReplies
+    };
+
+    // Navigation only (e.g. into a submenu) - nothing to say yet
+    if (!selected.text) {
+      return result;
+    }
+
+    const llmResponse = await this.generateResponse(selected.text, session, options);
+    const ttsAudio = await this.synthesizeSpeech(llmResponse.text, session.language, options);
+
+    return {
+      ...result,
+      stt: {
+        transcript: selected.text,
+        confidence: 1,
+        source: 'quick_reply'
+      },
+      llm: {
+        text: llmResponse.text,
+        hasAcknowledgment: llmResponse.hasAcknowledgment
+      },
+      tts: {
+        audio: ttsAudio,
+        format: 'mp3'
+      },
+      latency: {
+        total: Date.now() - startTime,
+        stt: 0,
+        llm: llmResponse.latency || 0,
+        tts: options.ttsLatency || 0
+      }
+    };
+  }
+
   /**
    * Get highest severity issue
    */
@@ -0,0 +1,316 @@
+/**
+ * Privacy Service
+ * Data subject requests: exports a user's stored data (JSON or ZIP bundle), erases it
+ * everywhere it is kept (Firestore, Opik traces, recorded audio), and writes every export
+ * and erasure to an append-only audit log (privacy_audit, per tenant). Fraud reports and
+ * consent records are kept on erasure: fraud reports lose their link to the user.
+ */
+
+const crypto = require('crypto');
+const firebaseService = require('./firebase');
+const tenantService = require('./TenantService');
+const sessionPersistenceService = require('./SessionPersistenceService');
+const recordingService = require('./RecordingService');
+const consentService = require('./ConsentService');
+const OpikClient = require('./OpikClient.js').default;
+const { createZip } = require('../utils/zip');
+const { logger } = require('../utils/logger');
+const { ValidationError } = require('../utils/errors');
+
+const ACTIONS = {
+  EXPORT: 'export',
+  ERASURE_REQUESTED: 'erasure_requested',
+  ERASURE_COMPLETED: 'erasure_completed',
+  RESET: 'reset'  // POST /api/session/refresh
+};
+
+// Other services' per-tenant collections holding a userId field
+const USER_COLLECTIONS = {
+  scamDetections: 'scam_detections',
+  fraudReports: 'fraud_reports',
+  usage: 'usage_daily'  // The user's daily counters (the tenant's own totals are not theirs)
+};
+
+// Firestore document IDs cannot contain slashes
+const USER_ID_PATTERN = /^[^/]{1,256}$/;
+
+class PrivacyService {
+  constructor() {
+    this.collection = 'privacy_audit';
+    this.initialized = false;
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+
+    await firebaseService.initialize();
+    this.initialized = true;
+    logger.info('[Privacy] Service initialized');
+  }
+
+  validateUserId(userId) {
+    if (typeof userId !== 'string' || !USER_ID_PATTERN.test(userId)) {
+      throw new ValidationError('Invalid user ID', { userId });
+    }
+  }
+
+  /**
+   * Who made a request: the API key (null when auth is disabled) and the client address
+   */
+  describeActor(principal, req) {
+    return {
+      keyId: principal ? principal.keyId : null,
+      name: principal ? principal.name : 'unauthenticated',
+      ip: (req.headers.get('x-forwarded-for') || '').split(',')[0].trim() || null
+    };
+  }
+
+  /**
+   * Append an audit entry; create-only, so an entry can never be overwritten
+   * Throws, so a request that cannot be audited is not carried out
+   */
+  async recordAudit(tenantId, { action, userId, actor, details = {} }) {
+    if (!this.initialized) await this.initialize();
+
+    const timestamp = new Date().toISOString();
+    const entry = {
+      action,
+      userId,
+      tenantId: tenantId || tenantService.defaultTenantId,
+      actor,
+      details,
+      timestamp
+    };
+
+    await firebaseService.createDocument(
+      tenantService.collectionName(this.collection, tenantId),
+      `${timestamp.replace(/[^0-9]/g, '')}-${crypto.randomBytes(6).toString('hex')}`,
+      entry
+    );
+
+    logger.info('[Privacy] Audit entry recorded', { tenantId, userId, action, actor: actor.keyId });
+    return entry;
+  }
+
+  /**
+   * Audit entries for a user, newest first
+   */
+  async listAudit(tenantId, userId) {
+    this.validateUserId(userId);
+    if (!this.initialized) await this.initialize();
+
+    const entries = await firebaseService.queryCollection(
+      tenantService.collectionName(this.collection, tenantId),
+      [{ field: 'userId', operator: '==', value: userId }]
+    );
+    return entries.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+  }
+
+  /**
+   * A user's documents in one of USER_COLLECTIONS
+   */
+  async findUserDocuments(tenantId, name, userId) {
+    return firebaseService.queryCollection(
+      tenantService.collectionName(USER_COLLECTIONS[name], tenantId),
+      [{ field: 'userId', operator: '==', value: userId }]
+    );
+  }
+
+  /**
+   * Everything stored about a user: state, profile, history, sessions, interruptions, consents,
+   * scam detections, fraud reports and daily usage
+   */
+  async exportUserData(tenantId, userId, actor) {
+    this.validateUserId(userId);
+    if (!this.initialized) await this.initialize();
+
+    const { collections } = sessionPersistenceService.forTenant(tenantId);
+    const [state, profile, sessions, consents, scamDetections, fraudReports, usage] = await Promise.all([
+      firebaseService.getDocument(collections.userStates, userId),
+      firebaseService.getDocument(collections.userProfiles, userId),
+      firebaseService.queryCollection(collections.sessions, [{ field: 'userId', operator: '==', value: userId }]),
+      consentService.listConsents(tenantId, userId),
+      this.findUserDocuments(tenantId, 'scamDetections', userId),
+      this.findUserDocuments(tenantId, 'fraudReports', userId),
+      this.findUserDocuments(tenantId, 'usage', userId)
+    ]);
+
+    const interruptions = [];
+    for (const session of sessions) {
+      interruptions.push(...await firebaseService.queryCollection(
+        collections.interruptions,
+        [{ field: 'sessionId', operator: '==', value: session.id }]
+      ));
+    }
+
+    const { conversationHistory = [], ...profileFields } = profile || {};
+    const bundle = {
+      userId,
+      tenantId: tenantId || tenantService.defaultTenantId,
+      exportedAt: new Date().toISOString(),
+      state: state || null,
+      profile: profile ? profileFields : null,
+      history: conversationHistory,
+      sessions,
+      interruptions,
+      consents,
+      scamDetections,
+      fraudReports,
+      usage
+    };
+
+    // Audited before the data is handed out
+    await this.recordAudit(tenantId, {
+      action: ACTIONS.EXPORT,
+      userId,
+      actor,
+      details: {
+        historyMessages: bundle.history.length,
+        sessions: sessions.length,
+        interruptions: interruptions.length,
+        consents: consents.length,
+        scamDetections: scamDetections.length,
+        fraudReports: fraudReports.length,
+        usageDays: usage.length
+      }
+    });
+
+    return bundle;
+  }
+
+  /**
+   * Export bundle as a ZIP: one JSON file per section plus a manifest
+   */
+  toZip(bundle) {
+    const { userId, tenantId, exportedAt, ...sections } = bundle;
+    const files = {
+      'manifest.json': JSON.stringify({
+        userId,
+        tenantId,
+        exportedAt,
+        files: Object.keys(sections).map(name => `${name}.json`)
+      }, null, 2)
+    };
+    for (const [name, data] of Object.entries(sections)) {
+      files[`${name}.json`] = JSON.stringify(data, null, 2);
+    }
+    return createZip(files, new Date(exportedAt));
+  }
+
+  /**
+   * Erase a user: Firestore state, profile, history, sessions, interruptions, scam
+   * detection excerpts and daily usage, their sessions' Opik traces, and their recordings
+   * Consent records are kept as evidence of what the user agreed to. Fraud reports are kept
+   * for the complaint their reference number may back, without the userId.
+   * @returns {object} what was erased, and anything that could not be (complete: false)
+   */
+  async eraseUserData(tenantId, userId, actor) {
+    this.validateUserId(userId);
+    if (!this.initialized) await this.initialize();
+
+    await this.recordAudit(tenantId, { action: ACTIONS.ERASURE_REQUESTED, userId, actor });
+
+    const persistence = sessionPersistenceService.forTenant(tenantId);
+    const collection = name => tenantService.collectionName(USER_COLLECTIONS[name], tenantId);
+    const [sessions, scamDetections, fraudReports, usage] = await Promise.all([
+      firebaseService.queryCollection(persistence.collections.sessions, [{ field: 'userId', operator: '==', value: userId }]),
+      this.findUserDocuments(tenantId, 'scamDetections', userId),
+      this.findUserDocuments(tenantId, 'fraudReports', userId),
+      this.findUserDocuments(tenantId, 'usage', userId)
+    ]);
+    const sessionIds = new Set([
+      ...sessions.map(session => session.id),
+      ...scamDetections.map(detection => detection.sessionId),
+      ...fraudReports.map(report => report.sessionId).filter(Boolean)
+    ]);
+
+    // Sessions an earlier, incomplete erasure could not clear from Opik (their records are gone by now)
+    const earlier = await this.listAudit(tenantId, userId);
+    earlier
+      .filter(entry => entry.action === ACTIONS.ERASURE_COMPLETED)
+      .forEach(entry => ((entry.details && entry.details.opikFailed) || []).forEach(sessionId => sessionIds.add(sessionId)));
+
+    const results = {
+      firestore: await persistence.clearUserData(userId),
+      scamDetections: 0,
+      usageDays: 0,
+      fraudReportsUnlinked: 0,
+      recordings: [],
+      opikTraces: { sessions: 0, failed: [] },
+      failures: []
+    };
+
+    for (const detection of scamDetections) {
+      try {
+        await firebaseService.deleteDocument(collection('scamDetections'), detection.id);
+        results.scamDetections++;
+      } catch (error) {
+        results.failures.push(`scam_detections/${detection.id}`);
+      }
+    }
+
+    for (const day of usage) {
+      try {
+        await firebaseService.deleteDocument(collection('usage'), day.id);
+        results.usageDays++;
+      } catch (error) {
+        results.failures.push(`usage_daily/${day.id}`);
+      }
+    }
+
+    const erasedAt = new Date().toISOString();
+    for (const report of fraudReports) {
+      try {
+        await firebaseService.updateDocument(collection('fraudReports'), report.id, { userId: null, userErasedAt: erasedAt });
+        results.fraudReportsUnlinked++;
+      } catch (error) {
+        results.failures.push(`fraud_reports/${report.id}`);
+      }
+    }
+
+    try {
+      results.recordings = await recordingService.deleteUserRecordings(tenantId, userId, [...sessionIds]);
+      results.recordings.forEach(sessionId => sessionIds.add(sessionId));
+    } catch (error) {
+      logger.error('[Privacy] Recording deletion failed', { tenantId, userId, error: error.message });
+      results.failures.push('recordings');
+    }
+
+    for (const sessionId of sessionIds) {
+      if (await OpikClient.deleteSessionTraces(sessionId)) {
+        results.opikTraces.sessions++;
+      } else {
+        results.opikTraces.failed.push(sessionId);
+      }
+    }
+    if (results.opikTraces.failed.length > 0) {
+      results.failures.push('opik_traces');
+    }
+
+    results.complete = results.failures.length === 0;
+    await this.recordAudit(tenantId, {
+      action: ACTIONS.ERASURE_COMPLETED,
+      userId,
+      actor,
+      details: {
+        complete: results.complete,
+        failures: results.failures,
+        opikFailed: results.opikTraces.failed,  // Retried by the next erasure request
+        sessions: sessionIds.size,
+        recordings: results.recordings.length,
+        scamDetections: results.scamDetections,
+        usageDays: results.usageDays,
+        fraudReportsUnlinked: results.fraudReportsUnlinked
+      }
+    });
+
+    logger.info('[Privacy] User data erased', { tenantId, userId, complete: results.complete });
+    return results;
+  }
+}
+
+// Singleton instance
+const privacyService = new PrivacyService();
+
+module.exports = privacyService;
+module.exports.ACTIONS = ACTIONS;
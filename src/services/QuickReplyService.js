@@ -0,0 +1,151 @@
+/**
+ * Quick Reply Service
+ * Structured menu fallback for when speech recognition keeps failing: serves the
+ * configurable JSON menu tree as quick_replies messages and resolves selections
+ * into text turns
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../utils/logger');
+const config = require('../config');
+const { ValidationError } = require('../utils/errors');
+
+const DEFAULT_MENU_PATH = path.join(__dirname, '../config/quickReplyMenu.json');
+
+// STTQualityAnalyzer actions that mean "we did not understand, say it again"
+const RETRY_ACTIONS = ['REQUEST_REPEAT', 'REQUEST_CLARIFICATION', 'SUGGEST_QUIET_LOCATION'];
+
+class QuickReplyService {
+  constructor() {
+    this.quickReplyConfig = config.quickReplies;
+    this.menu = null;
+  }
+
+  isEnabled() {
+    return this.quickReplyConfig.enabled;
+  }
+
+  /**
+   * The menu tree, loaded and validated on first use
+   */
+  getMenu() {
+    if (!this.menu) {
+      const menuPath = this.quickReplyConfig.menuPath || DEFAULT_MENU_PATH;
+      this.menu = this.validateMenu(JSON.parse(fs.readFileSync(menuPath, 'utf8')));
+      logger.info('[QuickReply] Menu loaded', { menuPath, nodes: Object.keys(this.menu.nodes).length });
+    }
+    return this.menu;
+  }
+
+  /**
+   * Check the tree: a root node, options with an id and a label, and each option
+   * either injecting text or leading to an existing node
+   */
+  validateMenu(menu) {
+    if (!menu || !menu.nodes || !menu.nodes[menu.root]) {
+      throw new ValidationError('Quick reply menu needs nodes and a root node');
+    }
+
+    for (const [nodeId, node] of Object.entries(menu.nodes)) {
+      if (!Array.isArray(node.options) || node.options.length === 0) {
+        throw new ValidationError(`Quick reply node ${nodeId} has no options`);
+      }
+      for (const option of node.options) {
+        if (!option.id || !option.label) {
+          throw new ValidationError(`Quick reply option in ${nodeId} needs an id and a label`);
+        }
+        if (!option.text && !option.next) {
+          throw new ValidationError(`Quick reply option ${nodeId}/${option.id} needs text or next`);
+        }
+        if (option.next && !menu.nodes[option.next]) {
+          throw new ValidationError(`Quick reply option ${nodeId}/${option.id} leads to unknown node ${option.next}`);
+        }
+      }
+    }
+
+    return menu;
+  }
+
+  /**
+   * Menu strings are plain or per language ({ en, hi, ... }, English fallback)
+   */
+  localize(value, language) {
+    if (!value || typeof value === 'string') {
+      return value || null;
+    }
+    return value[language] || value.en || Object.values(value)[0];
+  }
+
+  /**
+   * quick_replies message for a node (the root by default)
+   */
+  buildMessage(nodeId, language = 'en') {
+    const menu = this.getMenu();
+    const id = nodeId || menu.root;
+    const node = menu.nodes[id];
+    if (!node) {
+      throw new ValidationError(`Unknown quick reply node: ${id}`);
+    }
+
+    return {
+      type: 'quick_replies',
+      nodeId: id,
+      prompt: this.localize(node.prompt, language),
+      options: node.options.map(option => ({
+        id: option.id,
+        label: this.localize(option.label, language)
+      })),
+      allowFreeSpeech: true  // Speaking normally always works, at any node
+    };
+  }
+
+  /**
+   * Resolve a tapped option
+   * @returns {object} { optionId, text (turn to inject, or null), language (switch to, or null), quickReplies (next node, or null) }
+   */
+  select(nodeId, optionId, language = 'en') {
+    const node = this.getMenu().nodes[nodeId];
+    const option = node && node.options.find(candidate => candidate.id === optionId);
+    if (!option) {
+      throw new ValidationError('Unknown quick reply option', { nodeId, optionId });
+    }
+
+    const replyLanguage = option.language || language;
+    return {
+      optionId,
+      text: this.localize(option.text, replyLanguage),
+      language: option.language || null,
+      quickReplies: option.next ? this.buildMessage(option.next, replyLanguage) : null
+    };
+  }
+
+  /**
+   * Per-conversation tracking of consecutive recognition failures
+   */
+  createState() {
+    return { failures: 0, updatedAt: Date.now() };
+  }
+
+  /**
+   * Record the analyzer's action for one utterance
+   * @returns {boolean} true when the menu should be offered
+   */
+  recordRecognition(state, action) {
+    state.updatedAt = Date.now();
+
+    if (!RETRY_ACTIONS.includes(action)) {
+      state.failures = 0;
+      return false;
+    }
+
+    state.failures++;
+    return this.isEnabled() && state.failures >= this.quickReplyConfig.failureThreshold;
+  }
+}
+
+// Singleton instance
+const quickReplyService = new QuickReplyService();
+
+module.exports = quickReplyService;
+module.exports.RETRY_ACTIONS = RETRY_ACTIONS;
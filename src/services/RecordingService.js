@@ -0,0 +1,186 @@
+/**
+ * Recording Service
+ * Stores opt-in Live conversation recordings (user.pcm, model.pcm, timeline.json per session)
+ * through a storage adapter and deletes them after the retention period. Tracks are
+ * appended while the call runs and served as WAV.
+ */
+
+const { logger } = require('../utils/logger');
+const config = require('../config');
+const tenantService = require('./TenantService');
+const redactionService = require('./RedactionService');
+const ConversationRecorder = require('./ConversationRecorder');
+const { createRecordingStorage } = require('./RecordingStorage');
+const { encodeWav } = require('../utils/audio');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+const TRACKS = ['user', 'model'];
+
+class RecordingService {
+  constructor() {
+    this.recordingConfig = config.recording;
+    this.storage = createRecordingStorage(this.recordingConfig);
+    this.sweepTimer = null;
+  }
+
+  isEnabled() {
+    return this.recordingConfig.enabled;
+  }
+
+  /**
+   * Recorder for a new session; timeline entries are masked with the tenant's redaction classes
+   */
+  createRecorder({ sessionId, tenantId, userId, language, redactionClasses }) {
+    const prefix = this.getPrefix(tenantId, sessionId);
+    return new ConversationRecorder(
+      { sessionId, tenantId: tenantId || tenantService.defaultTenantId, userId: userId || null, language },
+      {
+        maxDuration: this.recordingConfig.maxDuration,
+        flushInterval: this.recordingConfig.flushInterval,
+        writeAudio: (track, pcm) => this.storage.append(prefix + `${track}.pcm`, pcm),
+        redact: data => redactionService.redactValue(data, redactionClasses)
+      }
+    );
+  }
+
+  /**
+   * Storage prefix of a session's recording; recordings are kept per tenant
+   */
+  getPrefix(tenantId, sessionId) {
+    if (!SESSION_ID_PATTERN.test(sessionId || '')) {
+      throw new ValidationError('Invalid session ID', { sessionId });
+    }
+    return `${tenantId || tenantService.defaultTenantId}/${sessionId}/`;
+  }
+
+  /**
+   * Finish a recorder and write its timeline (the audio is already stored)
+   */
+  async saveRecording(recorder) {
+    const { sessionId, tenantId } = recorder.info;
+    const prefix = this.getPrefix(tenantId, sessionId);
+    const files = await recorder.finish();
+
+    for (const [name, buffer] of Object.entries(files)) {
+      await this.storage.put(prefix + name, buffer);
+    }
+
+    logger.info('[Recording] Recording saved', { sessionId, tenantId });
+  }
+
+  /**
+   * Recording metadata and timeline of a session
+   */
+  async getRecording(tenantId, sessionId) {
+    const timeline = await this.storage.get(this.getPrefix(tenantId, sessionId) + 'timeline.json');
+    if (!timeline) {
+      throw new NotFoundError('Recording');
+    }
+    return JSON.parse(timeline.toString());
+  }
+
+  /**
+   * WAV file of one track ('user' or 'model')
+   */
+  async getTrack(tenantId, sessionId, track) {
+    if (!TRACKS.includes(track)) {
+      throw new ValidationError(`track must be one of: ${TRACKS.join(', ')}`, { track });
+    }
+
+    const { file, sampleRate } = (await this.getRecording(tenantId, sessionId)).tracks[track];
+    const data = await this.storage.get(this.getPrefix(tenantId, sessionId) + file);
+    return encodeWav(data || Buffer.alloc(0), { sampleRate });
+  }
+
+  /**
+   * Delete a user's recordings (data erasure): the given sessions, plus any whose timeline names the user
+   * @returns {Array} session IDs whose recordings were deleted
+   */
+  async deleteUserRecordings(tenantId, userId, sessionIds = []) {
+    const tenantPrefix = `${tenantId || tenantService.defaultTenantId}/`;
+    const objects = await this.storage.list(tenantPrefix);
+
+    const recordings = new Map();  // sessionId -> keys
+    for (const object of objects) {
+      const sessionId = object.key.split('/')[1];
+      recordings.set(sessionId, [...(recordings.get(sessionId) || []), object.key]);
+    }
+
+    const deleted = [];
+    for (const [sessionId, keys] of recordings) {
+      let owned = sessionIds.includes(sessionId);
+      if (!owned) {
+        const timeline = await this.storage.get(`${tenantPrefix}${sessionId}/timeline.json`);
+        owned = !!timeline && JSON.parse(timeline.toString()).userId === userId;
+      }
+      if (!owned) continue;
+
+      for (const key of keys) {
+        await this.storage.delete(key);
+      }
+      deleted.push(sessionId);
+    }
+
+    logger.info('[Recording] User recordings deleted', { tenantId, userId, recordings: deleted.length });
+    return deleted;
+  }
+
+  /**
+   * Delete recordings older than retentionDays
+   */
+  async purgeExpired() {
+    const cutoff = Date.now() - this.recordingConfig.retentionDays * 86400000;
+    const objects = await this.storage.list('');
+
+    // Group files by recording (tenantId/sessionId/)
+    const recordings = new Map();
+    for (const object of objects) {
+      const prefix = object.key.split('/').slice(0, 2).join('/');
+      const recording = recordings.get(prefix) || { keys: [], updatedAt: 0 };
+      recording.keys.push(object.key);
+      recording.updatedAt = Math.max(recording.updatedAt, object.updatedAt);
+      recordings.set(prefix, recording);
+    }
+
+    let purged = 0;
+    for (const [prefix, recording] of recordings) {
+      if (recording.updatedAt >= cutoff) continue;
+
+      for (const key of recording.keys) {
+        await this.storage.delete(key);
+      }
+      purged++;
+      logger.info('[Recording] Expired recording deleted', { recording: prefix });
+    }
+
+    return purged;
+  }
+
+  /**
+   * Run the retention sweep now and every sweepInterval seconds
+   * Runs even when recording is disabled, so earlier recordings still expire
+   */
+  startRetentionSweep() {
+    if (this.sweepTimer) {
+      return;
+    }
+
+    const sweep = () => this.purgeExpired().catch(error => {
+      logger.error('[Recording] Retention sweep failed:', error);
+    });
+
+    sweep();
+    this.sweepTimer = setInterval(sweep, this.recordingConfig.sweepInterval * 1000);
+
+    logger.info('[Recording] Retention sweep enabled', {
+      retentionDays: this.recordingConfig.retentionDays,
+      enabled: this.recordingConfig.enabled
+    });
+  }
+}
+
+// Singleton instance
+const recordingService = new RecordingService();
+
+module.exports = recordingService;
@@ -0,0 +1,115 @@
+/**
+ * Recording Storage
+ * Storage adapters for conversation recordings. An adapter stores opaque objects under
+ * slash-separated keys and implements:
+ *   put(key, buffer) / append(key, buffer) / get(key) -> Buffer|null
+ *   list(prefix) -> [{ key, updatedAt }] / delete(key)
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { logger } = require('../utils/logger');
+
+/**
+ * Local filesystem adapter (default)
+ */
+class LocalRecordingStorage {
+  constructor(baseDir) {
+    this.baseDir = path.resolve(baseDir);
+  }
+
+  /**
+   * Absolute path of a key; keys may not leave the base directory
+   */
+  resolve(key) {
+    const filePath = path.resolve(this.baseDir, key);
+    if (filePath !== this.baseDir && !filePath.startsWith(this.baseDir + path.sep)) {
+      throw new Error(`Invalid recording key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async put(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+  }
+
+  async append(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.appendFile(filePath, buffer);
+  }
+
+  async get(key) {
+    try {
+      return await fs.readFile(this.resolve(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async list(prefix = '') {
+    const results = [];
+    const walk = async (dir) => {
+      let entries;
+      try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+
+      for (const entry of entries) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(entryPath);
+        } else {
+          const key = path.relative(this.baseDir, entryPath).split(path.sep).join('/');
+          if (key.startsWith(prefix)) {
+            const stats = await fs.stat(entryPath);
+            results.push({ key, updatedAt: stats.mtimeMs });
+          }
+        }
+      }
+    };
+
+    await walk(this.baseDir);
+    return results;
+  }
+
+  async delete(key) {
+    const filePath = this.resolve(key);
+    await fs.rm(filePath, { force: true });
+
+    // Drop directories the delete left empty
+    let dir = path.dirname(filePath);
+    while (dir !== this.baseDir && dir.startsWith(this.baseDir)) {
+      try {
+        await fs.rmdir(dir);
+      } catch (error) {
+        break;
+      }
+      dir = path.dirname(dir);
+    }
+  }
+}
+
+const ADAPTERS = {
+  local: (recordingConfig) => new LocalRecordingStorage(recordingConfig.localDir)
+};
+
+/**
+ * Create the storage adapter named by config.recording.storage
+ */
+function createRecordingStorage(recordingConfig) {
+  const factory = ADAPTERS[recordingConfig.storage];
+  if (!factory) {
+    logger.warn('[Recording] Unknown storage adapter, using local', { storage: recordingConfig.storage });
+    return ADAPTERS.local(recordingConfig);
+  }
+  return factory(recordingConfig);
+}
+
+module.exports = { createRecordingStorage, LocalRecordingStorage, ADAPTERS };
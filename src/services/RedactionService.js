@@ -0,0 +1,247 @@
+/**
+ * Redaction Service
+ * Masks personal data (Aadhaar, PAN, account and card numbers, IFSC, phone numbers,
+ * emails, UPI IDs, OTPs) in transcripts before they are stored or sent out of the process.
+ * Digits may be written or spoken ("nine eight seven...", "nau aath saat...", "नौ आठ सात...");
+ * every class has one fixed mask, e.g. [AADHAAR], so redacted text reads the same everywhere
+ */
+
+const tenantService = require('./TenantService');
+const { logger } = require('../utils/logger');
+const config = require('../config');
+
+const CLASSES = ['aadhaar', 'pan', 'account', 'ifsc', 'card', 'phone', 'email', 'upi', 'otp'];
+
+const MASKS = {
+  aadhaar: '[AADHAAR]',
+  pan: '[PAN]',
+  account: '[ACCOUNT]',
+  ifsc: '[IFSC]',
+  card: '[CARD]',
+  phone: '[PHONE]',
+  email: '[EMAIL]',
+  upi: '[UPI]',
+  otp: '[OTP]'
+};
+
+// Identifiers with a fixed shape, matched before digit runs
+const PATTERNS = [
+  { type: 'email', regex: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g },
+  { type: 'upi', regex: /[A-Za-z0-9._-]{2,256}@[A-Za-z][A-Za-z0-9]{1,63}(?![A-Za-z0-9@-]|\.[A-Za-z])/g },  // name@okaxis (no domain after @)
+  { type: 'pan', regex: /\b[A-Z]{5}[0-9]{4}[A-Z]\b/gi },
+  { type: 'ifsc', regex: /\b[A-Z]{4}0[A-Z0-9]{6}\b/gi }
+];
+
+// Spoken digits (English, romanized Hindi, Hindi, Marathi)
+const DIGIT_WORDS = {
+  zero: '0', oh: '0', one: '1', two: '2', three: '3', four: '4', five: '5', six: '6', seven: '7', eight: '8', nine: '9',
+  shunya: '0', ek: '1', do: '2', teen: '3', char: '4', chaar: '4', paanch: '5', panch: '5', chhe: '6', chhah: '6',
+  saat: '7', aath: '8', nau: '9',
+  'शून्य': '0', 'एक': '1', 'दो': '2', 'दोन': '2', 'तीन': '3', 'चार': '4', 'पांच': '5', 'पाँच': '5', 'पाच': '5',
+  'छह': '6', 'छः': '6', 'छे': '6', 'सहा': '6', 'सात': '7', 'आठ': '8', 'नौ': '9', 'नऊ': '9'
+};
+const REPEAT_WORDS = { double: 2, triple: 3, 'डबल': 2, 'ट्रिपल': 3 };
+
+// Zero code points of Indic digit blocks (Devanagari, Bengali, Gujarati, Tamil, Telugu, Kannada)
+const DIGIT_ZEROS = [0x0966, 0x09E6, 0x0AE6, 0x0BE6, 0x0C66, 0x0CE6];
+
+// Words that make a short number an OTP, PIN or CVV
+const OTP_CONTEXT = /(\b(otp|o\.t\.p|one[\s-]time[\s-]password|verification code|code|m?pin|cvv|password)\b|ओटीपी|कोड|पिन)[^\d]{0,25}$/i;
+
+class RedactionService {
+  constructor() {
+    this.redactionConfig = config.redaction;
+  }
+
+  /**
+   * Classes redacted for a tenant (tenant settings.redaction overrides REDACTION_CLASSES)
+   */
+  async getClasses(tenantId) {
+    let classes = this.redactionConfig.classes;
+    try {
+      const tenant = await tenantService.getTenant(tenantId || tenantService.defaultTenantId);
+      if (tenant.settings && Array.isArray(tenant.settings.redaction)) {
+        classes = tenant.settings.redaction;
+      }
+    } catch (error) {
+      logger.warn('[Redaction] Tenant lookup failed, using default classes', { tenantId, error: error.message });
+    }
+    return classes.filter(type => CLASSES.includes(type));
+  }
+
+  /**
+   * Mask personal data in a string
+   */
+  redact(text, classes = CLASSES) {
+    if (typeof text !== 'string' || !text || classes.length === 0) {
+      return text;
+    }
+
+    const spans = this.findSpans(text).filter(span => classes.includes(span.type));
+    let result = '';
+    let position = 0;
+    for (const span of spans) {
+      result += text.slice(position, span.start) + MASKS[span.type];
+      position = span.end;
+    }
+    return result + text.slice(position);
+  }
+
+  /**
+   * Mask every string in a value (objects and arrays are copied, other values kept)
+   */
+  redactValue(value, classes = CLASSES) {
+    if (typeof value === 'string') {
+      return this.redact(value, classes);
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.redactValue(item, classes));
+    }
+    if (value && typeof value === 'object' && !(value instanceof Date) && !Buffer.isBuffer(value)) {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.redactValue(item, classes)]));
+    }
+    return value;
+  }
+
+  /**
+   * redactValue with the tenant's classes
+   */
+  async redactForTenant(tenantId, value) {
+    return this.redactValue(value, await this.getClasses(tenantId));
+  }
+
+  /**
+   * Personal data in a string, in order and without overlaps
+   * @returns {Array} spans - { start, end, type }
+   */
+  findSpans(text) {
+    const normalized = this.normalizeDigits(text);
+    const spans = [];
+
+    for (const { type, regex } of PATTERNS) {
+      for (const match of normalized.matchAll(regex)) {
+        const start = match.index;
+        const end = start + match[0].length;
+        if (!spans.some(span => start < span.end && end > span.start)) {
+          spans.push({ start, end, type });
+        }
+      }
+    }
+
+    for (const run of this.findDigitRuns(normalized)) {
+      if (spans.some(span => run.start < span.end && run.end > span.start)) continue;
+
+      const type = this.classifyDigits(run.digits, {
+        spoken: run.spoken,
+        otpContext: OTP_CONTEXT.test(normalized.slice(Math.max(0, run.start - 60), run.start))
+      });
+      if (type) {
+        spans.push({ start: run.start, end: run.end, type });
+      }
+    }
+
+    return spans.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Indic digits to ASCII (one UTF-16 unit each, so positions are unchanged)
+   */
+  normalizeDigits(text) {
+    return text.replace(/[०-९০-৯૦-૯௦-௯౦-౯೦-೯]/g, digit => {
+      const code = digit.charCodeAt(0);
+      const zero = DIGIT_ZEROS.find(candidate => code >= candidate && code <= candidate + 9);
+      return String(code - zero);
+    });
+  }
+
+  /**
+   * Runs of digit groups and spoken digit words, e.g. "98765 43210" or "nine eight double seven..."
+   * @returns {Array} runs - { start, end, digits, spoken }
+   */
+  findDigitRuns(text) {
+    const runs = [];
+    let run = null;
+    let repeat = 1;
+
+    const closeRun = () => {
+      if (run && run.digits) runs.push(run);
+      run = null;
+      repeat = 1;
+    };
+
+    for (const match of text.matchAll(/[\p{L}\p{M}]+|\d+/gu)) {
+      const token = match[0];
+      const lower = token.toLowerCase();
+      const start = match.index;
+      const end = start + token.length;
+      // Digits inside an identifier like "abc123def" are not a number
+      const isDigits = /^\d+$/.test(token) && !/[\p{L}\p{M}_]/u.test((text[start - 1] || '') + (text[end] || ''));
+      const isWord = !isDigits && (DIGIT_WORDS[lower] !== undefined || REPEAT_WORDS[lower] !== undefined);
+
+      if (run) {
+        const gap = text.slice(run.end, start);
+        // Written groups join on a space or hyphen; spoken digits may also be split by commas and full stops
+        const joins = /^[ -]?$/.test(gap) || ((run.spoken || isWord) && /^[\s,.-]*$/.test(gap));
+        if (!joins || (!isDigits && !isWord)) {
+          closeRun();
+        }
+      }
+      if (!isDigits && !isWord) continue;
+
+      if (!run) {
+        run = { start: text[start - 1] === '+' ? start - 1 : start, end, digits: '', spoken: false };
+      }
+      run.end = end;
+
+      if (REPEAT_WORDS[lower] !== undefined) {
+        repeat = REPEAT_WORDS[lower];
+        run.spoken = true;
+      } else {
+        const digits = isDigits ? token : DIGIT_WORDS[lower];
+        run.digits += digits.repeat(repeat);
+        run.spoken = run.spoken || !isDigits;
+        repeat = 1;
+      }
+    }
+    closeRun();
+
+    // A spoken run needs several digit words ("one" or "do" alone is just a word)
+    return runs.filter(candidate => !candidate.spoken || candidate.digits.length >= 3);
+  }
+
+  /**
+   * Class of a digit string, or null for ordinary numbers (amounts, years)
+   */
+  classifyDigits(digits, { spoken = false, otpContext = false } = {}) {
+    const length = digits.length;
+
+    if (otpContext && length >= 3 && length <= 8) return 'otp';
+    if (length >= 13 && length <= 19 && this.passesLuhn(digits)) return 'card';
+    if (length === 10 && /^[6-9]/.test(digits)) return 'phone';
+    if ((length === 12 && /^91[6-9]/.test(digits)) || (length === 11 && /^0[6-9]/.test(digits))) return 'phone';
+    if (length === 12 && /^[2-9]/.test(digits)) return 'aadhaar';
+    if (length >= 9 && length <= 18) return 'account';
+    if (spoken && length >= 4 && length <= 8) return 'otp';
+    return null;
+  }
+
+  passesLuhn(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+      let digit = Number(digits[digits.length - 1 - i]);
+      if (i % 2 === 1) {
+        digit *= 2;
+        if (digit > 9) digit -= 9;
+      }
+      sum += digit;
+    }
+    return sum % 10 === 0;
+  }
+}
+
+// Singleton instance
+const redactionService = new RedactionService();
+
+module.exports = redactionService;
+module.exports.CLASSES = CLASSES;
+module.exports.MASKS = MASKS;
@@ -5,6 +5,7 @@
 
 const speech = require('@google-cloud/speech');
 const { logger } = require('../utils/logger');
+const audioUtils = require('../utils/audio');
 
 class STTService {
   constructor(env) {
@@ -285,7 +286,7 @@ class STTService {
         sampleRateHertz = formatInfo.sampleRate || 48000; // WebM Opus typically 48kHz
       } else if (encoding === 'OGG_OPUS') {
         sampleRateHertz = formatInfo.sampleRate || 48000; // Ogg Opus also 48kHz
-      } else if (formatInfo.format === 'WAV') {
+      } else if (formatInfo.format === audioUtils.FORMATS.WAV) {
         // WAV format detected - use sample rate from header
         sampleRateHertz = formatInfo.sampleRate;
       }
@@ -309,50 +310,7 @@ class STTService {
    * Detect audio format and extract sample rate from buffer
    */
   detectAudioFormat(audioBuffer) {
-    // WebM Opus signature: 0x1A 0x45 0xDF 0xA3
-    const isWebM = audioBuffer[0] === 0x1A &&
-                   audioBuffer[1] === 0x45 &&
-                   audioBuffer[2] === 0xDF &&
-                   audioBuffer[3] === 0xA3;
-
-    if (isWebM) {
-      return {
-        format: 'WEBM',
-        encoding: 'WEBM_OPUS',
-        sampleRate: 48000 // WebM Opus standard
-      };
-    }
-
-    // WAV signature: 'RIFF' at 0, 'WAVE' at 8
-    const isWAV = audioBuffer[0] === 0x52 && // 'R'
-                  audioBuffer[1] === 0x49 && // 'I'
-                  audioBuffer[2] === 0x46 && // 'F'
-                  audioBuffer[3] === 0x46 && // 'F'
-                  audioBuffer[8] === 0x57 && // 'W'
-                  audioBuffer[9] === 0x41 && // 'A'
-                  audioBuffer[10] === 0x56 && // 'V'
-                  audioBuffer[11] === 0x45;  // 'E'
-
-    if (isWAV && audioBuffer.length > 28) {
-      // Extract sample rate from WAV header (bytes 24-27, little-endian)
-      const sampleRate = audioBuffer[24] |
-                        (audioBuffer[25] << 8) |
-                        (audioBuffer[26] << 16) |
-                        (audioBuffer[27] << 24);
-
-      return {
-        format: 'WAV',
-        encoding: 'LINEAR16',
-        sampleRate: sampleRate
-      };
-    }
-
-    // Default: assume LINEAR16 PCM at 16kHz
-    return {
-      format: 'PCM',
-      encoding: 'LINEAR16',
-      sampleRate: 16000
-    };
+    return audioUtils.detectFormat(audioBuffer);
   }
 
   /**
@@ -370,18 +328,20 @@ class STTService {
   }
 
   /**
-   * Decode Opus to PCM (if needed)
-   * This is a placeholder - actual implementation would use ffmpeg or opus-decoder
+   * Decode a complete WebM/Opus or Ogg/Opus file to PCM16 mono
    */
   async decodeOpusToPCM(opusBuffer, targetSampleRate = 16000) {
-    // TODO: Implement Opus decoding
-    // Options:
-    // 1. Use @discordjs/opus or node-opus package
-    // 2. Use ffmpeg via child_process
-    // 3. Use WebAssembly Opus decoder
-
-    logger.warn('[STTService] Opus decoding not implemented, returning original buffer');
-    return opusBuffer;
+    const { format } = this.detectAudioFormat(opusBuffer);
+    const decoder = audioUtils.createOpusDecoder(format, { sampleRate: targetSampleRate });
+
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      decoder.output.on('data', chunk => chunks.push(chunk));
+      decoder.output.on('end', () => resolve(Buffer.concat(chunks)));
+      decoder.output.on('error', reject);
+      decoder.input.on('error', reject);
+      decoder.input.end(opusBuffer);
+    });
   }
 
   /**
@@ -0,0 +1,242 @@
+/**
+ * Scam Detection Service
+ * Deterministic scan of user transcripts for known scam patterns (OTP/PIN/CVV requests,
+ * KYC threats, lottery prizes, remote-access apps, UPI collect requests) in English and
+ * Indic languages, independent of what the model decides. Hits are stored per tenant
+ * in scam_detections for reporting
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const firebaseService = require('./firebase');
+const tenantService = require('./TenantService');
+const redactionService = require('./RedactionService');
+const { logger } = require('../utils/logger');
+const config = require('../config');
+const { ValidationError } = require('../utils/errors');
+
+const DEFAULT_PATTERNS_PATH = path.join(__dirname, '../config/scamPatterns.json');
+
+const SEVERITY_ORDER = ['critical', 'high', 'medium', 'low'];
+
+// Characters of transcript kept around a match in the stored hit
+const EXCERPT_CONTEXT = 60;
+
+class ScamDetectionService {
+  constructor() {
+    this.collection = 'scam_detections';
+    this.scamConfig = config.scamDetection;
+    this.categories = null;
+    this.initialized = false;
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+
+    await firebaseService.initialize();
+    this.initialized = true;
+    logger.info('[ScamDetection] Service initialized', { enabled: this.scamConfig.enabled });
+  }
+
+  isEnabled() {
+    return this.scamConfig.enabled;
+  }
+
+  /**
+   * Pattern categories, loaded and compiled on first use
+   */
+  getCategories() {
+    if (!this.categories) {
+      const patternsPath = this.scamConfig.patternsPath || DEFAULT_PATTERNS_PATH;
+      const { categories } = JSON.parse(fs.readFileSync(patternsPath, 'utf8'));
+      if (!categories || Object.keys(categories).length === 0) {
+        throw new ValidationError('Scam pattern file has no categories', { patternsPath });
+      }
+
+      this.categories = Object.entries(categories).map(([id, category]) => ({
+        id,
+        label: category.label,
+        severity: category.severity || 'high',
+        message: category.message,
+        patterns: Object.entries(category.patterns).flatMap(([language, patterns]) =>
+          patterns.map(pattern => ({ language, regex: new RegExp(pattern, 'iu') }))
+        )
+      }));
+      logger.info('[ScamDetection] Patterns loaded', {
+        patternsPath,
+        categories: this.categories.length,
+        patterns: this.categories.reduce((total, category) => total + category.patterns.length, 0)
+      });
+    }
+    return this.categories;
+  }
+
+  /**
+   * Scan text against every language's patterns (callers mix languages and scripts)
+   * @returns {Array} hits - { category, label, severity, patternLanguage, excerpt }, one per category
+   */
+  scan(text) {
+    if (!text || !this.isEnabled()) return [];
+
+    const hits = [];
+    for (const category of this.getCategories()) {
+      for (const { language, regex } of category.patterns) {
+        const match = regex.exec(text);
+        if (match) {
+          const start = Math.max(0, match.index - EXCERPT_CONTEXT);
+          const end = Math.min(text.length, match.index + match[0].length + EXCERPT_CONTEXT);
+          hits.push({
+            category: category.id,
+            label: category.label,
+            severity: category.severity,
+            patternLanguage: language,
+            excerpt: text.slice(start, end)
+          });
+          break;
+        }
+      }
+    }
+    return hits;
+  }
+
+  /**
+   * Per-session detection state: the user utterance so far and when each category last warned
+   */
+  createState() {
+    return { utterance: '', lastWarnedAt: new Map(), pending: [] };
+  }
+
+  /**
+   * Add a streamed chunk of the user's speech and scan the utterance so far
+   * @returns {Array} hits not already warned about within the cooldown (also queued in state.pending)
+   */
+  inspect(state, text) {
+    state.utterance += text;
+
+    const now = Date.now();
+    const hits = this.scan(state.utterance).filter(hit => {
+      const lastWarnedAt = state.lastWarnedAt.get(hit.category);
+      return !lastWarnedAt || now - lastWarnedAt >= this.scamConfig.cooldown * 1000;
+    });
+
+    for (const hit of hits) {
+      state.lastWarnedAt.set(hit.category, now);
+      state.pending.push(hit);
+    }
+    return hits;
+  }
+
+  /**
+   * The user's turn is over: start the next utterance and hand back hits still owed a safety message
+   */
+  endUtterance(state) {
+    const pending = state.pending;
+    state.utterance = '';
+    state.pending = [];
+    return pending;
+  }
+
+  /**
+   * Safety message for a category (per language, English fallback)
+   */
+  getMessage(categoryId, language = 'en') {
+    const category = this.getCategories().find(candidate => candidate.id === categoryId);
+    const message = category && category.message;
+    if (!message || typeof message === 'string') {
+      return message || null;
+    }
+    const baseLanguage = (language || 'en').split('-')[0];
+    return message[baseLanguage] || message.en;
+  }
+
+  /**
+   * fraud_warning event for the client
+   */
+  buildWarning(hits, language = 'en') {
+    return {
+      type: 'fraud_warning',
+      categories: hits.map(hit => hit.category),
+      severity: this.highestSeverity(hits),
+      messages: hits.map(hit => this.getMessage(hit.category, language))
+    };
+  }
+
+  /**
+   * Text turn that makes the model open its next reply with the safety message
+   */
+  buildSafetyInstruction(hits) {
+    const warnings = hits.map(hit => `${hit.label}: "${this.getMessage(hit.category, 'en')}"`).join(' ');
+    return `[Safety alert: the user's words match known scam patterns. ${warnings} ` +
+      'Start your next reply by giving this warning clearly, in the language the user is speaking, then continue helping them.]';
+  }
+
+  highestSeverity(hits) {
+    return hits
+      .map(hit => hit.severity)
+      .sort((a, b) => SEVERITY_ORDER.indexOf(a) - SEVERITY_ORDER.indexOf(b))[0] || null;
+  }
+
+  /**
+   * Store a detection for reporting; never throws (a failed write must not break the call)
+   * @param {object} context - { tenantId, sessionId, userId, channel, language }
+   */
+  async recordHits(context, hits) {
+    if (hits.length === 0) return;
+
+    const { tenantId, sessionId, userId, channel, language } = context;
+    logger.warn('[ScamDetection] Scam pattern detected', {
+      sessionId,
+      tenantId,
+      channel,
+      categories: hits.map(hit => hit.category)
+    });
+
+    try {
+      if (!this.initialized) await this.initialize();
+
+      const detectedAt = new Date().toISOString();
+      const classes = await redactionService.getClasses(tenantId);
+      await firebaseService.setDocument(
+        tenantService.collectionName(this.collection, tenantId),
+        crypto.randomBytes(10).toString('hex'),
+        {
+          tenantId: tenantId || tenantService.defaultTenantId,
+          sessionId,
+          userId: userId || null,
+          channel,
+          language: language || null,
+          categories: hits.map(hit => hit.category),
+          severity: this.highestSeverity(hits),
+          hits: hits.map(({ category, severity, patternLanguage, excerpt }) => ({
+            category,
+            severity,
+            patternLanguage,
+            excerpt: redactionService.redact(excerpt, classes)
+          })),
+          detectedAt
+        }
+      );
+    } catch (error) {
+      logger.error('[ScamDetection] Failed to record detection', { sessionId, tenantId, error: error.message });
+    }
+  }
+
+  /**
+   * Categories detected so far in a session (linked into fraud reports)
+   */
+  async getSessionCategories(tenantId, sessionId) {
+    if (!this.initialized) await this.initialize();
+
+    const detections = await firebaseService.queryCollection(
+      tenantService.collectionName(this.collection, tenantId),
+      [{ field: 'sessionId', operator: '==', value: sessionId }]
+    );
+    return [...new Set(detections.flatMap(detection => detection.categories || []))];
+  }
+}
+
+// Singleton instance
+const scamDetectionService = new ScamDetectionService();
+
+module.exports = scamDetectionService;
@@ -4,28 +4,47 @@
  */
 
 const firebaseService = require('./firebase');
+const tenantService = require('./TenantService');
+const redactionService = require('./RedactionService');
 const { logger } = require('../utils/logger');
+const config = require('../config');
 
 class SessionPersistenceService {
-  constructor() {
+  constructor(tenantId = config.tenancy.defaultTenantId) {
     this.initialized = false;
+    this.tenantId = tenantId;
+    this.tenantInstances = new Map(); // tenantId -> SessionPersistenceService (default instance only)
 
-    // Firestore collections
+    // Firestore collections (nested under tenants/{tenantId} for non-default tenants)
     this.collections = {
-      userStates: 'user_states',           // Active session state per user
-      userProfiles: 'user_profiles',       // Cross-session user data
-      sessions: 'sessions',                 // Session metadata and lifecycle
-      interruptions: 'interruptions'        // Interruption context history
+      userStates: tenantService.collectionName('user_states', tenantId),         // Active session state per user
+      userProfiles: tenantService.collectionName('user_profiles', tenantId),     // Cross-session user data
+      sessions: tenantService.collectionName('sessions', tenantId),              // Session metadata and lifecycle
+      interruptions: tenantService.collectionName('interruptions', tenantId)     // Interruption context history
     };
   }
 
+  /**
+   * Persistence scoped to a tenant's collections
+   */
+  forTenant(tenantId) {
+    if (tenantService.isDefault(tenantId)) {
+      return this;
+    }
+
+    if (!this.tenantInstances.has(tenantId)) {
+      this.tenantInstances.set(tenantId, new SessionPersistenceService(tenantId));
+    }
+    return this.tenantInstances.get(tenantId);
+  }
+
   async initialize() {
     if (this.initialized) return;
 
     try {
       await firebaseService.initialize();
       this.initialized = true;
-      logger.info('[SessionPersistence] Service initialized');
+      logger.info('[SessionPersistence] Service initialized', { tenantId: this.tenantId });
     } catch (error) {
       logger.error('[SessionPersistence] Initialization failed:', error);
       throw error;
@@ -143,7 +162,7 @@ class SessionPersistenceService {
   }
 
   /**
-   * Append message to user's cross-session history
+   * Append message to user's cross-session history (personal data redacted)
    */
   async appendToUserHistory(userId, message) {
     if (!this.initialized) await this.initialize();
@@ -156,7 +175,7 @@ class SessionPersistenceService {
       }
 
       profile.conversationHistory.push({
-        ...message,
+        ...await redactionService.redactForTenant(this.tenantId, message),
         timestamp: new Date().toISOString()
       });
 
@@ -358,7 +377,7 @@ class SessionPersistenceService {
         logger.warn('[SessionPersistence] User profile deletion failed:', error);
       }
 
-      // Delete all user sessions
+      // Delete user sessions and their interruptions (interruptions first - they are found through the sessions)
       try {
         const sessions = await firebaseService.queryCollection(
           this.collections.sessions,
@@ -366,6 +385,20 @@ class SessionPersistenceService {
         );
 
         for (const session of sessions) {
+          try {
+            const interruptions = await firebaseService.queryCollection(
+              this.collections.interruptions,
+              [{ field: 'sessionId', operator: '==', value: session.id }]
+            );
+
+            for (const interruption of interruptions) {
+              await firebaseService.deleteDocument(this.collections.interruptions, interruption.id);
+              results.interruptions++;
+            }
+          } catch (error) {
+            logger.warn('[SessionPersistence] Interruptions deletion failed:', error);
+          }
+
           await firebaseService.deleteDocument(this.collections.sessions, session.id);
           results.sessions++;
         }
@@ -373,28 +406,6 @@ class SessionPersistenceService {
         logger.warn('[SessionPersistence] Sessions deletion failed:', error);
       }
 
-      // Delete interruptions for user sessions
-      try {
-        const sessions = await firebaseService.queryCollection(
-          this.collections.sessions,
-          [{ field: 'userId', operator: '==', value: userId }]
-        );
-
-        for (const session of sessions) {
-          const interruptions = await firebaseService.queryCollection(
-            this.collections.interruptions,
-            [{ field: 'sessionId', operator: '==', value: session.id }]
-          );
-
-          for (const interruption of interruptions) {
-            await firebaseService.deleteDocument(this.collections.interruptions, interruption.id);
-            results.interruptions++;
-          }
-        }
-      } catch (error) {
-        logger.warn('[SessionPersistence] Interruptions deletion failed:', error);
-      }
-
       logger.info('[SessionPersistence] User data cleared', { userId, results });
       return results;
     } catch (error) {
@@ -59,6 +59,18 @@ class SharedFunctionSchema {
     ];
   }
 
+  /**
+   * Register the shared conversational tool with a ToolRegistry (Live API workflow)
+   */
+  static registerTools(registry) {
+    const [declaration] = this.getFunctionDeclarations();
+
+    registry.register(declaration, async (args) => {
+      const response = args.response || 'Kya madad chahiye aapko?';
+      return { result: this.validateAndCleanResponse(response) };
+    });
+  }
+
   /**
    * Build system prompt - shared across both workflows
    */
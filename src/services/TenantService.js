@@ -0,0 +1,194 @@
+/**
+ * Tenant Service
+ * Resolves the partner bank (tenant) behind a request and scopes Firestore
+ * collections so tenants never see each other's documents or users
+ */
+
+const firebaseService = require('./firebase');
+const { logger } = require('../utils/logger');
+const config = require('../config');
+const { ValidationError, AuthorizationError, NotFoundError } = require('../utils/errors');
+
+// Lowercase slug, also used as a Firestore document ID
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{1,62}$/;
+
+class TenantService {
+  constructor() {
+    this.collection = 'tenants';
+    this.defaultTenantId = config.tenancy.defaultTenantId;
+    this.cache = new Map(); // tenantId -> { tenant, expiresAt }
+    this.initialized = false;
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+
+    await firebaseService.initialize();
+    this.initialized = true;
+    logger.info('[Tenant] Service initialized', { defaultTenantId: this.defaultTenantId });
+  }
+
+  /**
+   * Whether a tenant ID is well-formed
+   */
+  isValidId(tenantId) {
+    return typeof tenantId === 'string' && TENANT_ID_PATTERN.test(tenantId);
+  }
+
+  /**
+   * Whether a tenant ID refers to the default (pre-tenancy) tenant
+   */
+  isDefault(tenantId) {
+    return !tenantId || tenantId === this.defaultTenantId;
+  }
+
+  /**
+   * Firestore collection path for a tenant
+   * The default tenant keeps the original top-level collections so existing data stays visible
+   */
+  collectionName(baseCollection, tenantId) {
+    if (this.isDefault(tenantId)) {
+      return baseCollection;
+    }
+    return `${this.collection}/${tenantId}/${baseCollection}`;
+  }
+
+  /**
+   * Tenant ID requested by an HTTP request or WebSocket upgrade, or null
+   * Read from the tenant header, or the tenantId query parameter (browsers cannot set WebSocket headers)
+   */
+  getRequestedTenantId(req) {
+    const url = new URL(req.url);
+    return this.normalizeTenantId(req.headers.get(config.tenancy.header) || url.searchParams.get('tenantId'));
+  }
+
+  /**
+   * Lower-cased tenant ID, or null when none was given
+   */
+  normalizeTenantId(tenantId) {
+    if (!tenantId) {
+      return null;
+    }
+
+    const normalized = String(tenantId).trim().toLowerCase();
+    if (!this.isValidId(normalized)) {
+      throw new ValidationError('Invalid tenant ID', { tenantId });
+    }
+    return normalized;
+  }
+
+  /**
+   * Resolve and validate the tenant of a request
+   * A tenant-bound API key selects its own tenant; only admin keys may name another one
+   */
+  async resolveTenant(req, principal = null) {
+    return this.resolveRequestedTenant(this.getRequestedTenantId(req), principal);
+  }
+
+  /**
+   * Same check for a tenant ID requested some other way (telephony start parameters)
+   */
+  async resolveRequestedTenant(tenantId, principal = null) {
+    if (principal && principal.tenantId) {
+      if (tenantId && tenantId !== principal.tenantId && !principal.scopes.includes('admin')) {
+        throw new AuthorizationError('API key is not valid for this tenant');
+      }
+      tenantId = tenantId || principal.tenantId;
+    }
+
+    return this.getTenant(tenantId || this.defaultTenantId);
+  }
+
+  /**
+   * Get a tenant (cached for cacheTtl seconds)
+   * The default tenant always exists, even without a Firestore document
+   */
+  async getTenant(tenantId = this.defaultTenantId) {
+    const cached = this.cache.get(tenantId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.tenant;
+    }
+
+    if (!this.initialized) await this.initialize();
+
+    let tenant = await firebaseService.getDocument(this.collection, tenantId);
+
+    if (!tenant) {
+      if (!this.isDefault(tenantId)) {
+        throw new NotFoundError('Tenant');
+      }
+      tenant = { id: this.defaultTenantId, name: 'Default', active: true, settings: {} };
+    }
+
+    if (tenant.active === false) {
+      throw new NotFoundError('Tenant');
+    }
+
+    tenant = { settings: {}, ...tenant };
+    this.cache.set(tenantId, { tenant, expiresAt: Date.now() + config.tenancy.cacheTtl * 1000 });
+    return tenant;
+  }
+
+  /**
+   * Create or update a tenant
+   */
+  async saveTenant(tenantId, data) {
+    if (!this.isValidId(tenantId)) {
+      throw new ValidationError('Invalid tenant ID', { tenantId });
+    }
+    if (!this.initialized) await this.initialize();
+
+    const { id, createdAt, ...fields } = data;
+    const existing = await firebaseService.getDocument(this.collection, tenantId);
+    const now = new Date().toISOString();
+
+    await firebaseService.setDocument(this.collection, tenantId, {
+      ...fields,
+      createdAt: existing?.createdAt || now,
+      updatedAt: now
+    }, true);
+
+    this.cache.delete(tenantId);
+    logger.info('[Tenant] Tenant saved', { tenantId, created: !existing });
+
+    return this.getTenant(tenantId);
+  }
+
+  /**
+   * List all tenants, including the implicit default tenant
+   */
+  async listTenants() {
+    if (!this.initialized) await this.initialize();
+
+    const tenants = await firebaseService.queryCollection(this.collection);
+    if (!tenants.some(tenant => tenant.id === this.defaultTenantId)) {
+      tenants.unshift(await this.getTenant(this.defaultTenantId));
+    }
+    return tenants;
+  }
+
+  /**
+   * Tenant-specific lines appended to the Live system prompt
+   */
+  buildPromptContext(tenant) {
+    if (!tenant || this.isDefault(tenant.id)) {
+      return '';
+    }
+
+    let context = `\n\n🏦 ORGANIZATION:\nYou are the assistant of ${tenant.name || tenant.id}.`;
+    if (tenant.assistantName) {
+      context += ` Introduce yourself as ${tenant.assistantName}.`;
+    }
+    context += ' Only describe this organization\'s products and policies as your own.\n';
+
+    if (tenant.systemPrompt) {
+      context += `\n${tenant.systemPrompt}\n`;
+    }
+    return context;
+  }
+}
+
+// Singleton instance
+const tenantService = new TenantService();
+
+module.exports = tenantService;
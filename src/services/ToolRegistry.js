@@ -0,0 +1,105 @@
+/**
+ * Tool Registry
+ * Central registry of function declarations and their async handlers
+ * Lets modules plug tools into the Live session without touching VertexAILiveService
+ */
+
+const { logger } = require('../utils/logger');
+const { AppError, NotFoundError } = require('../utils/errors');
+const config = require('../config');
+
+class ToolRegistry {
+  constructor() {
+    this.tools = new Map(); // name -> { declaration, handler, timeoutMs }
+    this.defaultTimeoutMs = Math.round(config.vertexAILive.tools.timeout * 1000);
+  }
+
+  /**
+   * Register a tool
+   * @param {Object} declaration - Function declaration ({ name, description, parameters })
+   * @param {Function} handler - async (args, context) => response object sent back as toolResponse
+   * @param {Object} options - { timeout } in seconds, overrides the configured default
+   */
+  register(declaration, handler, options = {}) {
+    if (!declaration || !declaration.name) {
+      throw new Error('Tool declaration must have a name');
+    }
+    if (typeof handler !== 'function') {
+      throw new Error(`Tool ${declaration.name} must have a handler function`);
+    }
+
+    if (this.tools.has(declaration.name)) {
+      logger.warn('[ToolRegistry] Replacing existing tool', { name: declaration.name });
+    }
+
+    this.tools.set(declaration.name, {
+      declaration,
+      handler,
+      timeoutMs: options.timeout ? Math.round(options.timeout * 1000) : this.defaultTimeoutMs
+    });
+
+    logger.info('[ToolRegistry] Tool registered', {
+      name: declaration.name,
+      totalTools: this.tools.size
+    });
+  }
+
+  /**
+   * Remove a tool
+   */
+  unregister(name) {
+    return this.tools.delete(name);
+  }
+
+  /**
+   * Check if a tool is registered
+   */
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  /**
+   * Get all function declarations (for the setup message)
+   */
+  getDeclarations() {
+    return Array.from(this.tools.values()).map(tool => tool.declaration);
+  }
+
+  /**
+   * Execute a tool handler with a timeout
+   * Throws NotFoundError for unknown tools and a TIMEOUT_ERROR AppError when the handler is too slow
+   */
+  async execute(name, args = {}, context = {}) {
+    const tool = this.tools.get(name);
+    if (!tool) {
+      throw new NotFoundError(`Tool ${name}`);
+    }
+
+    let timer = null;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        reject(new AppError(`Tool ${name} timed out after ${tool.timeoutMs}ms`, 504, 'TIMEOUT_ERROR'));
+      }, tool.timeoutMs);
+    });
+
+    try {
+      const response = await Promise.race([
+        Promise.resolve().then(() => tool.handler(args, context)),
+        timeout
+      ]);
+
+      // Live API expects an object as the function response
+      if (response === undefined || response === null) {
+        return { result: null };
+      }
+      return typeof response === 'object' ? response : { result: response };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+// Singleton instance
+const toolRegistry = new ToolRegistry();
+
+module.exports = toolRegistry;
@@ -0,0 +1,255 @@
+/**
+ * Usage Service
+ * Meters Live session tokens and audio seconds per user, per tenant and per day,
+ * and enforces the daily quotas checked before a session starts
+ */
+
+const { FieldValue } = require('firebase-admin/firestore');
+const firebaseService = require('./firebase');
+const tenantService = require('./TenantService');
+const { logger } = require('../utils/logger');
+const config = require('../config');
+const { ValidationError, QuotaExceededError } = require('../utils/errors');
+
+// Counters kept in every daily usage document
+const METRICS = [
+  'sessions',
+  'totalTokens',
+  'inputTokens',
+  'outputTokens',
+  'audioInputTokens',
+  'audioOutputTokens',
+  'textInputTokens',
+  'textOutputTokens',
+  'audioInputSeconds',
+  'audioOutputSeconds'
+];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Same rule as PrivacyService: the user ID is part of a document ID, which cannot contain slashes
+const USER_ID_PATTERN = /^[^/]{1,256}$/;
+
+class UsageService {
+  constructor() {
+    this.collection = 'usage_daily';
+    this.usageConfig = config.usage;
+    this.initialized = false;
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+
+    await firebaseService.initialize();
+    this.initialized = true;
+    logger.info('[Usage] Service initialized', { enabled: this.usageConfig.enabled });
+  }
+
+  /**
+   * UTC day (YYYY-MM-DD) of a timestamp
+   */
+  getDay(timestamp = Date.now()) {
+    return new Date(timestamp).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Document IDs: one per tenant per day, one per user per day
+   */
+  getDocId(day, userId = null) {
+    return userId ? `${day}_user_${userId}` : day;
+  }
+
+  isValidUserId(userId) {
+    return typeof userId === 'string' && USER_ID_PATTERN.test(userId);
+  }
+
+  /**
+   * Add usage to today's tenant and user documents
+   * Metrics missing from usage are left unchanged
+   */
+  async recordUsage({ tenantId, userId, sessionId }, usage) {
+    if (!this.usageConfig.enabled) return;
+
+    const increments = {};
+    for (const metric of METRICS) {
+      if (usage[metric] > 0) {
+        increments[metric] = FieldValue.increment(usage[metric]);
+      }
+    }
+    if (Object.keys(increments).length === 0) return;
+
+    try {
+      if (!this.initialized) await this.initialize();
+
+      const collection = tenantService.collectionName(this.collection, tenantId);
+      const day = this.getDay();
+      const updatedAt = new Date().toISOString();
+      const scopeTenantId = tenantId || tenantService.defaultTenantId;
+
+      const writes = [
+        firebaseService.setDocument(collection, this.getDocId(day), {
+          ...increments, date: day, scope: 'tenant', tenantId: scopeTenantId, userId: null, updatedAt
+        }, true)
+      ];
+      if (userId && !this.isValidUserId(userId)) {
+        logger.warn('[Usage] Invalid user ID, recording tenant usage only', { sessionId, tenantId });
+      } else if (userId) {
+        writes.push(firebaseService.setDocument(collection, this.getDocId(day, userId), {
+          ...increments, date: day, scope: 'user', tenantId: scopeTenantId, userId, updatedAt
+        }, true));
+      }
+      await Promise.all(writes);
+    } catch (error) {
+      // Metering must never break a live call
+      logger.error('[Usage] Failed to record usage', { sessionId, tenantId, userId, error: error.message });
+    }
+  }
+
+  /**
+   * Daily limits for a tenant (tenant settings.quotas override the defaults; 0 = unlimited)
+   */
+  getQuotas(tenant) {
+    const quotas = (tenant && tenant.settings && tenant.settings.quotas) || {};
+    const limit = (value, fallback) => {
+      if (value === undefined || value === null || !(Number(value) >= 0)) return fallback;
+      return Number(value);
+    };
+
+    return {
+      userDailyTokens: limit(quotas.userDailyTokens, this.usageConfig.userDailyTokens),
+      userDailyAudioSeconds: limit(quotas.userDailyAudioSeconds, this.usageConfig.userDailyAudioSeconds),
+      tenantDailyTokens: limit(quotas.tenantDailyTokens, this.usageConfig.tenantDailyTokens)
+    };
+  }
+
+  /**
+   * Reject a new session when today's usage has reached a quota
+   * Anonymous sessions only count against the tenant quota
+   */
+  async checkQuota(tenantId, userId = null) {
+    if (!this.usageConfig.enabled) return;
+
+    if (userId && !this.isValidUserId(userId)) {
+      throw new ValidationError('Invalid user ID', { userId });
+    }
+
+    const tenant = await tenantService.getTenant(tenantId || tenantService.defaultTenantId);
+    const quotas = this.getQuotas(tenant);
+    if (!quotas.userDailyTokens && !quotas.userDailyAudioSeconds && !quotas.tenantDailyTokens) {
+      return;
+    }
+
+    if (!this.initialized) await this.initialize();
+
+    const collection = tenantService.collectionName(this.collection, tenant.id);
+    const day = this.getDay();
+    const resetsAt = new Date(`${day}T00:00:00.000Z`).getTime() + 86400000;
+
+    const exceeded = (message, quota, limit, used) => new QuotaExceededError(message, {
+      quota, limit, used, resetsAt: new Date(resetsAt).toISOString()
+    });
+
+    if (quotas.tenantDailyTokens) {
+      const tenantUsage = await firebaseService.getDocument(collection, this.getDocId(day));
+      const used = tenantUsage?.totalTokens || 0;
+      if (used >= quotas.tenantDailyTokens) {
+        throw exceeded('Daily usage limit for this organization has been reached', 'tenantDailyTokens', quotas.tenantDailyTokens, used);
+      }
+    }
+
+    if (userId && (quotas.userDailyTokens || quotas.userDailyAudioSeconds)) {
+      const userUsage = await firebaseService.getDocument(collection, this.getDocId(day, userId)) || {};
+
+      const usedTokens = userUsage.totalTokens || 0;
+      if (quotas.userDailyTokens && usedTokens >= quotas.userDailyTokens) {
+        throw exceeded('Your daily usage limit has been reached', 'userDailyTokens', quotas.userDailyTokens, usedTokens);
+      }
+
+      const usedSeconds = (userUsage.audioInputSeconds || 0) + (userUsage.audioOutputSeconds || 0);
+      if (quotas.userDailyAudioSeconds && usedSeconds >= quotas.userDailyAudioSeconds) {
+        throw exceeded('Your daily conversation time limit has been reached', 'userDailyAudioSeconds', quotas.userDailyAudioSeconds, Math.round(usedSeconds));
+      }
+    }
+  }
+
+  /**
+   * Daily usage report for a tenant, or one of its users
+   */
+  async getUsageReport(tenantId, { from, to, userId } = {}) {
+    const toDay = to || this.getDay();
+    const fromDay = from || this.getDay(Date.parse(`${toDay}T00:00:00.000Z`) - 29 * 86400000);
+
+    if (!DATE_PATTERN.test(fromDay) || !DATE_PATTERN.test(toDay) || fromDay > toDay) {
+      throw new ValidationError('from and to must be YYYY-MM-DD dates with from <= to', { from, to });
+    }
+    const days = (Date.parse(toDay) - Date.parse(fromDay)) / 86400000 + 1;
+    if (days > this.usageConfig.maxReportDays) {
+      throw new ValidationError(`Date range is limited to ${this.usageConfig.maxReportDays} days`, { from, to });
+    }
+
+    if (!this.initialized) await this.initialize();
+
+    // Range query on date only (no composite index needed); scope is filtered here
+    const documents = await firebaseService.queryCollection(
+      tenantService.collectionName(this.collection, tenantId),
+      [
+        { field: 'date', operator: '>=', value: fromDay },
+        { field: 'date', operator: '<=', value: toDay }
+      ]
+    );
+
+    const rows = documents
+      .filter(doc => (userId ? doc.scope === 'user' && doc.userId === userId : doc.scope === 'tenant'))
+      .map(doc => this.toUsageRow(doc))
+      .sort((a, b) => a.date.localeCompare(b.date));
+
+    const totals = Object.fromEntries(METRICS.map(metric => [
+      metric,
+      this.round(rows.reduce((sum, row) => sum + row[metric], 0))
+    ]));
+
+    const report = {
+      tenantId,
+      userId: userId || null,
+      from: fromDay,
+      to: toDay,
+      totals,
+      days: rows,
+      quotas: this.getQuotas(await tenantService.getTenant(tenantId))
+    };
+
+    // Per-user totals for billing, when reporting on the whole tenant
+    if (!userId) {
+      const users = new Map();
+      for (const doc of documents.filter(d => d.scope === 'user')) {
+        const row = this.toUsageRow(doc);
+        const user = users.get(doc.userId) || { userId: doc.userId, ...Object.fromEntries(METRICS.map(metric => [metric, 0])) };
+        for (const metric of METRICS) {
+          user[metric] = this.round(user[metric] + row[metric]);
+        }
+        users.set(doc.userId, user);
+      }
+      report.users = Array.from(users.values()).sort((a, b) => b.totalTokens - a.totalTokens);
+    }
+
+    return report;
+  }
+
+  toUsageRow(doc) {
+    const row = { date: doc.date };
+    for (const metric of METRICS) {
+      row[metric] = this.round(doc[metric] || 0);
+    }
+    return row;
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+// Singleton instance
+const usageService = new UsageService();
+
+module.exports = usageService;
+module.exports.METRICS = METRICS;
@@ -8,9 +8,26 @@ const { GoogleAuth } = require('google-auth-library');
 const WebSocket = require('ws'); // Use ws library for backend-to-Vertex AI (supports headers)
 const { logger } = require('../utils/logger');
 const SharedFunctionSchema = require('./SharedFunctionSchema');
+const LoanCalculator = require('./LoanCalculator');
+const knowledgeBaseService = require('./KnowledgeBaseService');
+const handoffService = require('./HandoffService');
+const fraudReportService = require('./FraudReportService');
+const vertexAIService = require('./vertexAI');
+const usageService = require('./UsageService');
 const config = require('../config');
 const OpikClient = require('./OpikClient.js').default;
 const sessionPersistenceService = require('./SessionPersistenceService');
+const tenantService = require('./TenantService');
+const redactionService = require('./RedactionService');
+const toolRegistry = require('./ToolRegistry');
+const { LIVE_INPUT_SAMPLE_RATE, LIVE_OUTPUT_SAMPLE_RATE } = require('../utils/audio');
+
+// PCM16 mono: 16kHz from the user, 24kHz from the model
+const INPUT_AUDIO_BYTES_PER_SECOND = LIVE_INPUT_SAMPLE_RATE * 2;
+const OUTPUT_AUDIO_BYTES_PER_SECOND = LIVE_OUTPUT_SAMPLE_RATE * 2;
+
+// The registry is shared by every instance (Live and telephony handlers each create one)
+let builtInToolsRegistered = false;
 
 class VertexAILiveService {
   constructor(env) {
@@ -23,9 +40,22 @@ class VertexAILiveService {
     this.audioConfig = config.vertexAILive.audio;
     this.generationConfig = config.vertexAILive.generation;
     this.sessionTimeoutConfig = config.vertexAILive.sessionTimeout;
+    this.resumptionConfig = config.vertexAILive.resumption;
+    this.compressionConfig = config.vertexAILive.contextCompression;
     this.activeSessions = new Map();
-    this.conversationHistory = new Map(); // Store conversations by userId
+    this.conversationHistory = new Map(); // Store conversations by tenantId:userId
+    this.toolRegistry = toolRegistry;
     this.initialized = false;
+
+    // Built-in tools available to every Live session
+    if (!builtInToolsRegistered) {
+      SharedFunctionSchema.registerTools(this.toolRegistry);
+      LoanCalculator.registerTools(this.toolRegistry);
+      knowledgeBaseService.registerTools(this.toolRegistry);
+      handoffService.registerTools(this.toolRegistry);
+      fraudReportService.registerTools(this.toolRegistry);
+      builtInToolsRegistered = true;
+    }
   }
 
   async initialize() {
@@ -124,9 +154,14 @@ class VertexAILiveService {
 
     try {
       const { language = 'en', systemInstruction, userId } = config;
+      const tenantId = config.tenantId || tenantService.defaultTenantId;
+      const tenant = await tenantService.getTenant(tenantId);
+      const persistence = sessionPersistenceService.forTenant(tenantId);
+      const historyKey = this.getHistoryKey(tenantId, userId);
 
       logger.info('[VertexAILive] Creating session', {
         sessionId,
+        tenantId,
         language,
         userId: userId || 'anonymous'
       });
@@ -157,11 +192,11 @@ class VertexAILiveService {
 
         // Try loading from Firestore first
         try {
-          const profile = await sessionPersistenceService.getUserProfile(userId);
+          const profile = await persistence.getUserProfile(userId);
           if (profile && profile.conversationHistory && profile.conversationHistory.length > 0) {
             userHistory = profile.conversationHistory;
             // Cache in memory for fast access
-            this.conversationHistory.set(userId, userHistory);
+            this.conversationHistory.set(historyKey, userHistory);
             logger.info('[VertexAILive] Loaded conversation history from Firestore', {
               sessionId,
               userId,
@@ -177,8 +212,8 @@ class VertexAILiveService {
         }
 
         // Fallback to in-memory cache if Firestore failed or empty
-        if (!userHistory && this.conversationHistory.has(userId)) {
-          userHistory = this.conversationHistory.get(userId);
+        if (!userHistory && this.conversationHistory.has(historyKey)) {
+          userHistory = this.conversationHistory.get(historyKey);
           logger.info('[VertexAILive] Loaded conversation history from in-memory cache', {
             sessionId,
             userId,
@@ -199,16 +234,23 @@ class VertexAILiveService {
       // Build system instruction using shared fraud protection prompts with language context
       let fullSystemInstruction = systemInstruction || SharedFunctionSchema.buildSystemPrompt('', {}, language);
 
+      // Tenant identity and instructions
+      fullSystemInstruction += tenantService.buildPromptContext(tenant);
+
       // Append previous conversation context if available
       if (previousContext) {
         fullSystemInstruction += previousContext;
       }
 
-      // Get shared function calling schema
-      const functionDeclarations = SharedFunctionSchema.getFunctionDeclarations();
+      // Advertise every registered tool (shared schema plus pluggable tools)
+      const functionDeclarations = this.toolRegistry.getDeclarations();
+
+      const callLimits = this.getCallLimits(tenant);
+      const createdAt = Date.now();
 
       const session = {
         id: sessionId,
+        tenantId,  // Scopes knowledge search, persistence and traces
         userId,  // For context persistence across sessions
         ws,
         language,
@@ -216,9 +258,17 @@ class VertexAILiveService {
         functionDeclarations,
         // Opik conversation tracking
         conversation: [],
-        currentUserInput: '',
-        currentAIOutput: '',
+        currentUserInput: '',  // Input audio transcription of the current turn
+        currentAIOutput: '',  // Output audio transcription of the current turn
+        currentAIText: '',  // Text parts of the current turn (fallback when no transcription arrives)
+        turnAudioBytes: 0,  // Output audio forwarded to the client in the current turn
+        turnInterrupted: false,  // User barged in on the current turn
+        turnCount: 0,
         traceIds: [],
+        cancelledToolCallIds: new Set(),
+        turnFunctionCalls: [],  // Tool calls of the current turn (with knowledge citations) for Opik
+        unmeteredInputBytes: 0,  // Audio streamed since the last usage record
+        unmeteredOutputBytes: 0,
         // Usage metadata tracking
         usageMetadata: {
           totalTokens: 0,
@@ -233,17 +283,28 @@ class VertexAILiveService {
         isActive: false,
         isSetupComplete: false,
         audioBuffer: [],
-        createdAt: Date.now(),
-        lastActivityAt: Date.now(),
+        createdAt,
+        lastActivityAt: createdAt,
+        callLimits,  // { durationWarning, maxCallDuration } in seconds
+        nextDurationWarningAt: createdAt + callLimits.durationWarning * 1000,
+        rollingSummary: '',  // Running summary of the call, re-injected as context
+        summarizedTurns: 0,  // turnCount covered by rollingSummary
+        summarizedMessages: 0,  // conversation entries covered by rollingSummary
+        isSummarizing: false,
         setupResolve: null,  // Will be set to resolve promise when setup complete
         keepaliveInterval: null,  // Will store keepalive timer
         isPriming: false,  // Flag to suppress priming response
         inactivityWarningSet: false,  // Track if "are you still there?" prompt was sent (for inactivity)
         inactivityWarningTime: null,  // When the inactivity warning was sent
-        durationWarningSet: false,  // Track if "do you want to continue?" prompt was sent (for 2-min duration)
+        durationWarningSet: false,  // Track if "do you want to continue?" prompt was sent (every durationWarning seconds)
         durationWarningTime: null,  // When the duration warning was sent
         lastLatency: 0,  // Last measured latency in ms
-        lastTurnStartTime: null  // Timestamp when last turn started
+        lastTurnStartTime: null,  // Timestamp when last turn started
+        resumptionHandle: null,  // Latest Live API handle for continuing this conversation on a new connection
+        isReconnecting: false,  // Moving to a new Vertex AI connection (goAway or dropped socket)
+        pendingAudio: [],  // Client audio held while reconnecting
+        reconnectCount: 0,
+        isClosing: false  // closeSession in progress - do not reconnect
       };
 
       // Setup WebSocket event handlers
@@ -252,56 +313,15 @@ class VertexAILiveService {
       // Store session
       this.activeSessions.set(sessionId, session);
 
-      // Wait for connection to open - using browser/Bun standard API
-      await new Promise((resolve, reject) => {
-        const timeout = setTimeout(() => {
-          logger.error('[VertexAILive] ❌ WebSocket connection timeout after 10s', {
-            sessionId,
-            wsUrl
-          });
-          reject(new Error('WebSocket connection timeout after 10 seconds'));
-        }, 10000);
-
-        // Use addEventListener with once option for one-time events
-        ws.addEventListener('open', () => {
-          clearTimeout(timeout);
-          logger.info('[VertexAILive] ✅ WebSocket connected successfully', { sessionId });
-          resolve();
-        }, { once: true });
-
-        ws.addEventListener('error', (error) => {
-          clearTimeout(timeout);
-          logger.error('[VertexAILive] ❌ WebSocket connection error', {
-            sessionId,
-            error: error.message || error
-          });
-          reject(error);
-        }, { once: true });
-      });
+      // Wait for connection to open
+      await this.waitForOpen(ws, sessionId);
 
       // Send setup message
       logger.info('[VertexAILive] Sending setup message to Vertex AI...', { sessionId });
       await this.sendSetup(session);
 
       // Wait for setup to complete
-      await new Promise((resolve, reject) => {
-        session.setupResolve = resolve;
-
-        const setupTimeout = setTimeout(() => {
-          logger.error('[VertexAILive] ❌ Setup timeout after 15s - Vertex AI did not respond', {
-            sessionId,
-            model: this.model,
-            location: this.location
-          });
-          reject(new Error('Setup timeout - Vertex AI did not respond with setupComplete'));
-        }, 15000);  // 15 second timeout
-
-        session.setupResolve = () => {
-          clearTimeout(setupTimeout);
-          logger.info('[VertexAILive] ✅ Setup complete received from Vertex AI', { sessionId });
-          resolve();
-        };
-      });
+      await this.waitForSetup(session);
 
       logger.info('[VertexAILive] ✅ Session fully ready', { sessionId });
 
@@ -311,6 +331,14 @@ class VertexAILiveService {
       // Start keepalive to prevent connection timeout during silence
       this.startKeepalive(session);
 
+      usageService.recordUsage({ tenantId, userId, sessionId }, { sessions: 1 });
+
+      // Session record, so a user's Live sessions can be exported and erased
+      if (userId) {
+        persistence.saveSession(sessionId, { userId, channel: 'live', language, startedAt: new Date().toISOString() })
+          .catch(error => logger.warn('[VertexAILive] Failed to save session record', { sessionId, error: error.message }));
+      }
+
       return session;
     } catch (error) {
       logger.error('[VertexAILive] ❌ Session creation failed:', {
@@ -338,6 +366,161 @@ class VertexAILiveService {
     }
   }
 
+  /**
+   * Call length limits for a tenant, in seconds
+   * Tenant settings.durationWarning / settings.maxCallDuration override the defaults
+   */
+  getCallLimits(tenant) {
+    const settings = (tenant && tenant.settings) || {};
+    const positive = (value, fallback) => (Number(value) > 0 ? Number(value) : fallback);
+
+    return {
+      durationWarning: positive(settings.durationWarning, this.sessionTimeoutConfig.durationWarning),
+      maxCallDuration: positive(settings.maxCallDuration, this.sessionTimeoutConfig.maxCallDuration)
+    };
+  }
+
+  /**
+   * Wait for a Vertex AI WebSocket to open
+   */
+  waitForOpen(ws, sessionId) {
+    return new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => {
+        logger.error('[VertexAILive] ❌ WebSocket connection timeout after 10s', { sessionId });
+        reject(new Error('WebSocket connection timeout after 10 seconds'));
+      }, 10000);
+
+      // Use addEventListener with once option for one-time events
+      ws.addEventListener('open', () => {
+        clearTimeout(timeout);
+        logger.info('[VertexAILive] ✅ WebSocket connected successfully', { sessionId });
+        resolve();
+      }, { once: true });
+
+      ws.addEventListener('error', (error) => {
+        clearTimeout(timeout);
+        logger.error('[VertexAILive] ❌ WebSocket connection error', {
+          sessionId,
+          error: error.message || error
+        });
+        reject(error);
+      }, { once: true });
+    });
+  }
+
+  /**
+   * Wait for setupComplete after sendSetup
+   */
+  waitForSetup(session) {
+    const { id: sessionId } = session;
+
+    return new Promise((resolve, reject) => {
+      const setupTimeout = setTimeout(() => {
+        session.setupResolve = null;
+        logger.error('[VertexAILive] ❌ Setup timeout after 15s - Vertex AI did not respond', {
+          sessionId,
+          model: this.model,
+          location: this.location
+        });
+        reject(new Error('Setup timeout - Vertex AI did not respond with setupComplete'));
+      }, 15000);  // 15 second timeout
+
+      session.setupResolve = () => {
+        clearTimeout(setupTimeout);
+        logger.info('[VertexAILive] ✅ Setup complete received from Vertex AI', { sessionId });
+        resolve();
+      };
+    });
+  }
+
+  /**
+   * Continue a session on a fresh Vertex AI connection using its resumption handle
+   * Used when the server sends goAway or the connection drops; the conversation
+   * (and everything the model remembers) carries over. Returns true on success.
+   */
+  async resumeVertexSession(session, reason) {
+    const { id: sessionId } = session;
+
+    if (session.isReconnecting || session.isClosing) {
+      return false;
+    }
+    if (!session.resumptionHandle) {
+      logger.warn('[VertexAILive] No resumption handle, cannot reconnect', { sessionId, reason });
+      return false;
+    }
+
+    session.isReconnecting = true;
+    const previousWs = session.ws;
+
+    logger.info('[VertexAILive] Reconnecting with resumption handle', {
+      sessionId,
+      reason,
+      reconnectCount: session.reconnectCount
+    });
+
+    try {
+      const accessToken = await this.getAccessToken();
+      const ws = new WebSocket(this.getWebSocketUrl(), {
+        headers: {
+          'Authorization': `Bearer ${accessToken}`
+        }
+      });
+
+      session.ws = ws;
+      this.setupWebSocketHandlers(session);
+      await this.waitForOpen(ws, sessionId);
+
+      await this.sendSetup(session);
+      await this.waitForSetup(session);
+
+      session.reconnectCount++;
+      session.isReconnecting = false;
+
+      // Retire the old connection (its close event is ignored - it is no longer session.ws)
+      if (previousWs && previousWs.readyState <= 1) {
+        previousWs.close();
+      }
+
+      // Deliver audio the user spoke while we were reconnecting
+      const pending = session.pendingAudio.splice(0);
+      for (const chunk of pending) {
+        await this.sendAudio(sessionId, chunk);
+      }
+
+      this.startKeepalive(session);
+
+      logger.info('[VertexAILive] ✅ Session resumed on new connection', {
+        sessionId,
+        reason,
+        replayedChunks: pending.length
+      });
+      return true;
+    } catch (error) {
+      logger.error('[VertexAILive] Session resumption failed', {
+        sessionId,
+        reason,
+        error: error.message
+      });
+
+      session.isReconnecting = false;
+      session.isActive = false;
+      session.pendingAudio = [];
+      this.stopKeepalive(session);
+      if (session.ws && session.ws !== previousWs) {
+        try {
+          session.ws.close();
+        } catch (e) {
+          logger.warn('[VertexAILive] Error closing WebSocket during cleanup', { e: e.message });
+        }
+      }
+      this.activeSessions.delete(sessionId);
+      if (session.onClosed) {
+        session.onClosed();
+      }
+      return false;
+    }
+  }
+
   /**
    * Prime the AI with language context to ensure correct voice from first response
    * Skips priming for auto-detect mode
@@ -464,6 +647,18 @@ class VertexAILiveService {
         code,
         reason: reason.toString()
       });
+
+      // A connection replaced by resumeVertexSession
+      if (ws !== session.ws) {
+        return;
+      }
+
+      // Unexpected drop - continue the conversation on a new connection if we can
+      if (!session.isClosing && session.isSetupComplete && session.resumptionHandle) {
+        this.resumeVertexSession(session, 'connection_lost');
+        return;
+      }
+
       session.isActive = false;
       this.activeSessions.delete(sessionId);
     });
@@ -566,6 +761,18 @@ class VertexAILiveService {
             silenceDurationMs: Math.round(this.vadConfig.voiceActivityTimeout * 1000)
           }
         },
+        // Transcribe both sides of the audio conversation (the canonical turn record)
+        inputAudioTranscription: {},
+        outputAudioTranscription: {},
+        // Ask for resumption handles; pass the latest one when reconnecting
+        sessionResumption: session.resumptionHandle ? { handle: session.resumptionHandle } : {},
+        // Drop the oldest turns once the context grows too large (rolling summaries keep their gist)
+        ...(this.compressionConfig.enabled && {
+          contextWindowCompression: {
+            triggerTokens: this.compressionConfig.triggerTokens,
+            slidingWindow: { targetTokens: this.compressionConfig.targetTokens }
+          }
+        }),
         systemInstruction: {
           parts: [{ text: session.systemInstruction }]
         },
@@ -579,6 +786,8 @@ class VertexAILiveService {
 
     logger.info('[VertexAILive] Sending setup', {
       sessionId: session.id,
+      resuming: !!session.resumptionHandle,
+      contextCompression: this.compressionConfig.enabled,
       hasFunctions: session.functionDeclarations.length > 0,
       vadEnabled: this.vadConfig.enabled,
       vadTimeoutSeconds: this.vadConfig.voiceActivityTimeout,
@@ -614,9 +823,35 @@ class VertexAILiveService {
       return;
     }
 
+    // New resumption handle - the latest one continues the conversation on another connection
+    if (message.sessionResumptionUpdate) {
+      const { newHandle, resumable } = message.sessionResumptionUpdate;
+      if (resumable && newHandle) {
+        session.resumptionHandle = newHandle;
+      }
+    }
+
+    // The server is about to drop this connection - move to a new one first
+    if (message.goAway) {
+      logger.info('[VertexAILive] goAway received', {
+        sessionId,
+        timeLeft: message.goAway.timeLeft
+      });
+      this.resumeVertexSession(session, 'go_away');
+      return;
+    }
+
     // Server content (audio response or function call)
     if (message.serverContent) {
-      const { modelTurn, turnComplete } = message.serverContent;
+      const { modelTurn, turnComplete, interrupted, inputTranscription, outputTranscription } = message.serverContent;
+
+      // Transcriptions of the user's speech and the model's spoken answer
+      if (inputTranscription && inputTranscription.text) {
+        this.handleTranscription(session, 'user', inputTranscription);
+      }
+      if (outputTranscription && outputTranscription.text) {
+        this.handleTranscription(session, 'assistant', outputTranscription);
+      }
 
       if (modelTurn && modelTurn.parts) {
         for (const part of modelTurn.parts) {
@@ -647,6 +882,8 @@ class VertexAILiveService {
             });
 
             // Send audio directly to client
+            session.turnAudioBytes += audioData.length;
+            session.unmeteredOutputBytes += audioData.length;
             if (session.onAudioChunk) {
               session.onAudioChunk(audioData);
             }
@@ -662,8 +899,8 @@ class VertexAILiveService {
               continue;
             }
 
-            // Accumulate AI output for Opik tracking
-            session.currentAIOutput += part.text;
+            // Accumulate AI text (used when no output transcription arrives)
+            session.currentAIText += part.text;
 
             logger.info('[VertexAILive] Received text', {
               sessionId,
@@ -686,15 +923,14 @@ class VertexAILiveService {
         }
       }
 
+      // User talked over the model - generation stopped, queued audio is stale
+      if (interrupted) {
+        this.handleInterrupted(session);
+      }
+
       if (turnComplete) {
         logger.info('[VertexAILive] Turn complete', { sessionId });
-
-        // Log conversation exchange to Opik
-        if (session.currentUserInput && session.currentAIOutput) {
-          this.logToOpik(session).catch(err => {
-            logger.error('[Opik] Failed to log trace:', err);
-          });
-        }
+        this.completeTurn(session);
       }
     }
 
@@ -705,16 +941,27 @@ class VertexAILiveService {
         functionCount: message.toolCall.functionCalls.length
       });
 
-      // Process each function call and synthesize with Google TTS
       for (const functionCall of message.toolCall.functionCalls) {
         logger.info('[VertexAILive] Processing function call', {
           sessionId,
           function: functionCall.name,
-          args: functionCall.args
+          argNames: Object.keys(functionCall.args || {})  // Values may hold personal data
         });
+      }
 
-        await this.handleFunctionCall(session, functionCall);
+      await this.handleToolCall(session, message.toolCall.functionCalls);
+    }
+
+    // Tool call cancellation (e.g. user interrupted before the tool finished)
+    if (message.toolCallCancellation && message.toolCallCancellation.ids) {
+      for (const id of message.toolCallCancellation.ids) {
+        session.cancelledToolCallIds.add(id);
       }
+
+      logger.info('[VertexAILive] Tool calls cancelled', {
+        sessionId,
+        ids: message.toolCallCancellation.ids
+      });
     }
 
     // Usage metadata - capture and store
@@ -758,110 +1005,102 @@ class VertexAILiveService {
         audioIn: session.usageMetadata.audioInputTokens,
         audioOut: session.usageMetadata.audioOutputTokens
       });
+
+      this.meterUsage(session, usage);
     }
   }
 
+  /**
+   * Handle a toolCall message - run all function calls and reply with one toolResponse
+   */
+  async handleToolCall(session, functionCalls) {
+    const functionResponses = await Promise.all(
+      functionCalls.map(functionCall => this.handleFunctionCall(session, functionCall))
+    );
+
+    // Drop responses for calls the server cancelled while the handler was running
+    const pending = functionResponses.filter(response => !session.cancelledToolCallIds.has(response.id));
+    functionResponses.forEach(response => session.cancelledToolCallIds.delete(response.id));
+
+    if (pending.length === 0 || !session.ws || session.ws.readyState !== 1) {
+      return;
+    }
+
+    session.ws.send(JSON.stringify({
+      toolResponse: {
+        functionResponses: pending
+      }
+    }));
+  }
+
   /**
    * Handle function call from model
+   * Routes to the registered tool handler and returns the functionResponse entry
    */
   async handleFunctionCall(session, functionCall) {
-    const { name, args, id } = functionCall;
+    const { name, args = {}, id } = functionCall;
     const startTime = Date.now();
+    let response;
 
-    if (name === 'respond_to_financial_query') {
-      // Extract the response from function args
-      const response = args.response || 'Kya madad chahiye aapko?';
-      const cleanResponse = SharedFunctionSchema.validateAndCleanResponse(response);
+    try {
+      // A guard (e.g. consent not yet given) may answer in place of the tool
+      const refusal = session.toolGuard ? session.toolGuard(name, args) : null;
 
-      logger.info('[VertexAILive] Function response extracted', {
+      response = refusal || await this.toolRegistry.execute(name, args, {
+        session,
         sessionId: session.id,
-        response: cleanResponse,
-        topic: args.topic
+        tenantId: session.tenantId,
+        userId: session.userId,
+        language: session.language
       });
 
-      // Send function response back to Vertex AI (maintains conversation context)
-      const functionResponse = {
-        toolResponse: {
-          functionResponses: [{
-            id: id,
-            name: name,
-            response: {
-              result: cleanResponse
-            }
-          }]
-        }
-      };
+      logger.info(refusal ? '[VertexAILive] Function refused by guard' : '[VertexAILive] Function executed', {
+        sessionId: session.id,
+        function: name,
+        topic: args.topic,
+        latency: Date.now() - startTime
+      });
+    } catch (error) {
+      logger.error('[VertexAILive] Function execution failed', {
+        sessionId: session.id,
+        function: name,
+        error: error.message,
+        code: error.code
+      });
 
-      session.ws.send(JSON.stringify(functionResponse));
-
-      // Log function call to Opik
-      const latency = Date.now() - startTime;
-      if (OpikClient && OpikClient.isEnabled()) {
-        OpikClient.logFunctionCall({
-          session_id: session.id,
-          function_name: name,
-          function_args: args,
-          function_response: { result: cleanResponse },
-          timestamp: new Date().toISOString(),
-          latency_ms: latency
-        }).catch(err => {
-          logger.error('[Opik] Failed to log function call:', err);
-        });
-      }
+      // Report the failure to the model so it can recover instead of waiting
+      response = {
+        error: error.message,
+        code: error.code || 'TOOL_ERROR'
+      };
+    }
 
-      // Synthesize text to audio using Google Cloud TTS Neural2 voices (highest quality)
-      // COMMENTED OUT - Using native Vertex AI audio instead for faster response
-      // try {
-      //   const textToSpeech = require('@google-cloud/text-to-speech');
-      //   const ttsClient = new textToSpeech.TextToSpeechClient();
-
-      //   // Detect language and get Neural2 voice
-      //   const languageCode = this.detectLanguage(cleanResponse);
-      //   const voiceName = this.getBestNeuralVoice(languageCode);
-
-      //   const ttsRequest = {
-      //     input: { text: cleanResponse },
-      //     voice: {
-      //       languageCode: languageCode,
-      //       name: voiceName
-      //     },
-      //     audioConfig: {
-      //       audioEncoding: 'LINEAR16',
-      //       sampleRateHertz: 24000,
-      //       speakingRate: 0.95,  // Slightly slower for more natural, conversational pace
-      //       pitch: 1.0,  // Slightly higher pitch for warmer, friendlier tone
-      //       volumeGainDb: 0.0,
-      //       effectsProfileId: ['telephony-class-application']  // Optimized for voice conversations
-      //     }
-      //   };
-
-      //   logger.info('[VertexAILive] Synthesizing speech', {
-      //     sessionId: session.id,
-      //     language: languageCode,
-      //     voice: voiceName,
-      //     textLength: cleanResponse.length
-      //   });
-
-      //   const [ttsResponse] = await ttsClient.synthesizeSpeech(ttsRequest);
-      //   const audioBuffer = Buffer.from(ttsResponse.audioContent);
-
-      //   logger.info('[VertexAILive] Speech synthesized', {
-      //     sessionId: session.id,
-      //     audioSize: audioBuffer.length
-      //   });
-
-      //   // Send audio to client
-      //   if (session.onAudioChunk) {
-      //     session.onAudioChunk(audioBuffer);
-      //   }
-      // } catch (error) {
-      //   logger.error('[VertexAILive] TTS synthesis error:', {
-      //     sessionId: session.id,
-      //     error: error.message,
-      //     stack: error.stack
-      //   });
-      // }
+    // Log function call to Opik
+    const latency = Date.now() - startTime;
+    session.turnFunctionCalls.push({
+      name,
+      args,
+      latency_ms: latency,
+      citations: response.citations || []
+    });
+    if (session.onFunctionCall) {
+      session.onFunctionCall({ name, args, response, latency_ms: latency });
     }
+    if (OpikClient && OpikClient.isEnabled()) {
+      OpikClient.logFunctionCall({
+        session_id: session.id,
+        tenant_id: session.tenantId,
+        function_name: name,
+        function_args: args,
+        function_response: response,
+        timestamp: new Date().toISOString(),
+        latency_ms: latency
+      }).catch(err => {
+        logger.error('[Opik] Failed to log function call:', err);
+      });
+    }
+
+    return { id, name, response };
   }
 
   /**
@@ -916,6 +1155,15 @@ class VertexAILiveService {
       throw new Error(`Session ${sessionId} not active`);
     }
 
+    // Hold audio until the new Vertex AI connection is set up (oldest chunks dropped first)
+    if (session.isReconnecting) {
+      session.pendingAudio.push(audioData);
+      if (session.pendingAudio.length > this.resumptionConfig.maxBufferedChunks) {
+        session.pendingAudio.shift();
+      }
+      return;
+    }
+
     // Convert audio to base64
     const base64Audio = audioData.toString('base64');
 
@@ -934,6 +1182,7 @@ class VertexAILiveService {
     });
 
     session.ws.send(JSON.stringify(audioMessage));
+    session.unmeteredInputBytes += audioData.length;
     session.lastActivityAt = Date.now();
 
     // Track turn start time for latency calculation (only set if not already set)
@@ -950,6 +1199,7 @@ class VertexAILiveService {
     if (session.durationWarningSet) {
       session.durationWarningSet = false;
       session.durationWarningTime = null;
+      session.nextDurationWarningAt = Date.now() + session.callLimits.durationWarning * 1000;
       logger.info('[VertexAILive] User activity detected, duration warning reset', { sessionId });
     }
   }
@@ -978,6 +1228,11 @@ class VertexAILiveService {
     // Option 2: Just stop sending audio and model detects silence
     // Option 3: Send empty turn to signal completion
 
+    // Nothing to signal while reconnecting - server-side VAD ends the turn on the new connection
+    if (session.isReconnecting) {
+      return;
+    }
+
     // Let's use the proper format for ending a turn
     const turnCompleteMessage = {
       clientContent: {
@@ -1001,10 +1256,58 @@ class VertexAILiveService {
     if (session.durationWarningSet) {
       session.durationWarningSet = false;
       session.durationWarningTime = null;
+      session.nextDurationWarningAt = Date.now() + session.callLimits.durationWarning * 1000;
       logger.info('[VertexAILive] Turn completed, duration warning reset', { sessionId });
     }
   }
 
+  /**
+   * Send a text turn from the user (e.g. a tapped quick reply); the model answers it like speech
+   */
+  async sendText(sessionId, text) {
+    const session = this.activeSessions.get(sessionId);
+
+    if (!session || !session.isActive || session.isReconnecting) {
+      throw new Error(`Session ${sessionId} not active`);
+    }
+
+    // Text has no input transcription - it is the user's side of the turn as is
+    session.currentUserInput += text;
+    session.lastTurnStartTime = Date.now();
+    session.lastActivityAt = Date.now();
+
+    session.ws.send(JSON.stringify({
+      clientContent: {
+        turns: [{ role: 'user', parts: [{ text }] }],
+        turnComplete: true
+      }
+    }));
+
+    logger.info('[VertexAILive] Text turn sent', { sessionId, length: text.length });
+  }
+
+  /**
+   * Send a system-generated instruction (safety message, compliance step, handback)
+   * Not the user's words: kept out of the transcript, history and turn latency
+   * @param {object} options - { respond: false } adds it to the context without starting a model turn
+   */
+  async sendInstruction(sessionId, text, { respond = true } = {}) {
+    const session = this.activeSessions.get(sessionId);
+
+    if (!session || !session.isActive || session.isReconnecting) {
+      throw new Error(`Session ${sessionId} not active`);
+    }
+
+    session.ws.send(JSON.stringify({
+      clientContent: {
+        turns: [{ role: 'user', parts: [{ text }] }],
+        turnComplete: respond
+      }
+    }));
+
+    logger.info('[VertexAILive] Instruction sent', { sessionId, length: text.length });
+  }
+
   /**
    * Start keepalive to prevent WebSocket timeout during silence
    */
@@ -1026,7 +1329,28 @@ class VertexAILiveService {
         const inactivityMs = now - session.lastActivityAt;
         const inactivitySeconds = Math.floor(inactivityMs / 1000);
 
-        // PRIORITY 1: Check if no response to duration warning (after 2-min conversation + 1-min no response)
+        // PRIORITY 0: Maximum call length for the tenant - end the call regardless of activity
+        if (!session.callLimitReached && sessionDurationMs > session.callLimits.maxCallDuration * 1000) {
+          logger.warn('[VertexAILive] Maximum call length reached, closing session', {
+            sessionId,
+            sessionDurationSeconds,
+            maxCallDuration: session.callLimits.maxCallDuration
+          });
+          session.callLimitReached = true;
+
+          this.sendDurationGoodbye(session).catch(err => {
+            logger.error('[VertexAILive] Error sending goodbye:', err);
+          }).finally(() => {
+            setTimeout(() => {
+              this.closeSession(sessionId).catch(err => {
+                logger.error('[VertexAILive] Error closing session after max call length:', err);
+              });
+            }, 2000);
+          });
+          return;
+        }
+
+        // PRIORITY 1: Check if no response to duration warning (1 minute without an answer)
         const warningTimeoutMs = this.sessionTimeoutConfig.warningTimeout * 1000;
         if (session.durationWarningSet && (now - session.durationWarningTime) > warningTimeoutMs) {
           logger.warn('[VertexAILive] No response to duration warning, closing session', {
@@ -1048,10 +1372,9 @@ class VertexAILiveService {
           return;
         }
 
-        // PRIORITY 2: Check conversation duration - warn at 2 minutes
-        const durationWarningMs = this.sessionTimeoutConfig.durationWarning * 1000;
-        if (!session.durationWarningSet && sessionDurationMs > durationWarningMs) {
-          logger.info('[VertexAILive] 2 minutes of conversation, asking if user wants to continue', {
+        // PRIORITY 2: Periodic check-in - ask every durationWarning seconds whether to continue
+        if (!session.durationWarningSet && now >= session.nextDurationWarningAt) {
+          logger.info('[VertexAILive] Check-in due, asking if user wants to continue', {
             sessionId,
             sessionDurationSeconds
           });
@@ -1100,7 +1423,8 @@ class VertexAILiveService {
     logger.info('[VertexAILive] Keepalive started', {
       sessionId,
       interval: `${this.sessionTimeoutConfig.checkInterval}s`,
-      durationWarning: `${this.sessionTimeoutConfig.durationWarning}s`,
+      durationWarning: `${session.callLimits.durationWarning}s`,
+      maxCallDuration: `${session.callLimits.maxCallDuration}s`,
       warningTimeout: `${this.sessionTimeoutConfig.warningTimeout}s`,
       inactivityTimeout: `${this.sessionTimeoutConfig.inactivityTimeout}s`
     });
@@ -1209,7 +1533,7 @@ class VertexAILiveService {
   }
 
   /**
-   * Send duration warning prompt - ask user if they want to continue after 2 minutes
+   * Send duration warning prompt - ask user if they want to continue (periodic check-in)
    */
   async sendDurationWarningPrompt(session) {
     try {
@@ -1300,46 +1624,205 @@ class VertexAILiveService {
   }
 
   /**
-   * Log conversation exchange to Opik (Gemini Live)
+   * Accumulate a transcription chunk and stream it to the client
    */
-  async logToOpik(session) {
+  handleTranscription(session, role, transcription) {
+    // The priming exchange is not part of the conversation
+    if (session.isPriming) {
+      return;
+    }
+
+    if (role === 'user') {
+      session.currentUserInput += transcription.text;
+    } else {
+      session.currentAIOutput += transcription.text;
+    }
+
+    if (session.onTranscript) {
+      session.onTranscript(role, transcription.text, !!transcription.finished);
+    }
+  }
+
+  /**
+   * Handle a barge-in: record what was actually spoken and close the turn
+   */
+  handleInterrupted(session) {
+    if (session.isPriming) {
+      return;
+    }
+
+    const spokenText = session.currentAIOutput.trim();
+    const interruption = {
+      type: 'BARGE_IN',
+      sessionId: session.id,
+      partialText: {
+        spoken: spokenText,
+        remaining: ''
+      },
+      aiText: (session.currentAIText || spokenText).trim(),
+      timing: {
+        // 24kHz 16-bit mono output
+        spokenMs: Math.round(session.turnAudioBytes / 48),
+      },
+      userText: session.currentUserInput.trim(),
+      timestamp: Date.now()
+    };
+
+    logger.info('[VertexAILive] Model interrupted by user', {
+      sessionId: session.id,
+      spokenMs: interruption.timing.spokenMs,
+      spokenChars: spokenText.length
+    });
+
+    session.turnInterrupted = true;
+    this.completeTurn(session);
+
+    if (session.onInterrupted) {
+      session.onInterrupted(interruption);
+    }
+  }
+
+  /**
+   * Close the current turn: the transcripts become the canonical exchange
+   * for conversation history and the Opik trace
+   */
+  completeTurn(session) {
+    const userText = session.currentUserInput.trim();
+    const assistantText = (session.currentAIOutput || session.currentAIText).trim();
+
+    if (!session.isPriming && (userText || assistantText)) {
+      const timestamp = new Date().toISOString();
+      if (userText) {
+        session.conversation.push({ role: 'user', content: userText, timestamp });
+      }
+      if (assistantText) {
+        // Interrupted answers hold only the part the user actually heard
+        session.conversation.push({
+          role: 'assistant',
+          content: assistantText,
+          timestamp,
+          ...(session.turnInterrupted && { interrupted: true })
+        });
+      }
+
+      session.turnCount++;
+      const turn = {
+        turnNumber: session.turnCount,
+        userText,
+        assistantText,
+        functionCalls: session.turnFunctionCalls,
+        latency: session.lastLatency || 0,
+        interrupted: session.turnInterrupted,
+        ...(session.isClosing && { closing: true })  // Flushed by closeSession: nothing may be sent back
+      };
+
+      this.logToOpik(session, turn).catch(err => {
+        logger.error('[Opik] Failed to log trace:', err);
+      });
+
+      if (session.onTurnComplete) {
+        session.onTurnComplete(turn);
+      }
+
+      if (session.turnCount - session.summarizedTurns >= this.compressionConfig.summaryInterval) {
+        this.updateRollingSummary(session);
+      }
+    }
+
+    session.currentUserInput = '';
+    session.currentAIOutput = '';
+    session.currentAIText = '';
+    session.turnAudioBytes = 0;
+    session.turnInterrupted = false;
+    session.turnFunctionCalls = [];
+  }
+
+  /**
+   * Fold the turns since the last summary into the rolling summary and give it to the model
+   * Sliding-window compression drops old turns; the summary keeps what they established
+   */
+  async updateRollingSummary(session) {
+    const { id: sessionId } = session;
+    if (session.isSummarizing || session.isClosing) {
+      return;
+    }
+
+    session.isSummarizing = true;
+    const coveredTurns = session.turnCount;
+    // Conversation entries since the last summary (two per turn at most)
+    const newMessages = session.conversation.slice(session.summarizedMessages);
+
     try {
-      if (!OpikClient || !OpikClient.isEnabled()) {
+      // Masked like stored history: the summary outlives the turns it covers and goes to another model
+      const summary = await vertexAIService.summarizeConversation(
+        session.rollingSummary,
+        await redactionService.redactForTenant(session.tenantId, newMessages),
+        this.compressionConfig.summaryMaxLength
+      );
+      if (!summary) {
         return;
       }
 
-      const { currentUserInput, currentAIOutput, id: sessionId, language, userId } = session;
+      session.rollingSummary = summary;
+      session.summarizedTurns = coveredTurns;
+      session.summarizedMessages += newMessages.length;
+
+      // Context only - turnComplete false so the model does not answer it
+      if (session.ws && session.ws.readyState === 1 && !session.isReconnecting) {
+        session.ws.send(JSON.stringify({
+          clientContent: {
+            turns: [{
+              role: 'user',
+              parts: [{ text: `[Summary of the call so far - context only, do not reply to this]\n${summary}` }]
+            }],
+            turnComplete: false
+          }
+        }));
+      }
+
+      logger.info('[VertexAILive] Rolling summary updated', {
+        sessionId,
+        turns: coveredTurns,
+        summaryLength: summary.length
+      });
+    } catch (error) {
+      logger.warn('[VertexAILive] Rolling summary failed', { sessionId, error: error.message });
+      // Try again after another interval rather than on every turn
+      session.summarizedTurns = coveredTurns;
+    } finally {
+      session.isSummarizing = false;
+    }
+  }
 
-      // Add to conversation history
-      if (currentUserInput || currentAIOutput) {
-        if (currentUserInput) {
-          session.conversation.push({
-            role: 'user',
-            content: currentUserInput
-          });
-        }
-        if (currentAIOutput) {
-          session.conversation.push({
-            role: 'assistant',
-            content: currentAIOutput
-          });
-        }
+  /**
+   * Log a completed turn to Opik (Gemini Live)
+   */
+  async logToOpik(session, turn) {
+    try {
+      if (!OpikClient || !OpikClient.isEnabled()) {
+        return;
       }
 
+      const { id: sessionId, language, userId, tenantId } = session;
+      const { functionCalls } = turn;
+
       // Log trace to Opik using Gemini Live endpoint
       const traceId = await OpikClient.logGeminiLiveTrace({
         session_id: sessionId,
         user_id: userId || null,
+        tenant_id: tenantId,
         input: {
+          text: turn.userText,
           language: language,
-          turn_number: Math.floor(session.conversation.length / 2)
+          turn_number: turn.turnNumber
         },
         output: {
-          text: currentAIOutput,
+          text: turn.assistantText,
           language: language
         },
         metadata: {
-          latency: session.lastLatency || 0,
+          latency: turn.latency,
+          interrupted: turn.interrupted,
           tokens: {
             total: session.usageMetadata.totalTokens,
             audioInput: session.usageMetadata.audioInputTokens,
@@ -1347,7 +1830,9 @@ class VertexAILiveService {
             textInput: session.usageMetadata.textInputTokens,
             textOutput: session.usageMetadata.textOutputTokens
           },
-          function_calls: []
+          function_calls: functionCalls,
+          // Knowledge base passages the answer was grounded in
+          knowledge_citations: functionCalls.flatMap(call => call.citations)
         }
       });
 
@@ -1355,10 +1840,6 @@ class VertexAILiveService {
         session.traceIds.push(traceId);
       }
 
-      // Reset current exchange
-      session.currentUserInput = '';
-      session.currentAIOutput = '';
-
       logger.info('[Opik] Gemini Live trace logged', {
         sessionId,
         traceId,
@@ -1370,6 +1851,41 @@ class VertexAILiveService {
     }
   }
 
+  /**
+   * Record a session's new usage with the usage meter
+   * Tokens come from one usageMetadata message (one model response); audio seconds
+   * from the bytes streamed since the previous call
+   */
+  meterUsage(session, usage = null) {
+    const delta = {
+      audioInputSeconds: session.unmeteredInputBytes / INPUT_AUDIO_BYTES_PER_SECOND,
+      audioOutputSeconds: session.unmeteredOutputBytes / OUTPUT_AUDIO_BYTES_PER_SECOND
+    };
+    session.unmeteredInputBytes = 0;
+    session.unmeteredOutputBytes = 0;
+
+    if (usage) {
+      // Details are { modality, tokenCount }; older responses used audioTokens / textTokens
+      const byModality = (details = [], modality, legacyField) => details.reduce(
+        (total, detail) => total + (detail.modality === modality ? detail.tokenCount || 0 : detail[legacyField] || 0),
+        0
+      );
+
+      delta.totalTokens = usage.totalTokenCount || 0;
+      delta.inputTokens = usage.promptTokenCount || 0;
+      delta.outputTokens = usage.candidatesTokenCount || 0;
+      delta.audioInputTokens = byModality(usage.promptTokensDetails, 'AUDIO', 'audioTokens');
+      delta.textInputTokens = byModality(usage.promptTokensDetails, 'TEXT', 'textTokens');
+      delta.audioOutputTokens = byModality(usage.responseTokensDetails, 'AUDIO', 'audioTokens');
+      delta.textOutputTokens = byModality(usage.responseTokensDetails, 'TEXT', 'textTokens');
+    }
+
+    usageService.recordUsage(
+      { tenantId: session.tenantId, userId: session.userId, sessionId: session.id },
+      delta
+    );
+  }
+
   /**
    * Close session
    */
@@ -1377,15 +1893,23 @@ class VertexAILiveService {
     const session = this.activeSessions.get(sessionId);
 
     if (session) {
+      session.isClosing = true;
+
       // Stop keepalive
       this.stopKeepalive(session);
 
+      // Keep whatever was said in an unfinished turn
+      this.completeTurn(session);
+
+      // Audio streamed since the last usageMetadata message
+      this.meterUsage(session);
+
       // Evaluate conversation before closing
       if (OpikClient && OpikClient.isEnabled() && session.conversation.length > 0) {
         try {
           await OpikClient.evaluateConversation(
             sessionId,
-            session.conversation,
+            await redactionService.redactForTenant(session.tenantId, session.conversation),
             'conversation_coherence'
           );
           logger.info('[Opik] Conversation evaluated', {
@@ -1425,7 +1949,8 @@ class VertexAILiveService {
       // Save conversation history for context persistence
       if (session.userId && session.conversation.length > 0) {
         // Get existing history or create new array
-        const existingHistory = this.conversationHistory.get(session.userId) || [];
+        const historyKey = this.getHistoryKey(session.tenantId, session.userId);
+        const existingHistory = this.conversationHistory.get(historyKey) || [];
 
         // Append current conversation to history
         const updatedHistory = [...existingHistory, ...session.conversation];
@@ -1434,7 +1959,7 @@ class VertexAILiveService {
         const trimmedHistory = updatedHistory.slice(-50);
 
         // Save to in-memory cache (instant)
-        this.conversationHistory.set(session.userId, trimmedHistory);
+        this.conversationHistory.set(historyKey, trimmedHistory);
 
         logger.info('[VertexAILive] Conversation history saved to memory', {
           sessionId,
@@ -1444,7 +1969,7 @@ class VertexAILiveService {
         });
 
         // Persist to Firestore in background (non-blocking)
-        this.persistConversationToFirestore(session.userId, trimmedHistory)
+        this.persistConversationToFirestore(session.userId, trimmedHistory, session.tenantId)
           .catch(err => {
             logger.error('[VertexAILive] Failed to persist conversation to Firestore:', {
               sessionId,
@@ -1454,6 +1979,11 @@ class VertexAILiveService {
           });
       }
 
+      if (session.userId) {
+        sessionPersistenceService.forTenant(session.tenantId).endSession(sessionId)
+          .catch(error => logger.warn('[VertexAILive] Failed to end session record', { sessionId, error: error.message }));
+      }
+
       // Clear session data
       session.audioBuffer = [];
       session.isActive = false;
@@ -1461,6 +1991,10 @@ class VertexAILiveService {
 
       this.activeSessions.delete(sessionId);
       logger.info('[VertexAILive] Session closed and context cleared', { sessionId });
+
+      if (session.onClosed) {
+        session.onClosed();
+      }
     }
   }
 
@@ -1474,6 +2008,66 @@ class VertexAILiveService {
     }
   }
 
+  /**
+   * Set transcript callback - called with (role, text, finished) for user and assistant speech
+   */
+  setTranscriptCallback(sessionId, callback) {
+    const session = this.activeSessions.get(sessionId);
+    if (session) {
+      session.onTranscript = callback;
+    }
+  }
+
+  /**
+   * Set interruption callback - called with the barge-in details when the user talks over the model
+   */
+  setInterruptedCallback(sessionId, callback) {
+    const session = this.activeSessions.get(sessionId);
+    if (session) {
+      session.onInterrupted = callback;
+    }
+  }
+
+  /**
+   * Set completed turn callback (turn record as logged to Opik)
+   */
+  setTurnCallback(sessionId, callback) {
+    const session = this.activeSessions.get(sessionId);
+    if (session) {
+      session.onTurnComplete = callback;
+    }
+  }
+
+  /**
+   * Set function call callback (called after each tool call with its response)
+   */
+  setFunctionCallCallback(sessionId, callback) {
+    const session = this.activeSessions.get(sessionId);
+    if (session) {
+      session.onFunctionCall = callback;
+    }
+  }
+
+  /**
+   * Set tool guard: (name, args) => response to return instead of running the tool, or null
+   */
+  setToolGuard(sessionId, guard) {
+    const session = this.activeSessions.get(sessionId);
+    if (session) {
+      session.toolGuard = guard;
+    }
+  }
+
+  /**
+   * Set closed callback (called once the session is closed, including the server ending a call itself)
+   */
+  setClosedCallback(sessionId, callback) {
+    const session = this.activeSessions.get(sessionId);
+    if (session) {
+      session.onClosed = callback;
+    }
+  }
+
   /**
    * Set text chunk callback
    */
@@ -1491,19 +2085,35 @@ class VertexAILiveService {
     return this.activeSessions.get(sessionId);
   }
 
+  /**
+   * In-memory history key - user IDs are only unique within a tenant
+   */
+  getHistoryKey(tenantId, userId) {
+    return `${tenantId || tenantService.defaultTenantId}:${userId}`;
+  }
+
+  /**
+   * Drop a user's in-memory conversation history (data erasure)
+   */
+  forgetUser(tenantId, userId) {
+    return this.conversationHistory.delete(this.getHistoryKey(tenantId, userId));
+  }
+
   /**
    * Persist conversation history to Firestore (non-blocking background operation)
+   * Personal data is redacted here; the in-memory copy keeps it for the user's next session
    */
-  async persistConversationToFirestore(userId, conversationHistory) {
+  async persistConversationToFirestore(userId, conversationHistory, tenantId) {
     try {
       // Save entire conversation history to Firestore
       // This replaces the existing history with the latest (last 50 messages)
-      await sessionPersistenceService.saveUserProfile(userId, {
-        conversationHistory: conversationHistory,
+      await sessionPersistenceService.forTenant(tenantId).saveUserProfile(userId, {
+        conversationHistory: await redactionService.redactForTenant(tenantId, conversationHistory),
         lastUpdated: new Date().toISOString()
       });
 
       logger.info('[VertexAILive] Conversation persisted to Firestore', {
+        tenantId,
         userId,
         messagesCount: conversationHistory.length
       });
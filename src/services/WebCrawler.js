@@ -0,0 +1,451 @@
+/**
+ * Web Crawler - imports whole websites (e.g. help centers) into the knowledge base
+ * Breadth-first, same-origin, honors robots.txt, seeds from sitemap.xml and
+ * dedupes pages by canonical URL. Each crawl runs as a pollable background job.
+ */
+
+const axios = require('axios');
+const { logger } = require('../utils/logger');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+const firebaseService = require('./firebase');
+const knowledgeBaseService = require('./KnowledgeBaseService');
+const tenantService = require('./TenantService');
+const { USER_AGENT } = require('./KnowledgeBaseService');
+const config = require('../config');
+
+// Links to these file types are never fetched as pages
+const SKIPPED_EXTENSIONS = /\.(pdf|jpe?g|png|gif|svg|webp|ico|css|js|json|xml|zip|gz|mp3|mp4|avi|mov|woff2?|ttf|eot|docx?|xlsx?|pptx?)$/i;
+
+// Query parameters that never change page content
+const TRACKING_PARAMS = /^(utm_\w+|gclid|fbclid|ref|source)$/i;
+
+// Sitemap indexes are followed this many levels deep
+const MAX_SITEMAP_DEPTH = 2;
+
+// Errors kept on a job record
+const MAX_JOB_ERRORS = 20;
+
+class WebCrawler {
+  constructor() {
+    this.collection = 'knowledge_crawls'; // Firestore collection of crawl jobs (per tenant)
+    this.crawlConfig = config.knowledgeBase.crawl;
+    this.jobs = new Map(); // Jobs started by this instance, by id
+  }
+
+  /**
+   * Start a crawl in the background and return the job record
+   */
+  async startCrawl(startUrl, options = {}) {
+    let start;
+    try {
+      start = new URL(startUrl);
+    } catch (error) {
+      throw new ValidationError(`Invalid URL: ${startUrl}`);
+    }
+    if (!['http:', 'https:'].includes(start.protocol)) {
+      throw new ValidationError('Only http and https URLs can be crawled');
+    }
+
+    const maxDepth = Math.min(Number(options.maxDepth ?? this.crawlConfig.maxDepth), this.crawlConfig.maxDepthLimit);
+    const maxPages = Math.min(Number(options.maxPages ?? this.crawlConfig.maxPages), this.crawlConfig.maxPagesLimit);
+    if (!(maxDepth >= 0) || !(maxPages >= 1)) {
+      throw new ValidationError('maxDepth must be 0 or more and maxPages at least 1');
+    }
+
+    const job = {
+      id: `crawl_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      tenantId: options.tenantId || config.tenancy.defaultTenantId,
+      startUrl: this.normalizeUrl(start.href),
+      origin: start.origin,
+      status: 'running',
+      options: {
+        maxDepth,
+        maxPages,
+        useSitemap: options.useSitemap !== false,
+        category: options.category || 'general',
+        tags: options.tags || []
+      },
+      pagesDiscovered: 1,
+      pagesCrawled: 0,
+      pagesStored: 0,
+      pagesSkipped: { robots: 0, duplicate: 0, nonHtml: 0, error: 0 },
+      documentIds: [],
+      errors: [],
+      startedAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      completedAt: null
+    };
+
+    this.jobs.set(job.id, job);
+    await this.saveJob(job);
+
+    logger.info('[WebCrawler] Crawl started', {
+      jobId: job.id,
+      tenantId: job.tenantId,
+      startUrl: job.startUrl,
+      maxDepth,
+      maxPages
+    });
+
+    // Runs in the background - progress is polled with getJob()
+    this.runCrawl(job).catch(async (error) => {
+      logger.error('[WebCrawler] Crawl failed:', { jobId: job.id, error: error.message });
+      job.status = 'failed';
+      job.errors.push({ url: job.startUrl, error: error.message });
+      job.completedAt = new Date().toISOString();
+      await this.saveJob(job);
+    });
+
+    return job;
+  }
+
+  /**
+   * Current state of a tenant's crawl job (in-memory for running jobs, Firestore otherwise)
+   */
+  async getJob(jobId, tenantId = config.tenancy.defaultTenantId) {
+    const running = this.jobs.get(jobId);
+    if (running && running.tenantId === tenantId) {
+      return running;
+    }
+
+    await firebaseService.initialize();
+    const job = await firebaseService.getDocument(tenantService.collectionName(this.collection, tenantId), jobId);
+    if (!job) {
+      throw new NotFoundError(`Crawl job ${jobId}`);
+    }
+    return job;
+  }
+
+  /**
+   * Ask a running crawl to stop after the current page
+   */
+  async cancelCrawl(jobId, tenantId) {
+    const job = await this.getJob(jobId, tenantId);
+    if (job.status === 'running') {
+      job.status = 'cancelling';
+    }
+    return job;
+  }
+
+  async runCrawl(job) {
+    const { maxDepth, maxPages, useSitemap } = job.options;
+    const robots = await this.fetchRobots(job.origin);
+    const crawlDelay = Math.min(robots.crawlDelay ?? this.crawlConfig.requestDelay, this.crawlConfig.maxRequestDelay);
+
+    const queue = [{ url: job.startUrl, depth: 0 }];
+    const seen = new Set([job.startUrl]);
+    const storedCanonicals = new Set();
+
+    const enqueue = (url, depth) => {
+      const normalized = this.normalizeUrl(url);
+      if (!normalized || seen.has(normalized) || depth > maxDepth) return;
+      if (new URL(normalized).origin !== job.origin || SKIPPED_EXTENSIONS.test(new URL(normalized).pathname)) return;
+      seen.add(normalized);
+      queue.push({ url: normalized, depth });
+      job.pagesDiscovered++;
+    };
+
+    if (useSitemap && maxDepth > 0) {
+      const sitemapUrls = await this.fetchSitemapUrls(job.origin, robots.sitemaps);
+      // Sitemap pages count as one hop from the start page
+      sitemapUrls.forEach(url => enqueue(url, 1));
+      logger.info('[WebCrawler] Sitemap URLs discovered', { jobId: job.id, count: sitemapUrls.length });
+    }
+
+    while (queue.length > 0 && job.pagesStored < maxPages) {
+      if (job.status === 'cancelling') break;
+
+      const { url, depth } = queue.shift();
+
+      if (!this.isAllowed(robots, new URL(url).pathname + new URL(url).search)) {
+        job.pagesSkipped.robots++;
+        continue;
+      }
+
+      job.pagesCrawled++;
+
+      try {
+        const response = await axios.get(url, {
+          timeout: this.crawlConfig.timeout * 1000,
+          maxContentLength: this.crawlConfig.maxPageBytes,
+          responseType: 'text',
+          headers: { 'User-Agent': USER_AGENT }
+        });
+
+        const contentType = String(response.headers['content-type'] || '');
+        if (!contentType.includes('text/html')) {
+          job.pagesSkipped.nonHtml++;
+          continue;
+        }
+
+        // Redirects may land on another origin
+        const finalUrl = this.normalizeUrl(response.request?.res?.responseUrl || url) || url;
+        if (new URL(finalUrl).origin !== job.origin) {
+          job.pagesSkipped.nonHtml++;
+          continue;
+        }
+
+        const html = response.data;
+        const canonical = this.extractCanonical(html, finalUrl) || finalUrl;
+
+        if (storedCanonicals.has(canonical)) {
+          job.pagesSkipped.duplicate++;
+        } else if (/<meta[^>]+name=["']robots["'][^>]+noindex/i.test(html)) {
+          job.pagesSkipped.robots++;
+        } else {
+          storedCanonicals.add(canonical);
+
+          const document = await knowledgeBaseService.forTenant(job.tenantId).addFromHtml(html, canonical, {
+            id: `${job.id}_${job.pagesStored + 1}`,
+            category: job.options.category,
+            tags: [...job.options.tags, job.id],
+            crawlId: job.id,
+            crawlDepth: depth,
+            fetchedUrl: url
+          });
+
+          job.pagesStored++;
+          job.documentIds.push(document.id);
+        }
+
+        if (depth < maxDepth && !/<meta[^>]+name=["']robots["'][^>]+nofollow/i.test(html)) {
+          this.extractLinks(html, finalUrl).forEach(link => enqueue(link, depth + 1));
+        }
+      } catch (error) {
+        job.pagesSkipped.error++;
+        job.errors = [...job.errors, { url, error: error.message }].slice(-MAX_JOB_ERRORS);
+        logger.warn('[WebCrawler] Page failed', { jobId: job.id, url, error: error.message });
+      }
+
+      job.updatedAt = new Date().toISOString();
+      await this.saveJob(job);
+
+      if (crawlDelay > 0 && queue.length > 0) {
+        await new Promise(resolve => setTimeout(resolve, crawlDelay * 1000));
+      }
+    }
+
+    job.status = job.status === 'cancelling' ? 'cancelled' : 'completed';
+    job.completedAt = new Date().toISOString();
+    job.updatedAt = job.completedAt;
+    await this.saveJob(job);
+
+    logger.info('[WebCrawler] Crawl finished', {
+      jobId: job.id,
+      status: job.status,
+      pagesCrawled: job.pagesCrawled,
+      pagesStored: job.pagesStored,
+      pagesSkipped: job.pagesSkipped
+    });
+
+    // Finished jobs are served from Firestore
+    this.jobs.delete(job.id);
+  }
+
+  async saveJob(job) {
+    try {
+      await firebaseService.initialize();
+      await firebaseService.setDocument(tenantService.collectionName(this.collection, job.tenantId), job.id, job);
+    } catch (error) {
+      logger.warn('[WebCrawler] Could not persist job', { jobId: job.id, error: error.message });
+    }
+  }
+
+  /**
+   * Canonical form used for dedupe: no fragment, no tracking params, no default port, sorted query
+   */
+  normalizeUrl(url, base) {
+    let parsed;
+    try {
+      parsed = new URL(url, base);
+    } catch (error) {
+      return null;
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) return null;
+
+    parsed.hash = '';
+    parsed.hostname = parsed.hostname.toLowerCase();
+    for (const key of [...parsed.searchParams.keys()]) {
+      if (TRACKING_PARAMS.test(key)) parsed.searchParams.delete(key);
+    }
+    parsed.searchParams.sort();
+    if (parsed.pathname.length > 1 && parsed.pathname.endsWith('/')) {
+      parsed.pathname = parsed.pathname.slice(0, -1);
+    }
+
+    return parsed.href;
+  }
+
+  extractCanonical(html, pageUrl) {
+    const link = html.match(/<link\b[^>]*rel=["']canonical["'][^>]*>/i);
+    const href = link && link[0].match(/href=["']([^"']+)["']/i);
+    return href ? this.normalizeUrl(this.decodeEntities(href[1]), pageUrl) : null;
+  }
+
+  extractLinks(html, pageUrl) {
+    const baseTag = html.match(/<base\b[^>]*href=["']([^"']+)["']/i);
+    const base = baseTag ? this.normalizeUrl(baseTag[1], pageUrl) || pageUrl : pageUrl;
+    const links = [];
+
+    for (const match of html.matchAll(/<a\b[^>]*?href=["']([^"'#][^"']*)["'][^>]*>/gi)) {
+      if (/rel=["'][^"']*nofollow/i.test(match[0])) continue;
+      const url = this.normalizeUrl(this.decodeEntities(match[1]), base);
+      if (url) links.push(url);
+    }
+
+    return links;
+  }
+
+  decodeEntities(value) {
+    return value.replace(/&amp;/g, '&').replace(/&#x2F;/gi, '/').replace(/&#47;/g, '/');
+  }
+
+  /**
+   * Fetch and parse robots.txt; a missing or unreadable file allows everything
+   */
+  async fetchRobots(origin) {
+    try {
+      const response = await axios.get(`${origin}/robots.txt`, {
+        timeout: this.crawlConfig.timeout * 1000,
+        responseType: 'text',
+        headers: { 'User-Agent': USER_AGENT },
+        validateStatus: status => status < 500
+      });
+
+      if (response.status >= 400) {
+        return { rules: [], crawlDelay: null, sitemaps: [] };
+      }
+
+      return this.parseRobots(String(response.data));
+    } catch (error) {
+      logger.warn('[WebCrawler] robots.txt unavailable', { origin, error: error.message });
+      return { rules: [], crawlDelay: null, sitemaps: [] };
+    }
+  }
+
+  /**
+   * Parse robots.txt rules for our user agent (falling back to the "*" group)
+   */
+  parseRobots(text) {
+    const agentToken = USER_AGENT.split('/')[0].toLowerCase();
+    const groups = [];
+    const sitemaps = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    for (const rawLine of text.split(/\r?\n/)) {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      const separator = line.indexOf(':');
+      if (separator === -1) continue;
+
+      const field = line.slice(0, separator).trim().toLowerCase();
+      const value = line.slice(separator + 1).trim();
+
+      if (field === 'sitemap') {
+        sitemaps.push(value);
+        continue;
+      }
+
+      if (field === 'user-agent') {
+        if (!lastWasAgent || !current) {
+          current = { agents: [], rules: [], crawlDelay: null };
+          groups.push(current);
+        }
+        current.agents.push(value.toLowerCase());
+        lastWasAgent = true;
+        continue;
+      }
+
+      lastWasAgent = false;
+      if (!current) continue;
+
+      if (field === 'allow' || field === 'disallow') {
+        if (value) current.rules.push({ allow: field === 'allow', path: value });
+      } else if (field === 'crawl-delay') {
+        const delay = parseFloat(value);
+        if (!isNaN(delay)) current.crawlDelay = delay;
+      }
+    }
+
+    const group = groups.find(g => g.agents.some(agent => agent !== '*' && agentToken.includes(agent)))
+      || groups.find(g => g.agents.includes('*'));
+
+    return {
+      rules: group ? group.rules : [],
+      crawlDelay: group ? group.crawlDelay : null,
+      sitemaps
+    };
+  }
+
+  /**
+   * Longest matching rule wins; Allow wins ties
+   */
+  isAllowed(robots, path) {
+    let best = null;
+
+    for (const rule of robots.rules) {
+      const pattern = new RegExp('^' + rule.path
+        .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+        .replace(/\\\$$/, '$')
+        .replace(/\*/g, '.*'));
+
+      if (pattern.test(path)) {
+        if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+          best = rule;
+        }
+      }
+    }
+
+    return !best || best.allow;
+  }
+
+  /**
+   * Page URLs listed in the site's sitemaps (robots.txt Sitemap lines, else /sitemap.xml)
+   */
+  async fetchSitemapUrls(origin, sitemaps = []) {
+    const pending = (sitemaps.length > 0 ? sitemaps : [`${origin}/sitemap.xml`]).map(url => ({ url, depth: 0 }));
+    const visited = new Set();
+    const pages = [];
+
+    while (pending.length > 0 && pages.length < this.crawlConfig.maxPagesLimit * 10) {
+      const { url, depth } = pending.shift();
+      if (visited.has(url)) continue;
+      visited.add(url);
+
+      try {
+        const response = await axios.get(url, {
+          timeout: this.crawlConfig.timeout * 1000,
+          responseType: 'text',
+          headers: { 'User-Agent': USER_AGENT }
+        });
+
+        const xml = String(response.data);
+        const locations = [...xml.matchAll(/<loc>\s*(?:<!\[CDATA\[)?\s*([^<\]]+?)\s*(?:\]\]>)?\s*<\/loc>/gi)]
+          .map(match => this.decodeEntities(match[1]));
+
+        if (/<sitemapindex/i.test(xml)) {
+          if (depth < MAX_SITEMAP_DEPTH) {
+            locations.forEach(location => pending.push({ url: location, depth: depth + 1 }));
+          }
+        } else {
+          pages.push(...locations);
+        }
+      } catch (error) {
+        logger.warn('[WebCrawler] Sitemap unavailable', { url, error: error.message });
+      }
+    }
+
+    return pages.filter(url => {
+      try {
+        return new URL(url).origin === origin;
+      } catch (error) {
+        return false;
+      }
+    });
+  }
+}
+
+// Singleton instance
+const webCrawler = new WebCrawler();
+
+module.exports = webCrawler;
@@ -134,6 +134,17 @@ class FirebaseService {
     }
   }
 
+  // Fails if the document already exists (append-only records)
+  async createDocument(collection, docId, data) {
+    try {
+      await this.firestore.collection(collection).doc(docId).create(data);
+      return { id: docId, ...data };
+    } catch (error) {
+      logError(error, { context: 'Create document', collection, docId });
+      throw error;
+    }
+  }
+
   async updateDocument(collection, docId, data) {
     try {
       await this.firestore.collection(collection).doc(docId).update(data);
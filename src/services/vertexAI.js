@@ -1,7 +1,20 @@
 const { VertexAI } = require('@google-cloud/vertexai');
 const { logError, logInfo, logDebug } = require('../utils/logger');
+const { GoogleAuth } = require('google-auth-library');
 const config = require('../config');
 
+// Model name recorded for embeddings produced by the offline fallback
+const SIMPLE_EMBEDDING_MODEL = 'simple-hash-768';
+
+// Embedding task types by content type (retrieval-optimised vectors for queries vs. documents)
+const EMBEDDING_TASK_TYPES = {
+  query: 'RETRIEVAL_QUERY',
+  document: 'RETRIEVAL_DOCUMENT',
+};
+
+// Instances per prediction request
+const EMBEDDING_BATCH_SIZE = 25;
+
 class VertexAIService {
   constructor() {
     this.vertexAI = null;
@@ -40,59 +53,107 @@ class VertexAIService {
 
   // Generate embeddings for text content
   async generateEmbedding(text, contentType = 'text') {
+    const [embedding] = await this.generateEmbeddings([text], contentType);
+    return embedding;
+  }
+
+  // Generate embeddings for multiple texts
+  // Uses the Vertex AI text embedding model; falls back to the offline hash embedding
+  // when the model is unreachable (no credentials, no network, quota)
+  async generateEmbeddings(texts, contentType = 'text') {
     try {
-      if (!this.initialized) {
-        await this.initialize();
+      let vectors;
+      let model = config.vertexAI.embeddingModel;
+
+      try {
+        vectors = await this._predictEmbeddings(texts, contentType);
+      } catch (error) {
+        logError(error, { context: 'Vertex AI embedding model unavailable, using offline embeddings', contentType });
+        vectors = texts.map(text => this._generateSimpleEmbedding(text));
+        model = SIMPLE_EMBEDDING_MODEL;
       }
 
-      const prompt = `Generate a high-quality embedding for the following ${contentType} content. Focus on semantic meaning and context:\n\n${text}`;
-      
-      const result = await this.generativeModel.generateContent(prompt);
-      const response = await result.response;
-      
-      // For now, we'll use a simplified approach to generate embeddings
-      // In a production environment, you would use the dedicated embedding model
-      const embedding = this._generateSimpleEmbedding(text);
-      
-      logDebug('Embedding generated', {
+      const embeddings = vectors.map((embedding, i) => ({
+        embedding,
+        model,
+        dimensions: embedding.length,
         contentType,
-        textLength: text.length,
-        embeddingDimensions: embedding.length,
+        textLength: texts[i].length,
+      }));
+
+      logInfo('Batch embeddings generated', {
+        count: embeddings.length,
+        contentType,
+        model,
       });
 
+      return embeddings;
+    } catch (error) {
+      logError(error, { context: 'Generate batch embeddings', contentType });
+      throw error;
+    }
+  }
+
+  // Generate offline embeddings only (no network) - used to score content embedded with the fallback
+  generateSimpleEmbeddings(texts, contentType = 'text') {
+    return texts.map(text => {
+      const embedding = this._generateSimpleEmbedding(text);
       return {
         embedding,
-        model: config.vertexAI.model,
+        model: SIMPLE_EMBEDDING_MODEL,
         dimensions: embedding.length,
         contentType,
         textLength: text.length,
       };
-    } catch (error) {
-      logError(error, { context: 'Generate embedding', contentType });
-      throw error;
-    }
+    });
   }
 
-  // Generate embeddings for multiple texts
-  async generateEmbeddings(texts, contentType = 'text') {
-    try {
-      const embeddings = [];
-      
-      for (const text of texts) {
-        const embedding = await this.generateEmbedding(text, contentType);
-        embeddings.push(embedding);
-      }
+  // Call the Vertex AI prediction endpoint of the text embedding model in batches
+  async _predictEmbeddings(texts, contentType) {
+    if (!this.auth) {
+      this.auth = new GoogleAuth({
+        scopes: ['https://www.googleapis.com/auth/cloud-platform'],
+      });
+    }
 
-      logInfo('Batch embeddings generated', {
-        count: embeddings.length,
-        contentType,
+    const projectId = config.googleCloud.projectId || config.vertexAILive.projectId;
+    const location = config.vertexAI.location;
+    const endpoint = `https://${location}-aiplatform.googleapis.com/v1/projects/${projectId}/locations/${location}/publishers/google/models/${config.vertexAI.embeddingModel}:predict`;
+    const taskType = EMBEDDING_TASK_TYPES[contentType] || 'SEMANTIC_SIMILARITY';
+
+    const client = await this.auth.getClient();
+    const { token } = await client.getAccessToken();
+    const vectors = [];
+
+    for (let i = 0; i < texts.length; i += EMBEDDING_BATCH_SIZE) {
+      const batch = texts.slice(i, i + EMBEDDING_BATCH_SIZE);
+
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          instances: batch.map(content => ({ content, task_type: taskType })),
+        }),
       });
 
-      return embeddings;
-    } catch (error) {
-      logError(error, { context: 'Generate batch embeddings', contentType });
-      throw error;
+      if (!response.ok) {
+        throw new Error(`Embedding request failed: HTTP ${response.status} ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      for (const prediction of data.predictions || []) {
+        vectors.push(prediction.embeddings.values);
+      }
+    }
+
+    if (vectors.length !== texts.length) {
+      throw new Error(`Embedding response size mismatch: expected ${texts.length}, got ${vectors.length}`);
     }
+
+    return vectors;
   }
 
   // Perform similarity search using embeddings
@@ -204,6 +265,45 @@ class VertexAIService {
     }
   }
 
+  // Rolling summary of a live conversation: folds new messages into the previous summary
+  async summarizeConversation(previousSummary, messages, maxLength = 1200) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      const transcript = messages
+        .map(msg => `${msg.role === 'user' ? 'User' : 'Assistant'}: ${msg.content}`)
+        .join('\n');
+
+      const prompt = `You maintain the running summary of a banking voice call between a user and an assistant.
+Update the summary with the new part of the conversation. Keep facts the assistant must not forget:
+the user's goals, amounts, products discussed, answers already given, open questions and any fraud concerns.
+Write plain sentences in English, no more than ${maxLength} characters.
+
+Current summary:
+${previousSummary || '(none yet)'}
+
+New conversation:
+${transcript}`;
+
+      const result = await this.generativeModel.generateContent(prompt);
+      const response = await result.response;
+      const parts = response.candidates?.[0]?.content?.parts || [];
+      const summary = parts.map(part => part.text || '').join('').trim().slice(0, maxLength);
+
+      logDebug('Conversation summarized', {
+        messages: messages.length,
+        summaryLength: summary.length,
+      });
+
+      return summary;
+    } catch (error) {
+      logError(error, { context: 'Summarize conversation' });
+      throw error;
+    }
+  }
+
   // Extract keywords from content
   async extractKeywords(content, maxKeywords = 10) {
     try {
@@ -254,8 +354,11 @@ class VertexAIService {
       embedding[index] += 1;
     });
 
-    // Normalize the embedding
+    // Normalize the embedding (empty text stays a zero vector)
     const magnitude = Math.sqrt(embedding.reduce((sum, val) => sum + val * val, 0));
+    if (magnitude === 0) {
+      return embedding;
+    }
     return embedding.map(val => val / magnitude);
   }
 
@@ -270,6 +373,11 @@ class VertexAIService {
     return Math.abs(hash);
   }
 
+  // Cosine similarity between two embedding vectors
+  calculateSimilarity(vecA, vecB) {
+    return this._calculateCosineSimilarity(vecA, vecB);
+  }
+
   // Calculate cosine similarity between two vectors
   _calculateCosineSimilarity(vecA, vecB) {
     if (vecA.length !== vecB.length) {
@@ -300,4 +408,5 @@ class VertexAIService {
 // Singleton instance
 const vertexAIService = new VertexAIService();
 
-module.exports = vertexAIService;
\ No newline at end of file
+module.exports = vertexAIService;
+module.exports.SIMPLE_EMBEDDING_MODEL = SIMPLE_EMBEDDING_MODEL;
\ No newline at end of file
@@ -0,0 +1,743 @@
+/**
+ * Audio format utilities
+ * Detection, decoding, resampling and encoding shared by the STT pipeline, the Live
+ * WebSocket, telephony and recordings.
+ * Formats: PCM16 (little-endian), WAV, WebM/Opus, Ogg/Opus and 8kHz mu-law.
+ */
+
+const crypto = require('crypto');
+const { ValidationError } = require('./errors');
+
+const FORMATS = {
+  PCM16: 'pcm16',
+  WAV: 'wav',
+  WEBM_OPUS: 'webm_opus',
+  OGG_OPUS: 'ogg_opus',
+  MULAW: 'mulaw'
+};
+
+// Vertex AI Live audio: 16kHz in, 24kHz out, PCM16 mono
+const LIVE_INPUT_SAMPLE_RATE = 16000;
+const LIVE_OUTPUT_SAMPLE_RATE = 24000;
+
+const MULAW_SAMPLE_RATE = 8000;
+const OPUS_SAMPLE_RATES = [8000, 12000, 16000, 24000, 48000];
+const MIN_PCM_SAMPLE_RATE = 8000;
+const MAX_PCM_SAMPLE_RATE = 48000;
+
+// Google Speech-to-Text encoding and default sample rate per format
+const STT_ENCODINGS = {
+  pcm16: 'LINEAR16',
+  wav: 'LINEAR16',
+  webm_opus: 'WEBM_OPUS',
+  ogg_opus: 'OGG_OPUS',
+  mulaw: 'MULAW'
+};
+const DEFAULT_SAMPLE_RATES = {
+  pcm16: 16000,
+  wav: 16000,
+  webm_opus: 48000,
+  ogg_opus: 48000,
+  mulaw: MULAW_SAMPLE_RATE
+};
+
+// Formats a Live client may send, and may ask to receive
+const INPUT_FORMATS = Object.values(FORMATS);
+const OUTPUT_FORMATS = [FORMATS.PCM16, FORMATS.WAV, FORMATS.MULAW, FORMATS.WEBM_OPUS, FORMATS.OGG_OPUS];
+
+// ---------------------------------------------------------------------------
+// Detection
+
+/**
+ * Detect the format of an audio buffer from its header
+ * Headerless audio is assumed to be 16kHz PCM16
+ * @returns {object} { format, encoding, sampleRate, channels }
+ */
+function detectFormat(buffer) {
+  // WebM (EBML) signature: 0x1A 0x45 0xDF 0xA3
+  if (buffer.length >= 4 && buffer.readUInt32BE(0) === 0x1A45DFA3) {
+    return describe(FORMATS.WEBM_OPUS, DEFAULT_SAMPLE_RATES.webm_opus);
+  }
+
+  // Ogg page signature 'OggS' (Opus decodes at 48kHz whatever the input rate was)
+  if (buffer.length >= 4 && buffer.toString('ascii', 0, 4) === 'OggS') {
+    const channels = buffer.toString('ascii', 28, 36) === 'OpusHead' ? buffer[37] : 1;
+    return describe(FORMATS.OGG_OPUS, DEFAULT_SAMPLE_RATES.ogg_opus, channels);
+  }
+
+  const wav = parseWav(buffer);
+  if (wav) {
+    return {
+      ...describe(FORMATS.WAV, wav.sampleRate, wav.channels),
+      encoding: wav.audioFormat === WAV_MULAW ? 'MULAW' : 'LINEAR16'
+    };
+  }
+
+  return describe(FORMATS.PCM16, DEFAULT_SAMPLE_RATES.pcm16);
+}
+
+/**
+ * Format of a MIME type such as "audio/webm;codecs=opus" or "audio/l16;rate=24000"
+ * Unknown types are treated as WebM/Opus (what browsers record)
+ */
+function fromMimeType(mimeType = 'audio/webm;codecs=opus') {
+  const type = mimeType.toLowerCase();
+  const rate = parseInt((type.match(/rate=(\d+)/) || [])[1], 10);
+
+  let format = FORMATS.WEBM_OPUS;
+  if (type.includes('ogg')) {
+    format = FORMATS.OGG_OPUS;
+  } else if (type.includes('mulaw') || type.includes('basic') || type.includes('pcmu')) {
+    format = FORMATS.MULAW;
+  } else if (type.includes('wav')) {
+    format = FORMATS.WAV;
+  } else if (type.includes('pcm') || type.includes('l16')) {
+    format = FORMATS.PCM16;
+  }
+
+  return describe(format, format === FORMATS.MULAW ? MULAW_SAMPLE_RATE : rate || DEFAULT_SAMPLE_RATES[format]);
+}
+
+function describe(format, sampleRate, channels = 1) {
+  return { format, encoding: STT_ENCODINGS[format], sampleRate, channels };
+}
+
+// ---------------------------------------------------------------------------
+// WAV
+
+const WAV_PCM = 1;
+const WAV_MULAW = 7;
+
+/**
+ * Parse a WAV file (or the first chunk of a streamed one)
+ * @returns {object|null} { audioFormat, channels, sampleRate, bitsPerSample, data } or null if not WAV
+ */
+function parseWav(buffer) {
+  if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    return null;
+  }
+
+  const wav = { audioFormat: WAV_PCM, channels: 1, sampleRate: 16000, bitsPerSample: 16, data: Buffer.alloc(0) };
+  let offset = 12;
+
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+
+    if (id === 'fmt ' && body + 16 <= buffer.length) {
+      wav.audioFormat = buffer.readUInt16LE(body);
+      wav.channels = buffer.readUInt16LE(body + 2);
+      wav.sampleRate = buffer.readUInt32LE(body + 4);
+      wav.bitsPerSample = buffer.readUInt16LE(body + 14);
+    } else if (id === 'data') {
+      // Streamed WAVs often carry a placeholder size - take what is there
+      wav.data = buffer.subarray(body, Math.min(body + size, buffer.length));
+      break;
+    }
+
+    offset = body + size + (size % 2);
+  }
+
+  return wav;
+}
+
+/**
+ * Wrap PCM16 (or mu-law bytes) in a WAV header
+ */
+function encodeWav(data, { sampleRate, channels = 1, format = FORMATS.PCM16 } = {}) {
+  const isMulaw = format === FORMATS.MULAW;
+  const bytesPerSample = isMulaw ? 1 : 2;
+
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);  // fmt chunk size
+  header.writeUInt16LE(isMulaw ? WAV_MULAW : WAV_PCM, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * channels * bytesPerSample, 28);  // byte rate
+  header.writeUInt16LE(channels * bytesPerSample, 32);  // block align
+  header.writeUInt16LE(bytesPerSample * 8, 34);  // bits per sample
+  header.write('data', 36);
+  header.writeUInt32LE(data.length, 40);
+
+  return Buffer.concat([header, data]);
+}
+
+// ---------------------------------------------------------------------------
+// mu-law (G.711)
+
+const MULAW_BIAS = 0x84;
+const MULAW_CLIP = 32635;
+
+const MULAW_DECODE_TABLE = new Int16Array(256);
+for (let i = 0; i < 256; i++) {
+  const byte = ~i & 0xff;
+  const exponent = (byte >> 4) & 0x07;
+  const magnitude = ((((byte & 0x0f) << 3) + MULAW_BIAS) << exponent) - MULAW_BIAS;
+  MULAW_DECODE_TABLE[i] = byte & 0x80 ? -magnitude : magnitude;
+}
+
+function encodeMulawSample(sample) {
+  const sign = sample < 0 ? 0x80 : 0;
+  let magnitude = Math.min(Math.abs(sample), MULAW_CLIP) + MULAW_BIAS;
+
+  let exponent = 7;
+  for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) {
+    exponent--;
+  }
+  const mantissa = (magnitude >> (exponent + 3)) & 0x0f;
+  return ~(sign | (exponent << 4) | mantissa) & 0xff;
+}
+
+/**
+ * PCM16 -> mu-law bytes (sample rate unchanged)
+ */
+function pcm16ToMulaw(pcm) {
+  const samples = Math.floor(pcm.length / 2);
+  const mulaw = Buffer.alloc(samples);
+  for (let i = 0; i < samples; i++) {
+    mulaw[i] = encodeMulawSample(pcm.readInt16LE(i * 2));
+  }
+  return mulaw;
+}
+
+/**
+ * mu-law bytes -> PCM16 (sample rate unchanged)
+ */
+function mulawToPcm16(mulaw) {
+  const pcm = Buffer.alloc(mulaw.length * 2);
+  for (let i = 0; i < mulaw.length; i++) {
+    pcm.writeInt16LE(MULAW_DECODE_TABLE[mulaw[i]], i * 2);
+  }
+  return pcm;
+}
+
+// ---------------------------------------------------------------------------
+// Resampling and channels
+
+// Downsampling low-pass: cutoff as a fraction of the target rate, FIR length per input sample per output sample
+const LOW_PASS_CUTOFF = 0.45;
+const LOW_PASS_TAPS_PER_STEP = 16;
+
+/**
+ * Windowed-sinc (Hamming) low-pass FIR coefficients, cutoff as a fraction of the sample rate
+ */
+function lowPassKernel(cutoff, taps) {
+  const middle = (taps - 1) / 2;
+  const kernel = new Float64Array(taps);
+  let sum = 0;
+
+  for (let i = 0; i < taps; i++) {
+    const t = i - middle;
+    const sinc = t === 0 ? 2 * cutoff : Math.sin(2 * Math.PI * cutoff * t) / (Math.PI * t);
+    kernel[i] = sinc * (0.54 - 0.46 * Math.cos(2 * Math.PI * i / (taps - 1)));
+    sum += kernel[i];
+  }
+
+  return kernel.map(value => value / sum);  // unity gain at DC
+}
+
+/**
+ * Streaming PCM16 mono FIR low-pass
+ * Keeps the last taps - 1 samples between chunks so chunk boundaries stay seamless
+ * @returns {function(Buffer): Buffer}
+ */
+function createLowPassFilter(cutoff, taps) {
+  const kernel = lowPassKernel(cutoff, taps);
+  let history = new Float64Array(taps - 1);  // silence before the first chunk
+
+  return (pcm) => {
+    const count = Math.floor(pcm.length / 2);
+    const input = new Float64Array(history.length + count);
+    input.set(history);
+    for (let i = 0; i < count; i++) {
+      input[history.length + i] = pcm.readInt16LE(i * 2);
+    }
+
+    const output = Buffer.alloc(count * 2);
+    for (let i = 0; i < count; i++) {
+      let sum = 0;
+      for (let k = 0; k < taps; k++) {
+        sum += kernel[k] * input[i + k];
+      }
+      output.writeInt16LE(Math.max(-32768, Math.min(32767, Math.round(sum))), i * 2);
+    }
+
+    history = input.slice(count);
+    return output;
+  };
+}
+
+/**
+ * Streaming PCM16 mono resampler (linear interpolation)
+ * Downsampling low-pass filters first so content above the new Nyquist frequency does not alias
+ * Keeps position and the last sample between chunks so chunk boundaries stay seamless
+ * @returns {function(Buffer): Buffer}
+ */
+function createResampler(fromRate, toRate) {
+  if (fromRate === toRate) {
+    return pcm => pcm;
+  }
+
+  const step = fromRate / toRate;  // input samples per output sample
+  const lowPass = toRate < fromRate
+    ? createLowPassFilter(LOW_PASS_CUTOFF * toRate / fromRate, LOW_PASS_TAPS_PER_STEP * Math.ceil(step) + 1)
+    : pcm => pcm;
+  let position = 0;  // next output position in input samples, relative to the current chunk (-1 = previous chunk's last sample)
+  let previous = 0;
+
+  return (input) => {
+    const pcm = lowPass(input);
+    const count = Math.floor(pcm.length / 2);
+    if (count === 0) {
+      return Buffer.alloc(0);
+    }
+
+    const sampleAt = index => (index < 0 ? previous : pcm.readInt16LE(index * 2));
+    const output = Buffer.alloc((Math.ceil((count - position) / step) + 1) * 2);
+    let written = 0;
+
+    while (position < count - 1) {
+      const index = Math.floor(position);
+      const fraction = position - index;
+      const sample = sampleAt(index) + (sampleAt(index + 1) - sampleAt(index)) * fraction;
+      output.writeInt16LE(Math.round(sample), written);
+      written += 2;
+      position += step;
+    }
+
+    position -= count;
+    previous = sampleAt(count - 1);
+    return output.subarray(0, written);
+  };
+}
+
+/**
+ * One-off resample of a complete PCM16 mono buffer
+ */
+function resample(pcm, fromRate, toRate) {
+  return createResampler(fromRate, toRate)(pcm);
+}
+
+/**
+ * Interleaved multi-channel PCM16 -> mono (channel average)
+ */
+function toMono(pcm, channels) {
+  if (channels <= 1) {
+    return pcm;
+  }
+
+  const frames = Math.floor(pcm.length / (2 * channels));
+  const mono = Buffer.alloc(frames * 2);
+  for (let frame = 0; frame < frames; frame++) {
+    let sum = 0;
+    for (let channel = 0; channel < channels; channel++) {
+      sum += pcm.readInt16LE((frame * channels + channel) * 2);
+    }
+    mono.writeInt16LE(Math.round(sum / channels), frame * 2);
+  }
+  return mono;
+}
+
+// ---------------------------------------------------------------------------
+// Opus
+
+/**
+ * Streaming WebM/Opus or Ogg/Opus decoder (prism-media)
+ * Write container bytes to `input`; PCM16 at sampleRate comes out of `output` as 'data' events
+ */
+function createOpusDecoder(format, { sampleRate = LIVE_INPUT_SAMPLE_RATE, channels = 1 } = {}) {
+  const prism = require('prism-media');
+
+  const input = format === FORMATS.OGG_OPUS ? new prism.opus.OggDemuxer() : new prism.opus.WebmDemuxer();
+  const output = new prism.opus.Decoder({ rate: sampleRate, channels, frameSize: 960 });
+  input.pipe(output);
+
+  return {
+    input,
+    output,
+    destroy() {
+      if (!input.destroyed) input.destroy();
+      if (!output.destroyed) output.destroy();
+    }
+  };
+}
+
+// Ogg page CRC-32 (polynomial 0x04C11DB7, no reflection)
+const OGG_CRC_TABLE = new Uint32Array(256);
+for (let i = 0; i < 256; i++) {
+  let crc = i << 24;
+  for (let bit = 0; bit < 8; bit++) {
+    crc = crc & 0x80000000 ? (crc << 1) ^ 0x04c11db7 : crc << 1;
+  }
+  OGG_CRC_TABLE[i] = crc >>> 0;
+}
+
+function oggCrc(buffer) {
+  let crc = 0;
+  for (const byte of buffer) {
+    crc = ((crc << 8) ^ OGG_CRC_TABLE[((crc >>> 24) ^ byte) & 0xff]) >>> 0;
+  }
+  return crc;
+}
+
+// Encoder lookahead at 48kHz, skipped by the decoder
+const OPUS_PRE_SKIP = 312;
+
+/**
+ * Opus identification header (Ogg first page, WebM CodecPrivate)
+ */
+function buildOpusHead(sampleRate, channels) {
+  const opusHead = Buffer.alloc(19);
+  opusHead.write('OpusHead', 0);
+  opusHead[8] = 1;  // version
+  opusHead[9] = channels;
+  opusHead.writeUInt16LE(OPUS_PRE_SKIP, 10);
+  opusHead.writeUInt32LE(sampleRate, 12);
+  opusHead.writeInt16LE(0, 16);  // output gain
+  opusHead[18] = 0;  // channel mapping family
+  return opusHead;
+}
+
+/**
+ * Streaming PCM16 -> Ogg/Opus encoder (20ms packets, one packet per Ogg page)
+ * onData receives the header pages first, then one page per packet
+ */
+function createOggOpusEncoder({ sampleRate = LIVE_OUTPUT_SAMPLE_RATE, channels = 1 } = {}, onData) {
+  const prism = require('prism-media');
+
+  if (!OPUS_SAMPLE_RATES.includes(sampleRate)) {
+    throw new ValidationError(`Opus sample rate must be one of: ${OPUS_SAMPLE_RATES.join(', ')}`);
+  }
+
+  const serial = crypto.randomBytes(4).readUInt32LE(0);
+  const samplesPerPacket = 960;  // 20ms at 48kHz - Ogg/Opus granule positions always count 48kHz samples
+  let sequence = 0;
+  let granule = 0;
+
+  const page = (packet, headerType, granulePosition) => {
+    const lacing = [];
+    let remaining = packet.length;
+    while (remaining >= 255) {
+      lacing.push(255);
+      remaining -= 255;
+    }
+    lacing.push(remaining);
+
+    const header = Buffer.alloc(27 + lacing.length);
+    header.write('OggS', 0);
+    header[4] = 0;  // version
+    header[5] = headerType;
+    header.writeBigUInt64LE(BigInt(granulePosition), 6);
+    header.writeUInt32LE(serial, 14);
+    header.writeUInt32LE(sequence++, 18);
+    header[26] = lacing.length;
+    Buffer.from(lacing).copy(header, 27);
+
+    const result = Buffer.concat([header, packet]);
+    result.writeUInt32LE(oggCrc(result), 22);
+    return result;
+  };
+
+  const opusHead = buildOpusHead(sampleRate, channels);
+
+  const vendor = Buffer.from('vaakya');
+  const opusTags = Buffer.alloc(8 + 4 + vendor.length + 4);
+  opusTags.write('OpusTags', 0);
+  opusTags.writeUInt32LE(vendor.length, 8);
+  vendor.copy(opusTags, 12);
+  opusTags.writeUInt32LE(0, 12 + vendor.length);  // no user comments
+
+  const encoder = new prism.opus.Encoder({ rate: sampleRate, channels, frameSize: sampleRate / 50 });
+  onData(Buffer.concat([page(opusHead, 0x02, 0), page(opusTags, 0, 0)]));
+
+  encoder.on('data', (packet) => {
+    granule += samplesPerPacket;
+    onData(page(packet, 0, granule));
+  });
+
+  return {
+    write: pcm => encoder.write(pcm),
+    destroy() {
+      if (!encoder.destroyed) encoder.destroy();
+    }
+  };
+}
+
+// EBML variable-length size; sizes of all ones mean "unknown" (a live stream's Segment and Clusters)
+const EBML_UNKNOWN_SIZE = Buffer.from([0x01, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff]);
+
+function ebmlSize(size) {
+  let width = 1;
+  while (size >= 2 ** (7 * width) - 1) width++;
+  const buffer = Buffer.alloc(width);
+  let remaining = size;
+  for (let i = width - 1; i >= 0; i--) {
+    buffer[i] = remaining % 256;
+    remaining = Math.floor(remaining / 256);
+  }
+  buffer[0] |= 0x80 >> (width - 1);
+  return buffer;
+}
+
+function ebmlUint(value) {
+  const bytes = [];
+  let remaining = value;
+  do {
+    bytes.unshift(remaining % 256);
+    remaining = Math.floor(remaining / 256);
+  } while (remaining > 0);
+  return Buffer.from(bytes);
+}
+
+function ebmlFloat(value) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeDoubleBE(value, 0);
+  return buffer;
+}
+
+/**
+ * EBML element; data is a Buffer, a string, an unsigned integer or an array of child elements
+ */
+function ebmlElement(id, data) {
+  let body;
+  if (Array.isArray(data)) body = Buffer.concat(data);
+  else if (typeof data === 'number') body = ebmlUint(data);
+  else body = Buffer.from(data);
+  return Buffer.concat([Buffer.from(id, 'hex'), ebmlSize(body.length), body]);
+}
+
+/**
+ * Streaming PCM16 -> WebM/Opus encoder (20ms packets as SimpleBlocks, one Cluster per second)
+ * onData receives the EBML header, Segment, Info and Tracks first, then Clusters and blocks.
+ * The Segment and Clusters have unknown sizes, as in a MediaRecorder stream.
+ */
+function createWebmOpusEncoder({ sampleRate = LIVE_OUTPUT_SAMPLE_RATE, channels = 1 } = {}, onData) {
+  const prism = require('prism-media');
+
+  if (!OPUS_SAMPLE_RATES.includes(sampleRate)) {
+    throw new ValidationError(`Opus sample rate must be one of: ${OPUS_SAMPLE_RATES.join(', ')}`);
+  }
+
+  const packetMs = 20;
+  const clusterMs = 1000;  // Block timecodes are 16-bit offsets from their Cluster
+  let timecode = 0;
+  let clusterTimecode = -clusterMs;
+
+  const ebmlHeader = ebmlElement('1a45dfa3', [
+    ebmlElement('4286', 1),  // EBMLVersion
+    ebmlElement('42f7', 1),  // EBMLReadVersion
+    ebmlElement('42f2', 4),  // EBMLMaxIDLength
+    ebmlElement('42f3', 8),  // EBMLMaxSizeLength
+    ebmlElement('4282', 'webm'),  // DocType
+    ebmlElement('4287', 4),  // DocTypeVersion
+    ebmlElement('4285', 2)  // DocTypeReadVersion
+  ]);
+
+  const info = ebmlElement('1549a966', [
+    ebmlElement('2ad7b1', 1000000),  // TimecodeScale: 1ms
+    ebmlElement('4d80', 'vaakya'),  // MuxingApp
+    ebmlElement('5741', 'vaakya')  // WritingApp
+  ]);
+
+  const tracks = ebmlElement('1654ae6b', [
+    ebmlElement('ae', [  // TrackEntry
+      ebmlElement('d7', 1),  // TrackNumber
+      ebmlElement('73c5', crypto.randomBytes(4).readUInt32LE(0) || 1),  // TrackUID
+      ebmlElement('83', 2),  // TrackType: audio
+      ebmlElement('86', 'A_OPUS'),  // CodecID
+      ebmlElement('63a2', buildOpusHead(sampleRate, channels)),  // CodecPrivate
+      ebmlElement('56aa', Math.round(OPUS_PRE_SKIP / 48000 * 1e9)),  // CodecDelay (ns)
+      ebmlElement('56bb', 80000000),  // SeekPreRoll: 80ms
+      ebmlElement('e1', [  // Audio
+        ebmlElement('b5', ebmlFloat(48000)),  // SamplingFrequency (Opus always decodes at 48kHz)
+        ebmlElement('9f', channels)  // Channels
+      ])
+    ])
+  ]);
+
+  const encoder = new prism.opus.Encoder({ rate: sampleRate, channels, frameSize: sampleRate / 50 });
+  onData(Buffer.concat([ebmlHeader, Buffer.from('18538067', 'hex'), EBML_UNKNOWN_SIZE, info, tracks]));
+
+  encoder.on('data', (packet) => {
+    const parts = [];
+    if (timecode - clusterTimecode >= clusterMs) {
+      clusterTimecode = timecode;
+      parts.push(Buffer.from('1f43b675', 'hex'), EBML_UNKNOWN_SIZE, ebmlElement('e7', clusterTimecode));
+    }
+
+    const blockHeader = Buffer.alloc(4);
+    blockHeader[0] = 0x81;  // Track number 1
+    blockHeader.writeInt16BE(timecode - clusterTimecode, 1);
+    blockHeader[3] = 0x80;  // Keyframe
+    parts.push(ebmlElement('a3', Buffer.concat([blockHeader, packet])));
+
+    timecode += packetMs;
+    onData(Buffer.concat(parts));
+  });
+
+  return {
+    write: pcm => encoder.write(pcm),
+    destroy() {
+      if (!encoder.destroyed) encoder.destroy();
+    }
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Live session format negotiation and converters
+
+/**
+ * Validate the audio formats a Live client declared at start_session
+ * @param {object} requested - { input: { format, sampleRate, channels }, output: { format, sampleRate } }
+ * @returns {object} { input, output } with defaults filled in
+ */
+function negotiateFormats(requested = {}) {
+  return {
+    input: normalizeStreamFormat(requested.input, INPUT_FORMATS, LIVE_INPUT_SAMPLE_RATE, 'input'),
+    output: normalizeStreamFormat(requested.output, OUTPUT_FORMATS, LIVE_OUTPUT_SAMPLE_RATE, 'output')
+  };
+}
+
+function normalizeStreamFormat(spec = {}, allowed, defaultRate, direction) {
+  const format = (spec.format || FORMATS.PCM16).toLowerCase();
+  if (!allowed.includes(format)) {
+    throw new ValidationError(`Unsupported ${direction} audio format: ${format}`, { supported: allowed });
+  }
+
+  const channels = parseInt(spec.channels, 10) || 1;
+  if (channels < 1 || channels > 2) {
+    throw new ValidationError(`Unsupported ${direction} channel count: ${spec.channels}`, { supported: [1, 2] });
+  }
+
+  let sampleRate = parseInt(spec.sampleRate, 10) || defaultRate;
+  if (format === FORMATS.MULAW) {
+    sampleRate = MULAW_SAMPLE_RATE;
+  } else if (format === FORMATS.WEBM_OPUS || format === FORMATS.OGG_OPUS) {
+    // Opus input is decoded straight to the Live rate; output must be an Opus rate
+    sampleRate = direction === 'input' ? LIVE_INPUT_SAMPLE_RATE : sampleRate;
+    if (!OPUS_SAMPLE_RATES.includes(sampleRate)) {
+      throw new ValidationError(`Unsupported Opus sample rate: ${sampleRate}`, { supported: OPUS_SAMPLE_RATES });
+    }
+  } else if (sampleRate < MIN_PCM_SAMPLE_RATE || sampleRate > MAX_PCM_SAMPLE_RATE) {
+    throw new ValidationError(`Unsupported ${direction} sample rate: ${sampleRate}`, {
+      supported: [MIN_PCM_SAMPLE_RATE, MAX_PCM_SAMPLE_RATE]
+    });
+  }
+
+  // Output is always mono
+  return { format, sampleRate, channels: direction === 'output' ? 1 : channels };
+}
+
+/**
+ * Converter from a client's input format to Live input (16kHz PCM16 mono)
+ * write(chunk) passes converted PCM to onPcm and returns its result (decoded Opus arrives asynchronously)
+ */
+function createInputConverter(spec, onPcm) {
+  if (spec.format === FORMATS.WEBM_OPUS || spec.format === FORMATS.OGG_OPUS) {
+    const decoder = createOpusDecoder(spec.format, { sampleRate: LIVE_INPUT_SAMPLE_RATE, channels: spec.channels });
+    decoder.output.on('data', pcm => onPcm(toMono(pcm, spec.channels)));
+
+    return {
+      write: (chunk) => {
+        if (!decoder.input.destroyed) decoder.input.write(chunk);
+      },
+      onError: handler => {
+        decoder.input.on('error', handler);
+        decoder.output.on('error', handler);
+      },
+      destroy: () => decoder.destroy()
+    };
+  }
+
+  let sampleRate = spec.sampleRate;
+  let channels = spec.channels;
+  let resampler = createResampler(sampleRate, LIVE_INPUT_SAMPLE_RATE);
+
+  return {
+    write: (chunk) => {
+      let pcm = chunk;
+
+      if (spec.format === FORMATS.WAV) {
+        // Each chunk may be a whole WAV file, or raw PCM continuing an earlier one
+        const wav = parseWav(chunk);
+        if (wav) {
+          if (wav.sampleRate !== sampleRate || wav.channels !== channels) {
+            sampleRate = wav.sampleRate;
+            channels = wav.channels;
+            resampler = createResampler(sampleRate, LIVE_INPUT_SAMPLE_RATE);
+          }
+          pcm = wav.audioFormat === WAV_MULAW ? mulawToPcm16(wav.data) : wav.data;
+        }
+      } else if (spec.format === FORMATS.MULAW) {
+        pcm = mulawToPcm16(chunk);
+      }
+
+      return onPcm(resampler(toMono(pcm, channels)));
+    },
+    onError: () => {},
+    destroy: () => {}
+  };
+}
+
+/**
+ * Converter from Live output (24kHz PCM16 mono) to a client's output format
+ * Encoded audio is passed to onData (Opus pages and blocks arrive asynchronously)
+ */
+function createOutputConverter(spec, onData) {
+  if (spec.format === FORMATS.WEBM_OPUS || spec.format === FORMATS.OGG_OPUS) {
+    const resampler = createResampler(LIVE_OUTPUT_SAMPLE_RATE, spec.sampleRate);
+    const createEncoder = spec.format === FORMATS.WEBM_OPUS ? createWebmOpusEncoder : createOggOpusEncoder;
+    const encoder = createEncoder({ sampleRate: spec.sampleRate }, onData);
+    return {
+      write: pcm => encoder.write(resampler(pcm)),
+      destroy: () => encoder.destroy()
+    };
+  }
+
+  const resampler = createResampler(LIVE_OUTPUT_SAMPLE_RATE, spec.sampleRate);
+
+  return {
+    write: (pcm) => {
+      const converted = resampler(pcm);
+      if (converted.length === 0) return;
+
+      if (spec.format === FORMATS.MULAW) {
+        onData(pcm16ToMulaw(converted));
+      } else if (spec.format === FORMATS.WAV) {
+        onData(encodeWav(converted, { sampleRate: spec.sampleRate }));
+      } else {
+        onData(converted);
+      }
+    },
+    destroy: () => {}
+  };
+}
+
+module.exports = {
+  FORMATS,
+  INPUT_FORMATS,
+  OUTPUT_FORMATS,
+  LIVE_INPUT_SAMPLE_RATE,
+  LIVE_OUTPUT_SAMPLE_RATE,
+  MULAW_SAMPLE_RATE,
+  detectFormat,
+  fromMimeType,
+  parseWav,
+  encodeWav,
+  pcm16ToMulaw,
+  mulawToPcm16,
+  createResampler,
+  resample,
+  toMono,
+  createOpusDecoder,
+  createOggOpusEncoder,
+  createWebmOpusEncoder,
+  negotiateFormats,
+  createInputConverter,
+  createOutputConverter
+};
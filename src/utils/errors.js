@@ -50,6 +50,13 @@ class RateLimitError extends AppError {
   }
 }
 
+class QuotaExceededError extends AppError {
+  constructor(message = 'Usage quota exceeded', details = null) {
+    super(message, 429, 'QUOTA_EXCEEDED');
+    this.details = details;
+  }
+}
+
 class DatabaseError extends AppError {
   constructor(message = 'Database operation failed', originalError = null) {
     super(message, 500, 'DATABASE_ERROR');
@@ -101,6 +108,7 @@ const ERROR_CODES = {
   // Rate Limiting
   RATE_LIMIT_EXCEEDED: 'RATE_LIMIT_EXCEEDED',
   TOO_MANY_REQUESTS: 'TOO_MANY_REQUESTS',
+  QUOTA_EXCEEDED: 'QUOTA_EXCEEDED',
   
   // System
   INTERNAL_ERROR: 'INTERNAL_ERROR',
@@ -248,6 +256,7 @@ module.exports = {
   NotFoundError,
   ConflictError,
   RateLimitError,
+  QuotaExceededError,
   DatabaseError,
   ExternalServiceError,
   
@@ -0,0 +1,132 @@
+/**
+ * Agent WebSocket Handler
+ * Console connection for human agents: receives the tenant's handoff queue, joins a
+ * conversation, sees its live transcript, replies by text (JSON) or voice (binary 16kHz
+ * PCM16 mono, both directions) and hands it back to the bot
+ */
+
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+const handoffService = require('../services/HandoffService');
+
+class AgentWebSocketHandler {
+  constructor() {
+    this.connections = new Map(); // agentId -> ws
+  }
+
+  /**
+   * Handle a new agent connection
+   */
+  handleConnection(ws, req) {
+    const agentId = 'agent-' + crypto.randomBytes(8).toString('hex');
+    this.connections.set(agentId, ws);
+
+    this.send(ws, {
+      type: 'agent_connected',
+      agentId,
+      tenantId: req.tenantId,
+      timestamp: Date.now()
+    });
+
+    handoffService.registerAgent({
+      agentId,
+      name: req.agentName || agentId,
+      tenantId: req.tenantId  // Resolved at WebSocket upgrade
+    }, {
+      sendMessage: (message) => this.send(ws, message),
+      sendAudio: (pcm) => {
+        if (ws.readyState === 1) {  // 1 = OPEN
+          ws.send(pcm);
+        }
+      }
+    });
+
+    return agentId;
+  }
+
+  /**
+   * Handle an agent message: JSON commands, or binary microphone audio
+   */
+  async handleMessage(ws, agentId, data) {
+    try {
+      if (Buffer.isBuffer(data) || data instanceof ArrayBuffer || data instanceof Uint8Array) {
+        handoffService.sendAgentAudio(agentId, Buffer.from(data));
+        return;
+      }
+
+      const message = JSON.parse(data.toString());
+
+      switch (message.type) {
+        case 'join':
+          handoffService.join(agentId, message.handoffId);
+          break;
+
+        case 'message':
+          handoffService.sendAgentMessage(agentId, message.text);
+          break;
+
+        case 'return_to_bot':
+          handoffService.returnToBot(agentId, message.notes || null);
+          break;
+
+        case 'ping':
+          this.send(ws, { type: 'pong', timestamp: Date.now() });
+          break;
+
+        default:
+          logger.warn('[AgentWS] Unknown message type', { agentId, type: message.type });
+      }
+    } catch (error) {
+      logger.warn('[AgentWS] Command failed', { agentId, code: error.code, error: error.message });
+      this.send(ws, {
+        type: 'error',
+        code: error.code,
+        error: error.message,
+        details: error.details,
+        timestamp: Date.now()
+      });
+    }
+  }
+
+  /**
+   * Handle WebSocket close - the agent's conversation goes back to the bot
+   */
+  handleClose(agentId) {
+    this.connections.delete(agentId);
+    handoffService.unregisterAgent(agentId);
+  }
+
+  /**
+   * Handle WebSocket error
+   */
+  handleError(agentId, error) {
+    logger.error('[AgentWS] WebSocket error:', {
+      agentId,
+      error: error.message
+    });
+  }
+
+  /**
+   * Send JSON message to the agent
+   */
+  send(ws, message) {
+    // Bun WebSocket readyState: 0=CONNECTING, 1=OPEN, 2=CLOSING, 3=CLOSED
+    if (ws && ws.readyState === 1) {
+      ws.send(JSON.stringify(message));
+    }
+  }
+
+  /**
+   * Cleanup
+   */
+  cleanup() {
+    for (const [agentId, ws] of this.connections) {
+      handoffService.unregisterAgent(agentId);
+      ws.close();
+    }
+    this.connections.clear();
+    logger.info('[AgentWS] Cleanup completed');
+  }
+}
+
+module.exports = AgentWebSocketHandler;
@@ -0,0 +1,445 @@
+/**
+ * Telephony Media Stream Handler
+ * Bridges phone calls to Vertex AI Live over the Twilio-style media stream protocol:
+ * JSON frames (connected, start, media, mark, dtmf, stop) carrying base64 8kHz mu-law audio
+ */
+
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+const config = require('../config');
+const VertexAILiveService = require('../services/VertexAILiveService');
+const SharedFunctionSchema = require('../services/SharedFunctionSchema');
+const usageService = require('../services/UsageService');
+const scamDetectionService = require('../services/ScamDetectionService');
+const consentService = require('../services/ConsentService');
+const tenantService = require('../services/TenantService');
+const apiKeyService = require('../services/ApiKeyService');
+const audioUtils = require('../utils/audio');
+
+// Media format of providers that do not send one in the start event
+const DEFAULT_MEDIA_FORMAT = { encoding: 'audio/x-mulaw', sampleRate: 8000, channels: 1 };
+
+class TelephonyMediaStreamHandler {
+  constructor() {
+    this.vertexAILiveService = new VertexAILiveService(process.env);
+    this.activeCalls = new Map();
+    this.telephonyConfig = config.telephony;
+  }
+
+  async initialize() {
+    await this.vertexAILiveService.initialize();
+    logger.info('[Telephony] Initialized');
+  }
+
+  /**
+   * Handle a new media stream connection
+   * The call is only set up on the start event, which names the stream and its parameters
+   * and carries the API key (Twilio <Stream> cannot send headers or query parameters)
+   * @param {object} req - { tenantId, apiKey } from the upgrade request, for providers that can send them
+   */
+  handleConnection(ws, req) {
+    const sessionId = 'telephony-' + crypto.randomBytes(8).toString('hex');
+
+    this.activeCalls.set(sessionId, {
+      ws,
+      sessionId,
+      tenantId: null,  // Resolved on the start event
+      requestedTenantId: req.tenantId || null,
+      upgradeKey: req.apiKey || null,
+      started: false,
+      startTimer: setTimeout(() => this.endCall(sessionId, 'start_timeout'), this.telephonyConfig.startTimeout * 1000),
+      streamSid: null,
+      callSid: null,
+      language: this.telephonyConfig.defaultLanguage,
+      userId: null,
+      vertexSession: null,
+      inputConverter: null,  // 8kHz mu-law -> 16kHz PCM for Vertex AI
+      outputConverter: null,  // 24kHz PCM from Vertex AI -> 8kHz mu-law
+      markCount: 0,
+      pendingMarks: new Set(),  // Marks sent but not yet played back to the caller
+      scamState: scamDetectionService.createState(),  // Current utterance and recent scam warnings
+      consent: null,  // Disclosure acceptance (set on the start event)
+      connectedAt: Date.now(),
+      isEnding: false
+    });
+
+    logger.info('[Telephony] Media stream connected', { sessionId, tenantId: req.tenantId || null });
+    return sessionId;
+  }
+
+  /**
+   * Handle a media stream frame
+   */
+  async handleMessage(ws, sessionId, data) {
+    const call = this.activeCalls.get(sessionId);
+    if (!call) return;
+
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      logger.warn('[Telephony] Ignoring non-JSON frame', { sessionId });
+      return;
+    }
+
+    switch (message.event) {
+      case 'connected':
+        logger.info('[Telephony] Provider connected', { sessionId, protocol: message.protocol, version: message.version });
+        break;
+
+      case 'start':
+        await this.startCall(call, message);
+        break;
+
+      case 'media':
+        await this.handleMedia(call, message.media || {});
+        break;
+
+      case 'mark':
+        this.handleMark(call, message.mark || {});
+        break;
+
+      case 'dtmf':
+        logger.info('[Telephony] DTMF received', { sessionId, digit: message.dtmf?.digit });
+        break;
+
+      case 'stop':
+        await this.endCall(sessionId, 'stop');
+        break;
+
+      default:
+        logger.warn('[Telephony] Unknown event', { sessionId, event: message.event });
+    }
+  }
+
+  /**
+   * Start event: authenticate the stream and open the Vertex AI Live session for the call
+   * customParameters carry apiKey and tenantId, and may set language and userId
+   */
+  async startCall(call, message) {
+    const { sessionId } = call;
+    const start = message.start || {};
+    const params = start.customParameters || {};
+
+    if (call.started) {
+      logger.warn('[Telephony] Ignoring repeated start event', { sessionId });
+      return;
+    }
+    call.started = true;
+    clearTimeout(call.startTimer);
+
+    call.streamSid = message.streamSid || start.streamSid || null;
+    call.callSid = start.callSid || null;
+    call.language = params.language || this.telephonyConfig.defaultLanguage;
+    call.userId = params.userId || null;
+
+    try {
+      const principal = await apiKeyService.authenticateKey(params.apiKey || call.upgradeKey, 'live:connect');
+      call.upgradeKey = null;
+      const tenant = await tenantService.resolveRequestedTenant(
+        tenantService.normalizeTenantId(params.tenantId) || call.requestedTenantId,
+        principal
+      );
+      call.tenantId = tenant.id;
+
+      // The caller's audio comes back in the same format it arrives in
+      const mediaFormat = { ...DEFAULT_MEDIA_FORMAT, ...start.mediaFormat };
+      const { format } = audioUtils.fromMimeType(mediaFormat.encoding);
+      const audioFormat = audioUtils.negotiateFormats({
+        input: { format, sampleRate: mediaFormat.sampleRate, channels: mediaFormat.channels },
+        output: { format, sampleRate: mediaFormat.sampleRate }
+      });
+
+      await usageService.checkQuota(call.tenantId, call.userId);
+
+      // Same disclosure step as Live sessions, answered by voice
+      const consentRequirement = consentService.getRequirement(tenant, call.language);
+      call.consent = consentService.createState(consentRequirement, call.language);
+      if (consentService.isBlocking(call.consent) && consentRequirement.reuse) {
+        try {
+          if (await consentService.findConsent(call.tenantId, call.userId, consentRequirement.version)) {
+            call.consent.status = consentService.STATUS.GRANTED;
+          }
+        } catch (error) {
+          logger.warn('[Telephony] Consent lookup failed, asking again', { sessionId, error: error.message });
+        }
+      }
+
+      call.inputConverter = audioUtils.createInputConverter(audioFormat.input, pcm => this.forwardCallerAudio(call, pcm));
+      call.outputConverter = audioUtils.createOutputConverter(audioFormat.output, audio => this.sendMedia(call, audio));
+
+      logger.info('[Telephony] Call started', {
+        sessionId,
+        streamSid: call.streamSid,
+        callSid: call.callSid,
+        tenantId: call.tenantId,
+        language: call.language,
+        userId: call.userId || 'anonymous',
+        format: audioFormat.input.format,
+        consent: call.consent.status
+      });
+
+      call.vertexSession = await this.vertexAILiveService.createSession(sessionId, {
+        language: call.language,
+        systemInstruction: SharedFunctionSchema.buildSystemPrompt('', {}, call.language),
+        userId: call.userId,
+        tenantId: call.tenantId
+      });
+
+      // The caller hung up while the session was being created
+      if (!this.activeCalls.has(sessionId)) {
+        await this.vertexAILiveService.closeSession(sessionId);
+        return;
+      }
+
+      this.vertexAILiveService.setAudioCallback(sessionId, (audioData) => {
+        call.outputConverter?.write(audioData);
+      });
+
+      // Barge-in: drop the model audio the provider has queued but not played yet
+      this.vertexAILiveService.setInterruptedCallback(sessionId, () => {
+        this.send(call, { event: 'clear', streamSid: call.streamSid });
+        call.pendingMarks.clear();
+      });
+
+      // A mark after each turn tells us when the caller has heard the whole reply
+      this.vertexAILiveService.setTurnCallback(sessionId, (turn) => {
+        const name = `turn-${++call.markCount}`;
+        call.pendingMarks.add(name);
+        this.send(call, { event: 'mark', streamSid: call.streamSid, mark: { name } });
+        this.checkConsentAnswer(call, turn);
+        this.sendSafetyMessage(call);
+      });
+
+      this.vertexAILiveService.setTranscriptCallback(sessionId, (role, text, finished) => {
+        // Caller speech can hold account numbers and OTPs, so only its length is logged
+        if (finished) {
+          logger.info('[Telephony] Transcript', { sessionId, role, length: text.length });
+        }
+        if (role === 'user') {
+          this.checkScamPatterns(call, text);
+          if (consentService.isBlocking(call.consent)) {
+            call.consent.utterance += text;
+          }
+        }
+      });
+
+      // Advisory tools wait for consent (fraud reporting and handoff stay available)
+      this.vertexAILiveService.setToolGuard(sessionId, (name) =>
+        consentService.isBlocking(call.consent) && consentService.isAdvisoryTool(name)
+          ? consentService.buildToolRefusal()
+          : null
+      );
+
+      // The assistant ended the call (goodbye, time limit) - hang up the stream
+      this.vertexAILiveService.setClosedCallback(sessionId, () => {
+        call.vertexSession = null;
+        if (!call.isEnding) {
+          logger.info('[Telephony] Live session closed, ending call', { sessionId });
+          this.endCall(sessionId, 'session_closed');
+        }
+      });
+
+      if (call.consent.status === consentService.STATUS.PENDING) {
+        await this.vertexAILiveService.sendInstruction(
+          sessionId,
+          consentService.buildDisclosureInstruction(consentRequirement, call.language)
+        );
+        call.consent.disclosureSent = true;
+      }
+    } catch (error) {
+      logger.error('[Telephony] Call start failed', {
+        sessionId,
+        callSid: call.callSid,
+        code: error.code,
+        error: error.message,
+        details: error.details
+      });
+      await this.endCall(sessionId, 'start_failed');
+    }
+  }
+
+  /**
+   * Media event: caller audio (only the inbound track is sent to the assistant)
+   */
+  async handleMedia(call, media) {
+    if (!call.inputConverter || !call.vertexSession || !media.payload) return;
+    if (media.track && media.track !== 'inbound') return;
+
+    try {
+      await call.inputConverter.write(Buffer.from(media.payload, 'base64'));
+    } catch (error) {
+      logger.error('[Telephony] Audio processing error', { sessionId: call.sessionId, error: error.message });
+    }
+  }
+
+  /**
+   * Send converted caller PCM to Vertex AI
+   */
+  async forwardCallerAudio(call, pcm) {
+    if (pcm.length === 0 || !call.vertexSession) return;
+
+    try {
+      await this.vertexAILiveService.sendAudio(call.sessionId, pcm);
+    } catch (error) {
+      logger.error('[Telephony] Error sending audio', { sessionId: call.sessionId, error: error.message });
+    }
+  }
+
+  /**
+   * Scan the caller's speech for scam patterns; the warning is spoken in the next turn
+   */
+  checkScamPatterns(call, text) {
+    const hits = scamDetectionService.inspect(call.scamState, text);
+    if (hits.length === 0) return;
+
+    scamDetectionService.recordHits({
+      tenantId: call.tenantId,
+      sessionId: call.sessionId,
+      userId: call.userId,
+      channel: 'telephony',
+      language: call.language
+    }, hits);
+  }
+
+  /**
+   * After the model's turn, make it open the next one with the safety message it owes
+   */
+  sendSafetyMessage(call) {
+    const hits = scamDetectionService.endUtterance(call.scamState);
+    if (hits.length === 0 || !call.vertexSession) return;
+
+    this.vertexAILiveService.sendInstruction(call.sessionId, scamDetectionService.buildSafetyInstruction(hits)).catch((error) => {
+      logger.error('[Telephony] Safety message failed', { sessionId: call.sessionId, error: error.message });
+    });
+  }
+
+  /**
+   * At the end of a turn, check what the caller said after the disclosure for a yes or no
+   * An unclear reply is asked again; a recorded answer is noted for the model, which has already replied to it
+   */
+  async checkConsentAnswer(call, turn) {
+    const { sessionId } = call;
+    const answer = consentService.checkTurn(call.consent, turn);
+    if (!answer || !call.vertexSession) return;
+
+    try {
+      if (answer === 'unclear') {
+        await this.vertexAILiveService.sendInstruction(sessionId, consentService.buildReaskInstruction());
+        return;
+      }
+
+      const granted = answer === 'agree';
+      await consentService.recordConsent({
+        tenantId: call.tenantId,
+        sessionId,
+        userId: call.userId,
+        channel: 'telephony'
+      }, {
+        version: call.consent.version,
+        language: call.language,
+        granted,
+        method: 'spoken'
+      });
+      call.consent.status = granted ? consentService.STATUS.GRANTED : consentService.STATUS.DECLINED;
+
+      await this.vertexAILiveService.sendInstruction(sessionId, consentService.buildSpokenAnswerNote(granted), { respond: false });
+    } catch (error) {
+      // Without a stored record consent stays pending
+      logger.error('[Telephony] Consent answer failed', { sessionId, error: error.message });
+    }
+  }
+
+  /**
+   * Mark event: the provider finished playing audio up to a mark we sent
+   */
+  handleMark(call, mark) {
+    if (call.pendingMarks.delete(mark.name)) {
+      logger.info('[Telephony] Reply played to caller', { sessionId: call.sessionId, mark: mark.name });
+    }
+  }
+
+  /**
+   * Send model audio to the caller as a media event
+   */
+  sendMedia(call, audio) {
+    this.send(call, {
+      event: 'media',
+      streamSid: call.streamSid,
+      media: { payload: audio.toString('base64') }
+    });
+  }
+
+  /**
+   * End a call: close its Live session and the media stream
+   */
+  async endCall(sessionId, reason) {
+    const call = this.activeCalls.get(sessionId);
+    if (!call || call.isEnding) return;
+
+    call.isEnding = true;
+    clearTimeout(call.startTimer);
+    this.activeCalls.delete(sessionId);
+
+    call.inputConverter?.destroy();
+    call.outputConverter?.destroy();
+    call.inputConverter = null;
+    call.outputConverter = null;
+
+    if (call.vertexSession) {
+      call.vertexSession = null;
+      await this.vertexAILiveService.closeSession(sessionId);
+    }
+
+    // Closing the stream hangs up unless the provider has more call instructions
+    if (call.ws.readyState === 1) {  // 1 = OPEN
+      call.ws.close();
+    }
+
+    logger.info('[Telephony] Call ended', {
+      sessionId,
+      callSid: call.callSid,
+      reason,
+      durationMs: Date.now() - call.connectedAt
+    });
+  }
+
+  /**
+   * Handle WebSocket close (provider hung up without a stop event)
+   */
+  async handleClose(sessionId) {
+    await this.endCall(sessionId, 'socket_closed');
+  }
+
+  /**
+   * Handle WebSocket error
+   */
+  handleError(sessionId, error) {
+    logger.error('[Telephony] WebSocket error:', {
+      sessionId,
+      error: error.message
+    });
+  }
+
+  /**
+   * Send a JSON frame to the provider
+   */
+  send(call, message) {
+    // Bun WebSocket readyState: 0=CONNECTING, 1=OPEN, 2=CLOSING, 3=CLOSED
+    if (call.ws && call.ws.readyState === 1) {
+      call.ws.send(JSON.stringify(message));
+    }
+  }
+
+  /**
+   * Cleanup
+   */
+  async cleanup() {
+    for (const sessionId of Array.from(this.activeCalls.keys())) {
+      await this.endCall(sessionId, 'shutdown');
+    }
+    logger.info('[Telephony] Cleanup completed');
+  }
+}
+
+module.exports = TelephonyMediaStreamHandler;
@@ -4,14 +4,31 @@
  * Uses native audio-to-audio streaming (no STT/TTS)
  */
 
+const crypto = require('crypto');
 const { logger } = require('../utils/logger');
+const config = require('../config');
 const VertexAILiveService = require('../services/VertexAILiveService');
 const SharedFunctionSchema = require('../services/SharedFunctionSchema');
+const InterruptionContextManager = require('../services/InterruptionContextManager');
+const AdaptiveConversationManager = require('../services/AdaptiveConversationManager');
+const usageService = require('../services/UsageService');
+const recordingService = require('../services/RecordingService');
+const quickReplyService = require('../services/QuickReplyService');
+const handoffService = require('../services/HandoffService');
+const scamDetectionService = require('../services/ScamDetectionService');
+const consentService = require('../services/ConsentService');
+const tenantService = require('../services/TenantService');
+const redactionService = require('../services/RedactionService');
+const STTQualityAnalyzer = require('../services/STTQualityAnalyzer');
+const audioUtils = require('../utils/audio');
 
 class VertexAILiveWebSocketHandler {
   constructor() {
     this.vertexAILiveService = new VertexAILiveService(process.env);
     this.activeSessions = new Map();
+    this.resumeTokens = new Map(); // resumeToken -> sessionId
+    this.resumptionConfig = config.vertexAILive.resumption;
+    this.sttAnalyzer = new STTQualityAnalyzer();
   }
 
   async initialize() {
@@ -28,27 +45,44 @@ class VertexAILiveWebSocketHandler {
 
     logger.info('[VertexAILiveWS] New connection', {
       sessionId,
+      tenantId: req.tenantId,
       clientIp
     });
 
     const sessionData = {
       ws,
       sessionId,
+      tenantId: req.tenantId,  // Resolved at WebSocket upgrade
+      resumeToken: crypto.randomBytes(24).toString('base64url'),  // Lets a reconnecting client reclaim this conversation
+      detachedAt: null,  // Client socket dropped, waiting for resume_session
+      graceTimer: null,
       language: 'en',
       isActive: false,
       vertexSession: null,
       connectedAt: Date.now(),
       lastActivityAt: Date.now(),
-      opusDecoder: null,  // Will be initialized when session starts
-      opusDemuxer: null
+      audioFormat: null,  // Formats negotiated at start_session
+      inputConverter: null,  // Client audio -> 16kHz PCM for Vertex AI
+      outputConverter: null,  // 24kHz PCM from Vertex AI -> client audio
+      recorder: null,  // ConversationRecorder when the client opted in to recording
+      recognitionState: quickReplyService.createState(),  // Failed utterances in a row (quick-reply menu fallback)
+      agent: null,  // Human agent who has taken over (the bot is paused meanwhile)
+      scamState: scamDetectionService.createState(),  // Current utterance and recent scam warnings
+      consent: null,  // Disclosure acceptance (set at start_session)
+      // Per-session barge-in context and behaviour tracking
+      interruptionManager: new InterruptionContextManager(),
+      adaptiveManager: new AdaptiveConversationManager(sessionId)
     };
 
     this.activeSessions.set(sessionId, sessionData);
+    this.resumeTokens.set(sessionData.resumeToken, sessionId);
 
     // Send session ID to client
     this.sendMessage(ws, {
       type: 'session_started',
       sessionId,
+      resumeToken: sessionData.resumeToken,
+      resumeWindow: this.resumptionConfig.graceWindow,  // seconds
       workflow: 'vertex-ai-live',  // Identify workflow
       timestamp: Date.now()
     });
@@ -87,7 +121,7 @@ class VertexAILiveWebSocketHandler {
       });
 
       if (isBinary) {
-        // Binary audio data (PCM) - send directly to Vertex AI
+        // Binary audio in the input format negotiated at start_session
         await this.handleAudioChunk(ws, sessionId, data);
         return;
       } else {
@@ -105,12 +139,28 @@ class VertexAILiveWebSocketHandler {
           await this.startLiveSession(ws, sessionId, message.config);
           break;
 
+        case 'resume_session':
+          this.resumeLiveSession(ws, sessionId, message.resumeToken);
+          break;
+
         case 'audio_chunk':
           // Base64 encoded audio
           const audioBuffer = Buffer.from(message.data, 'base64');
           await this.handleAudioChunk(ws, sessionId, audioBuffer);
           break;
 
+        case 'quick_reply':
+          await this.handleQuickReply(ws, sessionId, message);
+          break;
+
+        case 'request_agent':
+          this.handleAgentRequest(ws, sessionId);
+          break;
+
+        case 'consent':
+          await this.handleConsentResponse(sessionId, message.accepted === true);
+          break;
+
         case 'turn_complete':
           await this.handleTurnComplete(ws, sessionId);
           break;
@@ -143,16 +193,43 @@ class VertexAILiveWebSocketHandler {
     if (!session) return;
 
     try {
-      const { language = 'en', systemInstruction, userId } = config;
+      const { language = 'en', systemInstruction, userId, record = false, audio } = config;
       session.language = language;
       session.userId = userId; // Store userId for context persistence
 
+      // Client-declared input/output audio formats (defaults: 16kHz PCM in, 24kHz PCM out)
+      session.audioFormat = audioUtils.negotiateFormats(audio);
+
+      // Reject before opening a Vertex AI session if today's quota is used up
+      await usageService.checkQuota(session.tenantId, userId);
+
+      // Before the Vertex AI session exists, so a format this server cannot encode fails cleanly
+      this.setupAudioConverters(session);
+
+      // Disclosure to accept before advice; a user who accepted this version before is not asked again
+      // (userId is the client's claim, so tenants can turn that off with settings.consent.reuse)
+      const consentRequirement = consentService.getRequirement(await tenantService.getTenant(session.tenantId), language);
+      session.consent = consentService.createState(consentRequirement, language);
+      if (consentService.isBlocking(session.consent) && consentRequirement.reuse) {
+        try {
+          if (await consentService.findConsent(session.tenantId, userId, consentRequirement.version)) {
+            session.consent.status = consentService.STATUS.GRANTED;
+          }
+        } catch (error) {
+          logger.warn('[VertexAILiveWS] Consent lookup failed, asking again', { sessionId, error: error.message });
+        }
+      }
+
+      // Personal data masked in the recording timeline and the handoff transcript
+      const redactionClasses = await redactionService.getClasses(session.tenantId);
+
       // Build system instruction with shared schema (fraud protection) and language context
       const fullSystemInstruction = systemInstruction ||
         SharedFunctionSchema.buildSystemPrompt('', {}, language);
 
       logger.info('[VertexAILiveWS] Creating Vertex AI Live session', {
         sessionId,
+        tenantId: session.tenantId,
         language,
         userId: userId || 'anonymous',
         hasCustomInstruction: !!systemInstruction
@@ -162,29 +239,48 @@ class VertexAILiveWebSocketHandler {
       const vertexSession = await this.vertexAILiveService.createSession(sessionId, {
         language,
         systemInstruction: fullSystemInstruction,
-        userId // Pass userId for conversation history
+        userId, // Pass userId for conversation history
+        tenantId: session.tenantId
       });
 
       session.vertexSession = vertexSession;
 
+      // Opt-in recording (QA and disputes)
+      if (record && recordingService.isEnabled()) {
+        session.recorder = recordingService.createRecorder({
+          sessionId,
+          tenantId: session.tenantId,
+          userId,
+          language,
+          redactionClasses
+        });
+      } else if (record) {
+        logger.warn('[VertexAILiveWS] Recording requested but disabled', { sessionId });
+      }
+
+      // Callbacks send to session.ws, which changes when the client resumes on a new socket
+      // (and is null while the client is disconnected)
+
       // Set up audio callback to forward to client
       this.vertexAILiveService.setAudioCallback(sessionId, (audioData) => {
-        // Send audio response back to client as binary
-        if (ws.readyState === 1) {  // 1 = OPEN
-          ws.send(audioData);
+        // Recordings keep Live's own 24kHz PCM; the client gets its negotiated format
+        // The tail of a reply still streaming when an agent joined
+        if (session.agent) return;
 
-          logger.info('[VertexAILiveWS] Sent audio to client', {
-            sessionId,
-            size: audioData.length
-          });
+        if (session.recorder) {
+          session.recorder.addAudio('model', audioData);
+        }
+
+        if (session.ws && session.ws.readyState === 1) {  // 1 = OPEN
+          session.outputConverter.write(audioData);
         }
       });
 
       // Set up text callback to forward to client
       this.vertexAILiveService.setTextCallback(sessionId, (textChunk) => {
         // Send text response back to client as JSON
-        if (ws.readyState === 1) {  // 1 = OPEN
-          this.sendMessage(ws, {
+        if (session.ws && session.ws.readyState === 1) {  // 1 = OPEN
+          this.sendMessage(session.ws, {
             type: 'text_chunk',
             text: textChunk,
             language: session.language,
@@ -200,114 +296,267 @@ class VertexAILiveWebSocketHandler {
         }
       });
 
+      // Stream transcriptions of both sides to the client
+      this.vertexAILiveService.setTranscriptCallback(sessionId, (role, text, finished) => {
+        if (session.agent) return;
+        if (session.recorder) {
+          session.recorder.addTranscript(role, text, finished);
+        }
+        handoffService.relayTranscript(sessionId, role, text, finished);
+        if (role === 'user') {
+          this.checkScamPatterns(session, text);
+          if (consentService.isBlocking(session.consent)) {
+            session.consent.utterance += text;
+          }
+        }
+        this.sendMessage(session.ws, {
+          type: role === 'user' ? 'user_transcript' : 'ai_transcript',
+          text,
+          finished,
+          language: session.language,
+          sessionId,
+          timestamp: Date.now()
+        });
+      });
+
+      // Barge-in: tell the client to drop queued audio and track the interruption
+      this.vertexAILiveService.setInterruptedCallback(sessionId, (interruption) => {
+        this.handleInterruption(session.ws, sessionId, interruption);
+      });
+
+      // Function calls: recording timeline, and topic / fraud flags for agent handoff
+      this.vertexAILiveService.setFunctionCallCallback(sessionId, ({ name, args, response, latency_ms }) => {
+        session.recorder?.addEvent('function_call', { name, args, response, latencyMs: latency_ms });
+        handoffService.recordFunctionCall(sessionId, { name, args });
+      });
+
+      // Completed turns: recording timeline, handoff transcript and recognition quality
+      this.vertexAILiveService.setTurnCallback(sessionId, (turn) => {
+        session.recorder?.addEvent('turn', turn);
+        handoffService.recordTurn(sessionId, turn);
+        this.checkRecognition(session, turn);
+        this.checkConsentAnswer(session, turn);
+        this.sendSafetyMessage(session);
+      });
+
+      // Advisory tools wait for consent (fraud reporting and handoff stay available)
+      this.vertexAILiveService.setToolGuard(sessionId, (name) =>
+        consentService.isBlocking(session.consent) && consentService.isAdvisoryTool(name)
+          ? consentService.buildToolRefusal()
+          : null
+      );
+
+      handoffService.attachSession(sessionId, {
+        tenantId: session.tenantId,
+        userId,
+        language,
+        redactionClasses
+      }, this.createHandoffChannel(session));
+
       session.isActive = true;
 
       this.sendMessage(ws, {
         type: 'session_ready',
         sessionId,
         language,
+        recording: !!session.recorder,
+        audio: session.audioFormat,
+        consent: session.consent.status,
         workflow: 'vertex-ai-live',
         timestamp: Date.now()
       });
 
       logger.info('[VertexAILiveWS] Live session ready', {
         sessionId,
-        language
+        language,
+        consent: session.consent.status
       });
 
+      if (session.consent.status === consentService.STATUS.PENDING) {
+        await this.requestConsent(session, consentRequirement);
+      }
+
     } catch (error) {
+      if (error.code === 'QUOTA_EXCEEDED' || error.code === 'VALIDATION_ERROR') {
+        logger.warn('[VertexAILiveWS] Session rejected', {
+          sessionId,
+          tenantId: session.tenantId,
+          userId: session.userId,
+          code: error.code,
+          details: error.details
+        });
+        this.sendMessage(ws, {
+          type: 'error',
+          code: error.code,
+          error: error.message,
+          details: error.details,
+          timestamp: Date.now()
+        });
+        return;
+      }
+
       logger.error('[VertexAILiveWS] Session start failed:', error);
       this.sendError(ws, 'Failed to start session: ' + error.message);
     }
   }
 
   /**
-   * Handle Opus/WebM audio chunk from client and decode to PCM
+   * Reattach a reconnecting client to its in-flight conversation
+   * The new socket arrives with a fresh session of its own; that session is discarded and
+   * the socket takes over the detached one (including its Vertex AI Live session)
    */
-  async handleOpusAudioChunk(ws, sessionId, audioData) {
-    const session = this.activeSessions.get(sessionId);
-    if (!session || !session.vertexSession) {
-      logger.warn('[VertexAILiveWS] Audio chunk for session without Vertex session', {
-        sessionId
+  resumeLiveSession(ws, sessionId, resumeToken) {
+    const current = this.activeSessions.get(sessionId);
+    const targetId = resumeToken && this.resumeTokens.get(resumeToken);
+    const target = targetId && this.activeSessions.get(targetId);
+
+    // This socket's own session is gone (torn down) or already has a Live session that would be orphaned
+    let reason = null;
+    if (!current || current.vertexSession) {
+      reason = 'socket_not_resumable';
+    } else if (!target) {
+      reason = 'unknown_or_expired_token';
+    } else if (!target.detachedAt || target.tenantId !== current.tenantId) {
+      reason = 'session_not_resumable';
+    }
+
+    if (reason) {
+      logger.warn('[VertexAILiveWS] Resume rejected', { sessionId, targetId: targetId || null, reason });
+      this.sendMessage(ws, {
+        type: 'resume_failed',
+        sessionId,
+        reason,
+        timestamp: Date.now()
       });
       return;
     }
 
-    try {
-      const buffer = Buffer.isBuffer(audioData) ? audioData : Buffer.from(audioData);
+    clearTimeout(target.graceTimer);
+    target.graceTimer = null;
+    target.detachedAt = null;
 
-      // Initialize decoder pipeline on first chunk
-      if (!session.opusDecoder) {
-        const prism = require('prism-media');
+    // The old token is spent; the new socket's token resumes next time
+    this.resumeTokens.delete(resumeToken);
+    this.resumeTokens.set(current.resumeToken, targetId);
+    target.resumeToken = current.resumeToken;
 
-        logger.info('[VertexAILiveWS] Initializing Opus decoder pipeline', { sessionId });
+    if (current.heartbeatInterval) {
+      clearInterval(current.heartbeatInterval);
+    }
+    this.activeSessions.delete(sessionId);
 
-        // Create persistent decoder pipeline
-        session.opusDemuxer = new prism.opus.WebmDemuxer();
-        session.opusDecoder = new prism.opus.Decoder({
-          rate: 16000,
-          channels: 1,
-          frameSize: 960
-        });
+    target.ws = ws;
+    target.lastActivityAt = Date.now();
+    // WebM/Ogg streams start over (with fresh headers) on the new socket
+    if (target.audioFormat) {
+      this.setupAudioConverters(target);
+    }
+    // server.js routes this socket's messages and close by ws.data.sessionId
+    if (ws.data) {
+      ws.data.sessionId = targetId;
+    }
+    this.startHeartbeat(ws, targetId);
 
-        // Pipe demuxer -> decoder
-        session.opusDemuxer.pipe(session.opusDecoder);
-
-        // Handle decoded PCM chunks
-        session.opusDecoder.on('data', async (pcmChunk) => {
-          try {
-            // Send each PCM chunk immediately to Vertex AI
-            await this.vertexAILiveService.sendAudio(sessionId, pcmChunk);
-
-            logger.info('[VertexAILiveWS] PCM sent to Vertex AI', {
-              sessionId,
-              pcmSize: pcmChunk.length
-            });
-          } catch (error) {
-            logger.error('[VertexAILiveWS] Error sending PCM:', {
-              error: error.message,
-              sessionId
-            });
-          }
-        });
+    this.sendMessage(ws, {
+      type: 'session_resumed',
+      sessionId: targetId,
+      resumeToken: target.resumeToken,
+      language: target.language,
+      workflow: 'vertex-ai-live',
+      timestamp: Date.now()
+    });
 
-        // Handle errors
-        session.opusDecoder.on('error', (error) => {
-          logger.error('[VertexAILiveWS] Opus decoder error:', {
-            error: error.message,
-            sessionId
-          });
-        });
+    logger.info('[VertexAILiveWS] Session resumed', {
+      sessionId: targetId,
+      replacedSessionId: sessionId,
+      tenantId: target.tenantId
+    });
+  }
 
-        session.opusDemuxer.on('error', (error) => {
-          logger.error('[VertexAILiveWS] WebM demuxer error:', {
-            error: error.message,
-            sessionId
-          });
-        });
-      }
+  /**
+   * Handle the Live API "interrupted" signal (user talked over the model)
+   */
+  handleInterruption(ws, sessionId, interruption) {
+    const session = this.activeSessions.get(sessionId);
+    if (!session) return;
 
-      // Write chunk to demuxer (persistent stream)
-      if (session.opusDemuxer && !session.opusDemuxer.destroyed) {
-        session.opusDemuxer.write(buffer);
-      }
+    // Flush first - every queued chunk the browser still plays is stale speech
+    this.sendMessage(ws, {
+      type: 'interrupted',
+      sessionId,
+      spokenText: interruption.partialText.spoken,
+      timestamp: interruption.timestamp
+    });
+
+    if (session.recorder) {
+      session.recorder.addEvent('interrupted', { spokenText: interruption.partialText.spoken });
+    }
 
+    try {
+      const context = session.interruptionManager.saveInterruptionContext(
+        interruption,
+        { text: interruption.aiText }
+      );
+      const adaptations = session.adaptiveManager.recordInterruption(interruption);
+      handoffService.recordAdaptations(sessionId, adaptations);
+
+      logger.info('[VertexAILiveWS] Interruption handled', {
+        sessionId,
+        canResume: context.canResume,
+        interruptionStyle: session.adaptiveManager.userProfile.interruptionStyle,
+        adaptations: adaptations.map(adaptation => adaptation.action)
+      });
     } catch (error) {
-      logger.error('[VertexAILiveWS] Audio processing error:', {
+      logger.error('[VertexAILiveWS] Interruption tracking failed:', error);
+    }
+  }
+
+  /**
+   * Create the session's audio converters for its negotiated formats
+   */
+  setupAudioConverters(session) {
+    const { sessionId, audioFormat } = session;
+    this.destroyAudioConverters(session);
+
+    session.inputConverter = audioUtils.createInputConverter(audioFormat.input, pcm => this.forwardUserAudio(session, pcm));
+    session.inputConverter.onError((error) => {
+      logger.error('[VertexAILiveWS] Audio decoder error:', {
         error: error.message,
-        stack: error.stack,
-        sessionId
+        sessionId,
+        format: audioFormat.input.format
       });
-      this.sendError(ws, 'Audio processing failed: ' + error.message);
+    });
+
+    session.outputConverter = audioUtils.createOutputConverter(audioFormat.output, (audioData) => {
+      if (session.ws && session.ws.readyState === 1) {  // 1 = OPEN
+        session.ws.send(audioData);
+
+        logger.info('[VertexAILiveWS] Sent audio to client', {
+          sessionId,
+          size: audioData.length
+        });
+      }
+    });
+
+    if (audioFormat.input.format !== audioUtils.FORMATS.PCM16 || audioFormat.output.format !== audioUtils.FORMATS.PCM16) {
+      logger.info('[VertexAILiveWS] Audio conversion enabled', { sessionId, ...audioFormat });
     }
   }
 
+  destroyAudioConverters(session) {
+    session.inputConverter?.destroy();
+    session.outputConverter?.destroy();
+    session.inputConverter = null;
+    session.outputConverter = null;
+  }
+
   /**
-   * Handle audio chunk from client (legacy PCM support)
+   * Handle audio chunk from client
+   * Converted to 16kHz PCM by the session's input converter (decoded Opus arrives asynchronously)
    */
   async handleAudioChunk(ws, sessionId, audioBuffer) {
     const session = this.activeSessions.get(sessionId);
-    if (!session || !session.vertexSession) {
+    if (!session || !session.vertexSession || !session.inputConverter) {
       logger.warn('[VertexAILiveWS] Audio chunk for session without Vertex session', {
         sessionId
       });
@@ -317,23 +566,338 @@ class VertexAILiveWebSocketHandler {
     try {
       // Ensure audioBuffer is a Buffer (convert from ArrayBuffer if needed)
       const buffer = Buffer.isBuffer(audioBuffer) ? audioBuffer : Buffer.from(audioBuffer);
+      await session.inputConverter.write(buffer);
+    } catch (error) {
+      logger.error('[VertexAILiveWS] Audio processing error:', {
+        error: error.message,
+        stack: error.stack,
+        sessionId
+      });
+      this.sendError(ws, 'Audio processing failed: ' + error.message);
+    }
+  }
+
+  /**
+   * Record and send converted user PCM to Vertex AI
+   */
+  async forwardUserAudio(session, pcm) {
+    const { sessionId } = session;
+    if (pcm.length === 0) return;
+
+    try {
+      if (session.recorder) {
+        session.recorder.addAudio('user', pcm);
+      }
+
+      // The bot is paused while a human agent has the conversation
+      if (session.agent) {
+        handoffService.relayUserAudio(sessionId, pcm);
+        return;
+      }
 
-      // Send audio directly to Vertex AI Live API
-      await this.vertexAILiveService.sendAudio(sessionId, buffer);
+      await this.vertexAILiveService.sendAudio(sessionId, pcm);
 
       logger.info('[VertexAILiveWS] Audio sent to Vertex AI', {
         sessionId,
-        chunkSize: buffer.length
+        chunkSize: pcm.length
       });
-
     } catch (error) {
-      logger.error('[VertexAILiveWS] Audio processing error:', {
+      logger.error('[VertexAILiveWS] Error sending audio:', {
         error: error.message,
-        stack: error.stack,
         sessionId
       });
-      this.sendError(ws, 'Audio processing failed: ' + error.message);
+      this.sendError(session.ws, 'Audio processing failed: ' + error.message);
+    }
+  }
+
+  /**
+   * Offer the quick-reply menu when the user's speech keeps coming through garbled
+   * Live transcripts carry no confidence, so only the analyzer's text checks apply
+   */
+  checkRecognition(session, turn) {
+    // Model-initiated turns (check-ins, goodbyes) say nothing about recognition
+    if (!turn.userText) return;
+
+    const issues = this.sttAnalyzer.analyzeTranscription(
+      { success: true, transcript: turn.userText, confidence: 1, isFinal: true },
+      session.language
+    );
+    const action = this.sttAnalyzer.getRecommendedAction(issues);
+
+    // Repeated recognition trouble raises frustration, which can queue the conversation for an agent
+    if (issues.length > 0) {
+      const adaptations = session.adaptiveManager.recordIssue(this.getHighestSeverityIssue(issues));
+      handoffService.recordAdaptations(session.sessionId, adaptations);
+    }
+
+    if (quickReplyService.recordRecognition(session.recognitionState, action)) {
+      logger.info('[VertexAILiveWS] Offering quick replies', {
+        sessionId: session.sessionId,
+        failures: session.recognitionState.failures
+      });
+      this.sendMessage(session.ws, {
+        ...quickReplyService.buildMessage(null, session.language),
+        sessionId: session.sessionId,
+        timestamp: Date.now()
+      });
+    }
+  }
+
+  /**
+   * Scan the user's speech for scam patterns: warn the client at once, and owe the
+   * model a safety message for its next turn
+   */
+  checkScamPatterns(session, text) {
+    const hits = scamDetectionService.inspect(session.scamState, text);
+    if (hits.length === 0) return;
+
+    const { sessionId } = session;
+    this.sendMessage(session.ws, {
+      ...scamDetectionService.buildWarning(hits, session.language),
+      sessionId,
+      timestamp: Date.now()
+    });
+    session.recorder?.addEvent('fraud_warning', { categories: hits.map(hit => hit.category) });
+    handoffService.addFraudFlags(sessionId, hits.map(hit => `scam:${hit.category}`));
+
+    scamDetectionService.recordHits({
+      tenantId: session.tenantId,
+      sessionId,
+      userId: session.userId,
+      channel: 'live',
+      language: session.language
+    }, hits);
+  }
+
+  /**
+   * After the model's turn, make it open the next one with the safety message it owes
+   */
+  sendSafetyMessage(session) {
+    const hits = scamDetectionService.endUtterance(session.scamState);
+    if (hits.length === 0 || !session.vertexSession || session.agent) return;
+
+    this.vertexAILiveService.sendInstruction(session.sessionId, scamDetectionService.buildSafetyInstruction(hits)).catch((error) => {
+      logger.error('[VertexAILiveWS] Safety message failed:', { sessionId: session.sessionId, error: error.message });
+    });
+  }
+
+  getHighestSeverityIssue(issues) {
+    const severityOrder = { critical: 0, high: 1, medium: 2, low: 3 };
+    return issues.reduce((highest, issue) =>
+      severityOrder[issue.severity] < severityOrder[highest.severity] ? issue : highest
+    , issues[0]);
+  }
+
+  /**
+   * Handle a tapped quick reply: inject its text as the user's turn and show the next menu
+   * { dismiss: true } closes the menu and goes back to free speech
+   */
+  async handleQuickReply(ws, sessionId, message) {
+    const session = this.activeSessions.get(sessionId);
+    if (!session || !session.vertexSession) {
+      logger.warn('[VertexAILiveWS] Quick reply for session without Vertex session', { sessionId });
+      return;
+    }
+
+    session.recognitionState = quickReplyService.createState();
+    if (message.dismiss) {
+      return;
+    }
+
+    try {
+      const selected = quickReplyService.select(message.nodeId, message.optionId, session.language);
+      if (selected.language) {
+        session.language = selected.language;  // Menus and transcripts follow the caller's choice
+      }
+
+      if (selected.text) {
+        session.recorder?.addEvent('quick_reply', { nodeId: message.nodeId, optionId: selected.optionId });
+        this.sendMessage(ws, {
+          type: 'user_transcript',
+          text: selected.text,
+          finished: true,
+          source: 'quick_reply',
+          language: session.language,
+          sessionId,
+          timestamp: Date.now()
+        });
+        if (session.agent) {
+          handoffService.relayTranscript(sessionId, 'user', selected.text, true);
+        } else {
+          await this.vertexAILiveService.sendText(sessionId, selected.text);
+        }
+      }
+
+      if (selected.quickReplies) {
+        this.sendMessage(ws, { ...selected.quickReplies, sessionId, timestamp: Date.now() });
+      }
+
+      logger.info('[VertexAILiveWS] Quick reply selected', {
+        sessionId,
+        nodeId: message.nodeId,
+        optionId: selected.optionId
+      });
+    } catch (error) {
+      logger.error('[VertexAILiveWS] Quick reply error:', error);
+      this.sendError(ws, 'Quick reply failed: ' + error.message);
+    }
+  }
+
+  /**
+   * Show the disclosure and have the assistant read it out and ask for agreement
+   */
+  async requestConsent(session, requirement) {
+    this.sendMessage(session.ws, {
+      type: 'consent_required',
+      version: requirement.version,
+      text: requirement.text,
+      language: session.language,
+      sessionId: session.sessionId,
+      timestamp: Date.now()
+    });
+    await this.vertexAILiveService.sendInstruction(
+      session.sessionId,
+      consentService.buildDisclosureInstruction(requirement, session.language)
+    );
+    session.consent.disclosureSent = true;
+  }
+
+  /**
+   * At the end of a turn, check what the user said after the disclosure for a yes or no
+   * An unclear reply is asked again; a recorded answer is noted for the model, which has already replied to it
+   */
+  async checkConsentAnswer(session, turn) {
+    const { sessionId } = session;
+    const answer = consentService.checkTurn(session.consent, turn);
+    if (!answer) return;
+
+    try {
+      if (answer === 'unclear') {
+        await this.vertexAILiveService.sendInstruction(sessionId, consentService.buildReaskInstruction());
+      } else if (await this.recordConsentDecision(session, answer === 'agree', 'spoken')) {
+        await this.vertexAILiveService.sendInstruction(
+          sessionId,
+          consentService.buildSpokenAnswerNote(answer === 'agree'),
+          { respond: false }
+        );
+      }
+    } catch (error) {
+      logger.error('[VertexAILiveWS] Consent follow-up failed', { sessionId, error: error.message });
+    }
+  }
+
+  /**
+   * The user tapped agree or decline on the disclosure
+   */
+  async handleConsentResponse(sessionId, accepted) {
+    const session = this.activeSessions.get(sessionId);
+    if (!session || !session.vertexSession || !consentService.isBlocking(session.consent)) {
+      logger.warn('[VertexAILiveWS] Consent answer for session without pending consent', { sessionId });
+      return;
+    }
+
+    if (await this.recordConsentDecision(session, accepted, 'typed')) {
+      await this.vertexAILiveService.sendInstruction(sessionId, consentService.buildTypedAnswerInstruction(accepted));
+    }
+  }
+
+  /**
+   * Store a consent decision; advisory tools unlock only once a grant is stored
+   * @returns {boolean} false when the record could not be written (consent stays pending)
+   */
+  async recordConsentDecision(session, granted, method) {
+    const { sessionId, consent } = session;
+    try {
+      await consentService.recordConsent({
+        tenantId: session.tenantId,
+        sessionId,
+        userId: session.userId,
+        channel: 'live'
+      }, {
+        version: consent.version,
+        language: session.language,
+        granted,
+        method
+      });
+    } catch (error) {
+      logger.error('[VertexAILiveWS] Consent could not be recorded', { sessionId, error: error.message });
+      this.sendError(session.ws, 'Consent could not be recorded, please try again');
+      return false;
+    }
+
+    consent.status = granted ? consentService.STATUS.GRANTED : consentService.STATUS.DECLINED;
+    session.recorder?.addEvent('consent', { version: consent.version, granted, method });
+    this.sendMessage(session.ws, {
+      type: 'consent_recorded',
+      version: consent.version,
+      granted,
+      sessionId,
+      timestamp: Date.now()
+    });
+    return true;
+  }
+
+  /**
+   * The user asked for a human agent (e.g. tapped a "talk to a person" button)
+   */
+  handleAgentRequest(ws, sessionId) {
+    const session = this.activeSessions.get(sessionId);
+    if (!session || !session.vertexSession) {
+      logger.warn('[VertexAILiveWS] Agent request for session without Vertex session', { sessionId });
+      return;
     }
+
+    if (!handoffService.requestAgent(sessionId)) {
+      this.sendMessage(ws, { type: 'handoff_unavailable', sessionId, timestamp: Date.now() });
+    }
+  }
+
+  /**
+   * How HandoffService reaches this session's client and pauses or resumes the bot
+   * Everything goes through session.ws, which changes on resume
+   */
+  createHandoffChannel(session) {
+    const { sessionId } = session;
+
+    return {
+      sendMessage: (message) => {
+        this.sendMessage(session.ws, { ...message, sessionId });
+      },
+
+      // Agent audio arrives as 16kHz PCM; the client's output converter expects Live's 24kHz
+      sendAudio: (pcm) => {
+        const audioData = audioUtils.resample(pcm, audioUtils.LIVE_INPUT_SAMPLE_RATE, audioUtils.LIVE_OUTPUT_SAMPLE_RATE);
+        session.recorder?.addAudio('model', audioData);
+        if (session.ws && session.ws.readyState === 1 && session.outputConverter) {  // 1 = OPEN
+          session.outputConverter.write(audioData);
+        }
+      },
+
+      onAgentJoined: (agent) => {
+        session.agent = agent;
+        session.recorder?.addEvent('agent_joined', { agentId: agent.agentId, name: agent.name });
+        // Drop any bot audio the client still has queued
+        this.sendMessage(session.ws, { type: 'interrupted', sessionId, spokenText: '', timestamp: Date.now() });
+        this.sendMessage(session.ws, { type: 'agent_joined', sessionId, agentName: agent.name, timestamp: Date.now() });
+        logger.info('[VertexAILiveWS] Human agent joined, bot paused', { sessionId, agentId: agent.agentId });
+      },
+
+      onReturnToBot: (notes) => {
+        const agent = session.agent;
+        session.agent = null;
+        session.recorder?.addEvent('agent_left', { agentId: agent?.agentId, notes });
+        this.sendMessage(session.ws, { type: 'agent_left', sessionId, timestamp: Date.now() });
+        logger.info('[VertexAILiveWS] Conversation returned to bot', { sessionId, agentId: agent?.agentId });
+
+        if (session.vertexSession) {
+          const handback = '[A human agent has handed this conversation back to you.' +
+            (notes ? ` Agent notes: "${notes}".` : '') + ' Welcome the user back and continue helping them.]';
+          this.vertexAILiveService.sendInstruction(sessionId, handback).catch((error) => {
+            logger.error('[VertexAILiveWS] Handback to bot failed:', { sessionId, error: error.message });
+          });
+        }
+      }
+    };
   }
 
   /**
@@ -373,19 +937,13 @@ class VertexAILiveWebSocketHandler {
       if (session.vertexSession) {
         await this.vertexAILiveService.closeSession(sessionId);
       }
-
-      // Clean up Opus decoder
-      if (session.opusDemuxer && !session.opusDemuxer.destroyed) {
-        session.opusDemuxer.destroy();
-      }
-      if (session.opusDecoder && !session.opusDecoder.destroyed) {
-        session.opusDecoder.destroy();
-      }
+      await this.saveRecording(session);
+      this.destroyAudioConverters(session);
+      handoffService.detachSession(sessionId);
 
       session.isActive = false;
+      session.agent = null;
       session.vertexSession = null;
-      session.opusDemuxer = null;
-      session.opusDecoder = null;
 
       this.sendMessage(ws, {
         type: 'session_ended',
@@ -402,21 +960,91 @@ class VertexAILiveWebSocketHandler {
 
   /**
    * Handle WebSocket close
+   * A live conversation is kept for the resume grace window instead of being torn down
    */
-  async handleClose(sessionId) {
+  async handleClose(sessionId, ws = null) {
     const session = this.activeSessions.get(sessionId);
-    if (session) {
-      if (session.vertexSession) {
-        await this.vertexAILiveService.closeSession(sessionId);
-      }
+    if (!session) return;
 
-      if (session.heartbeatInterval) {
-        clearInterval(session.heartbeatInterval);
-      }
+    // A stale socket closing after the client already resumed on a new one
+    if (ws && session.ws !== ws) {
+      return;
+    }
+
+    if (session.heartbeatInterval) {
+      clearInterval(session.heartbeatInterval);
+      session.heartbeatInterval = null;
+    }
+
+    if (session.vertexSession && this.vertexAILiveService.getSession(sessionId)) {
+      session.ws = null;
+      session.detachedAt = Date.now();
+      session.graceTimer = setTimeout(() => {
+        this.expireDetachedSession(sessionId);
+      }, this.resumptionConfig.graceWindow * 1000);
+
+      logger.info('[VertexAILiveWS] Connection dropped, holding session for resume', {
+        sessionId,
+        graceWindow: this.resumptionConfig.graceWindow
+      });
+      return;
+    }
 
-      this.activeSessions.delete(sessionId);
+    await this.teardownSession(sessionId);
+    logger.info('[VertexAILiveWS] Connection closed', { sessionId });
+  }
 
-      logger.info('[VertexAILiveWS] Connection closed', { sessionId });
+  /**
+   * Close a detached session whose client did not come back in time
+   */
+  async expireDetachedSession(sessionId) {
+    const session = this.activeSessions.get(sessionId);
+    if (!session || !session.detachedAt) return;
+
+    logger.info('[VertexAILiveWS] Resume window expired, closing session', {
+      sessionId,
+      detachedForMs: Date.now() - session.detachedAt
+    });
+    await this.teardownSession(sessionId);
+  }
+
+  /**
+   * Close the Vertex AI session and forget the connection
+   */
+  async teardownSession(sessionId) {
+    const session = this.activeSessions.get(sessionId);
+    if (!session) return;
+
+    this.activeSessions.delete(sessionId);
+    this.resumeTokens.delete(session.resumeToken);
+    clearTimeout(session.graceTimer);
+    if (session.heartbeatInterval) {
+      clearInterval(session.heartbeatInterval);
+    }
+
+    if (session.vertexSession) {
+      await this.vertexAILiveService.closeSession(sessionId);
+    }
+    await this.saveRecording(session);
+    this.destroyAudioConverters(session);
+    handoffService.detachSession(sessionId);
+  }
+
+  /**
+   * Write the session's recording, if it has one
+   */
+  async saveRecording(session) {
+    const { recorder } = session;
+    if (!recorder) return;
+
+    session.recorder = null;
+    try {
+      await recordingService.saveRecording(recorder);
+    } catch (error) {
+      logger.error('[VertexAILiveWS] Failed to save recording:', {
+        sessionId: session.sessionId,
+        error: error.message
+      });
     }
   }
 
@@ -459,7 +1087,7 @@ class VertexAILiveWebSocketHandler {
    */
   sendMessage(ws, message) {
     // Bun WebSocket readyState: 0=CONNECTING, 1=OPEN, 2=CLOSING, 3=CLOSED
-    if (ws.readyState === 1) {
+    if (ws && ws.readyState === 1) {
       ws.send(JSON.stringify(message));
     }
   }
@@ -493,11 +1121,16 @@ class VertexAILiveWebSocketHandler {
       if (session.vertexSession) {
         await this.vertexAILiveService.closeSession(sessionId);
       }
+      await this.saveRecording(session);
+      this.destroyAudioConverters(session);
+      handoffService.detachSession(sessionId, 'shutdown');
       if (session.heartbeatInterval) {
         clearInterval(session.heartbeatInterval);
       }
+      clearTimeout(session.graceTimer);
     }
     this.activeSessions.clear();
+    this.resumeTokens.clear();
     logger.info('[VertexAILiveWS] Cleanup completed');
   }
 }
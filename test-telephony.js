@@ -0,0 +1,133 @@
+/**
+ * Fake telephony provider for local testing of WS /api/telephony/media-stream
+ * Plays a WAV file (any rate, mono or stereo) as a Twilio-style media stream in real time,
+ * echoes marks like a provider would, and saves the assistant's reply as a mu-law WAV.
+ *
+ * Usage: bun test-telephony.js [input.wav] [output.wav]
+ *   TELEPHONY_URL  (default ws://localhost:8080/api/telephony/media-stream)
+ *   API_KEY, TENANT_ID, LANGUAGE, LISTEN_SECONDS (default 15)
+ */
+
+const fs = require('fs');
+const WebSocket = require('ws');
+const audio = require('./src/utils/audio');
+
+const inputPath = process.argv[2];
+const outputPath = process.argv[3] || 'telephony-output.wav';
+const listenSeconds = parseInt(process.env.LISTEN_SECONDS) || 15;
+
+const FRAME_BYTES = 160; // 20ms of 8kHz mu-law
+
+/**
+ * Caller audio as 8kHz mu-law: the WAV file, or two seconds of silence
+ */
+function loadCallerAudio() {
+  if (!inputPath) {
+    console.log('No input WAV given, sending 2s of silence');
+    return Buffer.alloc(16000, 0xff);
+  }
+
+  const wav = audio.parseWav(fs.readFileSync(inputPath));
+  if (!wav) {
+    throw new Error(`${inputPath} is not a WAV file`);
+  }
+  const pcm = wav.audioFormat === 7 ? audio.mulawToPcm16(wav.data) : wav.data;
+  const mono = audio.toMono(pcm, wav.channels);
+  return audio.pcm16ToMulaw(audio.resample(mono, wav.sampleRate, audio.MULAW_SAMPLE_RATE));
+}
+
+async function run() {
+  const url = new URL(process.env.TELEPHONY_URL || 'ws://localhost:8080/api/telephony/media-stream');
+
+  const callerAudio = loadCallerAudio();
+  const streamSid = 'MZ' + Date.now().toString(16);
+  const received = [];
+  let sequenceNumber = 0;
+
+  const ws = new WebSocket(url.toString());
+  const send = (message) => ws.send(JSON.stringify({ sequenceNumber: String(++sequenceNumber), streamSid, ...message }));
+
+  ws.on('message', (data) => {
+    const message = JSON.parse(data.toString());
+    switch (message.event) {
+      case 'media':
+        received.push(Buffer.from(message.media.payload, 'base64'));
+        break;
+      case 'mark':
+        // A real provider echoes the mark once playback reaches it
+        console.log('Mark:', message.mark.name);
+        send({ event: 'mark', mark: message.mark });
+        break;
+      case 'clear':
+        console.log('Clear (barge-in)');
+        break;
+      default:
+        console.log('Event:', message.event);
+    }
+  });
+
+  ws.on('close', (code) => {
+    const reply = Buffer.concat(received);
+    fs.writeFileSync(outputPath, audio.encodeWav(reply, { sampleRate: audio.MULAW_SAMPLE_RATE, format: audio.FORMATS.MULAW }));
+    console.log(`Stream closed (${code}); ${(reply.length / 8000).toFixed(1)}s of reply audio saved to ${outputPath}`);
+    process.exit(0);
+  });
+
+  ws.on('error', (error) => {
+    console.error('WebSocket error:', error.message);
+    process.exit(1);
+  });
+
+  await new Promise(resolve => ws.once('open', resolve));
+  console.log('Connected to', url.origin + url.pathname);
+
+  ws.send(JSON.stringify({ event: 'connected', protocol: 'Call', version: '1.0.0' }));
+  send({
+    event: 'start',
+    start: {
+      streamSid,
+      accountSid: 'ACtest',
+      callSid: 'CAtest' + Date.now(),
+      tracks: ['inbound'],
+      // Sent the way Twilio <Stream><Parameter> does it
+      customParameters: {
+        language: process.env.LANGUAGE || 'en',
+        ...(process.env.API_KEY && { apiKey: process.env.API_KEY }),
+        ...(process.env.TENANT_ID && { tenantId: process.env.TENANT_ID })
+      },
+      mediaFormat: { encoding: 'audio/x-mulaw', sampleRate: 8000, channels: 1 }
+    }
+  });
+
+  // Give the server time to open the Live session before speaking
+  await new Promise(resolve => setTimeout(resolve, 2000));
+
+  for (let offset = 0, chunk = 1; offset < callerAudio.length; offset += FRAME_BYTES, chunk++) {
+    send({
+      event: 'media',
+      media: {
+        track: 'inbound',
+        chunk: String(chunk),
+        timestamp: String(chunk * 20),
+        payload: callerAudio.subarray(offset, offset + FRAME_BYTES).toString('base64')
+      }
+    });
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+
+  // Keep the line open (with silence, like a real call) while the assistant replies
+  console.log(`Caller audio sent, listening for ${listenSeconds}s`);
+  const silence = Buffer.alloc(FRAME_BYTES, 0xff).toString('base64');
+  const silenceTimer = setInterval(() => send({ event: 'media', media: { track: 'inbound', payload: silence } }), 20);
+
+  await new Promise(resolve => setTimeout(resolve, listenSeconds * 1000));
+  clearInterval(silenceTimer);
+
+  send({ event: 'stop', stop: { accountSid: 'ACtest' } });
+  ws.close();
+}
+
+run().catch((error) => {
+  console.error('❌ Error:', error.message);
+  process.exit(1);
+});